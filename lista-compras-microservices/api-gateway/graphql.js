@@ -0,0 +1,251 @@
+// api-gateway/graphql.js
+// Schema GraphQL do Gateway (POST /graphql): usuário, catálogo e listas em uma
+// só consulta, com os campos escolhidos pelo cliente. Os resolvers chamam os
+// serviços pelo registro, com as mesmas políticas das rotas REST (circuit
+// breaker, timeouts, retries). O Item de cada ListItem é buscado em lote:
+// uma chamada ao Item Service por consulta, e não uma por item.
+const { GraphQLSchema, graphqlError } = require('../shared/graphql');
+const { BatchLoader } = require('../shared/BatchLoader');
+
+// Status HTTP dos serviços -> extensions.code dos erros GraphQL
+const ERROR_CODES = {
+    400: 'BAD_USER_INPUT',
+    401: 'UNAUTHENTICATED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    412: 'PRECONDITION_FAILED'
+};
+
+function upstreamError(error, serviceName) {
+    if (!error.response) return graphqlError(`Serviço ${serviceName} indisponível`, 'SERVICE_UNAVAILABLE');
+    const { status, data } = error.response;
+    const code = ERROR_CODES[status] || (status >= 500 ? 'UPSTREAM_ERROR' : 'BAD_REQUEST');
+    const message = data && data.message ? data.message : `Erro ${status} em ${serviceName}`;
+    return graphqlError(message, code, data && data.errors ? { errors: data.errors } : {});
+}
+
+// Campo data da resposta { success, data } do serviço
+async function call(context, serviceName, method, path, body) {
+    try {
+        const response = await context.request(serviceName, method, path, body);
+        return response ? response.data : undefined;
+    } catch (error) {
+        // Erros do próprio Gateway (ex.: rate limiting) já vêm no formato GraphQL
+        if (error.extensions) throw error;
+        throw upstreamError(error, serviceName);
+    }
+}
+
+function requireUser(context) {
+    if (!context.user) throw graphqlError('Token obrigatório', 'UNAUTHENTICATED');
+    return context.user;
+}
+
+// Um recurso inexistente é null, não um erro (ex.: list(id: "..."))
+async function orNull(promise) {
+    try {
+        return await promise;
+    } catch (error) {
+        if (error.extensions && error.extensions.code === 'NOT_FOUND') return null;
+        throw error;
+    }
+}
+
+async function userLists(context, { status }) {
+    requireUser(context);
+    const lists = await call(context, 'list-service', 'GET', '/lists');
+    return status ? lists.filter(list => list.status === status) : lists;
+}
+
+const withUser = resolve => (source, args, context) => {
+    requireUser(context);
+    return resolve(source, args, context);
+};
+const segment = value => encodeURIComponent(value);
+
+const schema = new GraphQLSchema({
+    enums: {
+        ListStatus: ['active', 'completed', 'archived'],
+        Currency: ['BRL', 'USD', 'EUR']
+    },
+    inputs: {
+        CreateListInput: { name: 'String!', description: 'String' },
+        UpdateListInput: { name: 'String', description: 'String', status: 'ListStatus' },
+        AddListItemInput: { itemId: 'ID!', quantity: 'Float!', notes: 'String' },
+        UpdateListItemInput: { quantity: 'Float', purchased: 'Boolean', notes: 'String' },
+        CreateItemInput: {
+            name: 'String!', category: 'String!', unit: 'String!', averagePrice: 'Float!',
+            brand: 'String', barcode: 'String', description: 'String'
+        },
+        UpdateItemInput: {
+            name: 'String', category: 'String', unit: 'String', averagePrice: 'Float',
+            brand: 'String', barcode: 'String', description: 'String'
+        }
+    },
+    mutation: 'Mutation',
+    types: {
+        Query: {
+            fields: {
+                me: {
+                    type: 'User!',
+                    description: 'Usuário do token',
+                    resolve: (root, args, context) => call(context, 'user-service', 'GET', `/users/${segment(requireUser(context).id)}`)
+                },
+                item: { type: 'Item', args: { id: 'ID!' }, resolve: (root, { id }, context) => context.items.load(id) },
+                items: {
+                    type: '[Item!]!',
+                    description: 'Itens ativos do catálogo',
+                    args: { category: 'String', name: 'String' },
+                    resolve: async (root, args, context) => {
+                        const query = new URLSearchParams(args).toString();
+                        const items = await call(context, 'item-service', 'GET', `/items${query ? `?${query}` : ''}`);
+                        items.forEach(item => context.items.prime(item.id, item));
+                        return items;
+                    }
+                },
+                categories: { type: '[String!]!', resolve: (root, args, context) => call(context, 'item-service', 'GET', '/categories') },
+                search: {
+                    type: '[Item!]!',
+                    args: { q: 'String!' },
+                    resolve: (root, { q }, context) => call(context, 'item-service', 'GET', `/search?q=${encodeURIComponent(q)}`)
+                },
+                lists: { type: '[ShoppingList!]!', args: { status: 'ListStatus' }, resolve: (root, args, context) => userLists(context, args) },
+                list: {
+                    type: 'ShoppingList',
+                    args: { id: 'ID!' },
+                    resolve: withUser((root, { id }, context) => orNull(call(context, 'list-service', 'GET', `/lists/${segment(id)}`)))
+                }
+            }
+        },
+        Mutation: {
+            fields: {
+                createList: {
+                    type: 'ShoppingList!',
+                    args: { input: 'CreateListInput!' },
+                    resolve: withUser((root, { input }, context) => call(context, 'list-service', 'POST', '/lists', input))
+                },
+                updateList: {
+                    type: 'ShoppingList!',
+                    args: { id: 'ID!', input: 'UpdateListInput!' },
+                    resolve: withUser((root, { id, input }, context) => call(context, 'list-service', 'PUT', `/lists/${segment(id)}`, input))
+                },
+                deleteList: {
+                    type: 'Boolean!',
+                    args: { id: 'ID!' },
+                    resolve: withUser(async (root, { id }, context) => {
+                        await call(context, 'list-service', 'DELETE', `/lists/${segment(id)}`);
+                        return true;
+                    })
+                },
+                addListItem: {
+                    type: 'ShoppingList!',
+                    args: { listId: 'ID!', input: 'AddListItemInput!' },
+                    resolve: withUser((root, { listId, input }, context) => call(context, 'list-service', 'POST', `/lists/${segment(listId)}/items`, input))
+                },
+                updateListItem: {
+                    type: 'ShoppingList!',
+                    args: { listId: 'ID!', itemId: 'ID!', input: 'UpdateListItemInput!' },
+                    resolve: withUser((root, { listId, itemId, input }, context) => {
+                        return call(context, 'list-service', 'PUT', `/lists/${segment(listId)}/items/${segment(itemId)}`, input);
+                    })
+                },
+                removeListItem: {
+                    type: 'ShoppingList!',
+                    args: { listId: 'ID!', itemId: 'ID!' },
+                    resolve: withUser((root, { listId, itemId }, context) => {
+                        return call(context, 'list-service', 'DELETE', `/lists/${segment(listId)}/items/${segment(itemId)}`);
+                    })
+                },
+                createItem: {
+                    type: 'Item!',
+                    args: { input: 'CreateItemInput!' },
+                    resolve: withUser((root, { input }, context) => call(context, 'item-service', 'POST', '/items', input))
+                },
+                updateItem: {
+                    type: 'Item!',
+                    args: { id: 'ID!', input: 'UpdateItemInput!' },
+                    resolve: withUser((root, { id, input }, context) => call(context, 'item-service', 'PUT', `/items/${segment(id)}`, input))
+                }
+            }
+        },
+        User: {
+            fields: {
+                id: 'ID!',
+                email: 'String!',
+                username: 'String!',
+                firstName: 'String!',
+                lastName: 'String!',
+                preferences: 'UserPreferences',
+                createdAt: 'String',
+                updatedAt: 'String',
+                lists: { type: '[ShoppingList!]!', args: { status: 'ListStatus' }, resolve: (user, args, context) => userLists(context, args) }
+            }
+        },
+        UserPreferences: {
+            fields: { defaultStore: 'String', currency: 'Currency' }
+        },
+        Item: {
+            fields: {
+                id: 'ID!',
+                name: 'String!',
+                category: 'String!',
+                brand: 'String',
+                unit: 'String!',
+                averagePrice: 'Float!',
+                barcode: 'String',
+                description: 'String',
+                active: 'Boolean',
+                createdAt: 'String',
+                updatedAt: 'String'
+            }
+        },
+        ShoppingList: {
+            fields: {
+                id: 'ID!',
+                name: 'String!',
+                description: 'String',
+                status: 'ListStatus!',
+                items: '[ListItem!]!',
+                summary: 'ListSummary!',
+                createdAt: 'String',
+                updatedAt: 'String',
+                version: 'Int'
+            }
+        },
+        ListSummary: {
+            fields: { totalItems: 'Int!', purchasedItems: 'Int!', estimatedTotal: 'Float!' }
+        },
+        ListItem: {
+            fields: {
+                itemId: 'ID!',
+                itemName: 'String!',
+                quantity: 'Float!',
+                unit: 'String',
+                estimatedPrice: 'Float',
+                purchased: 'Boolean!',
+                notes: 'String',
+                addedAt: 'String',
+                item: {
+                    type: 'Item',
+                    description: 'Item atual do catálogo (null se foi removido)',
+                    resolve: (listItem, args, context) => context.items.load(listItem.itemId)
+                }
+            }
+        }
+    }
+});
+
+// Contexto de uma requisição: request(serviceName, method, path, body) chama
+// o serviço como o usuário da requisição. Os loaders valem só para ela.
+function createContext(request, user) {
+    const context = { user, request };
+    context.items = new BatchLoader(async ids => {
+        const items = await call(context, 'item-service', 'GET', `/items?ids=${ids.map(segment).join(',')}`);
+        const byId = new Map(items.map(item => [item.id, item]));
+        return ids.map(id => byId.get(id) || null);
+    });
+    return context;
+}
+
+module.exports = { schema, createContext };
@@ -2,90 +2,346 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
-const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const path = require('path');
+const { pipeline } = require('stream');
 
 const serviceRegistry = require('../shared/serviceRegistry');
+const { CircuitBreaker } = require('../shared/CircuitBreaker');
+const { RetryBudget, retryFor, withRetries, hedge } = require('../shared/retry');
+const { createRateLimiter } = require('../shared/rateLimiter');
+const { INTERNAL_IDENTITY_HEADER, jwtSecret, internalSecret, identityHeaders } = require('../shared/internalAuth');
+const { ResponseCache, CACHE_INVALIDATE_HEADER } = require('../shared/ResponseCache');
+const { forwardRequestHeaders, forwardResponseHeaders } = require('../shared/httpProxy');
+const { configureLogging, createLogger, requestLogger } = require('../shared/logger');
+const { httpMetrics, metricsHandler } = require('../shared/metrics');
+const { REQUEST_ID_HEADER } = require('../shared/requestContext');
+const { callUpstreamService } = require('../shared/upstreamCall');
+const { dependencyCheck, registerHealthRoutes } = require('../shared/healthChecks');
+const { OpenApiDocument, openApiValidator, registerDocsRoutes } = require('../shared/openapi');
+const { notFoundHandler, errorHandler } = require('../shared/httpErrors');
+const { execute, graphqlError, printSchema } = require('../shared/graphql');
+const { ApiVersions } = require('../shared/apiVersioning');
+const { requireAdminToken } = require('../shared/adminRoutes');
+const graphql = require('./graphql');
+const versionTransforms = require('./versionTransforms');
+
+configureLogging({ service: 'api-gateway' });
+const logger = createLogger('gateway');
+
+// Validações de token guardadas por token (com o usuário, ou null se inválido)
+const AUTH_CACHE_MAX_ENTRIES = 10000;
+// Cabeçalhos condicionais: em um miss do cache, quem os avalia é o Gateway
+const CONDITIONAL_HEADERS = ['if-none-match', 'if-modified-since'];
+// Serviços para os quais o Gateway encaminha requisições
+const UPSTREAM_SERVICES = ['user-service', 'list-service', 'item-service'];
 
 class APIGateway {
     constructor() {
         this.app = express();
         this.port = 3000;
-        this.circuitBreakers = new Map();
+        // Em produção, sem JWT_SECRET ou INTERNAL_AUTH_SECRET o Gateway não sobe
+        this.jwtSecret = jwtSecret();
+        internalSecret();
+        this.setupCircuitBreakers();
+        this.setupUpstreamPolicies();
+        this.authCache = new Map();
+        this.authCacheTtl = Number(process.env.AUTH_CACHE_TTL_SECONDS || 30) * 1000;
+        this.setupResponseCache();
+        this.apiDocument = OpenApiDocument.load();
+        this.setupApiVersions();
         
         this.setupMiddleware();
         this.setupRoutes();
         this.startHealthChecks();
     }
 
+    // Um circuit breaker por serviço. A política vem de circuit-breakers.json
+    // (ou do arquivo em CIRCUIT_BREAKER_CONFIG): "default" mais ajustes por serviço.
+    setupCircuitBreakers() {
+        const configFile = process.env.CIRCUIT_BREAKER_CONFIG || path.join(__dirname, 'circuit-breakers.json');
+        const { default: defaults = {}, ...services } = require(path.resolve(configFile));
+        this.breakerDefaults = defaults;
+        this.circuitBreakers = new Map();
+        Object.keys(services).forEach(name => this.getCircuitBreaker(name, services[name]));
+    }
+
+    getCircuitBreaker(serviceName, overrides = {}) {
+        if (!this.circuitBreakers.has(serviceName)) {
+            this.circuitBreakers.set(serviceName, new CircuitBreaker(serviceName, {
+                config: { ...this.breakerDefaults, ...overrides }
+            }));
+        }
+        return this.circuitBreakers.get(serviceName);
+    }
+
+    // Timeouts, retries e hedging por rota. A política vem de upstream-policies.json
+    // (ou do arquivo em UPSTREAM_POLICY_CONFIG): "default" mais ajustes em "routes".
+    // Com "retryBudget": null, os retries não têm orçamento.
+    setupUpstreamPolicies() {
+        const configFile = process.env.UPSTREAM_POLICY_CONFIG || path.join(__dirname, 'upstream-policies.json');
+        const config = require(path.resolve(configFile));
+        this.upstreamDefaults = config.default || {};
+        this.routePolicies = config.routes || {};
+        this.retryBudgetConfig = config.retryBudget || null;
+        this.retryBudgets = new Map();
+    }
+
+    getUpstreamPolicy(route) {
+        return { ...this.upstreamDefaults, ...this.routePolicies[route] };
+    }
+
+    // Um orçamento por serviço: retries para um serviço com problemas não
+    // consomem o orçamento dos demais
+    getRetryBudget(serviceName) {
+        if (!this.retryBudgetConfig) return null;
+        if (!this.retryBudgets.has(serviceName)) {
+            this.retryBudgets.set(serviceName, new RetryBudget(this.retryBudgetConfig));
+        }
+        return this.retryBudgets.get(serviceName);
+    }
+
+    // Cache das rotas públicas do catálogo, configurado em response-cache.json
+    // (ou no arquivo em RESPONSE_CACHE_CONFIG)
+    setupResponseCache() {
+        const configFile = process.env.RESPONSE_CACHE_CONFIG || path.join(__dirname, 'response-cache.json');
+        this.responseCache = new ResponseCache(require(path.resolve(configFile)));
+    }
+
+    // Versões da API (/api/v1, /api/v2...) definidas em api-versions.json (ou no
+    // arquivo em API_VERSIONS_CONFIG); as diferenças de formato ficam em versionTransforms.js
+    setupApiVersions() {
+        const configFile = process.env.API_VERSIONS_CONFIG || path.join(__dirname, 'api-versions.json');
+        this.apiVersions = new ApiVersions(require(path.resolve(configFile)), {
+            transforms: versionTransforms
+        });
+    }
+
     setupMiddleware() {
         this.app.use(helmet());
         this.app.use(cors());
-        this.app.use(morgan('combined'));
-        this.app.use(express.json());
+        this.app.use(requestLogger());
+        this.app.use(httpMetrics());
+        // Antes dos demais: daqui em diante o caminho não tem a versão
+        this.app.use(this.apiVersions.middleware());
+        this.rateLimiter = this.createRateLimiter();
+        this.app.use(this.rateLimiter);
+        // O corpo das requisições repassadas segue como chegou (JSON, CSV,
+        // arquivos...). Ele fica em memória, até PROXY_BODY_LIMIT, para que
+        // possa ser reenviado em retries e hedging.
+        this.app.use('/api', express.raw({ type: () => true, inflate: false, limit: process.env.PROXY_BODY_LIMIT || '10mb' }));
+        this.app.use('/graphql', express.json());
+    }
+
+    // Limites por grupo de rotas, IP e usuário, definidos em rate-limits.json
+    // (ou no arquivo em RATE_LIMIT_CONFIG)
+    createRateLimiter() {
+        const configFile = process.env.RATE_LIMIT_CONFIG || path.join(__dirname, 'rate-limits.json');
+        return createRateLimiter(require(path.resolve(configFile)), {
+            userId: req => this.getUserId(req)
+        });
+    }
+
+    // Id do usuário do token, para separar os limites por usuário. Só conta um
+    // token com assinatura válida: com um id forjado, qualquer um esgotaria os
+    // limites de outro usuário. Sem token válido, vale só o limite por IP.
+    getUserId(req) {
+        const [scheme, token] = (req.header('Authorization') || '').split(' ');
+        if (scheme !== 'Bearer' || !token) return null;
+        try {
+            const payload = jwt.verify(token, this.jwtSecret);
+            return payload.id ? String(payload.id) : null;
+        } catch (error) {
+            return null;
+        }
     }
 
     setupRoutes() {
         // --- Endpoints do próprio Gateway ---
-        this.app.get('/health', this.getGatewayHealth.bind(this));
-        this.app.get('/registry', (req, res) => res.json(serviceRegistry.listServices()));
+        this.setupHealthRoutes();
+        this.app.get('/metrics', metricsHandler());
+        this.app.get('/registry', async (req, res) => {
+            try {
+                res.json(await serviceRegistry.listServices());
+            } catch (error) {
+                res.status(503).json({ success: false, message: error.message });
+            }
+        });
+        registerDocsRoutes(this.app, this.apiDocument);
+        this.app.get('/admin/api-usage', requireAdminToken, (req, res) => {
+            res.json({ success: true, data: this.apiVersions.usageReport() });
+        });
+
+        // --- Autenticação (uma vez, aqui no Gateway) ---
+        this.app.use('/api', this.authenticate.bind(this));
+        this.app.use('/graphql', this.authenticate.bind(this));
+        // Uso das versões obsoletas, por usuário autenticado (ou IP)
+        this.app.use(this.apiVersions.usageTracker());
+
+        // --- GraphQL (antes da validação OpenAPI: erros no formato do GraphQL) ---
+        this.app.get('/graphql/schema', (req, res) => res.type('text/plain').send(printSchema(graphql.schema)));
+        this.app.post('/graphql', this.executeGraphQL.bind(this));
+
+        // Requisições fora do contrato param aqui, sem chegar aos serviços
+        this.app.use(openApiValidator(this.apiDocument));
+        this.app.use(this.responseCache.middleware());
 
         // --- Roteamento para Microsserviços ---
         this.app.use('/api/auth', this.proxyRequest.bind(this, 'user-service', '/auth'));
         this.app.use('/api/users', this.proxyRequest.bind(this, 'user-service', '/users'));
         this.app.use('/api/items', this.proxyRequest.bind(this, 'item-service', '/items'));
+        this.app.use('/api/categories', this.proxyRequest.bind(this, 'item-service', '/categories'));
         this.app.use('/api/lists', this.proxyRequest.bind(this, 'list-service', '/lists'));
 
         // --- Endpoints Agregados ---
         this.app.get('/api/dashboard', this.getDashboard.bind(this));
         this.app.get('/api/search', this.globalSearch.bind(this));
+
+        // Rotas inexistentes e erros na leitura do corpo (ex.: 413 acima de PROXY_BODY_LIMIT)
+        this.app.use(notFoundHandler);
+        this.app.use(errorHandler());
     }
 
+    // Proxy reverso: repassa método, caminho com query string, cabeçalhos e
+    // corpo, e devolve status, cabeçalhos e corpo do serviço como vieram (em
+    // stream). Cabeçalhos hop-by-hop não são repassados.
     async proxyRequest(serviceName, serviceBasePath, req, res) {
+        // req.url é relativo a /api/<recurso> e já vem sem a versão da API ('/', '/?q=', '/42')
+        const targetPath = `${serviceBasePath}${req.url.replace(/^\/(?=\?|$)/, '')}`;
+        // Em um miss do cache, o corpo é guardado e as condições ficam com o Gateway
+        const cacheResponse = res.locals.cacheResponse;
+        const transformResponse = res.locals.transformResponse;
+        const excluded = [INTERNAL_IDENTITY_HEADER.toLowerCase(), REQUEST_ID_HEADER.toLowerCase(), ...(cacheResponse ? CONDITIONAL_HEADERS : [])];
+        const headers = {
+            ...forwardRequestHeaders(req, excluded),
+            // Os serviços só aceitam a identidade assinada pelo Gateway
+            ...identityHeaders(req.user, serviceName)
+        };
+
+        let response;
         try {
-            if (this.isCircuitOpen(serviceName)) {
-                return res.status(503).json({ success: false, message: `Serviço ${serviceName} temporariamente indisponível` });
-            }
+            response = await this.callUpstream(serviceName, `/api${serviceBasePath}`, req.method, service => {
+                return {
+                    url: `${service.url}${targetPath}`,
+                    data: Buffer.isBuffer(req.body) && req.body.length > 0 ? req.body : undefined,
+                    headers,
+                    responseType: 'stream',
+                    decompress: false,
+                    maxRedirects: 0,
+                    // Respostas 4xx são repassadas; só 5xx contam como falha do serviço
+                    validateStatus: status => status < 500
+                };
+            }, { conditional: req.header('If-Match') !== undefined });
+        } catch (error) {
+            // Um 5xx do serviço também é repassado como veio
+            if (!error.response) return this.sendProxyError(res, error, serviceName);
+            response = error.response;
+        }
 
-            const service = serviceRegistry.discover(serviceName);
-            const targetPath = req.originalUrl.replace(`/api${serviceBasePath}`, serviceBasePath);
-            const targetUrl = `${service.url}${targetPath}`;
-            
-            console.log(`Proxying request to: ${req.method} ${targetUrl}`);
+        // Escritas informam quais respostas em cache deixaram de valer. O aviso
+        // é só para o Gateway e não segue para o cliente.
+        this.responseCache.invalidateFromHeader(response.headers['x-cache-invalidate']);
+        const copyResponse = () => {
+            res.status(response.status);
+            Object.entries(forwardResponseHeaders(response.headers, [CACHE_INVALIDATE_HEADER.toLowerCase()]))
+                .forEach(([name, value]) => res.setHeader(name, value));
+        };
 
-            const response = await axios({
-                method: req.method,
-                url: targetUrl,
-                data: req.body,
-                headers: { 'Authorization': req.header('Authorization') }
+        const cacheable = cacheResponse && response.status === 200;
+        // Só respostas de sucesso mudam de formato entre versões da API
+        const transformable = transformResponse && response.status < 300 && /json/.test(response.headers['content-type'] || '');
+        if (cacheable || transformable) {
+            return this.bufferUpstreamBody(response.data, res, serviceName, body => {
+                // O tamanho muda com a transformação; com o cache, é ele quem define a validade
+                copyResponse();
+                res.removeHeader('content-length');
+                if (transformable) body = this.transformBody(body, transformResponse, serviceName);
+                if (cacheable) return cacheResponse(body, response.headers['content-type'] || 'application/octet-stream');
+                res.send(body);
             });
+        }
+        copyResponse();
+        pipeline(response.data, res, error => {
+            if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                logger.error('Erro repassando a resposta do serviço', { upstream: serviceName, error });
+            }
+        });
+    }
 
-            this.resetCircuitBreaker(serviceName);
-            res.status(response.status).json(response.data);
+    // Corpo JSON do serviço no formato da versão da API pedida. Um corpo que não
+    // é JSON válido segue como veio.
+    transformBody(body, transform, serviceName) {
+        try {
+            return Buffer.from(JSON.stringify(transform(JSON.parse(body.toString('utf8')))));
         } catch (error) {
-            this.recordFailure(serviceName);
-            const status = error.response ? error.response.status : 503;
-            const message = error.response ? error.response.data.message : `Serviço ${serviceName} indisponível`;
-            res.status(status).json({ success: false, message });
+            logger.error('Erro convertendo a resposta para a versão da API', { upstream: serviceName, error });
+            return body;
         }
     }
-    
-    async getGatewayHealth(req, res) {
-        res.json({
+
+    bufferUpstreamBody(stream, res, serviceName, callback) {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => callback(Buffer.concat(chunks)));
+        stream.on('error', error => {
+            logger.error('Erro lendo a resposta do serviço', { upstream: serviceName, error });
+            this.sendProxyError(res, error, serviceName);
+        });
+    }
+
+    // Falhas sem resposta do serviço: circuito aberto ou nenhuma instância
+    // disponível (503), tempo esgotado (504) ou erro de conexão (502)
+    sendProxyError(res, error, serviceName) {
+        if (res.headersSent) return res.destroy(error);
+        if (error.code === 'ECIRCUITOPEN') {
+            res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+            return res.status(503).json({ success: false, message: `Serviço ${serviceName} temporariamente indisponível` });
+        }
+        if (error.code === 'ESERVICENOTFOUND' || error.code === 'ESERVICEUNAVAILABLE') {
+            return res.status(503).json({ success: false, message: `Serviço ${serviceName} indisponível` });
+        }
+        if (this.isTimeout(error)) {
+            return res.status(504).json({ success: false, message: `Tempo esgotado aguardando ${serviceName}` });
+        }
+        res.status(502).json({ success: false, message: `Falha na comunicação com ${serviceName} (${error.code || error.message})` });
+    }
+
+    // Sem um serviço o Gateway ainda atende as rotas dos demais: nenhuma
+    // verificação é crítica, e o Gateway fica no máximo degraded
+    setupHealthRoutes() {
+        const registryCheck = {
+            name: 'service-registry',
+            critical: false,
+            async run() {
+                const stats = await serviceRegistry.getStats();
+                // No modo http, com o servidor fora do ar a descoberta usa a última cópia
+                if (serviceRegistry.cache && serviceRegistry.cache.stale) {
+                    return { status: 'warn', message: 'Registry indisponível, usando a cópia local', ...stats };
+                }
+                return stats;
+            }
+        };
+
+        registerHealthRoutes(this.app, {
             service: 'api-gateway',
-            status: 'healthy',
-            services: serviceRegistry.getStats()
+            checks: [registryCheck, ...UPSTREAM_SERVICES.map(name => dependencyCheck(serviceRegistry, name, { critical: false }))],
+            details: () => {
+                const circuitBreakers = {};
+                this.circuitBreakers.forEach((breaker, name) => {
+                    circuitBreakers[name] = breaker.snapshot();
+                });
+                return { circuitBreakers, responseCache: this.responseCache.snapshot() };
+            }
         });
     }
 
     async getDashboard(req, res) {
         try {
-            const authHeader = req.header('Authorization');
-            if (!authHeader) return res.status(401).json({ success: false, message: 'Token obrigatório' });
+            if (!req.user) return res.status(401).json({ success: false, message: 'Token obrigatório' });
 
             const [listsResponse, itemsResponse] = await Promise.allSettled([
-                this.callService('list-service', '/lists?limit=5', authHeader),
-                this.callService('item-service', '/items?limit=5')
+                this.callService('list-service', '/lists?limit=5', req.user, '/api/dashboard'),
+                this.callService('item-service', '/items?limit=5', null, '/api/dashboard')
             ]);
             
             const dashboardData = {
@@ -105,7 +361,7 @@ class APIGateway {
             if (!q) return res.status(400).json({ success: false, message: 'Parâmetro de busca "q" é obrigatório' });
 
             // Busca apenas nos itens do catálogo, que é público
-            const itemResults = await this.callService('item-service', `/search?q=${q}`);
+            const itemResults = await this.callService('item-service', `/search?q=${q}`, null, '/api/search');
 
             res.json({ success: true, data: { items: itemResults.data } });
         } catch (error) {
@@ -113,58 +369,178 @@ class APIGateway {
         }
     }
 
-    async callService(serviceName, path, authHeader = null) {
-        const service = serviceRegistry.discover(serviceName);
-        const headers = authHeader ? { 'Authorization': authHeader } : {};
-        const response = await axios.get(`${service.url}${path}`, { headers });
+    // Operação GraphQL sobre os serviços. Erros de sintaxe, validação ou
+    // variáveis respondem 400; erros nos resolvers vão em errors, com data parcial.
+    async executeGraphQL(req, res) {
+        try {
+            const { query, variables, operationName } = req.body || {};
+            const context = graphql.createContext(async (serviceName, method, path, data) => {
+                // Cada escrita conta nos limites da rota REST equivalente (ex.:
+                // list-write): senão, várias mutations em uma operação passariam
+                // pelo limite de uma requisição só
+                if (method !== 'GET') {
+                    const denied = await this.rateLimiter.charge(req, { method, path: `/api${path}` });
+                    if (denied) {
+                        const retryAfterSeconds = Math.max(1, Math.ceil(denied.retryAfterMs / 1000));
+                        res.set('Retry-After', String(retryAfterSeconds));
+                        throw graphqlError(denied.message, 'RATE_LIMITED', { retryAfterSeconds });
+                    }
+                }
+                return this.requestService(serviceName, method, path, { user: req.user, data, route: '/graphql' });
+            }, req.user);
+            const result = await execute(graphql.schema, { query, variables, operationName }, {
+                contextValue: context,
+                maxDepth: Number(process.env.GRAPHQL_MAX_DEPTH) || undefined,
+                maxFields: Number(process.env.GRAPHQL_MAX_FIELDS) || undefined
+            });
+            res.status('data' in result ? 200 : 400).json(result);
+        } catch (error) {
+            logger.error('Erro executando operação GraphQL', { error });
+            res.status(500).json({ errors: [{ message: 'Erro interno no Gateway', extensions: { code: 'INTERNAL_SERVER_ERROR' } }] });
+        }
+    }
+
+    async callService(serviceName, path, user = null, route = null) {
+        return this.requestService(serviceName, 'GET', path, { user, route });
+    }
+
+    // Chamada a um serviço fora do proxy, como o usuário informado. Devolve o
+    // corpo da resposta; status fora de 2xx viram erro (com error.response).
+    async requestService(serviceName, method, path, { user = null, data, route = null } = {}) {
+        const headers = identityHeaders(user, serviceName);
+        const response = await this.callUpstream(serviceName, route, method,
+            service => ({ url: `${service.url}${path}`, data, headers }));
+        // Escritas (ex.: mutations de itens) informam quais respostas em cache deixaram de valer
+        this.responseCache.invalidateFromHeader(response.headers['x-cache-invalidate']);
         return response.data;
     }
 
-    // --- Lógica do Circuit Breaker ---
-    isCircuitOpen(serviceName) {
-        const breaker = this.circuitBreakers.get(serviceName);
-        if (!breaker) return false;
-        // Se o circuito está aberto e o tempo de timeout passou, entra em "meio-aberto"
-        if (breaker.isOpen && (Date.now() - breaker.lastFailure) > 30000) {
-            breaker.isOpen = false; 
-            console.log(`Circuit breaker for ${serviceName} is now half-open.`);
-            return false;
-        }
-        return breaker.isOpen;
+    // Chamada a um serviço com a política da rota. Cada tentativa tem timeout
+    // e passa pelo circuit breaker. Leituras são repetidas com backoff (dentro
+    // do orçamento do serviço), preferindo instâncias ainda não usadas, e podem
+    // ter hedging: se a resposta demorar hedgeAfterMs, uma segunda requisição
+    // vai para outra instância e vale a primeira resposta. Escritas só são
+    // repetidas nas condições de retryFor.
+    // buildRequest(instância) devolve url, data e headers da requisição;
+    // options.conditional indica uma requisição com If-Match.
+    async callUpstream(serviceName, route, method, buildRequest, options = {}) {
+        const policy = this.getUpstreamPolicy(route);
+        const { retries, hedgeAfterMs } = retryFor(method, policy, options);
+        const breaker = this.getCircuitBreaker(serviceName);
+        // Instâncias já usadas nesta requisição
+        const used = [];
+
+        // Com idempotent: false, withFailover só troca de instância quando a
+        // conexão é recusada; os demais erros ficam com withRetries
+        const send = ({ signal, hedged }) => serviceRegistry.withFailover(serviceName, service => {
+            used.push(service.id);
+            return callUpstreamService(serviceName, {
+                ...buildRequest(service),
+                method,
+                timeout: policy.timeoutMs,
+                signal
+            }, { instanceId: service.id, hedged });
+        }, { method, idempotent: false, avoid: used.slice() });
+
+        return withRetries(() => breaker.execute(() => hedge(send, hedgeAfterMs)), {
+            retries,
+            baseDelayMs: policy.baseDelayMs,
+            maxDelayMs: policy.maxDelayMs,
+            budget: retries > 0 ? this.getRetryBudget(serviceName) : null,
+            onRetry: (error, attempt, delay) => {
+                // Uma resposta em stream descartada precisa liberar a conexão
+                if (error.response && error.response.data && typeof error.response.data.destroy === 'function') {
+                    error.response.data.destroy();
+                }
+                logger.warn('Nova tentativa', { upstream: serviceName, attempt, delayMs: delay, error });
+            }
+        });
     }
 
-    recordFailure(serviceName) {
-        let breaker = this.circuitBreakers.get(serviceName);
-        if (!breaker) {
-            breaker = { failures: 0, isOpen: false, lastFailure: null };
-            this.circuitBreakers.set(serviceName, breaker);
+    // Sem Authorization a requisição segue anônima (req.user = null); com um
+    // token inválido, para aqui com 401
+    async authenticate(req, res, next) {
+        const authHeader = req.header('Authorization');
+        if (!authHeader) {
+            req.user = null;
+            return next();
+        }
+        if (!authHeader.startsWith('Bearer ')) {
+            return res.status(401).json({ success: false, message: 'Token inválido' });
         }
-        breaker.failures++;
-        breaker.lastFailure = Date.now();
-        if (breaker.failures >= 3) {
-            breaker.isOpen = true;
-            console.error(`Circuit breaker for ${serviceName} has been opened!`);
+
+        try {
+            req.user = await this.validateToken(authHeader.replace('Bearer ', ''));
+            next();
+        } catch (error) {
+            if (error.code === 'EINVALIDTOKEN') {
+                return res.status(401).json({ success: false, message: 'Token inválido' });
+            }
+            logger.error('Erro na validação do token', { error });
+            res.status(503).json({ success: false, message: 'Serviço de autenticação indisponível' });
         }
     }
 
-    resetCircuitBreaker(serviceName) {
-        const breaker = this.circuitBreakers.get(serviceName);
-        if (breaker) {
-            breaker.failures = 0;
-            breaker.isOpen = false;
+    // Assinatura e validade do JWT são verificadas localmente. Se o usuário
+    // ainda existe é perguntado ao User Service, e a resposta fica guardada por
+    // AUTH_CACHE_TTL_SECONDS. Com o User Service fora do ar, valem os dados do
+    // próprio token.
+    async validateToken(token) {
+        const invalid = () => Object.assign(new Error('Token inválido'), { code: 'EINVALIDTOKEN' });
+        let claims;
+        try {
+            claims = jwt.verify(token, this.jwtSecret);
+        } catch (error) {
+            throw invalid();
+        }
+
+        const cached = this.authCache.get(token);
+        if (cached && cached.expiresAt > Date.now()) {
+            if (!cached.user) throw invalid();
+            return cached.user;
         }
+
+        let user;
+        try {
+            const response = await this.callUpstream('user-service', '/api/auth', 'POST', service => ({
+                url: `${service.url}/auth/validate`,
+                data: { token },
+                headers: identityHeaders(null, 'user-service')
+            }));
+            user = response.data.data.user;
+        } catch (error) {
+            if (!error.response || error.response.status >= 500) {
+                logger.warn('User Service indisponível, usando os dados do token', { error });
+                return { id: claims.id, email: claims.email, username: claims.username };
+            }
+            user = null;
+        }
+
+        if (this.authCache.size >= AUTH_CACHE_MAX_ENTRIES) {
+            // Map mantém a ordem de inserção: remove a entrada mais antiga
+            this.authCache.delete(this.authCache.keys().next().value);
+        }
+        this.authCache.set(token, { user, expiresAt: Math.min(Date.now() + this.authCacheTtl, claims.exp * 1000) });
+        if (!user) throw invalid();
+        return user;
     }
-    
+
+    isTimeout(error) {
+        return !error.response && (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT');
+    }
+
     startHealthChecks() {
-        setInterval(() => serviceRegistry.performHealthChecks(), 30000);
+        // No modo http, a cópia local do registro é atualizada a cada mudança
+        if (serviceRegistry.startWatching) serviceRegistry.startWatching();
+        // Readiness de cada instância a cada HEALTH_CHECK_INTERVAL_MS (padrão 30s)
+        setInterval(() => serviceRegistry.performHealthChecks().catch(error => {
+            logger.error('Erro nos health checks', { error });
+        }), Number(process.env.HEALTH_CHECK_INTERVAL_MS) || 30000);
     }
 
     start() {
         this.app.listen(this.port, () => {
-            console.log('=====================================');
-            console.log(`API Gateway iniciado na porta ${this.port}`);
-            console.log(`Ponto de entrada: http://127.0.0.1:${this.port}`);
-            console.log('=====================================');
+            logger.info('API Gateway iniciado', { port: this.port, url: `http://127.0.0.1:${this.port}` });
         });
     }
 }
@@ -172,4 +548,6 @@ class APIGateway {
 if (require.main === module) {
     const gateway = new APIGateway();
     gateway.start();
-}
\ No newline at end of file
+}
+
+module.exports = APIGateway;
@@ -0,0 +1,17 @@
+// api-gateway/versionTransforms.js
+// Formato das respostas de cada versão da API a partir das respostas dos
+// serviços, que seguem a v1. Cada transformação recebe o corpo { success, data }
+// já parseado e os parâmetros da rota, e devolve o corpo da versão.
+
+// v2: escritas em itens da lista devolvem o item afetado, e não a lista inteira
+// (o ETag da resposta continua sendo o da lista, para o próximo If-Match)
+const v2 = {
+    // O item adicionado é o último da lista devolvida pelo List Service
+    'POST /api/lists/:id/items': body => ({ ...body, data: body.data.items[body.data.items.length - 1] }),
+    'PUT /api/lists/:id/items/:itemId': (body, { params }) => ({
+        ...body,
+        data: body.data.items.find(item => item.itemId === params.itemId)
+    })
+};
+
+module.exports = { v2 };
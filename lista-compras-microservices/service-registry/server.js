@@ -0,0 +1,228 @@
+// service-registry/server.js
+// Servidor de registro e descoberta. Guarda as instâncias em memória: se ele
+// reiniciar, cada instância recebe 404 no próximo heartbeat e se registra de novo.
+const express = require('express');
+
+const { ServiceRegistry, STRATEGIES } = require('../shared/registryCore');
+const { configureLogging, createLogger, requestLogger } = require('../shared/logger');
+const { httpMetrics, metricsHandler } = require('../shared/metrics');
+const { HEALTH_STATUSES, registerHealthRoutes } = require('../shared/healthChecks');
+const { registryToken, requireRegistryToken } = require('../shared/internalAuth');
+
+// Campos aceitos no registro de uma instância
+const INSTANCE_FIELDS = ['id', 'url', 'version', 'tags', 'healthPath', 'leaseTtl', 'pid', 'host'];
+const MAX_WATCH_SECONDS = 60;
+
+configureLogging({ service: 'service-registry' });
+const logger = createLogger('registry-server');
+
+class RegistryServer {
+    constructor(options = {}) {
+        this.app = express();
+        this.port = options.port ?? (Number(process.env.PORT) || 3004);
+        this.registry = new ServiceRegistry(options);
+        this.token = options.token || registryToken();
+        // index cresce a cada mudança visível para quem descobre serviços;
+        // os clientes acompanham com GET /watch?index=<último visto>
+        this.index = 1;
+        this.signature = this.computeSignature();
+        this.watchers = new Set();
+
+        this.setupMiddleware();
+        this.setupRoutes();
+    }
+
+    setupMiddleware() {
+        // Heartbeats e watch são muito frequentes: só aparecem com LOG_LEVELS=http=debug
+        this.app.use(requestLogger({ quiet: req => req.method === 'PUT' || req.path === '/watch' }));
+        this.app.use(httpMetrics());
+        this.app.use(express.json());
+    }
+
+    setupRoutes() {
+        // O registro não depende de nada: pronto sempre que atende
+        registerHealthRoutes(this.app, {
+            service: 'service-registry',
+            details: () => ({ index: this.index, services: this.registry.getStats() })
+        });
+
+        this.app.get('/metrics', metricsHandler());
+        this.app.get('/registry', (req, res) => res.json(this.snapshot()));
+        this.app.get('/services', (req, res) => res.json(this.registry.listServices()));
+        this.app.get('/services/:name/discover', this.discover.bind(this));
+
+        // Leitura é livre; quem altera o registro precisa do token compartilhado
+        const requireToken = requireRegistryToken(this.token);
+        this.app.post('/services/:name/instances', requireToken, this.register.bind(this));
+        this.app.put('/services/:name/instances/:id/heartbeat', requireToken, this.heartbeat.bind(this));
+        this.app.put('/services/:name/instances/:id/health', requireToken, this.updateHealth.bind(this));
+        this.app.post('/services/:name/instances/:id/failures', requireToken, this.reportFailure.bind(this));
+        this.app.delete('/services/:name/instances/:id', requireToken, this.unregister.bind(this));
+        this.app.delete('/services/:name', requireToken, this.unregister.bind(this));
+        this.app.get('/watch', this.watch.bind(this));
+    }
+
+    snapshot() {
+        return { index: this.index, now: Date.now(), services: this.registry.readRegistry() };
+    }
+
+    // O que muda a descoberta: instâncias, disponibilidade, metadados e falhas.
+    // Renovar um lease sem mudar a disponibilidade não conta.
+    computeSignature() {
+        const now = Date.now();
+        const services = this.registry.readRegistry();
+        return JSON.stringify(Object.keys(services).sort().map(name =>
+            this.registry.instancesOf(services, name).map(instance => [
+                instance.id, instance.url, instance.version, instance.tags, instance.healthPath,
+                this.registry.isAvailable(instance, now), instance.healthStatus, instance.lastFailureAt
+            ])
+        ));
+    }
+
+    checkForChanges() {
+        const signature = this.computeSignature();
+        if (signature === this.signature) return;
+
+        this.signature = signature;
+        this.index++;
+        const snapshot = this.snapshot();
+        this.watchers.forEach(watcher => watcher(snapshot));
+    }
+
+    findInstance(name, id) {
+        const services = this.registry.readRegistry();
+        return services[name] && services[name].instances[id];
+    }
+
+    discover(req, res) {
+        const tags = req.query.tags ? String(req.query.tags).split(',') : [];
+        const strategy = req.query.strategy;
+        if (strategy && !STRATEGIES.includes(strategy)) {
+            return res.status(400).json({ success: false, message: `Estratégia inválida (use ${STRATEGIES.join(', ')})` });
+        }
+
+        try {
+            res.json(this.registry.discover(req.params.name, { strategy, tags }));
+        } catch (error) {
+            const status = error.code === 'ESERVICENOTFOUND' ? 404 : 503;
+            res.status(status).json({ success: false, message: error.message });
+        }
+    }
+
+    register(req, res) {
+        const body = req.body || {};
+        const serviceInfo = {};
+        INSTANCE_FIELDS.forEach(field => {
+            if (body[field] !== undefined) serviceInfo[field] = body[field];
+        });
+
+        if (typeof serviceInfo.url !== 'string') {
+            return res.status(400).json({ success: false, message: 'url é obrigatória' });
+        }
+        try {
+            new URL(serviceInfo.url);
+        } catch (error) {
+            return res.status(400).json({ success: false, message: `url inválida: ${serviceInfo.url}` });
+        }
+        if (serviceInfo.leaseTtl !== undefined && !(Number.isInteger(serviceInfo.leaseTtl) && serviceInfo.leaseTtl > 0)) {
+            return res.status(400).json({ success: false, message: 'leaseTtl deve ser um inteiro positivo (ms)' });
+        }
+
+        const id = this.registry.register(req.params.name, serviceInfo);
+        this.checkForChanges();
+        res.status(201).json({ id, instance: this.findInstance(req.params.name, id) });
+    }
+
+    heartbeat(req, res) {
+        if (!this.registry.heartbeat(req.params.name, req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Instância não registrada' });
+        }
+        this.checkForChanges();
+        res.json({ leaseExpiresAt: this.findInstance(req.params.name, req.params.id).leaseExpiresAt });
+    }
+
+    updateHealth(req, res) {
+        const { healthy, status } = req.body || {};
+        if (typeof healthy !== 'boolean') {
+            return res.status(400).json({ success: false, message: 'healthy deve ser true ou false' });
+        }
+        if (status !== undefined && !HEALTH_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: `status inválido (use ${HEALTH_STATUSES.join(', ')})` });
+        }
+        if (!this.findInstance(req.params.name, req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Instância não registrada' });
+        }
+        this.registry.updateHealth(req.params.name, healthy, req.params.id, status);
+        this.checkForChanges();
+        res.status(204).end();
+    }
+
+    reportFailure(req, res) {
+        if (!this.findInstance(req.params.name, req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Instância não registrada' });
+        }
+        this.registry.reportFailure(req.params.name, req.params.id);
+        this.checkForChanges();
+        res.status(204).end();
+    }
+
+    unregister(req, res) {
+        if (!this.registry.unregister(req.params.name, req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Serviço não registrado' });
+        }
+        this.checkForChanges();
+        res.status(204).end();
+    }
+
+    // Long polling: responde na hora se o cliente está atrasado (index menor
+    // que o atual); senão, na próxima mudança ou após wait segundos
+    watch(req, res) {
+        const index = Number(req.query.index) || 0;
+        if (index < this.index) {
+            return res.json(this.snapshot());
+        }
+
+        const wait = Math.min(Number(req.query.wait) || 25, MAX_WATCH_SECONDS) * 1000;
+        const done = snapshot => {
+            clearTimeout(timer);
+            this.watchers.delete(done);
+            if (!res.headersSent) res.json(snapshot);
+        };
+        const timer = setTimeout(() => done(this.snapshot()), wait);
+        this.watchers.add(done);
+        req.on('close', () => {
+            clearTimeout(timer);
+            this.watchers.delete(done);
+        });
+    }
+
+    // Vencimento de leases não depende de requisições: verificado a cada segundo
+    startSweeper() {
+        this.sweeper = setInterval(() => {
+            this.registry.evictExpired();
+            this.checkForChanges();
+        }, 1000);
+        this.sweeper.unref();
+    }
+
+    start() {
+        this.startSweeper();
+        this.server = this.app.listen(this.port, () => {
+            logger.info('Service Registry iniciado', { port: this.server.address().port, leaseTtlSeconds: this.registry.leaseTtl / 1000 });
+        });
+        return this.server;
+    }
+
+    stop() {
+        clearInterval(this.sweeper);
+        this.watchers.forEach(watcher => watcher(this.snapshot()));
+        return new Promise(resolve => (this.server ? this.server.close(resolve) : resolve()));
+    }
+}
+
+if (require.main === module) {
+    const registryServer = new RegistryServer();
+    registryServer.start();
+}
+
+module.exports = RegistryServer;
@@ -2,18 +2,50 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
-const axios = require('axios');
 
 const JsonDatabase = require('../../shared/JsonDatabase');
+const MigrationRunner = require('../../shared/MigrationRunner');
+const BackupManager = require('../../shared/BackupManager');
+const { registerBackupRoutes } = require('../../shared/adminRoutes');
+const { requireGateway, requireUser } = require('../../shared/internalAuth');
+const { CACHE_INVALIDATE_HEADER } = require('../../shared/ResponseCache');
+const { formatETag, parseIfMatch } = require('../../shared/etag');
+const { configureLogging, createLogger, requestLogger } = require('../../shared/logger');
+const { metrics, httpMetrics, metricsHandler } = require('../../shared/metrics');
+const { OpenApiDocument, openApiValidator } = require('../../shared/openapi');
+const { notFoundHandler, errorHandler } = require('../../shared/httpErrors');
+const { databaseCheck, registerHealthRoutes } = require('../../shared/healthChecks');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const { version } = require('./package.json');
+
+configureLogging({ service: 'item-service' });
+const logger = createLogger('service');
+const itemsCreated = metrics.counter({ name: 'catalog_items_created_total', help: 'Itens criados no catálogo' });
+
+// Schema da coleção items (ver shared/schema.js)
+const itemSchema = {
+    fields: {
+        name: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+        category: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+        brand: { type: 'string', maxLength: 100 },
+        unit: { type: 'string', required: true, minLength: 1, maxLength: 30 },
+        averagePrice: { type: 'number', required: true, min: 0, exclusiveMin: true },
+        barcode: { type: 'string', pattern: '^[0-9]{8,14}$' },
+        description: { type: 'string', maxLength: 1000 },
+        active: { type: 'boolean', default: true }
+    },
+    additionalFields: false
+};
+
+// Campos que os clientes podem informar em POST/PUT /items
+const EDITABLE_ITEM_FIELDS = ['name', 'category', 'brand', 'unit', 'averagePrice', 'barcode', 'description'];
 
 class ItemService {
     constructor() {
         this.app = express();
-        this.port = 3003;
+        this.port = Number(process.env.PORT) || 3003;
         this.serviceName = 'item-service';
         this.serviceUrl = `http://127.0.0.1:${this.port}`;
         
@@ -25,15 +57,25 @@ class ItemService {
 
     setupDatabase() {
         const dbPath = path.join(__dirname, 'database');
-        this.itemsDb = new JsonDatabase(dbPath, 'items');
-        console.log('Item Service: Banco NoSQL inicializado');
+        // Catálogo é muito lido e pouco alterado: mantido em memória
+        this.itemsDb = new JsonDatabase(dbPath, 'items', {
+            cache: true,
+            schema: itemSchema,
+            indexes: [
+                { field: 'barcode', unique: true },
+                'category'
+            ]
+        });
+        this.migrations = MigrationRunner.fromDirectory(this.itemsDb, path.join(__dirname, 'migrations', 'items'));
+        this.backups = new BackupManager(this.serviceName, [this.itemsDb], { backupDir: path.join(__dirname, 'backups') });
+        logger.debug('Banco NoSQL inicializado', { dbPath });
     }
 
     async seedInitialData() {
         try {
             const items = await this.itemsDb.find();
             if (items.length === 0) {
-                console.log('Nenhum item encontrado, populando o banco de dados inicial...');
+                logger.info('Nenhum item encontrado, populando o banco de dados inicial');
                 const initialItems = [
                     // Alimentos
                     { name: 'Arroz Branco Tipo 1', category: 'Alimentos', brand: 'Tio João', unit: 'kg', averagePrice: 5.50, barcode: '7896006700018', active: true },
@@ -62,48 +104,36 @@ class ItemService {
                     { name: 'Pão de Forma Tradicional', category: 'Padaria', brand: 'Pullman', unit: 'un', averagePrice: 7.50, barcode: '7896006700209', active: true },
                     { name: 'Biscoito Cream Cracker', category: 'Padaria', brand: 'Tostines', unit: '200g', averagePrice: 4.00, barcode: '7896006700216', active: true },
                 ];
-                for (const item of initialItems) {
-                    await this.itemsDb.create({ id: uuidv4(), ...item });
-                }
-                console.log(`${initialItems.length} itens criados com sucesso!`);
+                // Uma única escrita para todo o catálogo inicial
+                await this.itemsDb.insertMany(initialItems);
+                logger.info('Itens iniciais criados', { count: initialItems.length });
             }
         } catch (error) {
-            console.error('Erro ao popular dados iniciais do Item Service:', error);
+            logger.error('Erro ao popular dados iniciais', { error });
         }
     }
 
     setupMiddleware() {
         this.app.use(helmet());
         this.app.use(cors());
-        this.app.use(morgan('combined'));
+        this.app.use(requestLogger());
+        this.app.use(httpMetrics());
         this.app.use(express.json());
     }
 
-    // Middleware para validar token com o User Service
-    async authMiddleware(req, res, next) {
-        const authHeader = req.header('Authorization');
-        if (!authHeader?.startsWith('Bearer ')) {
-            return res.status(401).json({ success: false, message: 'Token obrigatório' });
-        }
-        try {
-            const userService = serviceRegistry.discover('user-service');
-            const token = authHeader.replace('Bearer ', '');
-            const response = await axios.post(`${userService.url}/auth/validate`, { token });
-
-            if (response.data.success) {
-                req.user = response.data.data.user; // Anexa o usuário na requisição
-                next();
-            } else {
-                res.status(401).json({ success: false, message: 'Token inválido' });
-            }
-        } catch (error) {
-            console.error('Erro na validação do token:', error.message);
-            res.status(503).json({ success: false, message: 'Serviço de autenticação indisponível' });
-        }
-    }
-
     setupRoutes() {
-        this.app.get('/health', (req, res) => res.json({ service: this.serviceName, status: 'healthy' }));
+        registerHealthRoutes(this.app, {
+            service: this.serviceName,
+            checks: [databaseCheck(this.itemsDb)],
+            details: () => ({ database: { cache: this.itemsDb.getCacheStats() } })
+        });
+        this.app.get('/metrics', metricsHandler());
+        registerBackupRoutes(this.app, this.backups, { afterRestore: () => this.migrations.migrate() });
+
+        // Daqui em diante só requisições do Gateway (ou de outro serviço)
+        this.app.use(requireGateway(this.serviceName));
+        // O documento descreve as rotas do Gateway (/api/...)
+        this.app.use(openApiValidator(OpenApiDocument.load(), { basePath: '/api' }));
         
         // Endpoints públicos
         this.app.get('/items', this.getItems.bind(this));
@@ -112,14 +142,19 @@ class ItemService {
         this.app.get('/search', this.searchItems.bind(this));
         
         // Endpoints protegidos
-        this.app.post('/items', this.authMiddleware.bind(this), this.createItem.bind(this));
-        this.app.put('/items/:id', this.authMiddleware.bind(this), this.updateItem.bind(this));
+        this.app.post('/items', requireUser, this.createItem.bind(this));
+        this.app.put('/items/:id', requireUser, this.updateItem.bind(this));
+
+        this.app.use(notFoundHandler);
+        this.app.use(errorHandler());
     }
 
     async getItems(req, res) {
         try {
-            const { category, name } = req.query;
-            const filter = { active: true };
+            const { category, name, ids } = req.query;
+            // ids: busca em lote por id (separados por vírgula). Como em
+            // GET /items/:id, inclui itens inativos, que ainda podem estar em listas.
+            const filter = ids ? { id: { $in: String(ids).split(',').filter(Boolean) } } : { active: true };
             if (category) filter.category = category;
             // Para busca por nome, usamos regex para "conter" o texto
             if (name) filter.name = { $regex: name, $options: 'i' };
@@ -132,29 +167,63 @@ class ItemService {
     }
 
     async getItem(req, res) {
-        const item = await this.itemsDb.findById(req.params.id);
-        if (!item) return res.status(404).json({ success: false, message: 'Item não encontrado' });
-        res.json({ success: true, data: item });
+        try {
+            const item = await this.itemsDb.findById(req.params.id);
+            if (!item) return res.status(404).json({ success: false, message: 'Item não encontrado' });
+            res.set('ETag', formatETag(item.version));
+            res.json({ success: true, data: item });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro ao buscar item' });
+        }
+    }
+
+    pickEditableFields(body) {
+        return Object.fromEntries(EDITABLE_ITEM_FIELDS.map(field => [field, body[field]]));
     }
 
     async createItem(req, res) {
         try {
-            const { name, category, brand, unit, averagePrice } = req.body;
-            if (!name || !category || !unit || !averagePrice) {
-                return res.status(400).json({ success: false, message: 'Campos obrigatórios: name, category, unit, averagePrice' });
-            }
-            const newItemData = { ...req.body, id: uuidv4(), active: true };
+            // Campos fora de EDITABLE_ITEM_FIELDS (ex.: active) são ignorados; o restante é validado pelo schema
+            const newItemData = { ...this.pickEditableFields(req.body), id: uuidv4() };
             const newItem = await this.itemsDb.create(newItemData);
+            itemsCreated.inc();
+            // Listagens, categorias e buscas em cache no Gateway passam a incluir o item
+            res.set(CACHE_INVALIDATE_HEADER, 'items');
+            res.set('ETag', formatETag(newItem.version));
             res.status(201).json({ success: true, data: newItem });
         } catch (error) {
+            if (error.code === 'EDUPLICATE') {
+                return res.status(409).json({ success: false, message: 'Já existe um item com este código de barras' });
+            }
+            if (error.code === 'EVALIDATION') {
+                return res.status(400).json({ success: false, message: 'Dados inválidos', errors: error.errors });
+            }
             res.status(500).json({ success: false, message: 'Erro ao criar item' });
         }
     }
 
     async updateItem(req, res) {
-        const updatedItem = await this.itemsDb.update(req.params.id, req.body);
-        if (!updatedItem) return res.status(404).json({ success: false, message: 'Item não encontrado' });
-        res.json({ success: true, data: updatedItem });
+        try {
+            const updatedItem = await this.itemsDb.update(req.params.id, this.pickEditableFields(req.body), {
+                expectedVersion: parseIfMatch(req.header('If-Match'))
+            });
+            if (!updatedItem) return res.status(404).json({ success: false, message: 'Item não encontrado' });
+            res.set(CACHE_INVALIDATE_HEADER, `items, item:${updatedItem.id}`);
+            res.set('ETag', formatETag(updatedItem.version));
+            res.json({ success: true, data: updatedItem });
+        } catch (error) {
+            if (error.code === 'EVERSIONCONFLICT') {
+                res.set('ETag', formatETag(error.currentVersion));
+                return res.status(412).json({ success: false, message: 'O item foi alterado por outra requisição. Recarregue e tente novamente.', currentVersion: error.currentVersion });
+            }
+            if (error.code === 'EDUPLICATE') {
+                return res.status(409).json({ success: false, message: 'Já existe um item com este código de barras' });
+            }
+            if (error.code === 'EVALIDATION') {
+                return res.status(400).json({ success: false, message: 'Dados inválidos', errors: error.errors });
+            }
+            res.status(500).json({ success: false, message: 'Erro ao atualizar item' });
+        }
     }
 
     async getCategories(req, res) {
@@ -179,13 +248,30 @@ class ItemService {
         }
     }
 
-    start() {
-        this.app.listen(this.port, () => {
-            console.log(`=====================================`);
-            console.log(`Item Service iniciado na porta ${this.port}`);
-            serviceRegistry.register(this.serviceName, { url: this.serviceUrl });
-            setInterval(() => serviceRegistry.updateHealth(this.serviceName, true), 30000);
-            console.log(`=====================================`);
+    async start() {
+        // Migrações pendentes rodam antes de o serviço aceitar requisições
+        try {
+            await this.migrations.migrate();
+        } catch (error) {
+            logger.error('Falha ao executar migrações, serviço não iniciado', { error });
+            process.exit(1);
+        }
+        this.backups.start();
+
+        this.app.listen(this.port, async () => {
+            logger.info('Item Service iniciado', { port: this.port, url: this.serviceUrl });
+            try {
+                this.instanceId = await serviceRegistry.register(this.serviceName, {
+                    url: this.serviceUrl,
+                    version,
+                    tags: ['catalog'],
+                    healthPath: '/health/ready'
+                });
+                serviceRegistry.startHeartbeat(this.serviceName, this.instanceId);
+            } catch (error) {
+                logger.error('Falha ao registrar no Service Registry', { error });
+                process.exit(1);
+            }
         });
     }
 }
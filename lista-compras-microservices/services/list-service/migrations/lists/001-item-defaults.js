@@ -0,0 +1,25 @@
+// Listas gravadas antes do schema podem ter itens sem purchased/notes e, quando
+// o item não tinha averagePrice, um resumo com estimatedTotal nulo (NaN no JSON).
+function summarize(items) {
+    const estimatedTotal = items.reduce((sum, item) => sum + ((item.estimatedPrice || 0) * item.quantity), 0);
+    return {
+        totalItems: items.length,
+        purchasedItems: items.filter(item => item.purchased).length,
+        estimatedTotal: parseFloat(estimatedTotal.toFixed(2))
+    };
+}
+
+module.exports = {
+    version: 1,
+    description: 'Preenche purchased/notes dos itens e recalcula o resumo das listas',
+    up(documents) {
+        return documents.map(list => {
+            const items = (list.items || []).map(item => ({
+                ...item,
+                purchased: item.purchased === true,
+                notes: typeof item.notes === 'string' ? item.notes : ''
+            }));
+            return { ...list, items, summary: summarize(items) };
+        });
+    }
+};
@@ -2,18 +2,71 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
-const axios = require('axios');
 
 const JsonDatabase = require('../../shared/JsonDatabase');
+const MigrationRunner = require('../../shared/MigrationRunner');
+const BackupManager = require('../../shared/BackupManager');
+const { registerBackupRoutes } = require('../../shared/adminRoutes');
+const { requireGateway, requireUser, identityHeaders } = require('../../shared/internalAuth');
+const { formatETag, parseIfMatch } = require('../../shared/etag');
+const { configureLogging, createLogger, requestLogger } = require('../../shared/logger');
+const { metrics, httpMetrics, metricsHandler } = require('../../shared/metrics');
+const { callUpstreamService } = require('../../shared/upstreamCall');
+const { OpenApiDocument, openApiValidator } = require('../../shared/openapi');
+const { notFoundHandler, errorHandler } = require('../../shared/httpErrors');
+const { databaseCheck, dependencyCheck, registerHealthRoutes } = require('../../shared/healthChecks');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const { version } = require('./package.json');
+
+configureLogging({ service: 'list-service' });
+const logger = createLogger('service');
+const listsCreated = metrics.counter({ name: 'shopping_lists_created_total', help: 'Listas de compras criadas' });
+const itemsAdded = metrics.counter({ name: 'list_items_added_total', help: 'Itens adicionados às listas' });
+const itemsPurchased = metrics.counter({ name: 'list_items_purchased_total', help: 'Itens de lista marcados como comprados' });
+
+// Schema da coleção lists (ver shared/schema.js)
+const listItemSchema = {
+    type: 'object',
+    fields: {
+        itemId: { type: 'string', required: true, minLength: 1 },
+        itemName: { type: 'string', required: true },
+        quantity: { type: 'number', required: true, min: 0, exclusiveMin: true },
+        unit: { type: 'string' },
+        estimatedPrice: { type: 'number', min: 0 },
+        purchased: { type: 'boolean', default: false },
+        notes: { type: 'string', maxLength: 500, default: '' },
+        addedAt: { type: 'date' }
+    },
+    additionalFields: false
+};
+
+const listSchema = {
+    fields: {
+        userId: { type: 'string', required: true, minLength: 1 },
+        name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+        description: { type: 'string', maxLength: 500, default: '' },
+        status: { type: 'string', enum: ['active', 'completed', 'archived'], default: 'active' },
+        items: { type: 'array', items: listItemSchema, default: [] },
+        summary: {
+            type: 'object',
+            default: { totalItems: 0, purchasedItems: 0, estimatedTotal: 0 },
+            fields: {
+                totalItems: { type: 'integer', min: 0 },
+                purchasedItems: { type: 'integer', min: 0 },
+                estimatedTotal: { type: 'number', min: 0 }
+            },
+            additionalFields: false
+        }
+    },
+    additionalFields: false
+};
 
 class ListService {
     constructor() {
         this.app = express();
-        this.port = 3002;
+        this.port = Number(process.env.PORT) || 3002;
         this.serviceName = 'list-service';
         this.serviceUrl = `http://127.0.0.1:${this.port}`;
 
@@ -24,43 +77,41 @@ class ListService {
 
     setupDatabase() {
         const dbPath = path.join(__dirname, 'database');
-        this.listsDb = new JsonDatabase(dbPath, 'lists');
-        console.log('List Service: Banco NoSQL inicializado');
+        // Cada marcação de item altera uma lista; o log evita regravar a coleção inteira
+        this.listsDb = new JsonDatabase(dbPath, 'lists', {
+            backend: 'log',
+            cache: true,
+            schema: listSchema,
+            indexes: ['userId']
+        });
+        this.migrations = MigrationRunner.fromDirectory(this.listsDb, path.join(__dirname, 'migrations', 'lists'));
+        this.backups = new BackupManager(this.serviceName, [this.listsDb], { backupDir: path.join(__dirname, 'backups') });
+        logger.debug('Banco NoSQL inicializado', { dbPath });
     }
 
     setupMiddleware() {
         this.app.use(helmet());
         this.app.use(cors());
-        this.app.use(morgan('combined'));
+        this.app.use(requestLogger());
+        this.app.use(httpMetrics());
         this.app.use(express.json());
     }
 
-    async authMiddleware(req, res, next) {
-        const authHeader = req.header('Authorization');
-        if (!authHeader?.startsWith('Bearer ')) {
-            return res.status(401).json({ success: false, message: 'Token obrigatório' });
-        }
-        try {
-            const userService = serviceRegistry.discover('user-service');
-            const token = authHeader.replace('Bearer ', '');
-            const response = await axios.post(`${userService.url}/auth/validate`, { token });
-
-            if (response.data.success) {
-                req.user = response.data.data.user;
-                next();
-            } else {
-                res.status(401).json({ success: false, message: 'Token inválido' });
-            }
-        } catch (error) {
-            console.error('Erro na validação do token:', error.message);
-            res.status(503).json({ success: false, message: 'Serviço de autenticação indisponível' });
-        }
-    }
-
     setupRoutes() {
-        this.app.get('/health', (req, res) => res.json({ service: this.serviceName, status: 'healthy' }));
+        // Sem o Item Service só a adição de itens falha: o serviço fica degraded
+        registerHealthRoutes(this.app, {
+            service: this.serviceName,
+            checks: [databaseCheck(this.listsDb), dependencyCheck(serviceRegistry, 'item-service', { critical: false })],
+            details: () => ({ database: { backend: this.listsDb.backend.name, cache: this.listsDb.getCacheStats() } })
+        });
+        this.app.get('/metrics', metricsHandler());
+        registerBackupRoutes(this.app, this.backups, { afterRestore: () => this.migrations.migrate() });
 
-        this.app.use(this.authMiddleware.bind(this));
+        // Daqui em diante só requisições do Gateway, com usuário autenticado
+        this.app.use(requireGateway(this.serviceName));
+        this.app.use(requireUser);
+        // O documento descreve as rotas do Gateway (/api/lists...)
+        this.app.use(openApiValidator(OpenApiDocument.load(), { basePath: '/api' }));
 
         // Rotas para Listas
         this.app.post('/lists', this.createList.bind(this));
@@ -74,6 +125,9 @@ class ListService {
         this.app.post('/lists/:id/items', this.addItemToList.bind(this));
         this.app.put('/lists/:id/items/:itemId', this.updateItemInList.bind(this));
         this.app.delete('/lists/:id/items/:itemId', this.removeItemFromList.bind(this));
+
+        this.app.use(notFoundHandler);
+        this.app.use(errorHandler());
     }
 
     // --- Lógica de Negócio Auxiliar ---
@@ -85,61 +139,94 @@ class ListService {
         return { totalItems, purchasedItems, estimatedTotal: parseFloat(estimatedTotal.toFixed(2)) };
     }
 
+    // Responde 412 quando o If-Match do cliente não corresponde à versão atual da lista
+    sendPreconditionFailed(res, error) {
+        res.set('ETag', formatETag(error.currentVersion));
+        res.status(412).json({ success: false, message: 'A lista foi alterada por outra requisição. Recarregue e tente novamente.', currentVersion: error.currentVersion });
+    }
+
     // --- Controladores de Rota ---
 
     async createList(req, res) {
         try {
             const { name, description } = req.body;
-            if (!name) return res.status(400).json({ success: false, message: 'O nome da lista é obrigatório' });
 
+            // status, items e summary recebem os valores padrão do schema
             const newList = await this.listsDb.create({
                 id: uuidv4(),
                 userId: req.user.id,
                 name,
-                description: description || '',
-                status: 'active',
-                items: [],
-                summary: { totalItems: 0, purchasedItems: 0, estimatedTotal: 0 }
+                description
             });
+            listsCreated.inc();
+            res.set('ETag', formatETag(newList.version));
             res.status(201).json({ success: true, data: newList });
         } catch (error) {
+            if (error.code === 'EVALIDATION') return res.status(400).json({ success: false, message: 'Dados inválidos', errors: error.errors });
             res.status(500).json({ success: false, message: 'Erro ao criar lista' });
         }
     }
 
     async getUserLists(req, res) {
-        const lists = await this.listsDb.find({ userId: req.user.id });
-        res.json({ success: true, data: lists });
+        try {
+            const lists = await this.listsDb.find({ userId: req.user.id });
+            res.json({ success: true, data: lists });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro ao buscar listas' });
+        }
     }
 
     async getListById(req, res) {
-        const list = await this.listsDb.findById(req.params.id);
-        if (!list) return res.status(404).json({ success: false, message: 'Lista não encontrada' });
-        if (list.userId !== req.user.id) return res.status(403).json({ success: false, message: 'Acesso negado' });
-        res.json({ success: true, data: list });
+        try {
+            const list = await this.listsDb.findById(req.params.id);
+            if (!list) return res.status(404).json({ success: false, message: 'Lista não encontrada' });
+            if (list.userId !== req.user.id) return res.status(403).json({ success: false, message: 'Acesso negado' });
+            res.set('ETag', formatETag(list.version));
+            res.json({ success: true, data: list });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro ao buscar lista' });
+        }
     }
 
     async updateList(req, res) {
-        const list = await this.listsDb.findById(req.params.id);
-        if (!list || list.userId !== req.user.id) return res.status(404).json({ success: false, message: 'Lista não encontrada ou acesso negado' });
+        try {
+            const list = await this.listsDb.findById(req.params.id);
+            if (!list || list.userId !== req.user.id) return res.status(404).json({ success: false, message: 'Lista não encontrada ou acesso negado' });
 
-        const { name, description, status } = req.body;
-        const updatedList = await this.listsDb.update(req.params.id, { name, description, status });
-        res.json({ success: true, data: updatedList });
+            const { name, description, status } = req.body;
+            const updatedList = await this.listsDb.update(req.params.id, { name, description, status }, {
+                expectedVersion: parseIfMatch(req.header('If-Match'))
+            });
+            res.set('ETag', formatETag(updatedList.version));
+            res.json({ success: true, data: updatedList });
+        } catch (error) {
+            if (error.code === 'EVERSIONCONFLICT') return this.sendPreconditionFailed(res, error);
+            if (error.code === 'EVALIDATION') return res.status(400).json({ success: false, message: 'Dados inválidos', errors: error.errors });
+            res.status(500).json({ success: false, message: 'Erro ao atualizar lista' });
+        }
     }
 
     async deleteList(req, res) {
-        const list = await this.listsDb.findById(req.params.id);
-        if (!list || list.userId !== req.user.id) return res.status(404).json({ success: false, message: 'Lista não encontrada ou acesso negado' });
+        try {
+            const list = await this.listsDb.findById(req.params.id);
+            if (!list || list.userId !== req.user.id) return res.status(404).json({ success: false, message: 'Lista não encontrada ou acesso negado' });
 
-        await this.listsDb.delete(req.params.id);
-        res.status(204).send();
+            await this.listsDb.delete(req.params.id, { expectedVersion: parseIfMatch(req.header('If-Match')) });
+            res.status(204).send();
+        } catch (error) {
+            if (error.code === 'EVERSIONCONFLICT') return this.sendPreconditionFailed(res, error);
+            res.status(500).json({ success: false, message: 'Erro ao remover lista' });
+        }
     }
 
     async getListSummary(req, res) {
-        const list = await this.listsDb.findById(req.params.id);
-        if (!list || list.userId !== req.user.id) return res.status(404).json({ success: false, message: 'Lista não encontrada ou acesso negado' });
-        res.json({ success: true, data: list.summary });
+        try {
+            const list = await this.listsDb.findById(req.params.id);
+            if (!list || list.userId !== req.user.id) return res.status(404).json({ success: false, message: 'Lista não encontrada ou acesso negado' });
+            res.json({ success: true, data: list.summary });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro ao buscar resumo da lista' });
+        }
     }
 
     async addItemToList(req, res) {
@@ -148,11 +235,14 @@ class ListService {
             if (!list || list.userId !== req.user.id) return res.status(404).json({ success: false, message: 'Lista não encontrada ou acesso negado' });
 
             const { itemId, quantity, notes } = req.body;
-            if (!itemId || !quantity) return res.status(400).json({ success: false, message: 'itemId e quantity são obrigatórios' });
+            if (!itemId) return res.status(400).json({ success: false, message: 'Dados inválidos', errors: [{ field: 'itemId', rule: 'required', message: 'campo obrigatório' }] });
 
             // ** Comunicação com o Item Service para buscar dados do item **
-            const itemService = serviceRegistry.discover('item-service');
-            const itemResponse = await axios.get(`${itemService.url}/items/${itemId}`);
+            const itemResponse = await serviceRegistry.withFailover('item-service',
+                itemService => callUpstreamService('item-service', {
+                    url: `${itemService.url}/items/${itemId}`,
+                    headers: identityHeaders(req.user, 'item-service', { issuer: this.serviceName })
+                }));
             const itemDetails = itemResponse.data.data;
 
             if (!itemDetails) return res.status(404).json({ success: false, message: 'Item do catálogo não encontrado' });
@@ -160,64 +250,104 @@ class ListService {
             const newItem = {
                 itemId: itemDetails.id,
                 itemName: itemDetails.name, // Cache do nome
-                quantity: parseFloat(quantity),
+                quantity: quantity === undefined ? undefined : parseFloat(quantity),
                 unit: itemDetails.unit,
                 estimatedPrice: itemDetails.averagePrice,
                 purchased: false,
-                notes: notes || '',
+                notes: notes === undefined ? '' : notes,
                 addedAt: new Date().toISOString()
             };
 
-            list.items.push(newItem);
-            list.summary = this.calculateSummary(list.items);
-
-            const updatedList = await this.listsDb.update(list.id, { items: list.items, summary: list.summary });
+            // Aplicado sobre a versão atual da lista, dentro do lock do banco,
+            // para que adições simultâneas não se sobrescrevam
+            const updatedList = await this.listsDb.update(list.id, current => {
+                const items = [...current.items, newItem];
+                return { items, summary: this.calculateSummary(items) };
+            }, { expectedVersion: parseIfMatch(req.header('If-Match')) });
+            itemsAdded.inc();
+            res.set('ETag', formatETag(updatedList.version));
             res.status(201).json({ success: true, data: updatedList });
         } catch (error) {
+            if (error.code === 'EVERSIONCONFLICT') return this.sendPreconditionFailed(res, error);
+            if (error.code === 'EVALIDATION') return res.status(400).json({ success: false, message: 'Dados inválidos', errors: error.errors });
             res.status(500).json({ success: false, message: 'Erro ao adicionar item à lista', error: error.message });
         }
     }
 
     async updateItemInList(req, res) {
-        const list = await this.listsDb.findById(req.params.id);
-        if (!list || list.userId !== req.user.id) return res.status(404).json({ success: false, message: 'Lista não encontrada ou acesso negado' });
-
-        const itemIndex = list.items.findIndex(item => item.itemId === req.params.itemId);
-        if (itemIndex === -1) return res.status(404).json({ success: false, message: 'Item não encontrado na lista' });
-
-        const { quantity, purchased, notes } = req.body;
-        if (quantity !== undefined) list.items[itemIndex].quantity = parseFloat(quantity);
-        if (purchased !== undefined) list.items[itemIndex].purchased = purchased;
-        if (notes !== undefined) list.items[itemIndex].notes = notes;
-
-        list.summary = this.calculateSummary(list.items);
+        try {
+            const list = await this.listsDb.findById(req.params.id);
+            if (!list || list.userId !== req.user.id) return res.status(404).json({ success: false, message: 'Lista não encontrada ou acesso negado' });
 
-        const updatedList = await this.listsDb.update(list.id, { items: list.items, summary: list.summary });
-        res.json({ success: true, data: updatedList });
+            if (!list.items.some(item => item.itemId === req.params.itemId)) return res.status(404).json({ success: false, message: 'Item não encontrado na lista' });
+
+            const { quantity, purchased, notes } = req.body;
+            let markedPurchased = false;
+            const updatedList = await this.listsDb.update(list.id, current => {
+                const items = current.items.map(item => {
+                    if (item.itemId !== req.params.itemId) return item;
+                    const changed = { ...item };
+                    if (quantity !== undefined) changed.quantity = parseFloat(quantity);
+                    if (purchased !== undefined) changed.purchased = purchased;
+                    if (notes !== undefined) changed.notes = notes;
+                    markedPurchased = !item.purchased && changed.purchased === true;
+                    return changed;
+                });
+                return { items, summary: this.calculateSummary(items) };
+            }, { expectedVersion: parseIfMatch(req.header('If-Match')) });
+            if (markedPurchased) itemsPurchased.inc();
+            res.set('ETag', formatETag(updatedList.version));
+            res.json({ success: true, data: updatedList });
+        } catch (error) {
+            if (error.code === 'EVERSIONCONFLICT') return this.sendPreconditionFailed(res, error);
+            if (error.code === 'EVALIDATION') return res.status(400).json({ success: false, message: 'Dados inválidos', errors: error.errors });
+            res.status(500).json({ success: false, message: 'Erro ao atualizar item da lista' });
+        }
     }
 
     async removeItemFromList(req, res) {
-        const list = await this.listsDb.findById(req.params.id);
-        if (!list || list.userId !== req.user.id) return res.status(404).json({ success: false, message: 'Lista não encontrada ou acesso negado' });
-
-        const initialLength = list.items.length;
-        list.items = list.items.filter(item => item.itemId !== req.params.itemId);
-
-        if (list.items.length === initialLength) return res.status(404).json({ success: false, message: 'Item não encontrado na lista' });
+        try {
+            const list = await this.listsDb.findById(req.params.id);
+            if (!list || list.userId !== req.user.id) return res.status(404).json({ success: false, message: 'Lista não encontrada ou acesso negado' });
 
-        list.summary = this.calculateSummary(list.items);
+            if (!list.items.some(item => item.itemId === req.params.itemId)) return res.status(404).json({ success: false, message: 'Item não encontrado na lista' });
 
-        const updatedList = await this.listsDb.update(list.id, { items: list.items, summary: list.summary });
-        res.json({ success: true, data: updatedList });
+            const updatedList = await this.listsDb.update(list.id, current => {
+                const items = current.items.filter(item => item.itemId !== req.params.itemId);
+                return { items, summary: this.calculateSummary(items) };
+            }, { expectedVersion: parseIfMatch(req.header('If-Match')) });
+            res.set('ETag', formatETag(updatedList.version));
+            res.json({ success: true, data: updatedList });
+        } catch (error) {
+            if (error.code === 'EVERSIONCONFLICT') return this.sendPreconditionFailed(res, error);
+            res.status(500).json({ success: false, message: 'Erro ao remover item da lista' });
+        }
     }
 
-    start() {
-        this.app.listen(this.port, () => {
-            console.log(`=====================================`);
-            console.log(`List Service iniciado na porta ${this.port}`);
-            serviceRegistry.register(this.serviceName, { url: this.serviceUrl });
-            setInterval(() => serviceRegistry.updateHealth(this.serviceName, true), 30000);
-            console.log(`=====================================`);
+    async start() {
+        // Migrações pendentes rodam antes de o serviço aceitar requisições
+        try {
+            await this.migrations.migrate();
+        } catch (error) {
+            logger.error('Falha ao executar migrações, serviço não iniciado', { error });
+            process.exit(1);
+        }
+        this.backups.start();
+
+        this.app.listen(this.port, async () => {
+            logger.info('List Service iniciado', { port: this.port, url: this.serviceUrl });
+            try {
+                this.instanceId = await serviceRegistry.register(this.serviceName, {
+                    url: this.serviceUrl,
+                    version,
+                    tags: ['lists'],
+                    healthPath: '/health/ready'
+                });
+                serviceRegistry.startHeartbeat(this.serviceName, this.instanceId);
+            } catch (error) {
+                logger.error('Falha ao registrar no Service Registry', { error });
+                process.exit(1);
+            }
         });
     }
 }
@@ -225,4 +355,6 @@ class ListService {
 if (require.main === module) {
     const listService = new ListService();
     listService.start();
-}
\ No newline at end of file
+}
+
+module.exports = ListService;
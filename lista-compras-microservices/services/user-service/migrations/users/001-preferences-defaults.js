@@ -0,0 +1,11 @@
+// PUT /users/:id sem preferences removia o campo do usuário, e preferences
+// parciais substituíam as anteriores sem defaultStore ou currency.
+const DEFAULT_PREFERENCES = { defaultStore: 'Any', currency: 'BRL' };
+
+module.exports = {
+    version: 1,
+    description: 'Completa preferences dos usuários com defaultStore e currency padrão',
+    up(documents) {
+        return documents.map(user => ({ ...user, preferences: { ...DEFAULT_PREFERENCES, ...user.preferences } }));
+    }
+};
@@ -2,21 +2,57 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 
 const JsonDatabase = require('../../shared/JsonDatabase');
+const MigrationRunner = require('../../shared/MigrationRunner');
+const BackupManager = require('../../shared/BackupManager');
+const { registerBackupRoutes } = require('../../shared/adminRoutes');
+const { jwtSecret, requireGateway, requireUser } = require('../../shared/internalAuth');
+const { configureLogging, createLogger, requestLogger } = require('../../shared/logger');
+const { metrics, httpMetrics, metricsHandler } = require('../../shared/metrics');
+const { OpenApiDocument, openApiValidator } = require('../../shared/openapi');
+const { notFoundHandler, errorHandler } = require('../../shared/httpErrors');
+const { databaseCheck, registerHealthRoutes } = require('../../shared/healthChecks');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const { version } = require('./package.json');
+
+configureLogging({ service: 'user-service' });
+const logger = createLogger('service');
+const usersRegistered = metrics.counter({ name: 'users_registered_total', help: 'Usuários cadastrados' });
+const logins = metrics.counter({ name: 'logins_total', help: 'Tentativas de login', labelNames: ['result'] });
+
+// Schema da coleção users (ver shared/schema.js)
+const userSchema = {
+    fields: {
+        email: { type: 'string', required: true, maxLength: 254, pattern: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$' },
+        username: { type: 'string', required: true, minLength: 3, maxLength: 50 },
+        password: { type: 'string', required: true, minLength: 1 },
+        firstName: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+        lastName: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+        preferences: {
+            type: 'object',
+            default: { defaultStore: 'Any', currency: 'BRL' },
+            fields: {
+                defaultStore: { type: 'string', default: 'Any', maxLength: 100 },
+                currency: { type: 'string', enum: ['BRL', 'USD', 'EUR'], default: 'BRL' }
+            },
+            additionalFields: false
+        }
+    },
+    additionalFields: false
+};
 
 class UserService {
     constructor() {
         this.app = express();
-        this.port = 3001;
+        this.port = Number(process.env.PORT) || 3001;
         this.serviceName = 'user-service';
         this.serviceUrl = `http://127.0.0.1:${this.port}`;
+        this.jwtSecret = jwtSecret();
         
         this.setupDatabase();
         this.setupMiddleware();
@@ -25,47 +61,51 @@ class UserService {
 
     setupDatabase() {
         const dbPath = path.join(__dirname, 'database');
-        this.usersDb = new JsonDatabase(dbPath, 'users');
-        console.log('User Service: Banco NoSQL inicializado');
+        this.usersDb = new JsonDatabase(dbPath, 'users', {
+            schema: userSchema,
+            indexes: [
+                { field: 'email', unique: true },
+                { field: 'username', unique: true }
+            ]
+        });
+        this.migrations = MigrationRunner.fromDirectory(this.usersDb, path.join(__dirname, 'migrations', 'users'));
+        this.backups = new BackupManager(this.serviceName, [this.usersDb], { backupDir: path.join(__dirname, 'backups') });
+        logger.debug('Banco NoSQL inicializado', { dbPath });
     }
 
     setupMiddleware() {
         this.app.use(helmet());
         this.app.use(cors());
-        this.app.use(morgan('combined'));
+        this.app.use(requestLogger());
+        this.app.use(httpMetrics());
         this.app.use(express.json());
     }
 
     setupRoutes() {
-        this.app.get('/health', (req, res) => res.json({ service: this.serviceName, status: 'healthy' }));
+        registerHealthRoutes(this.app, { service: this.serviceName, checks: [databaseCheck(this.usersDb)] });
+        this.app.get('/metrics', metricsHandler());
+        registerBackupRoutes(this.app, this.backups, { afterRestore: () => this.migrations.migrate() });
+
+        // Daqui em diante só requisições do Gateway
+        this.app.use(requireGateway(this.serviceName));
+        // O documento descreve as rotas do Gateway (/api/...)
+        this.app.use(openApiValidator(OpenApiDocument.load(), { basePath: '/api' }));
         this.app.post('/auth/register', this.register.bind(this));
         this.app.post('/auth/login', this.login.bind(this));
-        this.app.post('/auth/validate', this.validateToken.bind(this)); // Rota para outros serviços validarem o token
+        this.app.post('/auth/validate', this.validateToken.bind(this)); // Rota para o Gateway validar o token
 
-        this.app.get('/users/:id', this.authMiddleware.bind(this), this.getUser.bind(this));
-        this.app.put('/users/:id', this.authMiddleware.bind(this), this.updateUser.bind(this));
-    }
+        this.app.get('/users/:id', requireUser, this.getUser.bind(this));
+        this.app.put('/users/:id', requireUser, this.updateUser.bind(this));
 
-    authMiddleware(req, res, next) {
-        const authHeader = req.header('Authorization');
-        if (!authHeader?.startsWith('Bearer ')) {
-            return res.status(401).json({ success: false, message: 'Token obrigatório' });
-        }
-        const token = authHeader.replace('Bearer ', '');
-        try {
-            const decoded = jwt.verify(token, 'sua-chave-secreta-jwt'); // Use uma variável de ambiente para isso
-            req.user = decoded;
-            next();
-        } catch (error) {
-            res.status(401).json({ success: false, message: 'Token inválido' });
-        }
+        this.app.use(notFoundHandler);
+        this.app.use(errorHandler());
     }
 
     async register(req, res) {
         try {
             const { email, username, password, firstName, lastName } = req.body;
-            if (!email || !username || !password || !firstName || !lastName) {
-                return res.status(400).json({ success: false, message: 'Todos os campos são obrigatórios' });
+            if (typeof password !== 'string' || !password) {
+                return res.status(400).json({ success: false, message: 'Dados inválidos', errors: [{ field: 'password', rule: 'required', message: 'campo obrigatório' }] });
             }
 
             const existingUser = await this.usersDb.findOne({ $or: [{ email }, { username }] });
@@ -75,22 +115,27 @@ class UserService {
 
             const hashedPassword = await bcrypt.hash(password, 12);
 
+            // Demais campos (e preferences padrão) validados pelo schema da coleção
             const newUser = await this.usersDb.create({
                 id: uuidv4(),
                 email,
                 username,
                 password: hashedPassword,
                 firstName,
-                lastName,
-                preferences: {
-                    defaultStore: "Any",
-                    currency: "BRL"
-                }
+                lastName
             });
 
+            usersRegistered.inc();
             const { password: _, ...userWithoutPassword } = newUser;
             res.status(201).json({ success: true, data: userWithoutPassword });
         } catch (error) {
+            // Cadastro simultâneo com o mesmo email/username barrado pelo índice único
+            if (error.code === 'EDUPLICATE') {
+                return res.status(409).json({ success: false, message: 'Email ou username já em uso' });
+            }
+            if (error.code === 'EVALIDATION') {
+                return res.status(400).json({ success: false, message: 'Dados inválidos', errors: error.errors });
+            }
             res.status(500).json({ success: false, message: 'Erro interno do servidor' });
         }
     }
@@ -110,15 +155,17 @@ async login(req, res) {
         }
 
         if (!user || !await bcrypt.compare(password, user.password)) {
+            logins.inc({ result: 'invalid_credentials' });
             return res.status(401).json({ success: false, message: 'Credenciais inválidas' });
         }
 
         const token = jwt.sign(
             { id: user.id, email: user.email, username: user.username },
-            'sua-chave-secreta-jwt',
+            this.jwtSecret,
             { expiresIn: '24h' }
         );
 
+        logins.inc({ result: 'success' });
         const { password: _, ...userWithoutPassword } = user;
         res.json({ success: true, data: { user: userWithoutPassword, token } });
     } catch (error) {
@@ -129,7 +176,7 @@ async login(req, res) {
     async validateToken(req, res) {
         try {
             const { token } = req.body;
-            const decoded = jwt.verify(token, 'sua-chave-secreta-jwt');
+            const decoded = jwt.verify(token, this.jwtSecret);
             const user = await this.usersDb.findById(decoded.id);
             if (!user) return res.status(404).json({ success: false, message: 'Usuário do token não encontrado' });
             
@@ -146,11 +193,15 @@ async login(req, res) {
         if (req.user.id !== req.params.id) {
             return res.status(403).json({ success: false, message: 'Acesso negado' });
         }
-        const user = await this.usersDb.findById(req.params.id);
-        if (!user) return res.status(404).json({ success: false, message: 'Usuário não encontrado' });
-        
-        const { password, ...userWithoutPassword } = user;
-        res.json({ success: true, data: userWithoutPassword });
+        try {
+            const user = await this.usersDb.findById(req.params.id);
+            if (!user) return res.status(404).json({ success: false, message: 'Usuário não encontrado' });
+
+            const { password, ...userWithoutPassword } = user;
+            res.json({ success: true, data: userWithoutPassword });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
     }
 
     async updateUser(req, res) {
@@ -159,21 +210,45 @@ async login(req, res) {
         }
         const { firstName, lastName, preferences } = req.body;
         const updates = { firstName, lastName, preferences };
-        
-        const updatedUser = await this.usersDb.update(req.params.id, updates);
-        if(!updatedUser) return res.status(404).json({ success: false, message: 'Usuário não encontrado' });
 
-        const { password, ...userWithoutPassword } = updatedUser;
-        res.json({ success: true, data: userWithoutPassword });
+        try {
+            const updatedUser = await this.usersDb.update(req.params.id, updates);
+            if(!updatedUser) return res.status(404).json({ success: false, message: 'Usuário não encontrado' });
+
+            const { password, ...userWithoutPassword } = updatedUser;
+            res.json({ success: true, data: userWithoutPassword });
+        } catch (error) {
+            if (error.code === 'EVALIDATION') {
+                return res.status(400).json({ success: false, message: 'Dados inválidos', errors: error.errors });
+            }
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
     }
 
-    start() {
-        this.app.listen(this.port, () => {
-            console.log(`=====================================`);
-            console.log(`User Service iniciado na porta ${this.port}`);
-            serviceRegistry.register(this.serviceName, { url: this.serviceUrl });
-            setInterval(() => serviceRegistry.updateHealth(this.serviceName, true), 30000);
-            console.log(`=====================================`);
+    async start() {
+        // Migrações pendentes rodam antes de o serviço aceitar requisições
+        try {
+            await this.migrations.migrate();
+        } catch (error) {
+            logger.error('Falha ao executar migrações, serviço não iniciado', { error });
+            process.exit(1);
+        }
+        this.backups.start();
+
+        this.app.listen(this.port, async () => {
+            logger.info('User Service iniciado', { port: this.port, url: this.serviceUrl });
+            try {
+                this.instanceId = await serviceRegistry.register(this.serviceName, {
+                    url: this.serviceUrl,
+                    version,
+                    tags: ['auth', 'users'],
+                    healthPath: '/health/ready'
+                });
+                serviceRegistry.startHeartbeat(this.serviceName, this.instanceId);
+            } catch (error) {
+                logger.error('Falha ao registrar no Service Registry', { error });
+                process.exit(1);
+            }
         });
     }
 }
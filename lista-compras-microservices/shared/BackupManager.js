@@ -0,0 +1,215 @@
+// shared/BackupManager.js
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const { writeJsonAtomic } = require('./storageBackends');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('backup');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Snapshots das coleções de um serviço.
+//
+// Cada snapshot é um arquivo <backupDir>/<id>.json com os documentos e os
+// metadados (versão do schema) de todas as coleções, lidos com o lock de
+// escrita de todas elas ao mesmo tempo, então nenhuma escrita fica pela metade.
+// Ao lado dele, <id>.summary.json guarda só o resumo (data, motivo, contagens):
+// listagem, retenção e busca leem os resumos, e os documentos só são carregados
+// do snapshot que for restaurado. O resumo é gravado por último, então um
+// snapshot interrompido no meio não aparece.
+//
+// options.intervalMinutes: snapshots automáticos (0 desativa); padrão BACKUP_INTERVAL_MINUTES ou 60
+// options.keep: quantidade máxima de snapshots mantidos; padrão BACKUP_KEEP ou 24
+// options.maxAgeDays: idade máxima de um snapshot; padrão BACKUP_MAX_AGE_DAYS ou 7
+// O snapshot mais recente nunca é removido pela retenção.
+class BackupManager {
+    constructor(serviceName, databases, options = {}) {
+        this.serviceName = serviceName;
+        this.databases = new Map(databases.map(db => [db.collectionName, db]));
+        this.backupDir = options.backupDir;
+        this.intervalMinutes = options.intervalMinutes ?? Number(process.env.BACKUP_INTERVAL_MINUTES ?? 60);
+        this.keep = options.keep ?? Number(process.env.BACKUP_KEEP ?? 24);
+        this.maxAgeDays = options.maxAgeDays ?? Number(process.env.BACKUP_MAX_AGE_DAYS ?? 7);
+        this.timer = null;
+    }
+
+    // Inicia os snapshots periódicos
+    start() {
+        if (this.timer || !(this.intervalMinutes > 0)) return;
+
+        this.timer = setInterval(() => {
+            this.createSnapshot({ reason: 'scheduled' })
+                .catch(error => logger.error('Erro no backup agendado', { serviceName: this.serviceName, error }));
+        }, this.intervalMinutes * MINUTE);
+        this.timer.unref();
+        logger.info('Backups agendados', { serviceName: this.serviceName, intervalMinutes: this.intervalMinutes, backupDir: this.backupDir });
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async createSnapshot({ reason = 'manual' } = {}) {
+        const createdAt = new Date().toISOString();
+        const id = `${createdAt.replace(/[-:.]/g, '')}-${uuidv4().slice(0, 8)}`;
+
+        const collections = await this.withAllLocks(async () => {
+            const result = {};
+            for (const [name, db] of this.databases) {
+                const documents = await db.readAll();
+                result[name] = { count: documents.length, meta: await db.readMeta(), documents };
+            }
+            return result;
+        });
+
+        const summary = this.summarize({ id, createdAt, reason, collections });
+        await fs.ensureDir(this.backupDir);
+        await writeJsonAtomic(this.dataPath(id), {
+            id,
+            service: this.serviceName,
+            createdAt,
+            reason,
+            collections
+        });
+        await writeJsonAtomic(this.summaryPath(id), summary);
+        logger.info('Snapshot criado', { serviceName: this.serviceName, snapshotId: id, reason });
+
+        const removed = await this.prune();
+        return { ...summary, pruned: removed };
+    }
+
+    // Snapshots do mais recente para o mais antigo, sem os documentos
+    async listSnapshots() {
+        return this.readSnapshots();
+    }
+
+    // Restaura uma coleção para um snapshot (snapshotId) ou para o último
+    // snapshot tirado até o instante informado (timestamp). O estado atual é
+    // salvo antes em um snapshot "pre-restore", então a restauração pode ser desfeita.
+    async restore({ collection, snapshotId, timestamp }) {
+        const db = this.databases.get(collection);
+        if (!db) {
+            throw this.notFound(`Coleção ${collection} não existe em ${this.serviceName}`);
+        }
+
+        const snapshot = await this.findSnapshot(collection, { snapshotId, timestamp });
+        const { documents, meta } = (await fs.readJson(this.dataPath(snapshot.id))).collections[collection];
+        const safety = await this.createSnapshot({ reason: 'pre-restore' });
+
+        await db.withWriteLock(async () => {
+            await db.commit(documents, db.buildIndex(documents));
+            await db.writeMeta(meta);
+        });
+        logger.info('Coleção restaurada', { serviceName: this.serviceName, collection, snapshotId: snapshot.id });
+
+        return {
+            collection,
+            snapshotId: snapshot.id,
+            snapshotCreatedAt: snapshot.createdAt,
+            documents: documents.length,
+            schemaVersion: meta.schemaVersion || 0,
+            safetySnapshotId: safety.id
+        };
+    }
+
+    async findSnapshot(collection, { snapshotId, timestamp }) {
+        const snapshots = (await this.readSnapshots()).filter(snapshot => snapshot.collections[collection]);
+        let snapshot;
+
+        if (snapshotId) {
+            snapshot = snapshots.find(candidate => candidate.id === snapshotId);
+        } else if (timestamp) {
+            const target = new Date(timestamp).getTime();
+            if (Number.isNaN(target)) {
+                const error = new Error(`Data inválida: ${timestamp}`);
+                error.code = 'EINVALIDTIMESTAMP';
+                throw error;
+            }
+            snapshot = snapshots.find(candidate => new Date(candidate.createdAt).getTime() <= target);
+        } else {
+            throw new Error('Informe snapshotId ou timestamp');
+        }
+
+        if (!snapshot) {
+            throw this.notFound(`Nenhum snapshot de ${collection} encontrado para ${snapshotId || timestamp}`);
+        }
+        return snapshot;
+    }
+
+    // Aplica a retenção e devolve os ids removidos
+    async prune() {
+        const snapshots = await this.readSnapshots();
+        const now = Date.now();
+        const expired = snapshots.filter((snapshot, position) =>
+            position > 0 && (
+                position >= this.keep ||
+                now - new Date(snapshot.createdAt).getTime() > this.maxAgeDays * DAY
+            )
+        );
+
+        for (const snapshot of expired) {
+            await fs.remove(this.summaryPath(snapshot.id));
+            await fs.remove(this.dataPath(snapshot.id));
+        }
+        return expired.map(snapshot => snapshot.id);
+    }
+
+    // Resumos dos snapshots, do mais recente para o mais antigo
+    async readSnapshots() {
+        if (!await fs.pathExists(this.backupDir)) {
+            return [];
+        }
+
+        const files = (await fs.readdir(this.backupDir)).filter(file => file.endsWith('.summary.json'));
+        const snapshots = [];
+        for (const file of files) {
+            try {
+                snapshots.push(await fs.readJson(path.join(this.backupDir, file)));
+            } catch (error) {
+                logger.error('Snapshot ilegível ignorado', { file, error });
+            }
+        }
+        return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    summarize({ id, createdAt, reason, collections }) {
+        return {
+            id,
+            createdAt,
+            reason,
+            collections: Object.fromEntries(Object.entries(collections).map(([name, { count, meta }]) => [
+                name,
+                { documents: count, schemaVersion: meta.schemaVersion || 0 }
+            ]))
+        };
+    }
+
+    dataPath(id) {
+        return path.join(this.backupDir, `${id}.json`);
+    }
+
+    summaryPath(id) {
+        return path.join(this.backupDir, `${id}.summary.json`);
+    }
+
+    // Adquire o lock de escrita de todas as coleções antes de executar a tarefa
+    async withAllLocks(task) {
+        const databases = [...this.databases.values()];
+        const acquire = index => (index === databases.length
+            ? task()
+            : databases[index].withWriteLock(() => acquire(index + 1)));
+        return acquire(0);
+    }
+
+    notFound(message) {
+        const error = new Error(message);
+        error.code = 'ENOTFOUND';
+        return error;
+    }
+}
+
+module.exports = BackupManager;
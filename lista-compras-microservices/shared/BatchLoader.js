@@ -0,0 +1,63 @@
+// shared/BatchLoader.js
+// Agrupa as chaves pedidas em um mesmo ciclo do event loop em uma única
+// busca em lote. Ex.: na consulta GraphQL do Gateway, os itens do catálogo de
+// todas as listas saem em um só GET /items?ids=..., em vez de um por item.
+//
+// Cada chave é buscada uma vez por instância: crie um loader por requisição,
+// para que dados de um usuário não sirvam a outro.
+class BatchLoader {
+    // batchFn(keys) devolve um valor (ou um Error) por chave, na mesma ordem
+    constructor(batchFn, options = {}) {
+        this.batchFn = batchFn;
+        this.maxBatchSize = options.maxBatchSize || 100;
+        this.cache = new Map();
+        this.queue = [];
+    }
+
+    load(key) {
+        if (this.cache.has(key)) return this.cache.get(key);
+
+        const promise = new Promise((resolve, reject) => {
+            this.queue.push({ key, resolve, reject });
+            // Depois das Promises já resolvidas: os resolvers irmãos pedem suas chaves antes
+            if (this.queue.length === 1) setImmediate(() => this.dispatch());
+        });
+        this.cache.set(key, promise);
+        return promise;
+    }
+
+    loadMany(keys) {
+        return Promise.all(keys.map(key => this.load(key)));
+    }
+
+    // Guarda um valor já conhecido (ex.: vindo de uma listagem)
+    prime(key, value) {
+        if (!this.cache.has(key)) this.cache.set(key, Promise.resolve(value));
+    }
+
+    dispatch() {
+        const queue = this.queue;
+        this.queue = [];
+        for (let i = 0; i < queue.length; i += this.maxBatchSize) {
+            this.runBatch(queue.slice(i, i + this.maxBatchSize));
+        }
+    }
+
+    async runBatch(batch) {
+        try {
+            const values = await this.batchFn(batch.map(entry => entry.key));
+            if (!Array.isArray(values) || values.length !== batch.length) {
+                throw new Error(`BatchLoader: esperados ${batch.length} valores, recebidos ${Array.isArray(values) ? values.length : typeof values}`);
+            }
+            batch.forEach((entry, i) => (values[i] instanceof Error ? entry.reject(values[i]) : entry.resolve(values[i])));
+        } catch (error) {
+            // Uma falha do lote inteiro não fica no cache: um novo load tenta de novo
+            batch.forEach(entry => {
+                this.cache.delete(entry.key);
+                entry.reject(error);
+            });
+        }
+    }
+}
+
+module.exports = { BatchLoader };
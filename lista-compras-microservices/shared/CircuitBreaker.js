@@ -0,0 +1,164 @@
+// shared/CircuitBreaker.js
+// Circuit breaker de três estados para chamadas a um serviço:
+//   closed     as requisições passam; o resultado entra em uma janela deslizante
+//   open       a taxa de falhas na janela passou do limite: tudo é recusado até cooldownMs
+//   half-open  passado o cooldown, só halfOpenRequests requisições de teste passam;
+//              se todas derem certo o circuito fecha, se uma falhar ele abre de novo
+const { createLogger } = require('./logger');
+const { metrics } = require('./metrics');
+
+const logger = createLogger('circuit-breaker');
+const STATES = ['closed', 'open', 'half-open'];
+const transitions = metrics.counter({
+    name: 'circuit_breaker_transitions_total',
+    help: 'Mudanças de estado dos circuit breakers',
+    labelNames: ['service', 'from', 'to']
+});
+// 1 no estado atual de cada circuito, 0 nos demais
+const stateGauge = metrics.gauge({
+    name: 'circuit_breaker_state',
+    help: 'Estado atual dos circuit breakers',
+    labelNames: ['service', 'state']
+});
+
+const DEFAULTS = {
+    failureRateThreshold: 0.5, // fração de falhas na janela que abre o circuito
+    minimumRequests: 5,        // abaixo disso a taxa não é avaliada
+    windowMs: 60000,           // tamanho da janela deslizante
+    cooldownMs: 30000,         // tempo aberto antes de testar o serviço
+    halfOpenRequests: 2        // requisições de teste liberadas em half-open
+};
+// A janela é dividida em baldes para não guardar cada requisição
+const WINDOW_BUCKETS = 10;
+
+// Só conta como falha o que indica problema no serviço: resposta 5xx ou
+// nenhuma resposta (timeout, conexão recusada, nenhuma instância disponível).
+// Respostas 4xx são erros do cliente e não abrem o circuito.
+function isBreakerFailure(error) {
+    return error.response ? error.response.status >= 500 : true;
+}
+
+class CircuitBreaker {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.config = { ...DEFAULTS, ...options.config };
+        this.clock = options.clock || Date.now;
+        this.bucketMs = Math.max(1, Math.floor(this.config.windowMs / WINDOW_BUCKETS));
+        this.reset('closed');
+    }
+
+    reset(state) {
+        this.state = state;
+        STATES.forEach(other => stateGauge.set({ service: this.name, state: other }, other === state ? 1 : 0));
+        this.buckets = [];
+        this.openedAt = state === 'open' ? this.clock() : null;
+        this.trialsStarted = 0;
+        this.trialSuccesses = 0;
+    }
+
+    transition(state) {
+        if (this.state === state) return;
+        const previous = this.state;
+        this.reset(state);
+        transitions.inc({ service: this.name, from: previous, to: state });
+        logger.log(state === 'open' ? 'error' : 'info', 'Circuit breaker mudou de estado', { serviceName: this.name, from: previous, to: state });
+    }
+
+    // Requisições e falhas dentro da janela deslizante
+    windowStats() {
+        const since = this.clock() - this.config.windowMs;
+        this.buckets = this.buckets.filter(bucket => bucket.start > since);
+        return this.buckets.reduce((stats, bucket) => ({
+            requests: stats.requests + bucket.requests,
+            failures: stats.failures + bucket.failures
+        }), { requests: 0, failures: 0 });
+    }
+
+    recordInWindow(failed) {
+        const start = Math.floor(this.clock() / this.bucketMs) * this.bucketMs;
+        let bucket = this.buckets[this.buckets.length - 1];
+        if (!bucket || bucket.start !== start) {
+            bucket = { start, requests: 0, failures: 0 };
+            this.buckets.push(bucket);
+        }
+        bucket.requests++;
+        if (failed) bucket.failures++;
+    }
+
+    // Reserva a passagem de uma requisição. Lança ECIRCUITOPEN se ela não pode passar.
+    acquire() {
+        if (this.state === 'open' && this.clock() - this.openedAt >= this.config.cooldownMs) {
+            this.transition('half-open');
+        }
+        if (this.state === 'closed') {
+            return { trial: false };
+        }
+        if (this.state === 'half-open' && this.trialsStarted < this.config.halfOpenRequests) {
+            this.trialsStarted++;
+            return { trial: true };
+        }
+
+        const retryAfterMs = this.state === 'open'
+            ? this.openedAt + this.config.cooldownMs - this.clock()
+            : this.config.cooldownMs;
+        throw Object.assign(new Error(`Circuito de ${this.name} aberto`), {
+            code: 'ECIRCUITOPEN',
+            retryAfterMs: Math.max(0, retryAfterMs)
+        });
+    }
+
+    release(permit, failed) {
+        if (permit.trial) {
+            // Resultado de uma requisição de teste; as que começaram antes de o
+            // circuito mudar de estado são ignoradas
+            if (this.state !== 'half-open') return;
+            if (failed) {
+                this.transition('open');
+            } else if (++this.trialSuccesses >= this.config.halfOpenRequests) {
+                this.transition('closed');
+            }
+            return;
+        }
+
+        if (this.state !== 'closed') return;
+        this.recordInWindow(failed);
+        const { requests, failures } = this.windowStats();
+        if (requests >= this.config.minimumRequests && failures / requests >= this.config.failureRateThreshold) {
+            this.transition('open');
+        }
+    }
+
+    // Executa task() respeitando o circuito. isFailure(erro) decide se o erro
+    // conta como falha do serviço.
+    async execute(task, isFailure = isBreakerFailure) {
+        const permit = this.acquire();
+        try {
+            const result = await task();
+            this.release(permit, false);
+            return result;
+        } catch (error) {
+            this.release(permit, isFailure(error));
+            throw error;
+        }
+    }
+
+    // Estado para o /health do Gateway
+    snapshot() {
+        // Passado o cooldown, o próximo acquire() já abre o circuito para testes
+        const cooledDown = this.state === 'open' && this.clock() - this.openedAt >= this.config.cooldownMs;
+        const { requests, failures } = this.windowStats();
+        return {
+            state: cooledDown ? 'half-open' : this.state,
+            requests,
+            failures,
+            failureRate: requests ? Number((failures / requests).toFixed(3)) : 0,
+            openedAt: this.openedAt && !cooledDown ? new Date(this.openedAt).toISOString() : null,
+            retryAt: this.state === 'open' && !cooledDown
+                ? new Date(this.openedAt + this.config.cooldownMs).toISOString()
+                : null,
+            config: this.config
+        };
+    }
+}
+
+module.exports = { CircuitBreaker, isBreakerFailure, DEFAULTS };
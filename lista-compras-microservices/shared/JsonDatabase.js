@@ -1,33 +1,85 @@
-const fs = require('fs-extra');
-const path = require('path'); // <--- ADICIONE ESTA LINHA
 const { v4: uuidv4 } = require('uuid');
+const { validateDocument, applyDefaults, createValidationError } = require('./schema');
+const { createBackend, enqueueWrite } = require('./storageBackends');
+const { createLogger } = require('./logger');
+const { metrics } = require('./metrics');
+
+const logger = createLogger('database');
+// Leituras e escritas no armazenamento (acertos do cache não contam)
+const operationDuration = metrics.histogram({
+    name: 'jsondb_operation_duration_seconds',
+    help: 'Duração das leituras e escritas das coleções no armazenamento',
+    labelNames: ['collection', 'operation']
+});
+const collectionSize = metrics.gauge({
+    name: 'jsondb_collection_documents',
+    help: 'Documentos em cada coleção',
+    labelNames: ['collection']
+});
+
+// Cópia profunda para que quem recebe documentos do cache não altere o cache
+const cloneDocuments = typeof structuredClone === 'function'
+    ? value => structuredClone(value)
+    : value => JSON.parse(JSON.stringify(value));
+
+// Formato atual do arquivo *_index.json. Arquivos em outro formato
+// (como o antigo mapa id -> updatedAt) são reconstruídos na inicialização.
+const INDEX_FORMAT_VERSION = 2;
+
+// Campos mantidos pelo próprio banco, aceitos em qualquer schema
+const SYSTEM_FIELDS = {
+    id: { type: 'string', required: true, minLength: 1 },
+    createdAt: { type: 'date' },
+    updatedAt: { type: 'date' },
+    version: { type: 'integer', min: 0 }
+};
 
 class JsonDatabase {
-    constructor(dbPath, collectionName) {
+    // options.indexes: campos indexados, ex.: ['userId'] ou [{ field: 'email', unique: true }]
+    // options.cache: mantém a coleção em memória (write-through), recarregando
+    // quando o arquivo é alterado por fora (edição manual ou outro processo)
+    // options.schema: schema validado em toda escrita (ver shared/schema.js)
+    // options.backend: 'file' (padrão, um arquivo JSON), 'log' (log de operações
+    // com compactação; options.compactAfter escritas entre compactações),
+    // 'memory' ou uma instância própria (ver shared/storageBackends.js)
+    constructor(dbPath, collectionName, options = {}) {
         this.dbPath = dbPath;
         this.collectionName = collectionName;
-        this.filePath = path.join(dbPath, `${collectionName}.json`);
-        this.indexPath = path.join(dbPath, `${collectionName}_index.json`);
+        this.backend = createBackend(options.backend, dbPath, collectionName, {
+            ...options,
+            // Usado por backends append-only para gravar o índice ao compactar
+            buildIndex: documents => this.buildIndex(documents, { strict: false })
+        });
+        this.indexes = (options.indexes || []).map(spec =>
+            typeof spec === 'string' ? { field: spec, unique: false } : { unique: false, ...spec }
+        );
+        this.cacheEnabled = Boolean(options.cache);
+        this.cache = null;
+        this.cacheStats = { hits: 0, misses: 0, reloads: 0 };
+        this.schema = null;
+        if (options.schema) {
+            this.setSchema(options.schema);
+        }
 
-        this.ensureDatabase();
+        this.ready = this.ensureDatabase();
+        // Evita "unhandled rejection"; o erro reaparece no primeiro acesso
+        this.ready.catch(() => {});
     }
 
     async ensureDatabase() {
         try {
-            // Criar diretório do banco se não existir
-            await fs.ensureDir(this.dbPath);
-
-            // Criar arquivo da coleção se não existir
-            if (!await fs.pathExists(this.filePath)) {
-                await fs.writeJson(this.filePath, []);
-            }
-
-            // Criar índice se não existir
-            if (!await fs.pathExists(this.indexPath)) {
-                await fs.writeJson(this.indexPath, {});
+            await this.backend.init();
+
+            // Criar ou reconstruir o índice se estiver ausente ou desatualizado
+            const documents = await this.readDocuments();
+            const version = await this.backend.version();
+            const index = await this.readIndexFile();
+            if (!this.isIndexValid(index, version)) {
+                const rebuilt = this.buildIndex(documents, { strict: false });
+                await this.writeIndex(rebuilt);
             }
         } catch (error) {
-            console.error('Erro ao inicializar banco:', error);
+            logger.error('Erro ao inicializar banco', { collection: this.collectionName, error });
             throw error;
         }
     }
@@ -35,21 +87,10 @@ class JsonDatabase {
     // Criar documento
     async create(data) {
         try {
-            const documents = await this.readAll();
-            const document = {
-                id: data.id || uuidv4(),
-                ...data,
-                createdAt: data.createdAt || new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
-
-            documents.push(document);
-            await this.writeAll(documents);
-            await this.updateIndex(document);
-
+            const [document] = await this.runOperations([{ op: 'create', data }]);
             return document;
         } catch (error) {
-            console.error('Erro ao criar documento:', error);
+            logger.error('Erro ao criar documento', { collection: this.collectionName, error });
             throw error;
         }
     }
@@ -57,10 +98,11 @@ class JsonDatabase {
     // Buscar por ID
     async findById(id) {
         try {
-            const documents = await this.readAll();
-            return documents.find(doc => doc.id === id) || null;
+            const { documents, index } = await this.readSnapshot();
+            const position = index.ids[id];
+            return position !== undefined ? this.detach(documents[position]) : null;
         } catch (error) {
-            console.error('Erro ao buscar documento:', error);
+            logger.error('Erro ao buscar documento', { collection: this.collectionName, error });
             throw error;
         }
     }
@@ -68,10 +110,10 @@ class JsonDatabase {
     // Buscar um documento com filtro
     async findOne(filter) {
         try {
-            const documents = await this.readAll();
-            return documents.find(doc => this.matchesFilter(doc, filter)) || null;
+            const documents = await this.query(filter);
+            return documents[0] || null;
         } catch (error) {
-            console.error('Erro ao buscar documento:', error);
+            logger.error('Erro ao buscar documento', { collection: this.collectionName, error });
             throw error;
         }
     }
@@ -79,12 +121,8 @@ class JsonDatabase {
     // Buscar múltiplos documentos
     async find(filter = {}, options = {}) {
         try {
-            let documents = await this.readAll();
-
             // Aplicar filtro
-            if (Object.keys(filter).length > 0) {
-                documents = documents.filter(doc => this.matchesFilter(doc, filter));
-            }
+            let documents = await this.query(filter);
 
             // Aplicar ordenação
             if (options.sort) {
@@ -100,7 +138,7 @@ class JsonDatabase {
 
             return documents;
         } catch (error) {
-            console.error('Erro ao buscar documentos:', error);
+            logger.error('Erro ao buscar documentos', { collection: this.collectionName, error });
             throw error;
         }
     }
@@ -108,62 +146,89 @@ class JsonDatabase {
     // Contar documentos
     async count(filter = {}) {
         try {
-            const documents = await this.readAll();
-            if (Object.keys(filter).length === 0) {
-                return documents.length;
-            }
-            return documents.filter(doc => this.matchesFilter(doc, filter)).length;
+            const documents = await this.matchDocuments(filter);
+            return documents.length;
         } catch (error) {
-            console.error('Erro ao contar documentos:', error);
+            logger.error('Erro ao contar documentos', { collection: this.collectionName, error });
             throw error;
         }
     }
 
     // Atualizar documento
-    async update(id, updates) {
+    // `updates` pode ser um objeto ou uma função (documentoAtual) => updates,
+    // executada dentro do lock para leituras-modificações-escritas sem perda.
+    // options.expectedVersion: rejeita a escrita (EVERSIONCONFLICT) se o
+    // documento não estiver mais nessa versão (controle otimista)
+    async update(id, updates, options = {}) {
         try {
-            const documents = await this.readAll();
-            const index = documents.findIndex(doc => doc.id === id);
-
-            if (index === -1) {
-                return null;
-            }
+            const [document] = await this.runOperations([
+                { op: 'update', id, updates, expectedVersion: options.expectedVersion }
+            ]);
+            return document;
+        } catch (error) {
+            logger.error('Erro ao atualizar documento', { collection: this.collectionName, error });
+            throw error;
+        }
+    }
 
-            documents[index] = {
-                ...documents[index],
-                ...updates,
-                id: documents[index].id, // Preservar ID
-                createdAt: documents[index].createdAt, // Preservar data de criação
-                updatedAt: new Date().toISOString()
-            };
+    // Deletar documento (aceita options.expectedVersion como em update)
+    async delete(id, options = {}) {
+        try {
+            const [deleted] = await this.runOperations([
+                { op: 'delete', id, expectedVersion: options.expectedVersion }
+            ]);
+            return deleted;
+        } catch (error) {
+            logger.error('Erro ao deletar documento', { collection: this.collectionName, error });
+            throw error;
+        }
+    }
 
-            await this.writeAll(documents);
-            await this.updateIndex(documents[index]);
+    // --- Operações em lote ---
+    // Cada chamada abaixo faz uma única leitura e uma única escrita da coleção.
 
-            return documents[index];
+    // Criar vários documentos
+    async insertMany(items) {
+        try {
+            return await this.runOperations(items.map(data => ({ op: 'create', data })));
         } catch (error) {
-            console.error('Erro ao atualizar documento:', error);
+            logger.error('Erro ao criar documentos', { collection: this.collectionName, error });
             throw error;
         }
     }
 
-    // Deletar documento
-    async delete(id) {
+    // Atualizar todos os documentos que casam com o filtro; devolve os atualizados
+    async updateMany(filter, updates) {
         try {
-            const documents = await this.readAll();
-            const index = documents.findIndex(doc => doc.id === id);
-
-            if (index === -1) {
-                return false;
-            }
+            const [documents] = await this.runOperations([{ op: 'updateMany', filter, updates }]);
+            return documents;
+        } catch (error) {
+            logger.error('Erro ao atualizar documentos', { collection: this.collectionName, error });
+            throw error;
+        }
+    }
 
-            documents.splice(index, 1);
-            await this.writeAll(documents);
-            await this.removeFromIndex(id);
+    // Remover todos os documentos que casam com o filtro; devolve a quantidade
+    async deleteMany(filter) {
+        try {
+            const [deletedCount] = await this.runOperations([{ op: 'deleteMany', filter }]);
+            return deletedCount;
+        } catch (error) {
+            logger.error('Erro ao remover documentos', { collection: this.collectionName, error });
+            throw error;
+        }
+    }
 
-            return true;
+    // Aplica várias operações como uma única escrita "tudo ou nada": se qualquer
+    // uma falhar (versão divergente, valor único repetido...), nada é gravado.
+    // Operações: { op: 'create', data }, { op: 'update', id, updates, expectedVersion },
+    // { op: 'delete', id, expectedVersion }, { op: 'updateMany', filter, updates },
+    // { op: 'deleteMany', filter }. Devolve o resultado de cada operação, na ordem.
+    async batch(operations) {
+        try {
+            return await this.runOperations(operations);
         } catch (error) {
-            console.error('Erro ao deletar documento:', error);
+            logger.error('Erro ao executar lote', { collection: this.collectionName, error });
             throw error;
         }
     }
@@ -171,10 +236,10 @@ class JsonDatabase {
     // Busca de texto
     async search(query, fields = []) {
         try {
-            const documents = await this.readAll();
+            const documents = await this.readCollection();
             const searchTerm = query.toLowerCase();
 
-            return documents.filter(doc => {
+            return this.detach(documents.filter(doc => {
                 // Se campos específicos foram fornecidos, buscar apenas neles
                 if (fields.length > 0) {
                     return fields.some(field => {
@@ -185,80 +250,539 @@ class JsonDatabase {
 
                 // Buscar em todos os campos de string do documento
                 return this.searchInObject(doc, searchTerm);
-            });
+            }));
         } catch (error) {
-            console.error('Erro na busca:', error);
+            logger.error('Erro na busca', { collection: this.collectionName, error });
             throw error;
         }
     }
 
+    // Registrar o schema da coleção. Escritas que o violem falham com
+    // EVALIDATION e a lista de erros por campo em error.errors
+    setSchema(schema) {
+        this.schema = { ...schema, fields: { ...SYSTEM_FIELDS, ...schema.fields } };
+    }
+
+    assertValid(document) {
+        if (!this.schema) return;
+
+        const errors = validateDocument(this.schema, document);
+        if (errors.length > 0) {
+            throw createValidationError(this.collectionName, errors);
+        }
+    }
+
     // Métodos auxiliares
+
+    async runOperations(operations) {
+        return this.withWriteLock(async () => {
+            // changes: id -> documento final (ou null se removido), repassado ao backend
+            const context = { documents: await this.readAll(), changes: new Map() };
+            const results = [];
+
+            for (const operation of operations) {
+                results.push(await this.applyOperation(context, operation));
+            }
+
+            if (context.changes.size > 0) {
+                const changes = [...context.changes].map(([id, document]) =>
+                    document ? { type: 'put', document } : { type: 'delete', id }
+                );
+                await this.commit(context.documents, this.buildIndex(context.documents), changes);
+            }
+            return this.detach(results);
+        });
+    }
+
+    // Aplica uma operação sobre a cópia em memória da coleção
+    async applyOperation(context, operation) {
+        const { documents, changes } = context;
+
+        switch (operation.op) {
+            case 'create': {
+                const document = this.buildDocument(operation.data);
+                this.assertValid(document);
+                documents.push(document);
+                changes.set(document.id, document);
+                return document;
+            }
+            case 'update': {
+                const index = documents.findIndex(doc => doc.id === operation.id);
+                if (index === -1) return null;
+
+                this.assertVersion(documents[index], operation.expectedVersion);
+                documents[index] = await this.applyUpdates(documents[index], operation.updates);
+                this.assertValid(documents[index]);
+                changes.set(operation.id, documents[index]);
+                return documents[index];
+            }
+            case 'delete': {
+                const index = documents.findIndex(doc => doc.id === operation.id);
+                if (index === -1) return false;
+
+                this.assertVersion(documents[index], operation.expectedVersion);
+                documents.splice(index, 1);
+                changes.set(operation.id, null);
+                return true;
+            }
+            case 'updateMany': {
+                const updated = [];
+                for (let index = 0; index < documents.length; index++) {
+                    if (this.matchesFilter(documents[index], operation.filter || {})) {
+                        documents[index] = await this.applyUpdates(documents[index], operation.updates);
+                        this.assertValid(documents[index]);
+                        changes.set(documents[index].id, documents[index]);
+                        updated.push(documents[index]);
+                    }
+                }
+                return updated;
+            }
+            case 'deleteMany': {
+                const remaining = [];
+                let deletedCount = 0;
+                documents.forEach(doc => {
+                    if (this.matchesFilter(doc, operation.filter || {})) {
+                        changes.set(doc.id, null);
+                        deletedCount++;
+                    } else {
+                        remaining.push(doc);
+                    }
+                });
+                documents.splice(0, documents.length, ...remaining);
+                return deletedCount;
+            }
+            default:
+                throw new Error(`Operação de lote desconhecida: ${operation.op}`);
+        }
+    }
+
+    buildDocument(data) {
+        const values = this.schema ? applyDefaults(this.schema, data) : data;
+        return {
+            id: values.id || uuidv4(),
+            ...values,
+            createdAt: values.createdAt || new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            version: 1
+        };
+    }
+
+    // Campos com valor undefined são ignorados (não informados), de modo que
+    // { name, description } com apenas name preenchido não apaga description
+    async applyUpdates(current, updates) {
+        const changes = typeof updates === 'function'
+            ? await updates(current)
+            : updates;
+        const defined = Object.fromEntries(
+            Object.entries(changes || {}).filter(([, value]) => value !== undefined)
+        );
+
+        return {
+            ...current,
+            ...defined,
+            id: current.id, // Preservar ID
+            createdAt: current.createdAt, // Preservar data de criação
+            updatedAt: new Date().toISOString(),
+            version: this.getVersion(current) + 1
+        };
+    }
+
+    // Documentos gravados antes do controle de versão são tratados como versão 0
+    getVersion(document) {
+        return Number.isInteger(document.version) ? document.version : 0;
+    }
+
+    // expectedVersion pode ser um número ou uma lista de versões aceitas;
+    // undefined desativa a verificação
+    assertVersion(document, expectedVersion) {
+        if (expectedVersion === undefined) return;
+
+        const currentVersion = this.getVersion(document);
+        if (![].concat(expectedVersion).includes(currentVersion)) {
+            const error = new Error(`Documento ${document.id} de ${this.collectionName} está na versão ${currentVersion}, esperada ${expectedVersion}`);
+            error.code = 'EVERSIONCONFLICT';
+            error.currentVersion = currentVersion;
+            error.expectedVersion = expectedVersion;
+            throw error;
+        }
+    }
+
+    // Executa uma operação de leitura-modificação-escrita com exclusividade
+    // sobre a coleção. Operações concorrentes ficam enfileiradas no processo
+    // e o backend garante a exclusividade entre processos.
+    async withWriteLock(task) {
+        await this.ready;
+        return enqueueWrite(this.backend.lockKey, () => this.backend.lock(task));
+    }
+
+    // Devolve uma cópia da coleção que o chamador pode alterar livremente
     async readAll() {
-        try {
-            return await fs.readJson(this.filePath);
-        } catch (error) {
-            return [];
+        await this.ready;
+        if (this.cacheEnabled) {
+            return this.detach(await this.readCollection());
         }
+        return this.readDocuments();
     }
 
-    async writeAll(documents) {
-        await fs.writeJson(this.filePath, documents, { spaces: 2 });
+    // Devolve a coleção sem copiar; no modo cache é o próprio array em memória
+    async readCollection() {
+        if (this.cacheEnabled) {
+            const { documents } = await this.readSnapshot();
+            return documents;
+        }
+        return this.readAll();
     }
 
-    async updateIndex(document) {
-        try {
-            const index = await fs.readJson(this.indexPath);
-            index[document.id] = {
-                id: document.id,
-                updatedAt: document.updatedAt
-            };
-            await fs.writeJson(this.indexPath, index, { spaces: 2 });
-        } catch (error) {
-            console.error('Erro ao atualizar índice:', error);
+    // Arquivo ilegível falha com EDBCORRUPT em vez de devolver [], o que
+    // faria a próxima escrita apagar a coleção inteira
+    async readDocuments() {
+        const end = operationDuration.startTimer({ collection: this.collectionName, operation: 'read' });
+        const documents = await this.backend.read();
+        end();
+        collectionSize.set({ collection: this.collectionName }, documents.length);
+        return documents;
+    }
+
+    // `changes` (opcional) lista os documentos gravados/removidos; sem ela o
+    // backend trata a escrita como substituição da coleção inteira
+    async writeAll(documents, changes = null) {
+        await this.backend.write(documents, changes);
+    }
+
+    // Persiste coleção e índice; no modo cache, passa a servir a nova versão.
+    // Em backends append-only o índice fica para a compactação: regravá-lo aqui
+    // custaria a coleção inteira a cada escrita.
+    async commit(documents, index, changes = null) {
+        const end = operationDuration.startTimer({ collection: this.collectionName, operation: 'write' });
+        await this.writeAll(documents, changes);
+        if (!this.backend.appendOnly) {
+            await this.writeIndex(index);
         }
+        end();
+        collectionSize.set({ collection: this.collectionName }, documents.length);
+
+        if (this.cacheEnabled) {
+            const version = await this.backend.version().catch(() => null);
+            this.cache = version ? { documents, index, version } : null;
+        }
+    }
+
+    // Metadados da coleção (ex.: versão do schema registrada pelas migrações)
+    async readMeta() {
+        return this.backend.readMeta();
+    }
+
+    async writeMeta(meta) {
+        await this.backend.writeMeta(meta);
+    }
+
+    detach(value) {
+        return this.cacheEnabled && value !== undefined ? cloneDocuments(value) : value;
+    }
+
+    getCacheStats() {
+        const { hits, misses, reloads } = this.cacheStats;
+        const total = hits + misses;
+        return {
+            collection: this.collectionName,
+            enabled: this.cacheEnabled,
+            hits,
+            misses,
+            reloads,
+            hitRate: total > 0 ? parseFloat((hits / total).toFixed(3)) : 0,
+            documents: this.cache ? this.cache.documents.length : null
+        };
+    }
+
+    // --- Índices secundários ---
+
+    // Filtra documentos usando um índice quando algum campo indexado do
+    // filtro permite restringir os candidatos; caso contrário, varre tudo.
+    async query(filter = {}) {
+        if (Object.keys(filter).length === 0) {
+            return this.readAll();
+        }
+        return this.detach(await this.matchDocuments(filter));
+    }
+
+    async matchDocuments(filter = {}) {
+        if (Object.keys(filter).length === 0) {
+            return this.readCollection();
+        }
+
+        const { documents, index } = await this.readSnapshot();
+        const positions = this.candidatePositions(index, filter);
+        const candidates = positions ? positions.map(position => documents[position]) : documents;
+
+        return candidates.filter(doc => this.matchesFilter(doc, filter));
+    }
+
+    candidatePositions(index, filter) {
+        let best = null;
+
+        for (const [field, condition] of Object.entries(filter)) {
+            const fieldIndex = index.fields[field];
+            if (!fieldIndex) continue;
+
+            let keys = null;
+            if (this.isIndexableValue(condition)) {
+                keys = [String(condition)];
+            } else if (condition && this.isIndexableValue(condition.$eq)) {
+                keys = [String(condition.$eq)];
+            } else if (condition && Array.isArray(condition.$in)) {
+                keys = condition.$in.filter(value => this.isIndexableValue(value)).map(String);
+                // null/undefined no $in não estão no índice (índices esparsos)
+                if (keys.length !== condition.$in.length) continue;
+            }
+            if (!keys) continue;
+
+            const ids = new Set();
+            keys.forEach(key => (fieldIndex.values[key] || []).forEach(id => ids.add(id)));
+            if (!best || ids.size < best.size) {
+                best = ids;
+            }
+        }
+
+        if (!best) return null;
+
+        // Manter a ordem original da coleção
+        return [...best]
+            .map(id => index.ids[id])
+            .filter(position => position !== undefined)
+            .sort((a, b) => a - b);
+    }
+
+    isIndexableValue(value) {
+        return ['string', 'number', 'boolean'].includes(typeof value);
+    }
+
+    // Monta o índice a partir dos documentos. Com strict (padrão nas escritas),
+    // valores repetidos em um índice único geram erro EDUPLICATE.
+    buildIndex(documents, { strict = true } = {}) {
+        const index = { version: INDEX_FORMAT_VERSION, ids: {}, fields: {} };
+        this.indexes.forEach(({ field, unique }) => {
+            index.fields[field] = { unique, values: {} };
+        });
+
+        documents.forEach((doc, position) => {
+            index.ids[doc.id] = position;
+
+            this.indexes.forEach(({ field, unique }) => {
+                const value = this.getNestedValue(doc, field);
+                if (!this.isIndexableValue(value)) return;
+
+                const key = String(value);
+                const bucket = index.fields[field].values[key] || (index.fields[field].values[key] = []);
+
+                if (unique && bucket.some(id => this.getNestedValue(documents[index.ids[id]], field) === value)) {
+                    if (strict) {
+                        const error = new Error(`Valor duplicado para o campo único "${field}" em ${this.collectionName}: ${value}`);
+                        error.code = 'EDUPLICATE';
+                        error.field = field;
+                        error.value = value;
+                        throw error;
+                    }
+                    logger.warn('Índice único possui valor repetido', { collection: this.collectionName, field, value });
+                }
+                bucket.push(doc.id);
+            });
+        });
+
+        return index;
+    }
+
+    async readIndexFile() {
+        return this.backend.readIndex().catch(() => null);
+    }
+
+    // O índice só é confiável se foi gerado a partir da versão atual da
+    // coleção (no backend de arquivo: mesmo tamanho e data de modificação)
+    // e cobre exatamente os campos declarados.
+    isIndexValid(index, version) {
+        if (!index || index.version !== INDEX_FORMAT_VERSION || !index.source) return false;
+        if (!this.sameVersion(index.source, version)) return false;
+
+        const declared = this.indexes.map(({ field, unique }) => `${field}:${unique}`).sort();
+        const stored = Object.entries(index.fields || {}).map(([field, def]) => `${field}:${def.unique}`).sort();
+        return declared.join(',') === stored.join(',');
+    }
+
+    // Versões vêm de backend.version(): objetos simples comparados por valor
+    sameVersion(a, b) {
+        return Boolean(a && b) && JSON.stringify(a) === JSON.stringify(b);
     }
 
-    async removeFromIndex(id) {
+    // Lê documentos e índice garantindo que ambos correspondem à mesma versão
+    // da coleção. Se ela mudou no meio da leitura ou o índice está
+    // desatualizado (ex.: edição manual), o índice é reconstruído em memória.
+    // No modo cache, a versão em memória é usada enquanto a coleção não mudar.
+    async readSnapshot() {
+        await this.ready;
+        const before = await this.backend.version().catch(() => null);
+
+        if (this.cacheEnabled) {
+            if (this.cache && this.sameVersion(this.cache.version, before)) {
+                this.cacheStats.hits++;
+                return this.cache;
+            }
+            this.cacheStats.misses++;
+            if (this.cache) {
+                this.cacheStats.reloads++;
+                logger.info('Coleção alterada externamente, recarregando cache', { collection: this.collectionName });
+            }
+        }
+
+        const documents = await this.readDocuments();
+        const index = await this.readIndexFile();
+        const after = await this.backend.version().catch(() => null);
+        const consistent = this.sameVersion(before, after);
+
+        const snapshot = consistent && this.isIndexValid(index, after)
+            ? { documents, index }
+            : { documents, index: this.buildIndex(documents, { strict: false }) };
+
+        if (this.cacheEnabled) {
+            this.cache = consistent ? { ...snapshot, version: after } : null;
+        }
+        return snapshot;
+    }
+
+    async writeIndex(index) {
         try {
-            const index = await fs.readJson(this.indexPath);
-            delete index[id];
-            await fs.writeJson(this.indexPath, index, { spaces: 2 });
+            const source = await this.backend.version();
+            await this.backend.writeIndex({ ...index, source });
         } catch (error) {
-            console.error('Erro ao remover do índice:', error);
+            logger.error('Erro ao atualizar índice', { collection: this.collectionName, error });
         }
     }
 
+    // --- Filtros ---
+    // Sintaxe inspirada no MongoDB. Todas as condições de um filtro (e todos
+    // os operadores de um mesmo campo) precisam ser satisfeitas.
+    //   Lógicos:     $or, $and, $nor (nível do filtro), $not (nível do campo)
+    //   Comparação:  $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin
+    //   Elemento:    $exists, $regex (+ $options)
+    //   Arrays:      $elemMatch
     matchesFilter(document, filter) {
-        return Object.entries(filter).every(([key, value]) => {
-            const docValue = this.getNestedValue(document, key);
+        return Object.entries(filter).every(([key, condition]) => {
+            switch (key) {
+                case '$or':
+                    return this.asFilterList(key, condition).some(sub => this.matchesFilter(document, sub));
+                case '$and':
+                    return this.asFilterList(key, condition).every(sub => this.matchesFilter(document, sub));
+                case '$nor':
+                    return !this.asFilterList(key, condition).some(sub => this.matchesFilter(document, sub));
+                default:
+                    if (key.startsWith('$')) {
+                        throw new Error(`Operador de filtro desconhecido: ${key}`);
+                    }
+                    return this.matchesCondition(this.getNestedValue(document, key), condition);
+            }
+        });
+    }
+
+    asFilterList(operator, value) {
+        if (!Array.isArray(value) || value.length === 0) {
+            throw new Error(`${operator} exige um array não vazio de filtros`);
+        }
+        return value;
+    }
+
+    // Um objeto cujas chaves são todas operadores ($gt, $in, ...) é tratado
+    // como expressão; qualquer outro valor é comparado por igualdade.
+    isOperatorObject(value) {
+        if (typeof value !== 'object' || value === null || Array.isArray(value) || value instanceof RegExp) {
+            return false;
+        }
+        const keys = Object.keys(value);
+        return keys.length > 0 && keys.every(key => key.startsWith('$'));
+    }
 
-            if (typeof value === 'object' && value !== null) {
-                // Operadores especiais
-                if (value.$regex) {
-                    const regex = new RegExp(value.$regex, value.$options || 'i');
+    matchesCondition(docValue, condition) {
+        if (condition instanceof RegExp) {
+            return typeof docValue === 'string' && condition.test(docValue);
+        }
+        if (!this.isOperatorObject(condition)) {
+            return this.valuesEqual(docValue, condition);
+        }
+
+        return Object.entries(condition).every(([operator, operand]) => {
+            switch (operator) {
+                case '$eq':
+                    return this.valuesEqual(docValue, operand);
+                case '$ne':
+                    return !this.valuesEqual(docValue, operand);
+                case '$gt':
+                    return this.compareValues(docValue, operand, result => result > 0);
+                case '$gte':
+                    return this.compareValues(docValue, operand, result => result >= 0);
+                case '$lt':
+                    return this.compareValues(docValue, operand, result => result < 0);
+                case '$lte':
+                    return this.compareValues(docValue, operand, result => result <= 0);
+                case '$in':
+                    return this.asValueList(operator, operand).some(value => this.valuesEqual(docValue, value));
+                case '$nin':
+                    return !this.asValueList(operator, operand).some(value => this.valuesEqual(docValue, value));
+                case '$exists':
+                    return (docValue !== undefined) === Boolean(operand);
+                case '$regex': {
+                    if (typeof docValue !== 'string') return false;
+                    const regex = operand instanceof RegExp
+                        ? operand
+                        : new RegExp(operand, condition.$options !== undefined ? condition.$options : 'i');
                     return regex.test(docValue);
                 }
-                if (value.$in) {
-                    return value.$in.includes(docValue);
-                }
-                if (value.$gt) {
-                    return docValue > value.$gt;
-                }
-                if (value.$lt) {
-                    return docValue < value.$lt;
-                }
-                if (value.$gte) {
-                    return docValue >= value.$gte;
-                }
-                if (value.$lte) {
-                    return docValue <= value.$lte;
-                }
+                case '$options':
+                    // Consumido junto com $regex
+                    return true;
+                case '$not':
+                    return !this.matchesCondition(docValue, operand);
+                case '$elemMatch':
+                    return Array.isArray(docValue) && docValue.some(element =>
+                        this.isOperatorObject(operand)
+                            ? this.matchesCondition(element, operand)
+                            : typeof element === 'object' && element !== null && this.matchesFilter(element, operand)
+                    );
+                default:
+                    throw new Error(`Operador de filtro desconhecido: ${operator}`);
             }
-
-            return docValue === value;
         });
     }
 
+    asValueList(operator, value) {
+        if (!Array.isArray(value)) {
+            throw new Error(`${operator} exige um array de valores`);
+        }
+        return value;
+    }
+
+    // Comparações só fazem sentido entre valores do mesmo tipo; null,
+    // undefined ou tipos diferentes nunca satisfazem $gt/$gte/$lt/$lte.
+    compareValues(docValue, operand, predicate) {
+        if (docValue === null || docValue === undefined || operand === null || operand === undefined) {
+            return false;
+        }
+        if (typeof docValue !== typeof operand) {
+            return false;
+        }
+        if (docValue < operand) return predicate(-1);
+        if (docValue > operand) return predicate(1);
+        return docValue === operand ? predicate(0) : false;
+    }
+
+    valuesEqual(a, b) {
+        if (a === b) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+            return false;
+        }
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+        return keysA.length === keysB.length && keysA.every(key => this.valuesEqual(a[key], b[key]));
+    }
+
     getNestedValue(obj, path) {
         return path.split('.').reduce((current, key) => {
             return current && current[key] !== undefined ? current[key] : undefined;
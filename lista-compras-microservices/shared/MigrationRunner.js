@@ -0,0 +1,176 @@
+// shared/MigrationRunner.js
+const fs = require('fs-extra');
+const path = require('path');
+
+const { createLogger } = require('./logger');
+
+const logger = createLogger('migrations');
+
+// Executa migrações versionadas sobre uma coleção do JsonDatabase.
+//
+// Cada migração é um módulo com:
+//   module.exports = {
+//       version: 2,                       // inteiro, único e crescente
+//       description: 'Adiciona ...',
+//       up(documents) { return documents.map(...); },
+//       down(documents) { return ...; }   // opcional; sem ele não há rollback
+//   };
+//
+// A versão atual fica em <coleção>_meta.json. Todas as etapas de uma execução
+// são aplicadas em memória e gravadas de uma vez; se qualquer uma falhar, nada
+// é escrito. Como dados e metadados ficam em arquivos separados, prefira
+// migrações idempotentes (uma queda entre as duas escritas repete a migração).
+class MigrationRunner {
+    constructor(db, migrations = []) {
+        this.db = db;
+        this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+
+        this.migrations.forEach((migration, index) => {
+            if (!Number.isInteger(migration.version) || migration.version < 1) {
+                throw new Error(`Migração de ${db.collectionName} com versão inválida: ${migration.version}`);
+            }
+            if (typeof migration.up !== 'function') {
+                throw new Error(`Migração ${migration.version} de ${db.collectionName} não define up()`);
+            }
+            if (index > 0 && this.migrations[index - 1].version === migration.version) {
+                throw new Error(`Versão de migração duplicada em ${db.collectionName}: ${migration.version}`);
+            }
+        });
+    }
+
+    // Carrega os arquivos .js de um diretório (ex.: migrations/lists/001-....js)
+    static fromDirectory(db, directory) {
+        if (!fs.existsSync(directory)) {
+            return new MigrationRunner(db, []);
+        }
+
+        const migrations = fs.readdirSync(directory)
+            .filter(file => file.endsWith('.js'))
+            .sort()
+            .map(file => require(path.join(directory, file)));
+
+        return new MigrationRunner(db, migrations);
+    }
+
+    getLatestVersion() {
+        return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+    }
+
+    async getCurrentVersion() {
+        const meta = await this.db.readMeta();
+        return meta.schemaVersion || 0;
+    }
+
+    async status() {
+        const currentVersion = await this.getCurrentVersion();
+        return {
+            collection: this.db.collectionName,
+            currentVersion,
+            latestVersion: this.getLatestVersion(),
+            pending: this.migrations
+                .filter(migration => migration.version > currentVersion)
+                .map(({ version, description }) => ({ version, description }))
+        };
+    }
+
+    // Aplica as migrações pendentes até `to` (padrão: a mais recente)
+    async migrate({ to = this.getLatestVersion(), dryRun = false } = {}) {
+        return this.run('up', to, dryRun);
+    }
+
+    // Desfaz migrações até `to` (padrão: a versão anterior à atual)
+    async rollback({ to, dryRun = false } = {}) {
+        return this.run('down', to, dryRun);
+    }
+
+    async run(direction, requestedTarget, dryRun) {
+        return this.db.withWriteLock(async () => {
+            const meta = await this.db.readMeta();
+            const from = meta.schemaVersion || 0;
+            const { steps, to } = this.planSteps(direction, from, requestedTarget);
+
+            const result = { collection: this.db.collectionName, direction, from, to, dryRun, steps: [] };
+            if (steps.length === 0) {
+                return result;
+            }
+
+            let documents = await this.db.readAll();
+            for (const migration of steps) {
+                const before = new Map(documents.map(doc => [doc.id, JSON.stringify(doc)]));
+                const migrated = await migration[direction](documents);
+                if (!Array.isArray(migrated)) {
+                    throw new Error(`Migração ${migration.version} (${direction}) de ${this.db.collectionName} não devolveu um array de documentos`);
+                }
+
+                const remaining = new Set(migrated.map(doc => doc.id));
+                const changed = migrated.filter(doc => before.get(doc.id) !== JSON.stringify(doc)).length;
+                const removed = [...before.keys()].filter(id => !remaining.has(id)).length;
+                result.steps.push({ version: migration.version, description: migration.description, changed, removed });
+                documents = migrated;
+            }
+
+            // O schema registrado descreve a versão mais recente dos documentos
+            if (direction === 'up' && to === this.getLatestVersion()) {
+                documents.forEach(doc => this.db.assertValid(doc));
+            }
+
+            if (!dryRun) {
+                await this.db.commit(documents, this.db.buildIndex(documents));
+                const appliedAt = new Date().toISOString();
+                await this.db.writeMeta({
+                    ...meta,
+                    schemaVersion: to,
+                    history: [
+                        ...(meta.history || []),
+                        ...result.steps.map(({ version, description }) => ({ version, description, direction, appliedAt }))
+                    ]
+                });
+                result.steps.forEach(step => {
+                    const action = direction === 'up' ? 'aplicada' : 'revertida';
+                    logger.info(`Migração ${action}`, {
+                        collection: this.db.collectionName,
+                        version: step.version,
+                        description: step.description,
+                        changed: step.changed,
+                        removed: step.removed
+                    });
+                });
+            }
+
+            return result;
+        });
+    }
+
+    planSteps(direction, from, target) {
+        if (direction === 'up') {
+            if (target < from) {
+                throw new Error(`Versão alvo ${target} é anterior à atual (${from}) de ${this.db.collectionName}; use rollback`);
+            }
+            const steps = this.migrations.filter(migration => migration.version > from && migration.version <= target);
+            return { steps, to: steps.length > 0 ? steps[steps.length - 1].version : from };
+        }
+
+        const to = target === undefined ? this.versionBefore(from) : target;
+        if (to > from) {
+            throw new Error(`Versão alvo ${to} é posterior à atual (${from}) de ${this.db.collectionName}; use migrate`);
+        }
+
+        const steps = this.migrations
+            .filter(migration => migration.version <= from && migration.version > to)
+            .reverse();
+        const irreversible = steps.find(migration => typeof migration.down !== 'function');
+        if (irreversible) {
+            throw new Error(`Migração ${irreversible.version} de ${this.db.collectionName} não suporta rollback`);
+        }
+        // Após reverter, a coleção fica na versão anterior à última migração desfeita
+        return { steps, to: steps.length > 0 ? this.versionBefore(steps[steps.length - 1].version) : from };
+    }
+
+    // Versão da migração imediatamente anterior (0 se não houver)
+    versionBefore(version) {
+        const previous = this.migrations.filter(migration => migration.version < version);
+        return previous.length > 0 ? previous[previous.length - 1].version : 0;
+    }
+}
+
+module.exports = MigrationRunner;
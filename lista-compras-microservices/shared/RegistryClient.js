@@ -0,0 +1,275 @@
+// shared/RegistryClient.js
+// Cliente do servidor de registro (service-registry/). Mantém a mesma API do
+// registro em arquivo (register, discover, listServices, withFailover...), mas
+// as operações são assíncronas. A descoberta usa uma cópia local do registro,
+// renovada a cada cacheTtl ms ou assim que o servidor avisa uma mudança (watch).
+// Se o servidor cair, a descoberta continua com a última cópia conhecida.
+const os = require('os');
+const axios = require('axios');
+
+const { ServiceRegistry } = require('./registryCore');
+const { createLogger } = require('./logger');
+const { REGISTRY_TOKEN_HEADER, registryToken } = require('./internalAuth');
+
+const logger = createLogger('registry');
+
+// Campos de data das instâncias (ms no relógio do servidor)
+const TIMESTAMP_FIELDS = ['registeredAt', 'lastHealthCheck', 'leaseExpiresAt', 'lastFailureAt'];
+
+class HttpServiceRegistry extends ServiceRegistry {
+    constructor(baseUrl, options = {}) {
+        super(options);
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.cacheTtl = options.cacheTtl ?? Number(process.env.REGISTRY_CACHE_TTL_MS || 5000);
+        this.watchWait = options.watchWait || 25;
+        this.registerRetries = options.registerRetries ?? 15;
+        this.http = axios.create({
+            baseURL: this.baseUrl,
+            timeout: options.timeout || 3000,
+            family: 4,
+            // Exigido pelo servidor nas escritas (registro, heartbeat, saúde...)
+            headers: { [REGISTRY_TOKEN_HEADER]: options.token || registryToken() }
+        });
+        // Cópia local: { services, index, fetchedAt }
+        this.cache = null;
+        this.refreshing = null;
+        this.watcher = null;
+        logger.debug('HTTP Service Registry inicializado', { registryUrl: this.baseUrl });
+    }
+
+    readRegistry() {
+        return this.cache ? this.cache.services : {};
+    }
+
+    writeRegistry() {
+        throw new Error('O registro remoto só é alterado pelos endpoints do servidor');
+    }
+
+    // Guarda um snapshot do servidor. As datas são trazidas para o relógio
+    // local, para que o vencimento dos leases seja avaliado corretamente.
+    applySnapshot({ index, now, services }) {
+        const skew = Date.now() - now;
+        Object.values(services).forEach(service => {
+            Object.values(service.instances).forEach(instance => {
+                TIMESTAMP_FIELDS.forEach(field => {
+                    if (instance[field]) instance[field] += skew;
+                });
+            });
+        });
+        this.cache = { services, index, fetchedAt: Date.now() };
+        return services;
+    }
+
+    // Atualiza a cópia local se ela tiver mais de cacheTtl ms (ou sempre, com force)
+    async refresh(force = false) {
+        if (!force && this.cache && Date.now() - this.cache.fetchedAt < this.cacheTtl) {
+            return this.cache.services;
+        }
+        // Requisições simultâneas compartilham a mesma consulta
+        if (!this.refreshing) {
+            this.refreshing = this.http.get('/registry')
+                .then(response => this.applySnapshot(response.data))
+                .finally(() => { this.refreshing = null; });
+        }
+
+        try {
+            return await this.refreshing;
+        } catch (error) {
+            if (!this.cache) {
+                throw new Error(`Registry indisponível em ${this.baseUrl}: ${error.message}`);
+            }
+            logger.warn('Registry indisponível, usando a cópia local', { registryUrl: this.baseUrl, error });
+            this.cache.stale = true;
+            return this.cache.services;
+        }
+    }
+
+    // Com o servidor fora do ar ninguém consegue renovar leases; na cópia
+    // local vale a disponibilidade do momento da última consulta bem-sucedida
+    isAvailable(instance, now = Date.now()) {
+        if (this.cache && this.cache.stale) {
+            now = Math.min(now, this.cache.fetchedAt);
+        }
+        return super.isAvailable(instance, now);
+    }
+
+    invalidate() {
+        if (this.cache) this.cache.fetchedAt = 0;
+    }
+
+    instancePath(serviceName, instanceId) {
+        return `/services/${encodeURIComponent(serviceName)}/instances/${encodeURIComponent(instanceId)}`;
+    }
+
+    // Os serviços podem subir antes do servidor de registro (ex.: npm start na
+    // raiz): sem conexão, tenta de novo a cada segundo por até registerRetries vezes
+    async register(serviceName, serviceInfo) {
+        const body = { ...serviceInfo, pid: process.pid, host: os.hostname() };
+        let response;
+        for (let attempt = 0; ; attempt++) {
+            try {
+                response = await this.http.post(`/services/${encodeURIComponent(serviceName)}/instances`, body);
+                break;
+            } catch (error) {
+                if (error.response || attempt >= this.registerRetries) throw error;
+                logger.warn('Registry indisponível, nova tentativa em 1s', { registryUrl: this.baseUrl, error });
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+        }
+        const { id } = response.data;
+        this.trackLocalInstance(serviceName, id, serviceInfo);
+        this.invalidate();
+        logger.info('Serviço registrado', { serviceName, instanceId: id, url: serviceInfo.url, registryUrl: this.baseUrl });
+        return id;
+    }
+
+    async heartbeat(serviceName, instanceId) {
+        try {
+            await this.http.put(`${this.instancePath(serviceName, instanceId)}/heartbeat`);
+            return true;
+        } catch (error) {
+            // 404: o servidor não conhece a instância (lease removido ou servidor reiniciado)
+            if (error.response && error.response.status === 404) return false;
+            throw error;
+        }
+    }
+
+    async unregister(serviceName, instanceId) {
+        const url = instanceId === undefined
+            ? `/services/${encodeURIComponent(serviceName)}`
+            : this.instancePath(serviceName, instanceId);
+        this.localInstances.forEach((local, id) => {
+            if (local.serviceName === serviceName && (instanceId === undefined || id === instanceId)) {
+                this.stopHeartbeat(id);
+            }
+        });
+
+        try {
+            await this.http.delete(url);
+            this.invalidate();
+            logger.info('Serviço removido', { serviceName, instanceId });
+            return true;
+        } catch (error) {
+            if (error.response && error.response.status === 404) return false;
+            throw error;
+        }
+    }
+
+    async discover(serviceName, options = {}) {
+        await this.refresh();
+        return super.discover(serviceName, options);
+    }
+
+    async listServices() {
+        await this.refresh();
+        return super.listServices();
+    }
+
+    async hasService(serviceName) {
+        await this.refresh();
+        return super.hasService(serviceName);
+    }
+
+    async getStats() {
+        await this.refresh();
+        return super.getStats();
+    }
+
+    async updateHealth(serviceName, healthy, instanceId, status) {
+        const ids = instanceId
+            ? [instanceId]
+            : [...this.localInstances].filter(([, local]) => local.serviceName === serviceName).map(([id]) => id);
+
+        for (const id of ids) {
+            try {
+                await this.http.put(`${this.instancePath(serviceName, id)}/health`, { healthy, status });
+            } catch (error) {
+                logger.error('Erro ao enviar health check', { serviceName, instanceId: id, error });
+            }
+        }
+        this.invalidate();
+        logger.debug('Health check', { serviceName, instanceId, status: healthy ? 'OK' : 'FAIL', healthStatus: status });
+    }
+
+    // A falha vale na hora para a cópia local e é repassada ao servidor sem
+    // bloquear a requisição em andamento se ele estiver fora do ar
+    async reportFailure(serviceName, instanceId) {
+        const services = this.readRegistry();
+        const instance = services[serviceName] && services[serviceName].instances[instanceId];
+        if (instance) {
+            instance.failures = (instance.failures || 0) + 1;
+            instance.lastFailureAt = Date.now();
+        }
+
+        try {
+            await this.http.post(`${this.instancePath(serviceName, instanceId)}/failures`);
+        } catch (error) {
+            logger.error('Erro ao relatar falha', { serviceName, instanceId, error });
+        }
+    }
+
+    // Quem remove leases vencidos é o servidor; aqui só se busca o estado atual
+    async evictExpired() {
+        return this.refresh(true);
+    }
+
+    removeDeadProcesses() {}
+
+    // Long polling em /watch: o servidor segura a requisição até o registro
+    // mudar (ou watchWait segundos) e a cópia local é atualizada na hora
+    startWatching() {
+        if (this.watcher) return;
+        const controller = new AbortController();
+        this.watcher = controller;
+
+        const loop = async () => {
+            while (!controller.signal.aborted) {
+                try {
+                    const index = this.cache ? this.cache.index : 0;
+                    const response = await this.http.get('/watch', {
+                        params: { index, wait: this.watchWait },
+                        timeout: (this.watchWait + 5) * 1000,
+                        signal: controller.signal
+                    });
+                    if (!this.cache || response.data.index !== this.cache.index) {
+                        this.applySnapshot(response.data);
+                    }
+                } catch (error) {
+                    if (controller.signal.aborted) break;
+                    await new Promise(resolve => setTimeout(resolve, 1000).unref());
+                }
+            }
+        };
+        loop();
+    }
+
+    stopWatching() {
+        if (this.watcher) {
+            this.watcher.abort();
+            this.watcher = null;
+        }
+    }
+
+    clear() {
+        throw new Error('clear() não é suportado no registro remoto');
+    }
+
+    // Cleanup na saída do processo: remove do servidor as instâncias deste processo
+    async cleanup() {
+        this.stopWatching();
+        const locals = [...this.localInstances];
+        this.localInstances.forEach((local, id) => this.stopHeartbeat(id));
+        this.localInstances.clear();
+
+        await Promise.all(locals.map(async ([id, local]) => {
+            try {
+                await this.http.delete(this.instancePath(local.serviceName, id), { timeout: 1000 });
+                logger.info('Instância deste processo removida do registry', { serviceName: local.serviceName, instanceId: id, pid: process.pid });
+            } catch (error) {
+                logger.error('Erro ao remover instância do registry', { serviceName: local.serviceName, instanceId: id, error });
+            }
+        }));
+    }
+}
+
+module.exports = HttpServiceRegistry;
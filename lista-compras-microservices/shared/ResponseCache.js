@@ -0,0 +1,181 @@
+// shared/ResponseCache.js
+// Cache de respostas GET do Gateway para rotas públicas.
+//
+// Cada rota tem TTL e tags próprios (ex.: { path: '/api/items/:id', ttlSeconds: 300,
+// tags: ['items', 'item:{id}'] }). As respostas 200 guardadas recebem ETag (a do
+// serviço, se houver, ou um hash do corpo), Last-Modified e Cache-Control, e
+// requisições condicionais (If-None-Match / If-Modified-Since) recebem 304.
+//
+// Invalidação: o serviço informa, na resposta de uma escrita, as tags afetadas
+// no cabeçalho X-Cache-Invalidate (ex.: "items, item:42"); o Gateway descarta
+// as entradas com essas tags antes de repassar a resposta.
+const crypto = require('crypto');
+
+const CACHE_INVALIDATE_HEADER = 'X-Cache-Invalidate';
+
+// '/api/items/:id' -> /^\/api\/items\/([^/]+)$/ com os nomes dos parâmetros
+function compileRoute(route) {
+    const names = [];
+    const pattern = route.path.split('/').map(segment => {
+        if (!segment.startsWith(':')) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        names.push(segment.slice(1));
+        return '([^/]+)';
+    }).join('/');
+    return { ...route, regex: new RegExp(`^${pattern}/?$`), names };
+}
+
+function contentETag(body) {
+    return `W/"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+}
+
+// Compara ETags como em If-None-Match (comparação fraca)
+function etagMatches(header, etag) {
+    if (header.trim() === '*') return true;
+    const strip = tag => tag.trim().replace(/^W\//, '');
+    return header.split(',').some(tag => strip(tag) === strip(etag));
+}
+
+class ResponseCache {
+    constructor(options = {}) {
+        this.routes = (options.routes || []).map(compileRoute);
+        this.maxEntries = options.maxEntries || 500;
+        this.clock = options.clock || Date.now;
+        this.entries = new Map();
+        // Muda a cada invalidação: uma resposta buscada antes dela não é guardada
+        this.generation = 0;
+        this.stats = { hits: 0, misses: 0, notModified: 0, invalidations: 0 };
+    }
+
+    // Rota configurada para a requisição, com as tags já preenchidas
+    match(path) {
+        for (const route of this.routes) {
+            const found = route.regex.exec(path);
+            if (!found) continue;
+            const params = Object.fromEntries(route.names.map((name, i) => [name, decodeURIComponent(found[i + 1])]));
+            const tags = (route.tags || []).map(tag => tag.replace(/\{(\w+)\}/g, (_, name) => params[name]));
+            return { path: route.path, ttlMs: route.ttlSeconds * 1000, tags };
+        }
+        return null;
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= this.clock()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    set(key, entry) {
+        this.entries.delete(key);
+        if (this.entries.size >= this.maxEntries) {
+            // Map mantém a ordem de inserção: remove a entrada mais antiga
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        this.entries.set(key, entry);
+    }
+
+    // Remove as entradas com alguma das tags; devolve quantas foram removidas
+    invalidate(tags) {
+        let removed = 0;
+        this.generation++;
+        this.entries.forEach((entry, key) => {
+            if (entry.tags.some(tag => tags.includes(tag))) {
+                this.entries.delete(key);
+                removed++;
+            }
+        });
+        this.stats.invalidations += removed;
+        return removed;
+    }
+
+    // Lê o cabeçalho X-Cache-Invalidate de uma resposta de serviço
+    invalidateFromHeader(header) {
+        if (!header) return 0;
+        return this.invalidate(String(header).split(',').map(tag => tag.trim()).filter(Boolean));
+    }
+
+    snapshot() {
+        return { entries: this.entries.size, maxEntries: this.maxEntries, ...this.stats };
+    }
+
+    send(req, res, entry, cacheStatus) {
+        const maxAge = Math.max(0, Math.floor((entry.expiresAt - this.clock()) / 1000));
+        res.set('ETag', entry.etag);
+        res.set('Last-Modified', new Date(entry.storedAt).toUTCString());
+        res.set('Cache-Control', `public, max-age=${maxAge}`);
+        res.set('X-Cache', cacheStatus);
+
+        const ifNoneMatch = req.header('If-None-Match');
+        const ifModifiedSince = req.header('If-Modified-Since');
+        // If-None-Match tem precedência sobre If-Modified-Since
+        const notModified = ifNoneMatch
+            ? etagMatches(ifNoneMatch, entry.etag)
+            : Boolean(ifModifiedSince) && Math.floor(entry.storedAt / 1000) * 1000 <= Date.parse(ifModifiedSince);
+        if (notModified) {
+            this.stats.notModified++;
+            return res.status(304).end();
+        }
+        res.status(entry.status).type(entry.contentType).send(entry.body);
+    }
+
+    // Middleware Express: responde do cache ou guarda a resposta 200 da rota.
+    // Respostas enviadas com res.json são guardadas automaticamente; quem
+    // repassa o corpo de outra forma (ex.: o proxy) usa
+    // res.locals.cacheResponse(corpo, contentType), presente só em um miss de GET.
+    middleware() {
+        return (req, res, next) => {
+            if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+            let route;
+            try {
+                route = this.match(req.path);
+            } catch (error) {
+                // Parâmetro com '%' malformado (ex.: /api/items/%E0%A4%A)
+                if (!(error instanceof URIError)) throw error;
+                return res.status(400).json({ success: false, message: 'Caminho com codificação inválida' });
+            }
+            if (!route) return next();
+
+            const key = req.originalUrl;
+            const cached = this.get(key);
+            if (cached) {
+                this.stats.hits++;
+                // Rota nas métricas de requisições (ver shared/metrics.js)
+                res.locals.route = route.path;
+                return this.send(req, res, cached, 'HIT');
+            }
+
+            this.stats.misses++;
+            // Um HEAD não tem corpo para guardar
+            if (req.method === 'HEAD') return next();
+
+            const generation = this.generation;
+            const store = (body, contentType) => {
+                const storedAt = this.clock();
+                const entry = {
+                    status: 200,
+                    contentType,
+                    body,
+                    etag: res.get('ETag') || contentETag(body),
+                    storedAt,
+                    expiresAt: storedAt + route.ttlMs,
+                    tags: route.tags
+                };
+                if (generation === this.generation) this.set(key, entry);
+                return this.send(req, res, entry, 'MISS');
+            };
+
+            const json = res.json.bind(res);
+            res.json = data => {
+                if (res.statusCode !== 200) return json(data);
+                return store(JSON.stringify(data), 'application/json; charset=utf-8');
+            };
+            res.locals.cacheResponse = store;
+            next();
+        };
+    }
+}
+
+module.exports = { ResponseCache, CACHE_INVALIDATE_HEADER };
@@ -0,0 +1,70 @@
+// shared/adminRoutes.js
+// Endpoints administrativos comuns aos serviços.
+//
+// São protegidos pelo cabeçalho X-Admin-Token, comparado com a variável de
+// ambiente ADMIN_TOKEN. Sem ADMIN_TOKEN definido, os endpoints ficam desativados.
+const crypto = require('crypto');
+
+const { createLogger } = require('./logger');
+
+const logger = createLogger('admin');
+
+function requireAdminToken(req, res, next) {
+    const expected = process.env.ADMIN_TOKEN;
+    if (!expected) {
+        return res.status(403).json({ success: false, message: 'Administração desativada: defina ADMIN_TOKEN' });
+    }
+
+    const provided = Buffer.from(req.header('X-Admin-Token') || '');
+    const secret = Buffer.from(expected);
+    if (provided.length !== secret.length || !crypto.timingSafeEqual(provided, secret)) {
+        return res.status(401).json({ success: false, message: 'Token administrativo inválido' });
+    }
+    next();
+}
+
+// GET  /admin/backups          lista os snapshots
+// POST /admin/backups          cria um snapshot agora
+// POST /admin/backups/restore  { collection, snapshotId | timestamp }
+// options.afterRestore(collection): executado após a restauração (ex.: migrações pendentes)
+function registerBackupRoutes(app, backupManager, options = {}) {
+    app.get('/admin/backups', requireAdminToken, async (req, res) => {
+        try {
+            res.json({ success: true, data: await backupManager.listSnapshots() });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro ao listar backups' });
+        }
+    });
+
+    app.post('/admin/backups', requireAdminToken, async (req, res) => {
+        try {
+            const snapshot = await backupManager.createSnapshot({ reason: 'manual' });
+            res.status(201).json({ success: true, data: snapshot });
+        } catch (error) {
+            logger.error('Erro ao criar backup', { error });
+            res.status(500).json({ success: false, message: 'Erro ao criar backup' });
+        }
+    });
+
+    app.post('/admin/backups/restore', requireAdminToken, async (req, res) => {
+        const { collection, snapshotId, timestamp } = req.body || {};
+        if (!collection || (!snapshotId && !timestamp)) {
+            return res.status(400).json({ success: false, message: 'Informe collection e snapshotId ou timestamp' });
+        }
+
+        try {
+            const result = await backupManager.restore({ collection, snapshotId, timestamp });
+            if (options.afterRestore) {
+                await options.afterRestore(collection);
+            }
+            res.json({ success: true, data: result });
+        } catch (error) {
+            if (error.code === 'ENOTFOUND') return res.status(404).json({ success: false, message: error.message });
+            if (error.code === 'EINVALIDTIMESTAMP') return res.status(400).json({ success: false, message: error.message });
+            logger.error('Erro ao restaurar backup', { error });
+            res.status(500).json({ success: false, message: 'Erro ao restaurar backup' });
+        }
+    });
+}
+
+module.exports = { requireAdminToken, registerBackupRoutes };
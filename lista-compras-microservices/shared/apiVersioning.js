@@ -0,0 +1,220 @@
+// shared/apiVersioning.js
+// Versões da API do Gateway (/api/v1/..., /api/v2/...) lado a lado.
+//
+// A versão vem do primeiro segmento depois de /api; sem ele (/api/lists) vale
+// a versão padrão. O middleware tira a versão do caminho (req.url passa a ser
+// /api/lists) e guarda em req.apiVersion, de modo que autenticação, limites,
+// validação e roteamento são os mesmos para todas as versões. req.originalUrl
+// continua com a versão: o cache e os logs separam as respostas de cada uma.
+//
+// Os serviços respondem no formato da versão mais antiga; as versões seguintes
+// declaram transformações por rota (ex.: { 'POST /api/lists/:id/items': fn }),
+// aplicadas pelo Gateway em res.locals.transformResponse(body).
+//
+// Versões obsoletas respondem com os cabeçalhos Deprecation (RFC 9745), Sunset
+// (RFC 8594) e Link rel="successor-version", e o uso delas é registrado por
+// cliente pelo usageTracker(), montado depois da autenticação. Depois da data
+// de Sunset, a versão responde 410.
+const { createLogger } = require('./logger');
+const { metrics } = require('./metrics');
+
+const logger = createLogger('api-versions');
+
+const VERSION_PATTERN = /^\/api\/(v\d+)(?=[/?]|$)/;
+// Clientes distintos guardados por versão obsoleta
+const USAGE_MAX_CLIENTS = 10000;
+// O rótulo vem de um cabeçalho livre: só os primeiros caracteres são guardados
+const LABEL_MAX_LENGTH = 100;
+
+const deprecatedRequests = metrics.counter({
+    name: 'api_deprecated_requests_total',
+    help: 'Requisições recebidas em versões obsoletas da API',
+    labelNames: ['version']
+});
+
+function parseDate(value, field) {
+    if (value === undefined || value === null) return null;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw new Error(`Data inválida em ${field}: ${value}`);
+    return time;
+}
+
+// 'POST /api/lists/:id/items' -> { method, regex, names }
+function compileTransform(key, transform) {
+    const [method, route] = key.split(' ');
+    const names = [];
+    const pattern = route.split('/').map(segment => {
+        if (!segment.startsWith(':')) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        names.push(segment.slice(1));
+        return '([^/]+)';
+    }).join('/');
+    return { method, regex: new RegExp(`^${pattern}/?$`), names, transform };
+}
+
+class ApiVersions {
+    // config: { default: 'v1', unversioned: ['/api/docs'], versions: { v1: { deprecation,
+    // sunset, successor }, v2: {} } }, com as datas em ISO 8601
+    // options.transforms: { v2: { 'METHOD /api/rota/:param': (body, { params }) => body } }
+    // options.clientId(req): quem fez a requisição, para o registro de uso; padrão
+    //   user:<id> do usuário autenticado (req.user) ou ip:<endereço>
+    // options.clientLabel(req): rótulo informativo do cliente; padrão o cabeçalho
+    //   X-Client-Id. Só aparece no relatório: qualquer um pode enviar o cabeçalho,
+    //   então ele não separa nem identifica os clientes
+    constructor(config = {}, options = {}) {
+        this.versions = new Map(Object.entries(config.versions || {}).map(([name, version]) => [name, {
+            deprecation: parseDate(version.deprecation, `${name}.deprecation`),
+            sunset: parseDate(version.sunset, `${name}.sunset`),
+            successor: version.successor || null
+        }]));
+        this.defaultVersion = config.default || this.versions.keys().next().value;
+        if (!this.versions.has(this.defaultVersion)) {
+            throw new Error(`Versão padrão da API não configurada: ${this.defaultVersion}`);
+        }
+        this.versions.forEach((version, name) => {
+            if (version.successor && !this.versions.has(version.successor)) {
+                throw new Error(`Sucessora de ${name} não configurada: ${version.successor}`);
+            }
+        });
+        this.unversioned = config.unversioned || [];
+        this.transforms = new Map(Object.entries(options.transforms || {}).map(([name, routes]) => [
+            name, Object.entries(routes).map(([key, transform]) => compileTransform(key, transform))
+        ]));
+        this.clientId = options.clientId || (req => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`));
+        this.clientLabel = options.clientLabel || (req => req.header('X-Client-Id') || null);
+        this.clock = options.clock || Date.now;
+        this.maxClients = options.maxClients || USAGE_MAX_CLIENTS;
+        // Por versão obsoleta: cliente -> { requests, firstSeenAt, lastSeenAt, lastRequest }
+        this.usage = new Map();
+    }
+
+    status(name, now = this.clock()) {
+        const version = this.versions.get(name);
+        if (version.sunset !== null && now >= version.sunset) return 'sunset';
+        if (version.deprecation !== null && now >= version.deprecation) return 'deprecated';
+        return 'current';
+    }
+
+    transformFor(name, method, path) {
+        for (const route of this.transforms.get(name) || []) {
+            if (route.method !== method) continue;
+            const found = route.regex.exec(path);
+            if (!found) continue;
+            const params = Object.fromEntries(route.names.map((param, i) => [param, decodeURIComponent(found[i + 1])]));
+            return body => route.transform(body, { params });
+        }
+        return null;
+    }
+
+    middleware() {
+        return (req, res, next) => {
+            if (req.path !== '/api' && !req.path.startsWith('/api/')) return next();
+            if (this.unversioned.some(prefix => req.path === prefix || req.path.startsWith(`${prefix}/`))) return next();
+
+            const found = VERSION_PATTERN.exec(req.url);
+            const name = found ? found[1] : this.defaultVersion;
+            if (!this.versions.has(name)) {
+                return res.status(404).json({
+                    success: false,
+                    message: `Versão da API desconhecida: ${name} (disponíveis: ${[...this.versions.keys()].join(', ')})`
+                });
+            }
+            if (found) req.url = `/api${req.url.slice(found[0].length)}`;
+            req.apiVersion = name;
+            res.set('API-Version', name);
+
+            const now = this.clock();
+            const status = this.status(name, now);
+            const version = this.versions.get(name);
+            if (status !== 'current') this.setDeprecationHeaders(req, res, version);
+            if (status === 'sunset') {
+                return res.status(410).json({
+                    success: false,
+                    message: `A versão ${name} da API foi desativada${version.successor ? `; use a ${version.successor}` : ''}`
+                });
+            }
+            let transform;
+            try {
+                transform = this.transformFor(name, req.method, req.path);
+            } catch (error) {
+                // Parâmetro do caminho com escape % malformado (ex.: /lists/%E0)
+                if (!(error instanceof URIError)) throw error;
+                return res.status(400).json({ success: false, message: `Caminho com codificação inválida: ${req.path}` });
+            }
+            if (transform) res.locals.transformResponse = transform;
+            next();
+        };
+    }
+
+    setDeprecationHeaders(req, res, version) {
+        if (version.deprecation !== null) res.set('Deprecation', `@${Math.floor(version.deprecation / 1000)}`);
+        if (version.sunset !== null) res.set('Sunset', new Date(version.sunset).toUTCString());
+        if (version.successor) {
+            // Mesmo recurso na versão sucessora (req.url já está sem a versão)
+            res.append('Link', `</api/${version.successor}${req.path.slice('/api'.length)}>; rel="successor-version"`);
+        }
+    }
+
+    // Registra as requisições às versões obsoletas. Vai depois da autenticação,
+    // para que o cliente seja o usuário já verificado (ou o IP)
+    usageTracker() {
+        return (req, res, next) => {
+            const now = this.clock();
+            if (req.apiVersion && this.status(req.apiVersion, now) === 'deprecated') this.recordUsage(req, req.apiVersion, now);
+            next();
+        };
+    }
+
+    recordUsage(req, name, now) {
+        if (!this.usage.has(name)) this.usage.set(name, new Map());
+        const clients = this.usage.get(name);
+        const client = String(this.clientId(req));
+        const label = this.clientLabel(req);
+        let entry = clients.get(client);
+        if (!entry) {
+            if (clients.size >= this.maxClients) {
+                // Map mantém a ordem de inserção: esquece o cliente mais antigo
+                clients.delete(clients.keys().next().value);
+            }
+            entry = { requests: 0, firstSeenAt: now };
+            clients.set(client, entry);
+            logger.warn('Cliente usando versão obsoleta da API', { version: name, client, label, request: `${req.method} ${req.path}` });
+        }
+        entry.requests++;
+        if (label) entry.label = String(label).slice(0, LABEL_MAX_LENGTH);
+        entry.lastSeenAt = now;
+        entry.lastRequest = `${req.method} ${req.path}`;
+        deprecatedRequests.inc({ version: name });
+    }
+
+    // Versões configuradas e, para as obsoletas, os clientes que ainda as usam
+    // (os mais recentes primeiro)
+    usageReport() {
+        const now = this.clock();
+        const iso = time => (time === null ? null : new Date(time).toISOString());
+        return {
+            default: this.defaultVersion,
+            versions: [...this.versions].map(([name, version]) => {
+                const clients = [...(this.usage.get(name) || new Map())]
+                    .map(([client, entry]) => ({
+                        client,
+                        label: entry.label || null,
+                        requests: entry.requests,
+                        firstSeenAt: iso(entry.firstSeenAt),
+                        lastSeenAt: iso(entry.lastSeenAt),
+                        lastRequest: entry.lastRequest
+                    }))
+                    .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+                return {
+                    version: name,
+                    status: this.status(name, now),
+                    deprecation: iso(version.deprecation),
+                    sunset: iso(version.sunset),
+                    successor: version.successor,
+                    clients
+                };
+            })
+        };
+    }
+}
+
+module.exports = { ApiVersions };
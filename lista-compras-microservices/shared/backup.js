@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+// shared/backup.js
+// Snapshots e restauração das coleções de um serviço pela linha de comando
+// (com o serviço parado; com ele no ar, use os endpoints /admin/backups).
+//
+// Uso: node shared/backup.js <diretório-do-serviço> [list|create|restore|prune] [opções]
+//   list       lista os snapshots, do mais recente ao mais antigo (padrão)
+//   create     cria um snapshot de todas as coleções
+//   restore    restaura --collection a partir de --snapshot <id> ou --at <data ISO>
+//   prune      remove os snapshots fora da política de retenção
+//
+// Os snapshots ficam em <serviço>/backups. Migrações pendentes da coleção
+// restaurada são aplicadas na próxima inicialização do serviço.
+const fs = require('fs-extra');
+const path = require('path');
+
+const JsonDatabase = require('./JsonDatabase');
+const BackupManager = require('./BackupManager');
+
+function parseArgs(argv) {
+    const args = { command: 'list', serviceDir: null, collection: null, snapshotId: null, timestamp: null };
+    const options = { '--collection': 'collection', '--snapshot': 'snapshotId', '--at': 'timestamp' };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (options[arg]) {
+            args[options[arg]] = argv[++i];
+        } else if (!args.serviceDir) {
+            args.serviceDir = path.resolve(arg);
+        } else {
+            args.command = arg;
+        }
+    }
+    if (!args.serviceDir) {
+        throw new Error('Informe o diretório do serviço, ex.: services/list-service');
+    }
+    if (!['list', 'create', 'restore', 'prune'].includes(args.command)) {
+        throw new Error(`Comando desconhecido: ${args.command}`);
+    }
+    if (args.command === 'restore' && (!args.collection || (!args.snapshotId && !args.timestamp))) {
+        throw new Error('restore exige --collection e --snapshot <id> ou --at <data>');
+    }
+    return args;
+}
+
+// Coleções = arquivos <coleção>.json do diretório do banco (sem índices e metadados)
+async function listCollections(dbPath) {
+    if (!await fs.pathExists(dbPath)) {
+        return [];
+    }
+    return (await fs.readdir(dbPath))
+        .filter(file => file.endsWith('.json') && !/_(index|meta)\.json$/.test(file))
+        .map(file => path.basename(file, '.json'))
+        .sort();
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const dbPath = path.join(args.serviceDir, 'database');
+    const databases = (await listCollections(dbPath)).map(collection => new JsonDatabase(dbPath, collection));
+    const backups = new BackupManager(path.basename(args.serviceDir), databases, {
+        backupDir: path.join(args.serviceDir, 'backups')
+    });
+
+    let result;
+    if (args.command === 'list') {
+        result = await backups.listSnapshots();
+    } else if (args.command === 'create') {
+        result = await backups.createSnapshot({ reason: 'manual' });
+    } else if (args.command === 'restore') {
+        result = await backups.restore({ collection: args.collection, snapshotId: args.snapshotId, timestamp: args.timestamp });
+    } else {
+        result = { pruned: await backups.prune() };
+    }
+    console.log(JSON.stringify(result, null, 2));
+}
+
+main().catch(error => {
+    console.error('Erro ao executar backup:', error.message);
+    process.exit(1);
+});
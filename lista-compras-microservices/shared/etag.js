@@ -0,0 +1,27 @@
+// shared/etag.js
+// Conversão entre a versão dos documentos do JsonDatabase e os cabeçalhos
+// HTTP de controle otimista (ETag / If-Match).
+
+// Versão 3 -> "3"
+function formatETag(version) {
+    return `"${Number.isInteger(version) ? version : 0}"`;
+}
+
+// Interpreta o cabeçalho If-Match e devolve as versões aceitas.
+// undefined: sem pré-condição (cabeçalho ausente ou "*").
+// []: nenhuma ETag válida, ou seja, nenhuma versão satisfaz a pré-condição.
+// If-Match usa comparação forte (RFC 9110): ETags fracas (W/"3") nunca casam.
+function parseIfMatch(header) {
+    if (!header || header.trim() === '*') {
+        return undefined;
+    }
+
+    return header.split(',')
+        .map(tag => tag.trim())
+        .filter(tag => !tag.startsWith('W/'))
+        .map(tag => tag.replace(/^"(.*)"$/, '$1'))
+        .filter(tag => /^\d+$/.test(tag))
+        .map(Number);
+}
+
+module.exports = { formatETag, parseIfMatch };
@@ -0,0 +1,821 @@
+// shared/graphql.js
+// Execução de operações GraphQL sem dependências externas.
+//
+// O schema é declarado em objetos JavaScript, com os tipos em notação SDL:
+//   new GraphQLSchema({
+//     enums:  { ListStatus: ['active', 'completed'] },
+//     inputs: { CreateListInput: { name: 'String!', description: 'String' } },
+//     types: {
+//       Query: { fields: { list: { type: 'ShoppingList', args: { id: 'ID!' }, resolve } } },
+//       ShoppingList: { fields: { id: 'ID!', items: { type: '[ListItem!]!', resolve } } }
+//     }
+//   })
+// Sem resolve, o campo é lido do objeto pai. resolve(source, args, context, info)
+// pode devolver uma Promise.
+//
+// Suportado: query e mutation (campos de mutation em sequência), variáveis,
+// aliases, argumentos, fragments (nomeados e inline), @include/@skip e
+// __typename. Fora do escopo: subscriptions, interfaces, unions e introspecção
+// (__schema); o schema é publicado em SDL por printSchema.
+//
+// Erros lançados com graphqlError() aparecem para o cliente com a mensagem e
+// extensions.code; os demais são registrados no log e aparecem como erro interno.
+const { createLogger } = require('./logger');
+
+const logger = createLogger('graphql');
+
+const DEFAULT_MAX_DEPTH = 10;
+// Campos por operação, contando aliases e cada uso de um fragment: sem esse
+// limite, uma consulta rasa com muitos aliases dispara chamadas sem fim
+const DEFAULT_MAX_FIELDS = 200;
+// Níveis de { }, [ ] e ( ) no documento e de fragments dentro de fragments.
+// A análise é recursiva: sem limite, um documento com milhares de níveis
+// estouraria a pilha antes de chegar à validação de profundidade
+const MAX_NESTING = 64;
+// Lançado no lugar de um campo não nulo que falhou: o null sobe até o pai anulável
+const NULL_BUBBLE = Symbol('null-bubble');
+
+function graphqlError(message, code, extensions = {}) {
+    return Object.assign(new Error(message), { extensions: { code, ...extensions } });
+}
+
+const SCALARS = {
+    ID: value => (typeof value === 'string' || Number.isInteger(value) ? String(value) : undefined),
+    String: value => (typeof value === 'string' ? value : undefined),
+    Int: value => (Number.isInteger(value) && value >= -2147483648 && value <= 2147483647 ? value : undefined),
+    Float: value => (typeof value === 'number' && Number.isFinite(value) ? value : undefined),
+    Boolean: value => (typeof value === 'boolean' ? value : undefined)
+};
+
+// --- Análise léxica e sintática ---
+
+const TOKEN_PATTERNS = [
+    ['name', /[_A-Za-z][_0-9A-Za-z]*/y],
+    ['float', /-?(?:0|[1-9]\d*)(?:\.\d+(?:[eE][+-]?\d+)?|[eE][+-]?\d+)/y],
+    ['int', /-?(?:0|[1-9]\d*)/y],
+    ['blockString', /"""([\s\S]*?)"""/y],
+    ['string', /"((?:[^"\\\n]|\\.)*)"/y],
+    ['punctuator', /\.\.\.|[!$&()\[\]{}:=@|]/y]
+];
+
+function syntaxError(message, location) {
+    return Object.assign(graphqlError(`Erro de sintaxe: ${message}`, 'GRAPHQL_PARSE_FAILED'), { locations: [location] });
+}
+
+function tokenize(source) {
+    const tokens = [];
+    let index = 0;
+    let line = 1;
+    let lineStart = 0;
+
+    while (index < source.length) {
+        const char = source[index];
+        if (char === '\n') {
+            line++;
+            lineStart = ++index;
+            continue;
+        }
+        // Vírgulas são insignificantes em GraphQL
+        if (' \t\r,\ufeff'.includes(char)) {
+            index++;
+            continue;
+        }
+        if (char === '#') {
+            while (index < source.length && source[index] !== '\n') index++;
+            continue;
+        }
+
+        const location = { line, column: index - lineStart + 1 };
+        const found = TOKEN_PATTERNS.find(([, pattern]) => {
+            pattern.lastIndex = index;
+            return pattern.test(source);
+        });
+        if (!found) throw syntaxError(`caractere inesperado "${char}"`, location);
+
+        const [kind, pattern] = found;
+        const text = source.slice(index, pattern.lastIndex);
+        let value = text;
+        if (kind === 'string') {
+            // Os escapes de GraphQL são os mesmos de JSON
+            try {
+                value = JSON.parse(text);
+            } catch (error) {
+                throw syntaxError('texto inválido', location);
+            }
+        } else if (kind === 'blockString') {
+            value = text.slice(3, -3).trim();
+            const lines = text.split('\n');
+            line += lines.length - 1;
+            if (lines.length > 1) lineStart = index + text.lastIndexOf('\n') + 1;
+        }
+        tokens.push({ kind: kind === 'blockString' ? 'string' : kind, value, ...location });
+        index = pattern.lastIndex;
+    }
+    tokens.push({ kind: 'eof', value: '<fim>', line, column: index - lineStart + 1 });
+    return tokens;
+}
+
+class Parser {
+    constructor(source) {
+        this.tokens = tokenize(source);
+        this.position = 0;
+        this.depth = 0;
+    }
+
+    peek(value, kind = 'punctuator') {
+        const token = this.tokens[this.position];
+        return token.kind === kind && (value === undefined || token.value === value);
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    fail(message, token = this.tokens[this.position]) {
+        return syntaxError(message, { line: token.line, column: token.column });
+    }
+
+    expect(value, kind = 'punctuator') {
+        if (!this.peek(value, kind)) {
+            const token = this.tokens[this.position];
+            throw this.fail(`esperado "${value || kind}", encontrado "${token.value}"`);
+        }
+        return this.next();
+    }
+
+    skip(value) {
+        if (!this.peek(value)) return false;
+        this.position++;
+        return true;
+    }
+
+    location() {
+        const { line, column } = this.tokens[this.position];
+        return { line, column };
+    }
+
+    name() {
+        return this.expect(undefined, 'name').value;
+    }
+
+    // Um nível a mais de aninhamento
+    nested(parse) {
+        if (++this.depth > MAX_NESTING) throw this.fail(`aninhamento acima de ${MAX_NESTING} níveis`);
+        try {
+            return parse();
+        } finally {
+            this.depth--;
+        }
+    }
+
+    // Lista delimitada: ( ... ), [ ... ] ou { ... }
+    many(open, parseItem, close) {
+        return this.nested(() => {
+            this.expect(open);
+            const items = [];
+            while (!this.skip(close)) {
+                if (this.peek(undefined, 'eof')) throw this.fail(`esperado "${close}"`);
+                items.push(parseItem());
+            }
+            return items;
+        });
+    }
+
+    parseDocument() {
+        const definitions = [];
+        do {
+            definitions.push(this.parseDefinition());
+        } while (!this.peek(undefined, 'eof'));
+        return { operations: definitions.filter(d => d.kind === 'operation'), fragments: definitions.filter(d => d.kind === 'fragment') };
+    }
+
+    parseDefinition() {
+        const loc = this.location();
+        if (this.peek('{')) {
+            return { kind: 'operation', operation: 'query', name: null, variables: [], directives: [], selectionSet: this.parseSelectionSet(), loc };
+        }
+        const keyword = this.name();
+        if (keyword === 'query' || keyword === 'mutation' || keyword === 'subscription') {
+            return {
+                kind: 'operation',
+                operation: keyword,
+                name: this.peek(undefined, 'name') ? this.name() : null,
+                variables: this.peek('(') ? this.many('(', () => this.parseVariableDefinition(), ')') : [],
+                directives: this.parseDirectives(),
+                selectionSet: this.parseSelectionSet(),
+                loc
+            };
+        }
+        if (keyword === 'fragment') {
+            const name = this.name();
+            if (name === 'on') throw this.fail('fragment sem nome');
+            this.expect('on', 'name');
+            return { kind: 'fragment', name, typeCondition: this.name(), directives: this.parseDirectives(), selectionSet: this.parseSelectionSet(), loc };
+        }
+        throw this.fail(`definição inesperada "${keyword}"`, this.tokens[this.position - 1]);
+    }
+
+    parseVariableDefinition() {
+        const loc = this.location();
+        this.expect('$');
+        const name = this.name();
+        this.expect(':');
+        const type = this.parseType();
+        const defaultValue = this.skip('=') ? this.parseValue(true) : undefined;
+        return { name, type, defaultValue, loc };
+    }
+
+    parseSelectionSet() {
+        return this.many('{', () => this.parseSelection(), '}');
+    }
+
+    parseSelection() {
+        const loc = this.location();
+        if (this.skip('...')) {
+            if (this.peek(undefined, 'name') && this.tokens[this.position].value !== 'on') {
+                return { kind: 'spread', name: this.name(), directives: this.parseDirectives(), loc };
+            }
+            let typeCondition = null;
+            if (this.peek('on', 'name')) {
+                this.next();
+                typeCondition = this.name();
+            }
+            return { kind: 'inline', typeCondition, directives: this.parseDirectives(), selectionSet: this.parseSelectionSet(), loc };
+        }
+
+        let name = this.name();
+        let alias = null;
+        if (this.skip(':')) {
+            alias = name;
+            name = this.name();
+        }
+        return {
+            kind: 'field',
+            alias,
+            name,
+            arguments: this.peek('(') ? this.parseArguments(false) : [],
+            directives: this.parseDirectives(),
+            selectionSet: this.peek('{') ? this.parseSelectionSet() : null,
+            loc
+        };
+    }
+
+    parseArguments(constant) {
+        return this.many('(', () => {
+            const loc = this.location();
+            const name = this.name();
+            this.expect(':');
+            return { name, value: this.parseValue(constant), loc };
+        }, ')');
+    }
+
+    parseDirectives() {
+        const directives = [];
+        while (this.skip('@')) {
+            const loc = this.location();
+            directives.push({ name: this.name(), arguments: this.peek('(') ? this.parseArguments(false) : [], loc });
+        }
+        return directives;
+    }
+
+    parseValue(constant) {
+        const token = this.tokens[this.position];
+        if (this.peek('$')) {
+            if (constant) throw this.fail('variável em um valor constante');
+            const loc = this.location();
+            this.next();
+            return { kind: 'variable', name: this.name(), loc };
+        }
+        if (this.peek('[')) return { kind: 'list', values: this.many('[', () => this.parseValue(constant), ']') };
+        if (this.peek('{')) {
+            return {
+                kind: 'object',
+                fields: this.many('{', () => {
+                    const name = this.name();
+                    this.expect(':');
+                    return { name, value: this.parseValue(constant) };
+                }, '}')
+            };
+        }
+        this.next();
+        switch (token.kind) {
+            case 'int':
+            case 'float':
+                return { kind: 'literal', value: Number(token.value) };
+            case 'string':
+                return { kind: 'literal', value: token.value };
+            case 'name':
+                if (token.value === 'true' || token.value === 'false') return { kind: 'literal', value: token.value === 'true' };
+                if (token.value === 'null') return { kind: 'literal', value: null };
+                return { kind: 'enum', value: token.value };
+            default:
+                throw this.fail(`valor inesperado "${token.value}"`, token);
+        }
+    }
+
+    // Tipo em notação SDL: Nome, [Tipo] ou Tipo!
+    parseType() {
+        let type;
+        if (this.skip('[')) {
+            type = { kind: 'list', ofType: this.nested(() => this.parseType()) };
+            this.expect(']');
+        } else {
+            type = { kind: 'named', name: this.name() };
+        }
+        return this.skip('!') ? { kind: 'nonNull', ofType: type } : type;
+    }
+}
+
+function parse(source) {
+    return new Parser(source).parseDocument();
+}
+
+function parseTypeReference(text) {
+    const parser = new Parser(text);
+    const type = parser.parseType();
+    parser.expect(undefined, 'eof');
+    return type;
+}
+
+function namedTypeOf(typeRef) {
+    return typeRef.kind === 'named' ? typeRef.name : namedTypeOf(typeRef.ofType);
+}
+
+function printType(typeRef) {
+    if (typeRef.kind === 'nonNull') return `${printType(typeRef.ofType)}!`;
+    if (typeRef.kind === 'list') return `[${printType(typeRef.ofType)}]`;
+    return typeRef.name;
+}
+
+// --- Schema ---
+
+// 'String!' ou { type: 'String!', ... } -> { ...definição, type: <referência de tipo> }
+function compileDefinition(definition) {
+    const { type, ...rest } = typeof definition === 'string' ? { type: definition } : definition;
+    return { ...rest, type: parseTypeReference(type) };
+}
+
+function mapValues(object, fn) {
+    return Object.fromEntries(Object.entries(object || {}).map(([key, value]) => [key, fn(value)]));
+}
+
+class GraphQLSchema {
+    constructor(options) {
+        const { types, inputs = {}, enums = {}, query = 'Query', mutation = null } = options;
+        this.types = new Map();
+        Object.entries(SCALARS).forEach(([name, parseValue]) => this.types.set(name, { kind: 'scalar', name, parseValue }));
+        Object.entries(enums).forEach(([name, values]) => this.types.set(name, { kind: 'enum', name, values }));
+        Object.entries(inputs).forEach(([name, fields]) => {
+            this.types.set(name, { kind: 'input', name, fields: mapValues(fields, compileDefinition) });
+        });
+        Object.entries(types).forEach(([name, definition]) => {
+            this.types.set(name, {
+                kind: 'object',
+                name,
+                description: definition.description,
+                fields: mapValues(definition.fields, field => ({
+                    ...compileDefinition(field),
+                    args: mapValues(field.args, compileDefinition)
+                }))
+            });
+        });
+
+        this.queryType = this.types.get(query);
+        this.mutationType = mutation ? this.types.get(mutation) : null;
+        this.checkReferences();
+    }
+
+    // Tipos desconhecidos ou usados no lugar errado são erro de programação
+    checkReferences() {
+        const check = (typeRef, where, kinds) => {
+            const type = this.types.get(namedTypeOf(typeRef));
+            if (!type || !kinds.includes(type.kind)) {
+                throw new Error(`Schema GraphQL: tipo inválido em ${where}: ${printType(typeRef)}`);
+            }
+        };
+        if (!this.queryType) throw new Error('Schema GraphQL: tipo Query não definido');
+        this.types.forEach(type => {
+            Object.entries(type.fields || {}).forEach(([fieldName, field]) => {
+                const where = `${type.name}.${fieldName}`;
+                if (type.kind === 'input') return check(field.type, where, ['scalar', 'enum', 'input']);
+                check(field.type, where, ['scalar', 'enum', 'object']);
+                Object.entries(field.args).forEach(([argName, arg]) => check(arg.type, `${where}(${argName})`, ['scalar', 'enum', 'input']));
+            });
+        });
+    }
+
+    getType(name) {
+        return this.types.get(name);
+    }
+}
+
+// Schema em SDL, para documentação e geração de clientes
+function printSchema(schema) {
+    const printArgs = args => {
+        const entries = Object.entries(args);
+        if (entries.length === 0) return '';
+        return `(${entries.map(([name, arg]) => `${name}: ${printType(arg.type)}${arg.defaultValue !== undefined ? ` = ${JSON.stringify(arg.defaultValue)}` : ''}`).join(', ')})`;
+    };
+    const printDescription = (description, indent = '') => (description ? `${indent}"${description.replace(/"/g, '\\"')}"\n` : '');
+
+    const blocks = [];
+    schema.types.forEach(type => {
+        if (type.kind === 'scalar') return;
+        if (type.kind === 'enum') {
+            blocks.push(`enum ${type.name} {\n${type.values.map(value => `  ${value}`).join('\n')}\n}`);
+            return;
+        }
+        const fields = Object.entries(type.fields).map(([name, field]) => {
+            const args = type.kind === 'object' ? printArgs(field.args) : '';
+            return `${printDescription(field.description, '  ')}  ${name}${args}: ${printType(field.type)}`;
+        });
+        blocks.push(`${printDescription(type.description)}${type.kind === 'input' ? 'input' : 'type'} ${type.name} {\n${fields.join('\n')}\n}`);
+    });
+    return `${blocks.join('\n\n')}\n`;
+}
+
+// --- Validação ---
+
+function validationError(message, loc) {
+    return Object.assign(graphqlError(message, 'GRAPHQL_VALIDATION_FAILED'), { locations: loc ? [loc] : undefined });
+}
+
+const IF_ARGUMENT = { type: parseTypeReference('Boolean!') };
+
+// Uma variável do tipo variableType pode ser usada onde se espera expectedType?
+// Como na especificação: os nomes precisam ser iguais, e uma variável não nula
+// serve onde o valor pode ser nulo (o contrário, não)
+function acceptsVariable(variableType, expectedType) {
+    if (expectedType.kind === 'nonNull') {
+        return variableType.kind === 'nonNull' && acceptsVariable(variableType.ofType, expectedType.ofType);
+    }
+    if (variableType.kind === 'nonNull') return acceptsVariable(variableType.ofType, expectedType);
+    if (expectedType.kind === 'list') return variableType.kind === 'list' && acceptsVariable(variableType.ofType, expectedType.ofType);
+    return variableType.kind === 'named' && variableType.name === expectedType.name;
+}
+
+// Campos existentes, argumentos conhecidos, subseleções onde cabem,
+// fragments definidos, variáveis declaradas e do tipo certo, profundidade
+// e número máximo de campos
+function validateOperation(schema, operation, fragments, { maxDepth, maxFields }) {
+    const errors = [];
+    let fieldCount = 0;
+
+    const declared = new Map(operation.variables.map(variable => [variable.name, variable]));
+    operation.variables.forEach(variable => {
+        const type = schema.getType(namedTypeOf(variable.type));
+        if (!type || type.kind === 'object') {
+            errors.push(validationError(`Variável "$${variable.name}" com tipo de entrada inválido: ${printType(variable.type)}`, variable.loc));
+        }
+    });
+
+    // Variáveis usadas em um valor (também dentro de listas e objetos).
+    // definition: { type, defaultValue } do argumento ou campo de entrada, ou
+    // null se ele não existe (o erro já foi registrado)
+    const checkValue = (node, definition) => {
+        if (node.kind === 'variable') {
+            const variable = declared.get(node.name);
+            if (!variable) return errors.push(validationError(`Variável "$${node.name}" não declarada`, node.loc));
+            if (!definition) return undefined;
+            // Uma variável anulável serve para um valor obrigatório se ela ou o argumento têm valor padrão
+            const hasDefault = (variable.defaultValue && variable.defaultValue.value !== null) || definition.defaultValue !== undefined;
+            const expected = hasDefault && definition.type.kind === 'nonNull' ? definition.type.ofType : definition.type;
+            if (!acceptsVariable(variable.type, expected)) {
+                errors.push(validationError(`Variável "$${node.name}" do tipo ${printType(variable.type)} usada onde se espera ${printType(definition.type)}`, node.loc));
+            }
+            return undefined;
+        }
+
+        const type = definition && (definition.type.kind === 'nonNull' ? definition.type.ofType : definition.type);
+        if (node.kind === 'list') {
+            const element = type && type.kind === 'list' ? { type: type.ofType } : null;
+            node.values.forEach(value => checkValue(value, element));
+        } else if (node.kind === 'object') {
+            const input = type && type.kind === 'named' ? schema.getType(type.name) : null;
+            node.fields.forEach(field => {
+                checkValue(field.value, input && input.kind === 'input' ? input.fields[field.name] || null : null);
+            });
+        }
+        return undefined;
+    };
+
+    const visit = (type, selections, depth, visiting) => {
+        // Acima do limite a validação para: fragments aninhados multiplicam os campos
+        if (fieldCount > maxFields) return;
+        if (depth > maxDepth) {
+            errors.push(validationError(`Consulta acima da profundidade máxima (${maxDepth})`, selections[0] && selections[0].loc));
+            return;
+        }
+        selections.forEach(selection => {
+            selection.directives.forEach(directive => {
+                const known = directive.name === 'include' || directive.name === 'skip';
+                if (!known) errors.push(validationError(`Diretiva desconhecida "@${directive.name}"`, directive.loc));
+                directive.arguments.forEach(argument => {
+                    checkValue(argument.value, known && argument.name === 'if' ? IF_ARGUMENT : null);
+                });
+            });
+
+            if (selection.kind === 'spread') {
+                const fragment = fragments.get(selection.name);
+                if (!fragment) return errors.push(validationError(`Fragment "${selection.name}" não definido`, selection.loc));
+                if (visiting.includes(selection.name)) return errors.push(validationError(`Fragment "${selection.name}" referencia a si mesmo`, selection.loc));
+                if (visiting.length >= MAX_NESTING) {
+                    return errors.push(validationError(`Fragments aninhados acima de ${MAX_NESTING} níveis`, selection.loc));
+                }
+                if (fragment.typeCondition !== type.name) {
+                    return errors.push(validationError(`Fragment "${selection.name}" é do tipo "${fragment.typeCondition}", não "${type.name}"`, selection.loc));
+                }
+                return visit(type, fragment.selectionSet, depth, [...visiting, selection.name]);
+            }
+            if (selection.kind === 'inline') {
+                if (selection.typeCondition && selection.typeCondition !== type.name) {
+                    return errors.push(validationError(`Fragment inline do tipo "${selection.typeCondition}" em "${type.name}"`, selection.loc));
+                }
+                return visit(type, selection.selectionSet, depth, visiting);
+            }
+
+            if (fieldCount > maxFields) return undefined;
+            if (++fieldCount > maxFields) {
+                return errors.push(validationError(`Consulta acima do número máximo de campos (${maxFields})`, selection.loc));
+            }
+            if (selection.name === '__typename') return undefined;
+            const field = type.fields[selection.name];
+            if (!field) return errors.push(validationError(`Campo "${selection.name}" não existe no tipo "${type.name}"`, selection.loc));
+
+            selection.arguments.forEach(argument => {
+                const definition = field.args[argument.name] || null;
+                if (!definition) {
+                    errors.push(validationError(`Argumento "${argument.name}" não existe em "${type.name}.${selection.name}"`, argument.loc));
+                }
+                checkValue(argument.value, definition);
+            });
+            const fieldType = schema.getType(namedTypeOf(field.type));
+            if (fieldType.kind === 'object' && !selection.selectionSet) {
+                errors.push(validationError(`Campo "${selection.name}" do tipo "${printType(field.type)}" precisa de uma seleção de subcampos`, selection.loc));
+            } else if (fieldType.kind !== 'object' && selection.selectionSet) {
+                errors.push(validationError(`Campo "${selection.name}" do tipo "${printType(field.type)}" não tem subcampos`, selection.loc));
+            } else if (fieldType.kind === 'object') {
+                visit(fieldType, selection.selectionSet, depth + 1, visiting);
+            }
+            return undefined;
+        });
+    };
+
+    const rootType = operation.operation === 'mutation' ? schema.mutationType : schema.queryType;
+    visit(rootType, operation.selectionSet, 1, []);
+    return errors;
+}
+
+// --- Valores de entrada ---
+
+// Valor do documento (literal, enum, lista, objeto ou variável) em JavaScript
+function valueFromNode(node, variables) {
+    switch (node.kind) {
+        case 'variable':
+            return variables[node.name];
+        case 'list':
+            return node.values.map(value => valueFromNode(value, variables));
+        case 'object':
+            return Object.fromEntries(node.fields.map(field => [field.name, valueFromNode(field.value, variables)]));
+        default:
+            return node.value;
+    }
+}
+
+// Confere e converte um valor de entrada para o tipo (undefined = ausente)
+function coerceInput(schema, value, typeRef, where) {
+    const invalid = message => graphqlError(`${where}: ${message}`, 'BAD_USER_INPUT');
+
+    if (typeRef.kind === 'nonNull') {
+        if (value === undefined || value === null) throw invalid(`valor obrigatório do tipo ${printType(typeRef)}`);
+        return coerceInput(schema, value, typeRef.ofType, where);
+    }
+    if (value === undefined || value === null) return value;
+    if (typeRef.kind === 'list') {
+        const values = Array.isArray(value) ? value : [value];
+        return values.map((element, i) => coerceInput(schema, element, typeRef.ofType, `${where}[${i}]`));
+    }
+
+    const type = schema.getType(typeRef.name);
+    if (type.kind === 'scalar') {
+        const parsed = type.parseValue(value);
+        if (parsed === undefined) throw invalid(`${JSON.stringify(value)} não é um ${type.name} válido`);
+        return parsed;
+    }
+    if (type.kind === 'enum') {
+        if (!type.values.includes(value)) throw invalid(`${JSON.stringify(value)} não é um valor de ${type.name} (${type.values.join(', ')})`);
+        return value;
+    }
+
+    if (typeof value !== 'object' || Array.isArray(value)) throw invalid(`esperado um objeto ${type.name}`);
+    const unknown = Object.keys(value).find(name => !type.fields[name]);
+    if (unknown) throw invalid(`campo "${unknown}" não existe em ${type.name}`);
+    const result = {};
+    Object.entries(type.fields).forEach(([name, field]) => {
+        const fieldValue = value[name] === undefined ? field.defaultValue : value[name];
+        const coerced = coerceInput(schema, fieldValue, field.type, `${where}.${name}`);
+        if (coerced !== undefined) result[name] = coerced;
+    });
+    return result;
+}
+
+function coerceArguments(schema, definitions, nodes, variables) {
+    const provided = new Map(nodes.map(node => [node.name, node.value]));
+    const args = {};
+    Object.entries(definitions).forEach(([name, definition]) => {
+        let value = provided.has(name) ? valueFromNode(provided.get(name), variables) : undefined;
+        if (value === undefined) value = definition.defaultValue;
+        const coerced = coerceInput(schema, value, definition.type, `Argumento "${name}"`);
+        if (coerced !== undefined) args[name] = coerced;
+    });
+    return args;
+}
+
+// --- Execução ---
+
+function shouldInclude(selection, variables) {
+    return selection.directives.every(directive => {
+        if (directive.name !== 'include' && directive.name !== 'skip') return true;
+        const ifArgument = directive.arguments.find(argument => argument.name === 'if');
+        const condition = ifArgument ? valueFromNode(ifArgument.value, variables) === true : false;
+        return directive.name === 'include' ? condition : !condition;
+    });
+}
+
+// Campos da seleção por chave de resposta (alias ou nome), com fragments expandidos
+function collectFields(context, selections, fields = new Map()) {
+    selections.forEach(selection => {
+        if (!shouldInclude(selection, context.variables)) return;
+        if (selection.kind === 'field') {
+            const key = selection.alias || selection.name;
+            fields.set(key, [...(fields.get(key) || []), selection]);
+        } else if (selection.kind === 'spread') {
+            collectFields(context, context.fragments.get(selection.name).selectionSet, fields);
+        } else {
+            collectFields(context, selection.selectionSet, fields);
+        }
+    });
+    return fields;
+}
+
+function formatError(error, node, path) {
+    const exposed = Boolean(error.extensions);
+    if (!exposed) logger.error('Erro em resolver GraphQL', { path: path.join('.'), error });
+    return {
+        message: exposed ? error.message : 'Erro interno do servidor',
+        locations: [node.loc],
+        path,
+        extensions: exposed ? error.extensions : { code: 'INTERNAL_SERVER_ERROR' }
+    };
+}
+
+// Como Promise.all, mas espera todas: os erros dos irmãos de um campo que
+// anulou o pai também são registrados
+async function all(promises) {
+    const results = await Promise.allSettled(promises);
+    const rejected = results.find(result => result.status === 'rejected');
+    if (rejected) throw rejected.reason;
+    return results.map(result => result.value);
+}
+
+// Executa run() registrando o erro no caminho; um campo não nulo que falhou
+// propaga o null para o pai
+async function guarded(context, typeRef, node, path, run) {
+    try {
+        return await run();
+    } catch (error) {
+        if (error !== NULL_BUBBLE) context.errors.push(formatError(error, node, path));
+        if (typeRef.kind === 'nonNull') throw NULL_BUBBLE;
+        return null;
+    }
+}
+
+async function completeValue(context, typeRef, nodes, value, path) {
+    if (typeRef.kind === 'nonNull') {
+        const completed = await completeValue(context, typeRef.ofType, nodes, value, path);
+        if (completed === null) throw graphqlError(`Campo não nulo "${path.join('.')}" sem valor`, 'INTERNAL_SERVER_ERROR');
+        return completed;
+    }
+    if (value === null || value === undefined) return null;
+
+    if (typeRef.kind === 'list') {
+        if (!Array.isArray(value)) throw graphqlError(`Esperada uma lista em "${path.join('.')}"`, 'INTERNAL_SERVER_ERROR');
+        return all(value.map((element, i) => guarded(context, typeRef.ofType, nodes[0], [...path, i],
+            () => completeValue(context, typeRef.ofType, nodes, element, [...path, i]))));
+    }
+
+    const type = context.schema.getType(typeRef.name);
+    if (type.kind === 'object') {
+        const selections = nodes.flatMap(node => node.selectionSet);
+        return executeFields(context, type, value, selections, path, false);
+    }
+    const serialized = type.kind === 'enum' ? (type.values.includes(value) ? value : undefined) : type.parseValue(value);
+    if (serialized === undefined) {
+        throw graphqlError(`Valor inválido para ${type.name} em "${path.join('.')}": ${JSON.stringify(value)}`, 'INTERNAL_SERVER_ERROR');
+    }
+    return serialized;
+}
+
+function resolveField(context, type, source, nodes, path) {
+    const node = nodes[0];
+    if (node.name === '__typename') return type.name;
+
+    const field = type.fields[node.name];
+    return guarded(context, field.type, node, path, async () => {
+        const args = coerceArguments(context.schema, field.args, node.arguments, context.variables);
+        const info = { fieldName: node.name, parentType: type.name, path };
+        const value = field.resolve ? await field.resolve(source, args, context.contextValue, info) : source[node.name];
+        return completeValue(context, field.type, nodes, value, path);
+    });
+}
+
+// Campos de query em paralelo; de mutation, um após o outro
+async function executeFields(context, type, source, selections, path, serial) {
+    const fields = [...collectFields(context, selections)];
+    const values = [];
+    if (serial) {
+        for (const [key, nodes] of fields) values.push(await resolveField(context, type, source, nodes, [...path, key]));
+    } else {
+        values.push(...await all(fields.map(([key, nodes]) => resolveField(context, type, source, nodes, [...path, key]))));
+    }
+    return Object.fromEntries(fields.map(([key], i) => [key, values[i]]));
+}
+
+function coerceVariables(schema, definitions, inputs) {
+    const variables = {};
+    const errors = [];
+    definitions.forEach(definition => {
+        try {
+            let value = inputs[definition.name];
+            if (value === undefined && definition.defaultValue) value = valueFromNode(definition.defaultValue, {});
+            const coerced = coerceInput(schema, value, definition.type, `Variável "$${definition.name}"`);
+            if (coerced !== undefined) variables[definition.name] = coerced;
+        } catch (error) {
+            errors.push(Object.assign(error, { locations: [definition.loc] }));
+        }
+    });
+    return { variables, errors };
+}
+
+function requestErrors(errors) {
+    return {
+        errors: errors.map(error => ({
+            message: error.message,
+            ...(error.locations ? { locations: error.locations } : {}),
+            extensions: error.extensions
+        }))
+    };
+}
+
+// Executa uma operação. Devolve { data, errors? }; com erro de sintaxe,
+// validação ou variáveis, só { errors } (nada foi executado).
+// options.contextValue: terceiro argumento dos resolvers (ex.: usuário e loaders)
+// options.maxDepth: profundidade máxima de seleções (padrão 10)
+// options.maxFields: número máximo de campos selecionados (padrão 200)
+async function execute(schema, request, options = {}) {
+    const { query, variables: variableInputs, operationName } = request;
+    if (typeof query !== 'string' || !query.trim()) {
+        return requestErrors([graphqlError('Informe a operação em "query"', 'BAD_REQUEST')]);
+    }
+
+    let document;
+    try {
+        document = parse(query);
+    } catch (error) {
+        if (!error.extensions) throw error;
+        return requestErrors([error]);
+    }
+
+    const operations = document.operations.filter(operation => !operationName || operation.name === operationName);
+    if (operations.length !== 1) {
+        const message = operationName ? `Operação "${operationName}" não encontrada` : 'Informe operationName: o documento tem mais de uma operação';
+        return requestErrors([graphqlError(message, 'BAD_REQUEST')]);
+    }
+    const [operation] = operations;
+    if (operation.operation === 'subscription' || (operation.operation === 'mutation' && !schema.mutationType)) {
+        return requestErrors([validationError(`Operações "${operation.operation}" não são suportadas`, operation.loc)]);
+    }
+
+    const fragments = new Map(document.fragments.map(fragment => [fragment.name, fragment]));
+    const validation = validateOperation(schema, operation, fragments, {
+        maxDepth: options.maxDepth || DEFAULT_MAX_DEPTH,
+        maxFields: options.maxFields || DEFAULT_MAX_FIELDS
+    });
+    if (validation.length > 0) return requestErrors(validation);
+
+    const { variables, errors: variableErrors } = coerceVariables(schema, operation.variables, variableInputs || {});
+    if (variableErrors.length > 0) return requestErrors(variableErrors);
+
+    const context = { schema, fragments, variables, contextValue: options.contextValue, errors: [] };
+    const rootType = operation.operation === 'mutation' ? schema.mutationType : schema.queryType;
+    let data;
+    try {
+        data = await executeFields(context, rootType, options.rootValue || {}, operation.selectionSet, [], operation.operation === 'mutation');
+    } catch (error) {
+        if (error !== NULL_BUBBLE) throw error;
+        data = null;
+    }
+    return context.errors.length > 0 ? { errors: context.errors, data } : { data };
+}
+
+module.exports = { GraphQLSchema, execute, graphqlError, parse, printSchema };
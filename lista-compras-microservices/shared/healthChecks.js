@@ -0,0 +1,142 @@
+// shared/healthChecks.js
+// Liveness e readiness dos processos.
+//
+// GET /health/live responde sempre que o processo atende requisições, sem
+// verificar nada além disso. GET /health/ready (e /health, por compatibilidade)
+// executa as verificações do serviço: banco de dados, dependências etc. Cada
+// verificação resulta em pass, warn ou fail; o serviço fica:
+//   healthy    todas passaram                                  200
+//   degraded   alguma deu warn ou uma não crítica falhou       200
+//   unhealthy  uma verificação crítica falhou                  503
+// O health check do Gateway usa a readiness: instâncias unhealthy saem da descoberta.
+const fs = require('fs-extra');
+const path = require('path');
+const axios = require('axios');
+
+const { createLogger } = require('./logger');
+
+const logger = createLogger('health');
+
+const HEALTH_STATUSES = ['healthy', 'degraded', 'unhealthy'];
+const DEFAULT_TIMEOUT = 3000;
+// Abaixo disso, o banco continua funcionando, mas o serviço aparece como degraded
+const DEFAULT_MIN_FREE_BYTES = Number(process.env.HEALTH_MIN_FREE_BYTES || 50 * 1024 * 1024);
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(Object.assign(new Error(`Tempo esgotado após ${ms}ms`), { code: 'ETIMEDOUT' })), ms);
+        timer.unref();
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Executa as verificações em paralelo. Cada uma é { name, critical, run },
+// onde run() devolve detalhes (com status: 'warn' para um alerta) ou lança erro.
+async function checkReadiness(checks, options = {}) {
+    const timeout = options.timeout || DEFAULT_TIMEOUT;
+    const results = await Promise.all(checks.map(async check => {
+        const critical = check.critical !== false;
+        const started = Date.now();
+        try {
+            const details = (await withTimeout(Promise.resolve().then(() => check.run()), timeout)) || {};
+            return [check.name, { status: 'pass', critical, latencyMs: Date.now() - started, ...details }];
+        } catch (error) {
+            return [check.name, {
+                status: 'fail',
+                critical,
+                latencyMs: Date.now() - started,
+                error: error.message,
+                ...(error.code ? { code: error.code } : {})
+            }];
+        }
+    }));
+
+    const entries = results.map(([, result]) => result);
+    let status = 'healthy';
+    if (entries.some(result => result.status === 'fail' && result.critical)) {
+        status = 'unhealthy';
+    } else if (entries.some(result => result.status !== 'pass')) {
+        status = 'degraded';
+    }
+    return { status, checks: Object.fromEntries(results) };
+}
+
+// Diretório do banco legível e gravável (com um arquivo de teste, o que
+// também revela disco cheio), espaço livre e coleção legível no armazenamento
+function databaseCheck(db, options = {}) {
+    const minFreeBytes = options.minFreeBytes ?? DEFAULT_MIN_FREE_BYTES;
+    return {
+        name: options.name || 'database',
+        critical: options.critical,
+        async run() {
+            const details = { collection: db.collectionName, backend: db.backend.name };
+            await db.ready;
+
+            if (db.backend.name !== 'memory') {
+                await fs.access(db.dbPath, fs.constants.R_OK | fs.constants.W_OK);
+                const probe = path.join(db.dbPath, `.health-${process.pid}.tmp`);
+                await fs.writeFile(probe, String(Date.now()));
+                await fs.remove(probe);
+
+                const { bavail, bsize } = await fs.promises.statfs(db.dbPath);
+                details.freeBytes = bavail * bsize;
+                if (details.freeBytes < minFreeBytes) {
+                    details.status = 'warn';
+                    details.message = 'Pouco espaço livre em disco';
+                }
+            }
+
+            // Direto do armazenamento: o cache em memória esconderia um arquivo ilegível
+            details.documents = (await db.backend.read()).length;
+            return details;
+        }
+    };
+}
+
+// Outro serviço encontrado no registro e respondendo à sua liveness. Só a
+// liveness: verificar a readiness da dependência encadearia as verificações.
+function dependencyCheck(registry, serviceName, options = {}) {
+    const livePath = options.path || '/health/live';
+    return {
+        name: serviceName,
+        critical: options.critical,
+        async run() {
+            const instance = await registry.discover(serviceName);
+            await axios.get(`${instance.url}${livePath}`, { timeout: options.timeout || DEFAULT_TIMEOUT, family: 4 });
+            return { instanceId: instance.id };
+        }
+    };
+}
+
+// GET /health/live, GET /health/ready e GET /health (igual à readiness)
+// options.checks: verificações da readiness
+// options.details(): campos extras na resposta da readiness (ex.: estatísticas do cache)
+function registerHealthRoutes(app, options) {
+    const { service, checks = [], details = () => ({}), timeout } = options;
+    let lastStatus = null;
+
+    app.get('/health/live', (req, res) => {
+        res.json({ service, status: 'alive', uptime: Math.round(process.uptime()) });
+    });
+
+    const readiness = async (req, res) => {
+        const result = await checkReadiness(checks, { timeout });
+        if (result.status !== lastStatus) {
+            const failing = Object.keys(result.checks).filter(name => result.checks[name].status !== 'pass');
+            const level = result.status === 'healthy' ? 'info' : 'warn';
+            logger.log(level, 'Estado de prontidão alterado', { from: lastStatus, to: result.status, failing });
+            lastStatus = result.status;
+        }
+        res.status(result.status === 'unhealthy' ? 503 : 200).json({
+            service,
+            status: result.status,
+            checks: result.checks,
+            ...await details()
+        });
+    };
+    app.get('/health/ready', readiness);
+    app.get('/health', readiness);
+}
+
+module.exports = { HEALTH_STATUSES, checkReadiness, databaseCheck, dependencyCheck, registerHealthRoutes };
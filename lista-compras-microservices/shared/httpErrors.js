@@ -0,0 +1,28 @@
+// shared/httpErrors.js
+// Respostas de erro no formato comum ({ success: false, message }) para o que
+// não passa pelos handlers: rotas inexistentes e erros levados ao Express
+// (JSON malformado, corpo acima do limite, exceções não tratadas).
+const { createLogger } = require('./logger');
+
+const logger = createLogger('http');
+
+function notFoundHandler(req, res) {
+    res.status(404).json({ success: false, message: `Rota não encontrada: ${req.method} ${req.path}` });
+}
+
+function errorHandler() {
+    return (error, req, res, next) => {
+        if (res.headersSent) return res.destroy(error);
+        if (error.type === 'entity.parse.failed') {
+            return res.status(400).json({ success: false, message: 'JSON inválido no corpo da requisição' });
+        }
+
+        const status = error.status || error.statusCode || 500;
+        if (status >= 500) {
+            logger.error('Erro não tratado', { method: req.method, path: req.originalUrl, error });
+        }
+        res.status(status).json({ success: false, message: error.expose ? error.message : 'Erro interno do servidor' });
+    };
+}
+
+module.exports = { notFoundHandler, errorHandler };
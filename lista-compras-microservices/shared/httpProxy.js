@@ -0,0 +1,53 @@
+// shared/httpProxy.js
+// Cabeçalhos de um proxy reverso: o que segue do cliente para o serviço e do
+// serviço de volta para o cliente.
+//
+// Cabeçalhos hop-by-hop (RFC 9110, seção 7.6.1) valem só para uma conexão e
+// não são repassados, nem os listados no próprio cabeçalho Connection. O
+// proxy acrescenta X-Forwarded-For/-Host/-Proto com a origem da requisição.
+
+const HOP_BY_HOP_HEADERS = [
+    'connection',
+    'keep-alive',
+    'proxy-authenticate',
+    'proxy-authorization',
+    'proxy-connection',
+    'te',
+    'trailer',
+    'transfer-encoding',
+    'upgrade'
+];
+
+// Cópia de headers sem os hop-by-hop e sem os nomes em exclude (minúsculos)
+function filterHeaders(headers, exclude = []) {
+    const connection = String(headers.connection || '').split(',').map(name => name.trim().toLowerCase());
+    const dropped = new Set([...HOP_BY_HOP_HEADERS, ...connection, ...exclude]);
+    const result = {};
+    Object.entries(headers).forEach(([name, value]) => {
+        if (value !== undefined && !dropped.has(name.toLowerCase())) result[name] = value;
+    });
+    return result;
+}
+
+// Cabeçalhos da requisição do cliente para o serviço. host e content-length
+// são definidos pela nova requisição; exclude remove outros (ex.: a identidade
+// interna, que só o Gateway pode definir).
+function forwardRequestHeaders(req, exclude = []) {
+    const headers = filterHeaders(req.headers, ['host', 'content-length', ...exclude]);
+    const remoteAddress = req.socket && req.socket.remoteAddress;
+    const forwardedFor = [req.headers['x-forwarded-for'], remoteAddress].filter(Boolean).join(', ');
+
+    if (forwardedFor) headers['x-forwarded-for'] = forwardedFor;
+    const forwardedHost = req.headers['x-forwarded-host'] || req.headers.host;
+    if (forwardedHost) headers['x-forwarded-host'] = forwardedHost;
+    headers['x-forwarded-proto'] = req.headers['x-forwarded-proto'] || req.protocol || 'http';
+    return headers;
+}
+
+// Cabeçalhos da resposta do serviço para o cliente; exclude remove os que são
+// só para o proxy (ex.: X-Cache-Invalidate, lido pelo Gateway)
+function forwardResponseHeaders(headers, exclude = []) {
+    return filterHeaders(headers, exclude);
+}
+
+module.exports = { HOP_BY_HOP_HEADERS, filterHeaders, forwardRequestHeaders, forwardResponseHeaders };
@@ -0,0 +1,149 @@
+// shared/internalAuth.js
+// Identidade assinada entre o Gateway e os serviços.
+//
+// O Gateway verifica o JWT do cliente uma vez e repassa o usuário no cabeçalho
+// X-Internal-Identity: <payload base64url>.<HMAC-SHA256 base64url>. O payload
+// traz o usuário (ou null, em rotas públicas), o serviço de destino (aud), quem
+// assinou (iss) e a validade (exp). Os serviços conferem a assinatura com o
+// segredo compartilhado INTERNAL_AUTH_SECRET e recusam requisições sem ela, ou
+// seja, que não passaram pelo Gateway (ou por outro serviço).
+//
+// As escritas no Service Registry (registro, heartbeat, saúde, falhas e
+// remoção de instâncias) exigem o cabeçalho X-Registry-Token com o token
+// compartilhado REGISTRY_TOKEN, enviado pelo RegistryClient.
+//
+// Sem as variáveis, os segredos têm valores de desenvolvimento. Com
+// NODE_ENV=production, eles são obrigatórios: o processo não sobe sem eles.
+const crypto = require('crypto');
+
+const INTERNAL_IDENTITY_HEADER = 'X-Internal-Identity';
+const REGISTRY_TOKEN_HEADER = 'X-Registry-Token';
+// Validade curta: o cabeçalho vale só para a requisição em andamento
+const IDENTITY_TTL_SECONDS = 60;
+
+function secretFromEnv(name, developmentValue) {
+    if (process.env[name]) return process.env[name];
+    if (process.env.NODE_ENV === 'production') {
+        throw Object.assign(new Error(`Defina ${name}: o valor de desenvolvimento não é aceito em produção`), { code: 'EMISSINGSECRET' });
+    }
+    return developmentValue;
+}
+
+// Segredo dos tokens JWT emitidos pelo User Service e verificados pelo Gateway
+function jwtSecret() {
+    return secretFromEnv('JWT_SECRET', 'sua-chave-secreta-jwt');
+}
+
+function internalSecret() {
+    return secretFromEnv('INTERNAL_AUTH_SECRET', 'segredo-interno-de-desenvolvimento');
+}
+
+function registryToken() {
+    return secretFromEnv('REGISTRY_TOKEN', 'token-do-registry-de-desenvolvimento');
+}
+
+// Comparação em tempo constante (o tamanho não é segredo)
+function tokensMatch(provided, expected) {
+    const a = Buffer.from(String(provided || ''));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function hmac(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function identityError(message) {
+    return Object.assign(new Error(message), { code: 'EINVALIDIDENTITY' });
+}
+
+// Só os campos que os serviços usam seguem no cabeçalho
+function publicUser(user) {
+    return user ? { id: user.id, email: user.email, username: user.username } : null;
+}
+
+// Assina a identidade de user (ou null) para uma chamada ao serviço audience
+function signIdentity(user, audience, options = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = Buffer.from(JSON.stringify({
+        user: publicUser(user),
+        aud: audience,
+        iss: options.issuer || 'api-gateway',
+        exp: now + (options.ttlSeconds || IDENTITY_TTL_SECONDS)
+    })).toString('base64url');
+    return `${payload}.${hmac(payload, options.secret || internalSecret())}`;
+}
+
+// Confere assinatura, destino e validade; devolve o payload
+function verifyIdentity(token, audience, options = {}) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) {
+        throw identityError('Identidade interna ausente');
+    }
+
+    if (!tokensMatch(signature, hmac(payload, options.secret || internalSecret()))) {
+        throw identityError('Assinatura da identidade interna inválida');
+    }
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (claims.aud !== audience) {
+        throw identityError(`Identidade interna emitida para ${claims.aud}`);
+    }
+    if (claims.exp * 1000 <= Date.now()) {
+        throw identityError('Identidade interna expirada');
+    }
+    return claims;
+}
+
+function identityHeaders(user, audience, options = {}) {
+    return { [INTERNAL_IDENTITY_HEADER]: signIdentity(user, audience, options) };
+}
+
+// Middleware dos serviços: recusa requisições que não vêm do Gateway e
+// preenche req.user com o usuário autenticado (ou null)
+function requireGateway(serviceName) {
+    // Lido na montagem das rotas: sem o segredo, o serviço não sobe
+    const secret = internalSecret();
+    return (req, res, next) => {
+        try {
+            const claims = verifyIdentity(req.header(INTERNAL_IDENTITY_HEADER), serviceName, { secret });
+            req.user = claims.user;
+            req.caller = claims.iss;
+            next();
+        } catch (error) {
+            res.status(401).json({ success: false, message: `Acesso direto não permitido: ${error.message}. Use o API Gateway.` });
+        }
+    };
+}
+
+// Rotas que exigem usuário autenticado (usar depois de requireGateway)
+function requireUser(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ success: false, message: 'Token obrigatório' });
+    }
+    next();
+}
+
+// Middleware do Service Registry: recusa escritas sem o token compartilhado
+function requireRegistryToken(token = registryToken()) {
+    return (req, res, next) => {
+        if (!tokensMatch(req.header(REGISTRY_TOKEN_HEADER), token)) {
+            return res.status(401).json({ success: false, message: 'Token do registry inválido' });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    INTERNAL_IDENTITY_HEADER,
+    REGISTRY_TOKEN_HEADER,
+    jwtSecret,
+    internalSecret,
+    signIdentity,
+    verifyIdentity,
+    identityHeaders,
+    requireGateway,
+    requireUser,
+    registryToken,
+    requireRegistryToken
+};
@@ -0,0 +1,117 @@
+// shared/logger.js
+// Logs estruturados: uma linha JSON por evento, com horário, nível, serviço,
+// componente e, dentro de uma requisição, o id de correlação e o usuário.
+//
+// Níveis: debug, info, warn, error e silent. LOG_LEVEL define o nível padrão
+// (info) e LOG_LEVELS ajusta componentes, ex.: LOG_LEVELS=registry=warn,http=error.
+const { REQUEST_ID_HEADER, currentContext, runWithContext, resolveRequestId } = require('./requestContext');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+function parseLevels(value) {
+    return Object.fromEntries(String(value || '').split(',')
+        .map(entry => entry.split('=').map(part => part.trim()))
+        .filter(([component, level]) => component && LEVELS[level]));
+}
+
+const settings = {
+    service: null,
+    level: LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info',
+    levels: parseLevels(process.env.LOG_LEVELS),
+    write: line => process.stdout.write(`${line}\n`)
+};
+
+// Nome do serviço nos logs do processo (e, opcionalmente, níveis e saída)
+function configureLogging(options = {}) {
+    if (options.service) settings.service = options.service;
+    if (options.level) settings.level = options.level;
+    if (options.levels) settings.levels = { ...settings.levels, ...options.levels };
+    if (options.write) settings.write = options.write;
+}
+
+// Erros viram campos legíveis em JSON
+function serialize(fields) {
+    const result = {};
+    Object.entries(fields).forEach(([name, value]) => {
+        result[name] = value instanceof Error
+            ? { message: value.message, ...(value.code ? { code: value.code } : {}) }
+            : value;
+    });
+    return result;
+}
+
+class Logger {
+    constructor(component) {
+        this.component = component;
+    }
+
+    enabled(level) {
+        const threshold = settings.levels[this.component] || settings.level;
+        return LEVELS[level] >= LEVELS[threshold];
+    }
+
+    log(level, message, fields = {}) {
+        if (!this.enabled(level)) return;
+        const context = currentContext();
+        settings.write(JSON.stringify({
+            time: new Date().toISOString(),
+            level,
+            service: settings.service,
+            component: this.component,
+            message,
+            ...(context ? { requestId: context.requestId, userId: context.userId } : {}),
+            ...serialize(fields)
+        }));
+    }
+
+    debug(message, fields) { this.log('debug', message, fields); }
+
+    info(message, fields) { this.log('info', message, fields); }
+
+    warn(message, fields) { this.log('warn', message, fields); }
+
+    error(message, fields) { this.log('error', message, fields); }
+}
+
+function createLogger(component) {
+    return new Logger(component);
+}
+
+// Middleware Express: define o X-Request-Id, executa a requisição no seu
+// contexto e registra método, caminho, status, usuário e latência ao final.
+// options.quiet(req): requisições frequentes demais, registradas só em debug
+function requestLogger(options = {}) {
+    const logger = createLogger('http');
+    const quiet = options.quiet || (() => false);
+    return (req, res, next) => {
+        const started = process.hrtime.bigint();
+        const requestId = resolveRequestId(req.header(REQUEST_ID_HEADER));
+        req.id = requestId;
+        res.set(REQUEST_ID_HEADER, requestId);
+
+        // req.user é preenchido depois, pela autenticação
+        const context = {
+            requestId,
+            get userId() { return req.user ? req.user.id : null; }
+        };
+        let logged = false;
+        const done = () => {
+            if (logged) return;
+            logged = true;
+            const status = res.writableFinished ? res.statusCode : null;
+            const level = status === null || status >= 500 ? 'warn' : (quiet(req) ? 'debug' : 'info');
+            runWithContext(context, () => logger.log(level, status === null ? 'Requisição interrompida' : 'Requisição concluída', {
+                method: req.method,
+                path: req.originalUrl,
+                status,
+                latencyMs: Number((process.hrtime.bigint() - started) / 1000n) / 1000,
+                ip: req.ip
+            }));
+        };
+        res.on('finish', done);
+        res.on('close', done);
+        runWithContext(context, next);
+    };
+}
+
+module.exports = { LEVELS, configureLogging, createLogger, requestLogger };
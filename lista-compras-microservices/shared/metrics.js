@@ -0,0 +1,236 @@
+// shared/metrics.js
+// Métricas no formato de texto do Prometheus (version 0.0.4), expostas em
+// GET /metrics pelo Gateway e pelos serviços.
+//
+// Cada processo tem um registro único (metrics), onde os módulos criam
+// contadores, gauges e histogramas pelo nome; pedir de novo o mesmo nome
+// devolve a mesma métrica. Gauges podem ter collect(gauge), chamado a cada
+// leitura de /metrics para atualizar os valores.
+
+const { createLogger } = require('./logger');
+
+const logger = createLogger('metrics');
+
+// Em segundos, como recomendado pelo Prometheus
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    constructor(type, { name, help, labelNames = [] }) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        // chave (valores dos labels em JSON) -> { labels, value }
+        this.series = new Map();
+    }
+
+    // Só os labels declarados, na ordem declarada
+    labelsOf(labels = {}) {
+        return Object.fromEntries(this.labelNames.map(name => [name, labels[name] === undefined ? '' : labels[name]]));
+    }
+
+    seriesFor(labels, initial) {
+        const normalized = this.labelsOf(labels);
+        const key = JSON.stringify(Object.values(normalized));
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: normalized, value: initial() });
+        }
+        return this.series.get(key);
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+
+    reset() {
+        this.series.clear();
+    }
+}
+
+class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.seriesFor(labels, () => 0).value += amount;
+    }
+
+    get(labels = {}) {
+        const series = this.series.get(JSON.stringify(Object.values(this.labelsOf(labels))));
+        return series ? series.value : 0;
+    }
+
+    render() {
+        const lines = [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+        return [...this.header(), ...lines];
+    }
+}
+
+class Gauge extends Counter {
+    constructor(options) {
+        super(options);
+        this.type = 'gauge';
+        this.collect = options.collect || null;
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels, () => 0).value = value;
+    }
+
+    dec(labels = {}, amount = 1) {
+        this.inc(labels, -amount);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(options) {
+        super('histogram', options);
+        this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.value.counts[i]++;
+        });
+        series.value.sum += value;
+        series.value.count++;
+    }
+
+    // Devolve end(labelsExtras), que registra o tempo decorrido em segundos
+    startTimer(labels = {}) {
+        const started = process.hrtime.bigint();
+        return (extra = {}) => {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            this.observe({ ...labels, ...extra }, seconds);
+            return seconds;
+        };
+    }
+
+    render() {
+        const lines = [];
+        this.series.forEach(({ labels, value }) => {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${value.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+        });
+        return [...this.header(), ...lines];
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(MetricClass, options) {
+        const existing = this.metrics.get(options.name);
+        if (existing) {
+            if (existing.constructor !== MetricClass) {
+                throw new Error(`Métrica ${options.name} já registrada como ${existing.type}`);
+            }
+            return existing;
+        }
+        const metric = new MetricClass(options);
+        this.metrics.set(options.name, metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(Counter, options);
+    }
+
+    gauge(options) {
+        return this.register(Gauge, options);
+    }
+
+    histogram(options) {
+        return this.register(Histogram, options);
+    }
+
+    async render() {
+        const blocks = [];
+        for (const metric of this.metrics.values()) {
+            if (metric.collect) {
+                try {
+                    await metric.collect(metric);
+                } catch (error) {
+                    // Uma métrica que falhou não impede as demais
+                    logger.warn('Erro ao coletar métrica', { metric: metric.name, error });
+                    continue;
+                }
+            }
+            blocks.push(metric.render().join('\n'));
+        }
+        return `${blocks.join('\n')}\n`;
+    }
+
+    reset() {
+        this.metrics.forEach(metric => metric.reset());
+    }
+}
+
+const metrics = new MetricsRegistry();
+
+// Rota da requisição para os labels, sem ids: res.locals.route (definida por
+// quem responde fora do roteador, como o cache do Gateway), o padrão da rota
+// Express (ex.: /lists/:id/items) ou o prefixo montado com app.use (ex.: /api/items)
+function routeOf(req, res) {
+    if (res.locals.route) return res.locals.route;
+    if (req.route) return `${req.baseUrl}${req.route.path}`;
+    return req.baseUrl || 'unmatched';
+}
+
+// Middleware Express: total e latência das requisições por método, rota e status
+function httpMetrics(registry = metrics) {
+    const requests = registry.counter({
+        name: 'http_requests_total',
+        help: 'Requisições HTTP recebidas',
+        labelNames: ['method', 'route', 'status']
+    });
+    const duration = registry.histogram({
+        name: 'http_request_duration_seconds',
+        help: 'Latência das requisições HTTP recebidas',
+        labelNames: ['method', 'route', 'status']
+    });
+
+    return (req, res, next) => {
+        const end = duration.startTimer({ method: req.method });
+        res.on('finish', () => {
+            const labels = { method: req.method, route: routeOf(req, res), status: res.statusCode };
+            end(labels);
+            requests.inc(labels);
+        });
+        next();
+    };
+}
+
+// Handler de GET /metrics
+function metricsHandler(registry = metrics) {
+    return async (req, res) => {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(await registry.render());
+    };
+}
+
+module.exports = { DEFAULT_BUCKETS, Counter, Gauge, Histogram, MetricsRegistry, metrics, httpMetrics, metricsHandler };
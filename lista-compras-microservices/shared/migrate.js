@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// shared/migrate.js
+// Executa as migrações de um serviço pela linha de comando (com o serviço parado).
+//
+// Uso: node shared/migrate.js <diretório-do-serviço> [status|up|down] [--to N] [--dry-run]
+//   status     mostra a versão atual e as migrações pendentes (padrão)
+//   up         aplica as migrações pendentes (até --to, se informado)
+//   down       desfaz a última migração (ou até --to)
+//   --dry-run  executa em memória e mostra o resultado sem gravar
+//
+// O serviço deve seguir a estrutura <serviço>/database e <serviço>/migrations/<coleção>/.
+// A validação pelo schema da coleção acontece apenas na inicialização do serviço.
+const fs = require('fs-extra');
+const path = require('path');
+
+const JsonDatabase = require('./JsonDatabase');
+const MigrationRunner = require('./MigrationRunner');
+
+function parseArgs(argv) {
+    const args = { command: 'status', dryRun: false, to: undefined, serviceDir: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            args.dryRun = true;
+        } else if (arg === '--to') {
+            args.to = Number(argv[++i]);
+            if (!Number.isInteger(args.to) || args.to < 0) {
+                throw new Error('--to exige uma versão inteira não negativa');
+            }
+        } else if (!args.serviceDir) {
+            args.serviceDir = path.resolve(arg);
+        } else {
+            args.command = arg;
+        }
+    }
+    if (!args.serviceDir) {
+        throw new Error('Informe o diretório do serviço, ex.: services/list-service');
+    }
+    if (!['status', 'up', 'down'].includes(args.command)) {
+        throw new Error(`Comando desconhecido: ${args.command}`);
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const migrationsDir = path.join(args.serviceDir, 'migrations');
+    const dbPath = path.join(args.serviceDir, 'database');
+
+    if (!await fs.pathExists(migrationsDir)) {
+        console.log(`Nenhuma migração encontrada em ${migrationsDir}`);
+        return;
+    }
+
+    const collections = (await fs.readdir(migrationsDir, { withFileTypes: true }))
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort();
+
+    for (const collection of collections) {
+        const db = new JsonDatabase(dbPath, collection);
+        const runner = MigrationRunner.fromDirectory(db, path.join(migrationsDir, collection));
+
+        let result;
+        if (args.command === 'status') {
+            result = await runner.status();
+        } else if (args.command === 'up') {
+            result = await runner.migrate({ to: args.to === undefined ? runner.getLatestVersion() : args.to, dryRun: args.dryRun });
+        } else {
+            result = await runner.rollback({ to: args.to, dryRun: args.dryRun });
+        }
+        console.log(JSON.stringify(result, null, 2));
+    }
+}
+
+main().catch(error => {
+    console.error('Erro ao executar migrações:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,297 @@
+// shared/openapi.js
+// Contrato da API (shared/openapi.json, OpenAPI 3.0) aplicado em tempo de
+// execução pelo Gateway e pelos serviços.
+//
+// openApiValidator valida path params, query string e corpo JSON de cada
+// requisição documentada e responde 400 no formato de erro comum:
+//   { success: false, message: 'Dados inválidos', errors: [{ location, field, rule, message }] }
+// Rotas fora do documento seguem sem validação. No modo de contrato
+// (OPENAPI_CONTRACT=warn ou strict), as respostas JSON também são conferidas
+// com o documento: warn registra a divergência no log; strict a troca por um
+// 500, para que testes de ponta a ponta falhem.
+//
+// Os schemas do documento são convertidos nas regras de shared/schema.js.
+// Palavras-chave suportadas: type, format (date-time), enum, nullable,
+// minimum/maximum (e exclusive*), minLength, maxLength, pattern, properties,
+// required, additionalProperties, items, minItems, maxItems e $ref.
+const path = require('path');
+
+const { validateField } = require('./schema');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('openapi');
+
+const CONTRACT_MODES = ['off', 'warn', 'strict'];
+const SWAGGER_UI_URL = process.env.SWAGGER_UI_URL || 'https://unpkg.com/swagger-ui-dist@5';
+
+// Valores de query e path chegam como texto
+function coerce(type, value) {
+    if (typeof value !== 'string') return value;
+    if ((type === 'integer' || type === 'number') && /^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+    return value;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+}
+
+class OpenApiDocument {
+    constructor(spec) {
+        this.spec = spec;
+        this.rules = new WeakMap();
+        // Rotas com menos parâmetros primeiro: /items/categorias antes de /items/{id}
+        this.routes = Object.entries(spec.paths)
+            .map(([template, pathItem]) => this.compileRoute(template, pathItem))
+            .sort((a, b) => a.paramNames.length - b.paramNames.length);
+    }
+
+    static load(file = path.join(__dirname, 'openapi.json')) {
+        return new OpenApiDocument(require(path.resolve(file)));
+    }
+
+    // Segue $ref locais (#/components/...)
+    resolve(object) {
+        let current = object;
+        while (current && current.$ref) {
+            if (!current.$ref.startsWith('#/')) {
+                throw new Error(`Referência externa não suportada: ${current.$ref}`);
+            }
+            const target = current.$ref.slice(2).split('/')
+                .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+                .reduce((node, part) => (node ? node[part] : undefined), this.spec);
+            if (!target) throw new Error(`Referência não encontrada: ${current.$ref}`);
+            current = target;
+        }
+        return current;
+    }
+
+    compileRoute(template, pathItem) {
+        const paramNames = [];
+        const pattern = template.split('/').map(segment => {
+            const param = /^\{(\w+)\}$/.exec(segment);
+            if (!param) return escapeRegExp(segment);
+            paramNames.push(param[1]);
+            return '([^/]+)';
+        }).join('/');
+        return { template, pathItem, paramNames, regex: new RegExp(`^${pattern}/?$`) };
+    }
+
+    // Operação documentada para método e caminho. Nos serviços, basePath é o
+    // prefixo que o Gateway acrescenta (/lists/1 é documentado como /api/lists/1);
+    // o caminho exato tem prioridade, para as rotas internas dos serviços.
+    match(method, requestPath, basePath = '') {
+        const candidates = basePath ? [requestPath, `${basePath}${requestPath}`] : [requestPath];
+        const verb = method.toLowerCase() === 'head' ? 'get' : method.toLowerCase();
+
+        for (const candidate of candidates) {
+            for (const route of this.routes) {
+                const found = route.regex.exec(candidate);
+                if (!found || !route.pathItem[verb]) continue;
+
+                const params = {};
+                route.paramNames.forEach((name, i) => {
+                    try {
+                        params[name] = decodeURIComponent(found[i + 1]);
+                    } catch (error) {
+                        params[name] = found[i + 1];
+                    }
+                });
+                // Parâmetros da operação substituem os do caminho com o mesmo nome e local
+                const parameters = new Map();
+                [...(route.pathItem.parameters || []), ...(route.pathItem[verb].parameters || [])]
+                    .map(parameter => this.resolve(parameter))
+                    .forEach(parameter => parameters.set(`${parameter.in}:${parameter.name}`, parameter));
+
+                const stripped = candidate === requestPath ? route.template : route.template.slice(basePath.length);
+                return {
+                    template: route.template,
+                    // Padrão no estilo Express, para os labels de métricas
+                    route: stripped.replace(/\{(\w+)\}/g, ':$1'),
+                    operation: route.pathItem[verb],
+                    parameters: [...parameters.values()],
+                    params
+                };
+            }
+        }
+        return null;
+    }
+
+    // Schema OpenAPI -> regra de shared/schema.js
+    toRule(schema, required = false) {
+        const source = this.resolve(schema);
+        if (!required && this.rules.has(source)) return this.rules.get(source);
+
+        const rule = { required };
+        if (source.type === 'string' && source.format === 'date-time') {
+            rule.type = 'date';
+        } else if (source.type) {
+            rule.type = source.type;
+        }
+        ['enum', 'nullable', 'minLength', 'maxLength', 'pattern', 'minItems', 'maxItems'].forEach(keyword => {
+            if (source[keyword] !== undefined) rule[keyword] = source[keyword];
+        });
+        if (source.minimum !== undefined) {
+            rule.min = source.minimum;
+            rule.exclusiveMin = source.exclusiveMinimum === true;
+        }
+        if (source.maximum !== undefined) {
+            rule.max = source.maximum;
+            rule.exclusiveMax = source.exclusiveMaximum === true;
+        }
+        if (source.items) {
+            rule.items = this.toRule(source.items);
+        }
+        if (source.properties) {
+            const requiredFields = source.required || [];
+            rule.fields = Object.fromEntries(Object.entries(source.properties).map(([name, property]) => [
+                name,
+                this.toRule(property, requiredFields.includes(name))
+            ]));
+        }
+        if (source.additionalProperties === false) {
+            rule.additionalFields = false;
+            rule.fields = rule.fields || {};
+        } else if (typeof source.additionalProperties === 'object') {
+            rule.values = this.toRule(source.additionalProperties);
+        }
+
+        if (!required) this.rules.set(source, rule);
+        return rule;
+    }
+
+    // Erros de path params, query e corpo (undefined: corpo não é JSON, não validado)
+    validateRequest(match, query, body) {
+        const errors = [];
+        const withLocation = (location, list) => list.forEach(error => errors.push({ location, ...error }));
+
+        match.parameters.filter(parameter => parameter.in === 'path' || parameter.in === 'query').forEach(parameter => {
+            const rule = this.toRule(parameter.schema || {}, Boolean(parameter.required));
+            const raw = parameter.in === 'path' ? match.params[parameter.name] : query[parameter.name];
+            withLocation(parameter.in, validateField(rule, coerce(rule.type, raw), parameter.name));
+        });
+
+        const requestBody = match.operation.requestBody && this.resolve(match.operation.requestBody);
+        const content = requestBody && requestBody.content && requestBody.content['application/json'];
+        if (content && content.schema && body !== undefined) {
+            withLocation('body', validateField(this.toRule(content.schema, Boolean(requestBody.required)), body));
+        }
+        return errors;
+    }
+
+    // Erros da resposta JSON em relação ao documento. Erros (4xx/5xx) não
+    // listados na operação seguem o schema Error.
+    validateResponse(match, status, body) {
+        const responses = match.operation.responses || {};
+        let response = responses[status] || responses[`${String(status)[0]}XX`] || responses.default;
+        if (!response) {
+            if (status >= 400 && this.spec.components.schemas.Error) {
+                return validateField(this.toRule(this.spec.components.schemas.Error, true), body);
+            }
+            return [{ field: '', rule: 'status', message: `status ${status} não documentado` }];
+        }
+
+        response = this.resolve(response);
+        const content = response.content && response.content['application/json'];
+        if (!content || !content.schema) return [];
+        return validateField(this.toRule(content.schema, true), body);
+    }
+}
+
+// Corpo da requisição para validação. No Gateway ele chega cru (Buffer);
+// nos serviços, já convertido por express.json.
+function readJsonBody(req) {
+    if (!Buffer.isBuffer(req.body)) return req.body === undefined ? {} : req.body;
+    if (req.body.length === 0) return {};
+    if (!req.is('json')) return undefined;
+    return JSON.parse(req.body.toString('utf8'));
+}
+
+// options.basePath: prefixo das rotas do documento que o serviço atende sem ele (ex.: '/api')
+// options.contract: 'off', 'warn' ou 'strict' (padrão: OPENAPI_CONTRACT ou off)
+function openApiValidator(document, options = {}) {
+    const basePath = options.basePath || '';
+    const contract = options.contract || process.env.OPENAPI_CONTRACT || 'off';
+    if (!CONTRACT_MODES.includes(contract)) {
+        throw new Error(`OPENAPI_CONTRACT inválido: ${contract} (use ${CONTRACT_MODES.join(', ')})`);
+    }
+
+    return (req, res, next) => {
+        const match = document.match(req.method, req.path, basePath);
+        if (!match) return next();
+        // Sem usuário, uma rota protegida responde 401 antes de olhar os dados
+        const anonymous = !req.user && (match.operation.security || []).some(requirement => requirement.bearerAuth);
+
+        if (contract !== 'off') {
+            const json = res.json;
+            res.json = body => {
+                // Só a primeira resposta é conferida (não a de erro do modo strict)
+                res.json = json;
+                const errors = document.validateResponse(match, res.statusCode, body);
+                if (errors.length === 0) return res.json(body);
+                logger.warn('Resposta fora do contrato', {
+                    method: req.method, path: req.originalUrl, operationId: match.operation.operationId, status: res.statusCode, errors
+                });
+                if (contract === 'warn') return res.json(body);
+                return res.status(500).json({ success: false, message: 'Resposta fora do contrato da API', errors });
+            };
+        }
+
+        if (anonymous) return next();
+
+        let body;
+        try {
+            body = readJsonBody(req);
+        } catch (error) {
+            res.locals.route = match.route;
+            return res.status(400).json({ success: false, message: 'JSON inválido no corpo da requisição' });
+        }
+
+        const errors = document.validateRequest(match, req.query, body);
+        if (errors.length > 0) {
+            res.locals.route = match.route;
+            return res.status(400).json({ success: false, message: 'Dados inválidos', errors });
+        }
+        next();
+    };
+}
+
+function docsPage(docsPath) {
+    return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+    <meta charset="utf-8">
+    <title>Lista de Compras - API</title>
+    <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js"></script>
+    <script src="${docsPath}/init.js"></script>
+</body>
+</html>`;
+}
+
+// GET <path>               visualizador interativo (Swagger UI)
+// GET <path>/openapi.json  o documento
+function registerDocsRoutes(app, document, options = {}) {
+    const docsPath = options.path || '/api/docs';
+    const origin = new URL(SWAGGER_UI_URL).origin;
+
+    app.get(docsPath, (req, res) => {
+        // O Swagger UI vem de fora; a política padrão do helmet só aceita scripts locais
+        res.set('Content-Security-Policy', [
+            "default-src 'self'",
+            `script-src 'self' ${origin}`,
+            `style-src 'self' 'unsafe-inline' ${origin}`,
+            "img-src 'self' data: https:"
+        ].join('; '));
+        res.type('html').send(docsPage(docsPath));
+    });
+    app.get(`${docsPath}/init.js`, (req, res) => {
+        res.type('js').send(`window.ui = SwaggerUIBundle({ url: '${docsPath}/openapi.json', dom_id: '#swagger-ui' });\n`);
+    });
+    app.get(`${docsPath}/openapi.json`, (req, res) => res.json(document.spec));
+}
+
+module.exports = { CONTRACT_MODES, OpenApiDocument, openApiValidator, registerDocsRoutes };
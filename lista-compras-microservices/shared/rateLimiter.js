@@ -0,0 +1,177 @@
+// shared/rateLimiter.js
+// Rate limiting com token bucket. Cada limite { limit, windowSeconds } vira um
+// balde com capacidade limit, reabastecido a limit/windowSeconds tokens por
+// segundo: permite rajadas de até limit requisições e, em média, limit por janela.
+//
+// Os limites são organizados em grupos de rotas (ex.: auth, leitura do
+// catálogo, escrita de listas); cada grupo pode limitar por IP e por usuário
+// autenticado. Os baldes ficam em um store plugável: qualquer objeto com
+// take(requests) (síncrono ou assíncrono) serve; o padrão é MemoryRateLimitStore.
+
+const { createLogger } = require('./logger');
+
+const logger = createLogger('rate-limit');
+
+// Baldes cheios há mais que isso são descartados da memória
+const IDLE_BUCKET_MS = 10 * 60 * 1000;
+
+class MemoryRateLimitStore {
+    constructor(options = {}) {
+        this.clock = options.clock || Date.now;
+        this.buckets = new Map();
+        if (options.cleanupIntervalMs !== 0) {
+            this.cleanupTimer = setInterval(() => this.cleanup(), options.cleanupIntervalMs || 60000);
+            this.cleanupTimer.unref();
+        }
+    }
+
+    // Consome um token de cada balde pedido, ou de nenhum: se algum estiver
+    // vazio, a requisição é negada sem gastar os demais (senão, cada tentativa
+    // negada esgotaria os outros limites do mesmo IP ou usuário).
+    // requests: [{ key, bucket: { capacity, refillPerSecond } }]
+    // Devolve, na mesma ordem, { allowed, remaining, retryAfterMs, resetMs }
+    take(requests) {
+        const now = this.clock();
+        const states = requests.map(({ key, bucket }) => {
+            const state = this.buckets.get(key) || { tokens: bucket.capacity, updatedAt: now };
+            const elapsed = (now - state.updatedAt) / 1000;
+            state.tokens = Math.min(bucket.capacity, state.tokens + elapsed * bucket.refillPerSecond);
+            state.updatedAt = now;
+            this.buckets.set(key, state);
+            return state;
+        });
+
+        const allowed = states.every(state => state.tokens >= 1);
+        if (allowed) states.forEach(state => { state.tokens -= 1; });
+
+        return requests.map(({ bucket }, position) => {
+            const { tokens } = states[position];
+            // Negada a requisição, os baldes que ainda tinham token aparecem como liberados
+            const available = allowed || tokens >= 1;
+            return {
+                allowed: available,
+                remaining: Math.floor(tokens),
+                // Até haver um token de novo
+                retryAfterMs: available ? 0 : Math.ceil((1 - tokens) / bucket.refillPerSecond * 1000),
+                // Até o balde encher
+                resetMs: Math.ceil((bucket.capacity - tokens) / bucket.refillPerSecond * 1000)
+            };
+        });
+    }
+
+    cleanup() {
+        const now = this.clock();
+        this.buckets.forEach((state, key) => {
+            if (now - state.updatedAt > IDLE_BUCKET_MS) this.buckets.delete(key);
+        });
+    }
+
+    close() {
+        clearInterval(this.cleanupTimer);
+    }
+}
+
+function toBucket({ limit, windowSeconds }) {
+    if (!(limit > 0) || !(windowSeconds > 0)) {
+        throw new Error(`Limite inválido: ${JSON.stringify({ limit, windowSeconds })}`);
+    }
+    return { capacity: limit, refillPerSecond: limit / windowSeconds };
+}
+
+// Grupo que atende a requisição: métodos (vazio = todos) e prefixos de caminho
+function matches(group, req) {
+    const methods = group.methods || [];
+    const paths = group.paths || [];
+    return (methods.length === 0 || methods.includes(req.method))
+        && paths.some(prefix => req.path === prefix || req.path.startsWith(`${prefix}/`));
+}
+
+// Mensagem da resposta 429 para o limite que negou a requisição
+function deniedMessage({ group, scope }) {
+    return `Limite de requisições excedido (${group}, por ${scope === 'ip' ? 'IP' : 'usuário'}). Tente novamente mais tarde.`;
+}
+
+// Middleware Express.
+// config: { groups: [{ name, methods, paths, limits: { ip, user } }] }
+//   limits.ip / limits.user: { limit, windowSeconds }
+// options.userId(req): id do usuário autenticado, ou null
+// options.store: store dos baldes (padrão: MemoryRateLimitStore)
+// Uma requisição passa por todos os grupos que casam com ela; vale o limite
+// mais restritivo, que também é o informado nos cabeçalhos RateLimit-*.
+//
+// middleware.charge(req, { method, path }) cobra de req, nos mesmos baldes, uma
+// requisição a outra rota: quem faz chamadas internas em nome do cliente (ex.:
+// mutations GraphQL) não escapa dos limites da rota REST equivalente. Devolve
+// null se passou ou { group, scope, retryAfterMs, message } do limite que negou.
+function createRateLimiter(config, options = {}) {
+    const store = options.store || new MemoryRateLimitStore();
+    const userId = options.userId || (() => null);
+    const groups = (config.groups || []).map(group => ({
+        ...group,
+        buckets: Object.fromEntries(Object.entries(group.limits || {}).map(([scope, limit]) => [scope, { limit, bucket: toBucket(limit) }]))
+    }));
+
+    // Consome um token dos baldes dos grupos que casam com route ({ method, path }).
+    // Devolve null se nenhum grupo se aplica, ou { binding, denied }
+    const consume = async (req, route) => {
+        const identities = { ip: req.ip, user: userId(req) };
+        const requests = [];
+        for (const group of groups.filter(candidate => matches(candidate, route))) {
+            for (const [scope, { limit, bucket }] of Object.entries(group.buckets)) {
+                if (!identities[scope]) continue;
+                requests.push({ key: `${group.name}:${scope}:${identities[scope]}`, bucket, limit, group: group.name, scope });
+            }
+        }
+        if (requests.length === 0) return null;
+
+        const taken = await store.take(requests.map(({ key, bucket }) => ({ key, bucket })));
+        const results = requests.map(({ limit, group, scope }, position) => ({ ...taken[position], limit, group, scope }));
+
+        const denied = results.filter(result => !result.allowed);
+        // Mais restritivo: o negado que demora mais para liberar ou, se todos
+        // passaram, o que tem menos requisições restantes
+        const binding = denied.length > 0
+            ? denied.reduce((a, b) => (b.retryAfterMs > a.retryAfterMs ? b : a))
+            : results.reduce((a, b) => (b.remaining / b.limit.limit < a.remaining / a.limit.limit ? b : a));
+        return { binding, denied: denied.length > 0 };
+    };
+
+    const middleware = async (req, res, next) => {
+        try {
+            const result = await consume(req, req);
+            if (!result) return next();
+            const { binding, denied } = result;
+
+            res.set('RateLimit-Limit', String(binding.limit.limit));
+            res.set('RateLimit-Remaining', String(binding.remaining));
+            res.set('RateLimit-Reset', String(Math.ceil(binding.resetMs / 1000)));
+            res.set('RateLimit-Policy', `${binding.limit.limit};w=${binding.limit.windowSeconds}`);
+
+            if (denied) {
+                res.set('Retry-After', String(Math.max(1, Math.ceil(binding.retryAfterMs / 1000))));
+                return res.status(429).json({ success: false, message: deniedMessage(binding) });
+            }
+            next();
+        } catch (error) {
+            // Falha no store não derruba o Gateway: a requisição segue sem limite
+            logger.error('Erro no rate limiting', { error });
+            next();
+        }
+    };
+
+    middleware.charge = async (req, route) => {
+        try {
+            const result = await consume(req, route);
+            if (!result || !result.denied) return null;
+            const { group, scope, retryAfterMs } = result.binding;
+            return { group, scope, retryAfterMs, message: deniedMessage(result.binding) };
+        } catch (error) {
+            logger.error('Erro no rate limiting', { error });
+            return null;
+        }
+    };
+    middleware.store = store;
+    return middleware;
+}
+
+module.exports = { MemoryRateLimitStore, createRateLimiter };
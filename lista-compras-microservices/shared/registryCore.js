@@ -0,0 +1,571 @@
+// shared/registryCore.js
+// Núcleo do registro de serviços: instâncias, leases, estratégias de descoberta
+// e failover. ServiceRegistry guarda o estado em memória (usado pelo servidor
+// em service-registry/); FileBasedServiceRegistry o guarda em um arquivo JSON
+// compartilhado; HttpServiceRegistry (RegistryClient.js) consulta o servidor.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createLogger } = require('./logger');
+
+const logger = createLogger('registry');
+
+// Falhas em que a requisição não chegou ao serviço (seguro tentar outra instância)
+const CONNECTION_ERRORS = ['ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH', 'EAI_AGAIN'];
+const STRATEGIES = ['round-robin', 'random', 'least-recently-failed'];
+
+// Formato do arquivo:
+// { "<serviço>": { "instances": { "<id>": { id, url, version, tags, healthPath, healthy, healthStatus,
+//   pid, host, registeredAt, lastHealthCheck, leaseTtl, leaseExpiresAt, lastFailureAt, failures } } } }
+//
+// Cada instância mantém um lease: ela precisa renová-lo com heartbeat() antes de
+// leaseExpiresAt. Um lease vencido tira a instância da descoberta na hora e,
+// passados EVICT_AFTER_LEASES períodos sem renovação, a entrada é removida.
+const EVICT_AFTER_LEASES = 3;
+
+class ServiceRegistry {
+    constructor(options = {}) {
+        this.strategy = options.strategy || process.env.REGISTRY_STRATEGY || 'round-robin';
+        this.leaseTtl = options.leaseTtl || Number(process.env.REGISTRY_LEASE_TTL_SECONDS || 30) * 1000;
+        this.roundRobin = new Map();
+        // Instâncias registradas por este processo: id -> { serviceName, serviceInfo, timer }
+        this.localInstances = new Map();
+        this.services = {};
+    }
+
+    readRegistry() {
+        return this.services;
+    }
+
+    writeRegistry(services) {
+        this.services = services;
+    }
+
+    instancesOf(services, serviceName) {
+        return services[serviceName] ? Object.values(services[serviceName].instances) : [];
+    }
+
+    // Registrar uma instância de serviço; devolve o id da instância
+    // serviceInfo: { url, version, tags: [], healthPath: '/health', leaseTtl (ms) }
+    register(serviceName, serviceInfo) {
+        const services = this.sweep(this.readRegistry());
+        // pid e host vêm da própria instância quando o registro é feito por outro processo (servidor HTTP)
+        const pid = serviceInfo.pid || process.pid;
+        const id = serviceInfo.id || `${serviceName}-${pid}-${new URL(serviceInfo.url).port || 80}`;
+        const leaseTtl = serviceInfo.leaseTtl || this.leaseTtl;
+        const now = Date.now();
+
+        services[serviceName] = services[serviceName] || { instances: {} };
+        // Uma URL só pode ser atendida por um processo: entradas antigas com a
+        // mesma URL são de instâncias que já encerraram
+        this.instancesOf(services, serviceName)
+            .filter(instance => instance.url === serviceInfo.url && instance.id !== id)
+            .forEach(instance => delete services[serviceName].instances[instance.id]);
+        services[serviceName].instances[id] = {
+            ...serviceInfo,
+            id,
+            version: serviceInfo.version || null,
+            tags: serviceInfo.tags || [],
+            healthPath: serviceInfo.healthPath || '/health',
+            registeredAt: now,
+            lastHealthCheck: now,
+            healthy: true,
+            pid,
+            host: serviceInfo.host || os.hostname(),
+            leaseTtl,
+            leaseExpiresAt: now + leaseTtl,
+            failures: 0,
+            lastFailureAt: null
+        };
+
+        this.writeRegistry(services);
+        if (pid === process.pid) {
+            this.trackLocalInstance(serviceName, id, serviceInfo);
+        }
+        const instances = this.instancesOf(services, serviceName).length;
+        logger.info('Serviço registrado', {
+            serviceName, instanceId: id, url: serviceInfo.url, pid,
+            totalServices: Object.keys(services).length, instances
+        });
+        return id;
+    }
+
+    trackLocalInstance(serviceName, id, serviceInfo) {
+        const local = this.localInstances.get(id);
+        this.localInstances.set(id, { timer: null, ...local, serviceName, serviceInfo });
+    }
+
+    // Renova o lease da instância. Devolve false se ela não está mais
+    // registrada (ex.: removida após o lease vencer).
+    heartbeat(serviceName, instanceId) {
+        const services = this.sweep(this.readRegistry());
+        const instance = services[serviceName] && services[serviceName].instances[instanceId];
+        if (!instance) {
+            this.writeRegistry(services);
+            return false;
+        }
+
+        instance.leaseExpiresAt = Date.now() + (instance.leaseTtl || this.leaseTtl);
+        this.writeRegistry(services);
+        return true;
+    }
+
+    // Envia heartbeats a cada 1/3 do TTL. Um processo travado para de renovar
+    // e sai da descoberta quando o lease vence; se a entrada tiver sido
+    // removida, a instância se registra novamente.
+    startHeartbeat(serviceName, instanceId) {
+        const local = this.localInstances.get(instanceId);
+        if (!local) {
+            throw new Error(`Instância ${instanceId} não foi registrada por este processo`);
+        }
+        clearInterval(local.timer);
+
+        const leaseTtl = local.serviceInfo.leaseTtl || this.leaseTtl;
+        local.timer = setInterval(async () => {
+            try {
+                if (!await this.heartbeat(serviceName, instanceId)) {
+                    logger.warn('Lease perdido, registrando novamente', { serviceName, instanceId });
+                    await this.register(serviceName, { ...local.serviceInfo, id: instanceId });
+                }
+            } catch (error) {
+                logger.error('Falha no heartbeat', { serviceName, instanceId, error });
+            }
+        }, Math.max(1000, Math.floor(leaseTtl / 3)));
+        local.timer.unref();
+    }
+
+    stopHeartbeat(instanceId) {
+        const local = this.localInstances.get(instanceId);
+        if (local) {
+            clearInterval(local.timer);
+            local.timer = null;
+        }
+    }
+
+    // Lease vigente (entradas antigas sem lease usam o último health check)
+    leaseExpiresAt(instance) {
+        return instance.leaseExpiresAt || (instance.lastHealthCheck || 0) + this.leaseTtl;
+    }
+
+    isAvailable(instance, now = Date.now()) {
+        return instance.healthy && this.leaseExpiresAt(instance) > now;
+    }
+
+    // Aplica sweep() ao estado guardado e devolve o resultado
+    async evictExpired() {
+        const services = this.sweep(this.readRegistry());
+        this.writeRegistry(services);
+        return services;
+    }
+
+    // Remove entradas cujo lease venceu há mais de EVICT_AFTER_LEASES períodos
+    sweep(services) {
+        const now = Date.now();
+        Object.keys(services).forEach(name => {
+            this.instancesOf(services, name).forEach(instance => {
+                const ttl = instance.leaseTtl || this.leaseTtl;
+                if (now - this.leaseExpiresAt(instance) > ttl * (EVICT_AFTER_LEASES - 1)) {
+                    delete services[name].instances[instance.id];
+                    logger.info('Lease expirado, removendo instância', { serviceName: name, instanceId: instance.id });
+                }
+            });
+            if (Object.keys(services[name].instances).length === 0) {
+                delete services[name];
+            }
+        });
+        return services;
+    }
+
+    // Na inicialização: entradas deste host cujo processo não existe mais
+    // (ex.: encerrado com SIGKILL, sem passar por cleanup)
+    removeDeadProcesses() {
+        const services = this.readRegistry();
+        let changed = false;
+
+        Object.keys(services).forEach(name => {
+            this.instancesOf(services, name).forEach(instance => {
+                const sameHost = !instance.host || instance.host === os.hostname();
+                if (sameHost && instance.pid && !this.isProcessAlive(instance.pid)) {
+                    delete services[name].instances[instance.id];
+                    changed = true;
+                    logger.info('Removendo instância de processo que não existe mais', { serviceName: name, instanceId: instance.id, pid: instance.pid });
+                }
+            });
+            if (Object.keys(services[name].instances).length === 0) {
+                delete services[name];
+            }
+        });
+
+        if (changed) {
+            this.writeRegistry(services);
+        }
+    }
+
+    isProcessAlive(pid) {
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            // EPERM: o processo existe, mas pertence a outro usuário
+            return error.code === 'EPERM';
+        }
+    }
+
+    // Descobrir uma instância saudável do serviço
+    // options.strategy: 'round-robin' (padrão, ou REGISTRY_STRATEGY), 'random' ou 'least-recently-failed'
+    // options.exclude: ids de instâncias a ignorar (ex.: as que já falharam nesta requisição)
+    // options.tags: exige instâncias com todas essas tags
+    discover(serviceName, options = {}) {
+        return this.selectInstance(this.readRegistry(), serviceName, options);
+    }
+
+    selectInstance(services, serviceName, options = {}) {
+        const strategy = options.strategy || this.strategy;
+        const exclude = options.exclude || [];
+        const tags = options.tags || [];
+        const now = Date.now();
+
+        const instances = this.instancesOf(services, serviceName);
+        if (instances.length === 0) {
+            logger.warn('Serviço não encontrado', { serviceName, registered: Object.keys(services) });
+            throw Object.assign(new Error(`Serviço não encontrado: ${serviceName}`), { code: 'ESERVICENOTFOUND' });
+        }
+
+        const candidates = instances
+            .filter(instance => this.isAvailable(instance, now) && !exclude.includes(instance.id))
+            .filter(instance => tags.every(tag => (instance.tags || []).includes(tag)))
+            .sort((a, b) => a.id.localeCompare(b.id));
+        if (candidates.length === 0) {
+            logger.warn('Serviço indisponível', { serviceName });
+            throw Object.assign(new Error(`Serviço indisponível: ${serviceName}`), { code: 'ESERVICEUNAVAILABLE' });
+        }
+
+        const instance = this.pick(serviceName, candidates, strategy);
+        logger.debug('Serviço encontrado', { serviceName, instanceId: instance.id, url: instance.url, strategy });
+        return instance;
+    }
+
+    pick(serviceName, candidates, strategy) {
+        switch (strategy) {
+            case 'round-robin': {
+                const next = this.roundRobin.get(serviceName) || 0;
+                this.roundRobin.set(serviceName, next + 1);
+                return candidates[next % candidates.length];
+            }
+            case 'random':
+                return candidates[Math.floor(Math.random() * candidates.length)];
+            case 'least-recently-failed':
+                // Instâncias que nunca falharam primeiro; depois a falha mais antiga
+                return candidates.reduce((best, instance) =>
+                    (instance.lastFailureAt || 0) < (best.lastFailureAt || 0) ? instance : best
+                );
+            default:
+                throw new Error(`Estratégia de descoberta desconhecida: ${strategy} (use ${STRATEGIES.join(', ')})`);
+        }
+    }
+
+    // Executa task(instância) e, se a instância estiver inacessível, tenta as
+    // demais. Só há nova tentativa quando repetir é seguro: conexão recusada
+    // (a requisição não foi enviada) ou qualquer falha sem resposta em
+    // requisições idempotentes (GET/HEAD, ou options.idempotent).
+    // options.avoid: ids a preterir (ex.: usados em tentativas anteriores da
+    // mesma requisição); só são escolhidos se não restar outra instância.
+    async withFailover(serviceName, task, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const idempotent = options.idempotent ?? ['GET', 'HEAD'].includes(method);
+        const avoid = options.avoid || [];
+        const tried = [];
+        let lastError = null;
+
+        for (;;) {
+            let instance;
+            try {
+                instance = await this.discoverAvoiding(serviceName, options.strategy, tried, avoid);
+            } catch (error) {
+                // Sem instâncias restantes: relata a falha da última tentativa
+                throw lastError || error;
+            }
+
+            try {
+                return await task(instance);
+            } catch (error) {
+                const unreachable = !error.response && (CONNECTION_ERRORS.includes(error.code) || idempotent);
+                if (!unreachable) throw error;
+
+                await this.reportFailure(serviceName, instance.id);
+                tried.push(instance.id);
+                lastError = error;
+                logger.warn('Falha ao acessar instância, tentando outra', { serviceName, instanceId: instance.id, error });
+            }
+        }
+    }
+
+    async discoverAvoiding(serviceName, strategy, exclude, avoid) {
+        try {
+            return await this.discover(serviceName, { strategy, exclude: exclude.concat(avoid) });
+        } catch (error) {
+            if (avoid.length === 0) throw error;
+            return this.discover(serviceName, { strategy, exclude });
+        }
+    }
+
+    // Listar todos os serviços e suas instâncias
+    listServices() {
+        const services = this.readRegistry();
+        const serviceList = {};
+        const now = Date.now();
+
+        Object.keys(services).forEach(name => {
+            const instances = this.instancesOf(services, name).map(instance => ({
+                id: instance.id,
+                url: instance.url,
+                version: instance.version || null,
+                tags: instance.tags || [],
+                healthPath: instance.healthPath || '/health',
+                status: this.instanceStatus(instance, now),
+                healthy: this.isAvailable(instance, now),
+                registeredAt: new Date(instance.registeredAt).toISOString(),
+                leaseExpiresAt: new Date(this.leaseExpiresAt(instance)).toISOString(),
+                uptime: now - instance.registeredAt,
+                pid: instance.pid,
+                host: instance.host || null,
+                failures: instance.failures,
+                lastFailureAt: instance.lastFailureAt ? new Date(instance.lastFailureAt).toISOString() : null
+            }));
+            serviceList[name] = {
+                healthyInstances: instances.filter(instance => instance.healthy).length,
+                instances
+            };
+        });
+
+        return serviceList;
+    }
+
+    // up: disponível; degraded: disponível, mas a readiness indicou problema
+    // (ex.: uma dependência não crítica fora do ar); down: health check
+    // falhou; expired: lease não renovado
+    instanceStatus(instance, now = Date.now()) {
+        if (this.leaseExpiresAt(instance) <= now) return 'expired';
+        if (!instance.healthy) return 'down';
+        return instance.healthStatus === 'degraded' ? 'degraded' : 'up';
+    }
+
+    // Remover uma instância (ou o serviço inteiro, sem instanceId)
+    unregister(serviceName, instanceId) {
+        const services = this.readRegistry();
+        if (!services[serviceName]) return false;
+
+        if (instanceId === undefined) {
+            this.instancesOf(services, serviceName).forEach(instance => this.stopHeartbeat(instance.id));
+            delete services[serviceName];
+        } else if (services[serviceName].instances[instanceId]) {
+            this.stopHeartbeat(instanceId);
+            delete services[serviceName].instances[instanceId];
+            if (Object.keys(services[serviceName].instances).length === 0) {
+                delete services[serviceName];
+            }
+        } else {
+            return false;
+        }
+
+        this.writeRegistry(services);
+        logger.info('Serviço removido', { serviceName, instanceId });
+        return true;
+    }
+
+    // Resultado do health check de uma instância (feito pelo Gateway). Não
+    // renova o lease: só o heartbeat da própria instância faz isso.
+    // Sem instanceId, atualiza as instâncias registradas por este processo.
+    // status: o informado pela readiness (healthy, degraded ou unhealthy)
+    updateHealth(serviceName, healthy, instanceId, status) {
+        const services = this.readRegistry();
+        const instances = this.instancesOf(services, serviceName)
+            .filter(instance => (instanceId ? instance.id === instanceId : instance.pid === process.pid));
+        if (instances.length === 0) return;
+
+        instances.forEach(instance => {
+            instance.healthy = healthy;
+            instance.healthStatus = status || (healthy ? 'healthy' : 'unhealthy');
+            instance.lastHealthCheck = Date.now();
+            if (!healthy) {
+                instance.failures = (instance.failures || 0) + 1;
+                instance.lastFailureAt = Date.now();
+            }
+        });
+        this.writeRegistry(services);
+        logger.debug('Health check', { serviceName, instanceId, status: healthy ? 'OK' : 'FAIL', healthStatus: status });
+    }
+
+    // Falha observada por um cliente; a instância continua elegível, mas a
+    // estratégia least-recently-failed passa a evitá-la
+    reportFailure(serviceName, instanceId) {
+        const services = this.readRegistry();
+        const instance = services[serviceName] && services[serviceName].instances[instanceId];
+        if (!instance) return;
+
+        instance.failures = (instance.failures || 0) + 1;
+        instance.lastFailureAt = Date.now();
+        this.writeRegistry(services);
+    }
+
+    // Health check de todas as instâncias pela readiness (healthPath). Uma
+    // instância degraded (200) continua na descoberta; unhealthy (503) sai.
+    async performHealthChecks() {
+        const axios = require('axios');
+        const services = await this.evictExpired();
+        const checks = Object.keys(services).flatMap(name =>
+            this.instancesOf(services, name).map(instance => ({ name, instance }))
+        );
+
+        logger.debug('Executando health checks', { instances: checks.length });
+
+        for (const { name, instance } of checks) {
+            try {
+                const response = await axios.get(`${instance.url}${instance.healthPath || '/health'}`, {
+                    timeout: 5000,
+                    family: 4
+                });
+                const status = response.data && response.data.status === 'degraded' ? 'degraded' : 'healthy';
+                if (status === 'degraded' && instance.healthStatus !== 'degraded') {
+                    logger.warn('Instância degradada', { serviceName: name, instanceId: instance.id, failing: this.failingChecks(response.data) });
+                }
+                await this.updateHealth(name, true, instance.id, status);
+            } catch (error) {
+                const body = error.response && error.response.data;
+                logger.warn('Health check falhou', { serviceName: name, instanceId: instance.id, failing: this.failingChecks(body), error });
+                await this.updateHealth(name, false, instance.id, 'unhealthy');
+            }
+        }
+    }
+
+    // Nomes das verificações que não passaram na resposta da readiness
+    failingChecks(body) {
+        if (!body || typeof body.checks !== 'object' || body.checks === null) return [];
+        return Object.keys(body.checks).filter(name => body.checks[name].status !== 'pass');
+    }
+
+    // Debug: listar serviços registrados
+    debugListServices() {
+        const services = this.readRegistry();
+        Object.keys(services).forEach(name => {
+            this.instancesOf(services, name).forEach(instance => {
+                logger.debug('Serviço registrado', {
+                    serviceName: name, instanceId: instance.id, url: instance.url,
+                    healthy: this.isAvailable(instance), pid: instance.pid
+                });
+            });
+        });
+    }
+
+    // Verificar se um serviço tem alguma instância registrada
+    hasService(serviceName) {
+        const services = this.readRegistry();
+        return this.instancesOf(services, serviceName).length > 0;
+    }
+
+    // Obter estatísticas (total/healthy/unhealthy contam instâncias; lease vencido conta como unhealthy)
+    getStats() {
+        const services = this.readRegistry();
+        let total = 0;
+        let healthy = 0;
+        let unhealthy = 0;
+
+        Object.keys(services).forEach(name => {
+            this.instancesOf(services, name).forEach(instance => {
+                total++;
+                if (this.isAvailable(instance)) {
+                    healthy++;
+                } else {
+                    unhealthy++;
+                }
+            });
+        });
+
+        return { services: Object.keys(services).length, total, healthy, unhealthy };
+    }
+
+    // Limpar registry (útil para desenvolvimento)
+    clear() {
+        this.writeRegistry({});
+        logger.info('Registry limpo');
+    }
+
+    // Cleanup na saída do processo
+    cleanup() {
+        // Remove instâncias deste PID ao sair
+        this.localInstances.forEach((local, id) => this.stopHeartbeat(id));
+        const services = this.readRegistry();
+        const currentPid = process.pid;
+        let changed = false;
+
+        Object.keys(services).forEach(name => {
+            this.instancesOf(services, name).forEach(instance => {
+                if (instance.pid === currentPid) {
+                    delete services[name].instances[instance.id];
+                    changed = true;
+                    logger.info('Removendo instância deste processo', { serviceName: name, instanceId: instance.id, pid: currentPid });
+                }
+            });
+            if (Object.keys(services[name].instances).length === 0) {
+                delete services[name];
+            }
+        });
+
+        if (changed) {
+            this.writeRegistry(services);
+        }
+    }
+}
+
+// Registro em um arquivo JSON compartilhado por todos os processos da máquina
+// (modo anterior ao servidor HTTP, mantido como alternativa: REGISTRY_MODE=file)
+class FileBasedServiceRegistry extends ServiceRegistry {
+    constructor(registryFile = path.join(__dirname, 'services-registry.json'), options = {}) {
+        super(options);
+        this.registryFile = registryFile;
+        this.ensureRegistryFile();
+        this.removeDeadProcesses();
+        logger.debug('File-based Service Registry inicializado', { registryFile: this.registryFile });
+    }
+
+    ensureRegistryFile() {
+        if (!fs.existsSync(this.registryFile)) {
+            this.writeRegistry({});
+        }
+    }
+
+    readRegistry() {
+        try {
+            const data = fs.readFileSync(this.registryFile, 'utf8');
+            return this.normalize(JSON.parse(data));
+        } catch (error) {
+            logger.error('Erro ao ler registry file', { registryFile: this.registryFile, error });
+            return {};
+        }
+    }
+
+    // Converte entradas do formato antigo (uma URL por serviço) em instâncias
+    normalize(services) {
+        Object.entries(services).forEach(([name, service]) => {
+            if (!service.instances) {
+                const id = `${name}-${service.pid || 'legacy'}`;
+                services[name] = { instances: { [id]: { id, failures: 0, lastFailureAt: null, ...service } } };
+            }
+        });
+        return services;
+    }
+
+    writeRegistry(services) {
+        // Arquivo temporário + rename: outro processo nunca lê o JSON pela metade
+        const tmpFile = `${this.registryFile}.${process.pid}.tmp`;
+        try {
+            fs.writeFileSync(tmpFile, JSON.stringify(services, null, 2));
+            fs.renameSync(tmpFile, this.registryFile);
+        } catch (error) {
+            logger.error('Erro ao escrever registry file', { registryFile: this.registryFile, error });
+        }
+    }
+}
+
+module.exports = { ServiceRegistry, FileBasedServiceRegistry, STRATEGIES };
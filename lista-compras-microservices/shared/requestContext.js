@@ -0,0 +1,35 @@
+// shared/requestContext.js
+// Contexto da requisição em andamento (id de correlação e usuário), disponível
+// em qualquer ponto do código chamado por ela, inclusive depois de await.
+//
+// O Gateway aceita o X-Request-Id do cliente ou cria um novo; ele segue para
+// os serviços em todas as chamadas (requestIdHeaders) e aparece nos logs.
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// Ids recebidos de fora vão para os logs: só caracteres seguros e tamanho limitado
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+function currentContext() {
+    return storage.getStore() || null;
+}
+
+function runWithContext(context, callback) {
+    return storage.run(context, callback);
+}
+
+// Id recebido no cabeçalho, se válido, ou um novo
+function resolveRequestId(header) {
+    return header && VALID_REQUEST_ID.test(header) ? header : crypto.randomUUID();
+}
+
+// Cabeçalho para propagar o id da requisição atual a outro serviço
+function requestIdHeaders() {
+    const context = currentContext();
+    return context ? { [REQUEST_ID_HEADER]: context.requestId } : {};
+}
+
+module.exports = { REQUEST_ID_HEADER, currentContext, runWithContext, resolveRequestId, requestIdHeaders };
@@ -0,0 +1,156 @@
+// shared/retry.js
+// Novas tentativas com backoff exponencial e jitter, orçamento de retries e
+// hedging (uma segunda requisição em paralelo quando a primeira demora).
+// Valem para leituras; escritas só são repetidas quando a rota pede (retryFor).
+
+const { createLogger } = require('./logger');
+
+const logger = createLogger('retry');
+
+// Métodos seguros (RFC 9110): não alteram nada no serviço
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// Idempotentes, mas escrevem: só são repetidos com retryWrites na rota
+const IDEMPOTENT_WRITE_METHODS = ['PUT', 'DELETE'];
+// Respostas que indicam falha passageira do serviço ou do caminho até ele
+const RETRYABLE_STATUS = [502, 503, 504];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Vale repetir: sem resposta (timeout, conexão) ou 502/503/504. Circuito
+// aberto e requisições canceladas pelo hedging não são repetidos.
+function isRetryableError(error) {
+    if (error.code === 'ECIRCUITOPEN' || error.code === 'ERR_CANCELED') return false;
+    return error.response ? RETRYABLE_STATUS.includes(error.response.status) : true;
+}
+
+// "Full jitter": espera aleatória entre 0 e base * 2^tentativa (limitada a
+// maxDelayMs), para que clientes que falharam juntos não repitam juntos
+function backoffDelay(attempt, baseDelayMs, maxDelayMs, random = Math.random) {
+    return Math.floor(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+// Limita os retries a uma fração das requisições recentes (mais um mínimo
+// por segundo), para que eles não multipliquem a carga de um serviço que já
+// está com problemas.
+class RetryBudget {
+    constructor(options = {}) {
+        this.ratio = options.ratio ?? 0.2;
+        this.minRetriesPerSecond = options.minRetriesPerSecond ?? 1;
+        this.windowMs = options.windowMs ?? 10000;
+        this.clock = options.clock || Date.now;
+        this.requests = [];
+        this.retries = [];
+    }
+
+    prune() {
+        const since = this.clock() - this.windowMs;
+        this.requests = this.requests.filter(time => time > since);
+        this.retries = this.retries.filter(time => time > since);
+    }
+
+    recordRequest() {
+        this.requests.push(this.clock());
+    }
+
+    // Reserva um retry; devolve false se o orçamento acabou
+    tryRetry() {
+        this.prune();
+        const allowed = this.minRetriesPerSecond * this.windowMs / 1000 + this.ratio * this.requests.length;
+        if (this.retries.length >= allowed) return false;
+        this.retries.push(this.clock());
+        return true;
+    }
+
+    snapshot() {
+        this.prune();
+        return { requests: this.requests.length, retries: this.retries.length };
+    }
+}
+
+// Retries e hedging de uma requisição com a política da rota. Leituras usam
+// os dois. PUT e DELETE só são repetidos com policy.retryWrites, nunca têm
+// hedging (seriam duas escritas em paralelo) e nunca são repetidos quando
+// condicionais (If-Match): se a primeira tentativa foi aplicada e só a
+// resposta se perdeu, a repetição receberia 412. POST nunca é repetido.
+function retryFor(method, policy, options = {}) {
+    const upper = method.toUpperCase();
+    if (SAFE_METHODS.includes(upper)) {
+        return { retries: policy.retries || 0, hedgeAfterMs: policy.hedgeAfterMs || null };
+    }
+    const retryWrite = policy.retryWrites === true && IDEMPOTENT_WRITE_METHODS.includes(upper) && !options.conditional;
+    return { retries: retryWrite ? policy.retries || 0 : 0, hedgeAfterMs: null };
+}
+
+// Executa task(tentativa) e repete até options.retries vezes os erros em que
+// isRetryable(erro) é verdadeiro, com backoff entre as tentativas
+async function withRetries(task, options = {}) {
+    const {
+        retries = 0,
+        baseDelayMs = 100,
+        maxDelayMs = 2000,
+        budget = null,
+        isRetryable = isRetryableError,
+        onRetry = null
+    } = options;
+    if (budget) budget.recordRequest();
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await task(attempt);
+        } catch (error) {
+            if (attempt >= retries || !isRetryable(error)) throw error;
+            if (budget && !budget.tryRetry()) {
+                logger.warn('Orçamento de retries esgotado', { error });
+                throw error;
+            }
+            const delay = backoffDelay(attempt, baseDelayMs, maxDelayMs);
+            if (onRetry) onRetry(error, attempt + 1, delay);
+            await sleep(delay);
+        }
+    }
+}
+
+// Executa task({ signal, hedged }). Se ela não terminar em delayMs, dispara
+// uma segunda execução (hedged: true) e fica com o primeiro sucesso; a outra
+// é cancelada pelo signal. Sem delayMs, é só uma chamada a task().
+function hedge(task, delayMs) {
+    if (!delayMs) {
+        return task({ signal: undefined, hedged: false });
+    }
+
+    return new Promise((resolve, reject) => {
+        const controllers = [];
+        let pending = 0;
+        let settled = false;
+        let timer = null;
+
+        const launch = hedged => {
+            const controller = new AbortController();
+            controllers.push(controller);
+            pending++;
+            Promise.resolve()
+                .then(() => task({ signal: controller.signal, hedged }))
+                .then(result => {
+                    if (settled) return;
+                    settled = true;
+                    clearTimeout(timer);
+                    controllers.filter(other => other !== controller).forEach(other => other.abort());
+                    resolve(result);
+                }, error => {
+                    pending--;
+                    // Falhou antes do hedge: não há por que esperar por ele
+                    if (settled || pending > 0) return;
+                    settled = true;
+                    clearTimeout(timer);
+                    reject(error);
+                });
+        };
+
+        launch(false);
+        timer = setTimeout(() => {
+            if (!settled) launch(true);
+        }, delayMs);
+    });
+}
+
+module.exports = { SAFE_METHODS, retryFor, isRetryableError, backoffDelay, RetryBudget, withRetries, hedge };
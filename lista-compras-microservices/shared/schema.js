@@ -0,0 +1,165 @@
+// shared/schema.js
+// Validação declarativa de documentos do JsonDatabase.
+//
+// Um schema descreve os campos de um objeto:
+//   {
+//     fields: {
+//       name:     { type: 'string', required: true, minLength: 1 },
+//       status:   { type: 'string', enum: ['active', 'completed'], default: 'active' },
+//       quantity: { type: 'number', min: 0, exclusiveMin: true },
+//       items:    { type: 'array', items: { type: 'object', fields: { ... } } }
+//     },
+//     additionalFields: false  // rejeita campos não declarados (padrão: true)
+//   }
+//
+// Tipos: string, number, integer, boolean, date (string ISO 8601), object, array.
+// Regras: required, nullable, enum, min, max, exclusiveMin, exclusiveMax,
+// minLength, maxLength, pattern, fields/additionalFields (object), values
+// (regra de cada valor de um objeto usado como mapa), items, minItems,
+// maxItems (array) e default.
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    date: value => typeof value === 'string' && !Number.isNaN(Date.parse(value)),
+    object: value => typeof value === 'object' && value !== null && !Array.isArray(value),
+    array: value => Array.isArray(value)
+};
+
+const TYPE_NAMES = {
+    string: 'texto',
+    number: 'número',
+    integer: 'número inteiro',
+    boolean: 'booleano',
+    date: 'data ISO 8601',
+    object: 'objeto',
+    array: 'lista'
+};
+
+function joinPath(parent, key) {
+    if (typeof key === 'number') return `${parent}[${key}]`;
+    return parent ? `${parent}.${key}` : key;
+}
+
+function validateValue(rule, value, fieldPath, errors) {
+    const fail = (code, message) => errors.push({ field: fieldPath, rule: code, message });
+
+    if (value === undefined) {
+        if (rule.required) fail('required', 'campo obrigatório');
+        return;
+    }
+    if (value === null) {
+        if (!rule.nullable) fail('nullable', 'não pode ser nulo');
+        return;
+    }
+
+    if (rule.type) {
+        const check = TYPE_CHECKS[rule.type];
+        if (!check) throw new Error(`Tipo de schema desconhecido em ${fieldPath}: ${rule.type}`);
+        if (!check(value)) {
+            fail('type', `deve ser do tipo ${TYPE_NAMES[rule.type]}`);
+            return;
+        }
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        fail('enum', `deve ser um dos valores: ${rule.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (rule.min !== undefined && (rule.exclusiveMin ? value <= rule.min : value < rule.min)) {
+            fail('min', rule.exclusiveMin ? `deve ser maior que ${rule.min}` : `deve ser maior ou igual a ${rule.min}`);
+        }
+        if (rule.max !== undefined && (rule.exclusiveMax ? value >= rule.max : value > rule.max)) {
+            fail('max', rule.exclusiveMax ? `deve ser menor que ${rule.max}` : `deve ser menor ou igual a ${rule.max}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (rule.minLength !== undefined && value.length < rule.minLength) {
+            fail('minLength', `deve ter pelo menos ${rule.minLength} caractere(s)`);
+        }
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            fail('maxLength', `deve ter no máximo ${rule.maxLength} caractere(s)`);
+        }
+        if (rule.pattern && !new RegExp(rule.pattern).test(value)) {
+            fail('pattern', 'formato inválido');
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (rule.minItems !== undefined && value.length < rule.minItems) {
+            fail('minItems', `deve ter pelo menos ${rule.minItems} elemento(s)`);
+        }
+        if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+            fail('maxItems', `deve ter no máximo ${rule.maxItems} elemento(s)`);
+        }
+        if (rule.items) {
+            value.forEach((element, index) => validateValue(rule.items, element, joinPath(fieldPath, index), errors));
+        }
+    }
+
+    if (rule.fields && TYPE_CHECKS.object(value)) {
+        validateFields(rule, value, fieldPath, errors);
+    }
+
+    if (rule.values && TYPE_CHECKS.object(value)) {
+        Object.entries(value).forEach(([key, element]) => validateValue(rule.values, element, joinPath(fieldPath, key), errors));
+    }
+}
+
+function validateFields(schema, object, parentPath, errors) {
+    Object.entries(schema.fields).forEach(([key, rule]) => {
+        validateValue(rule, object[key], joinPath(parentPath, key), errors);
+    });
+
+    if (schema.additionalFields === false) {
+        Object.keys(object)
+            .filter(key => !Object.prototype.hasOwnProperty.call(schema.fields, key))
+            .forEach(key => errors.push({ field: joinPath(parentPath, key), rule: 'additionalFields', message: 'campo não permitido' }));
+    }
+}
+
+// Devolve a lista de erros por campo; lista vazia significa documento válido
+function validateDocument(schema, document) {
+    const errors = [];
+    validateFields(schema, document, '', errors);
+    return errors;
+}
+
+// Valida um valor isolado contra uma regra (ex.: um parâmetro de query)
+function validateField(rule, value, fieldPath = '') {
+    const errors = [];
+    validateValue(rule, value, fieldPath, errors);
+    return errors;
+}
+
+// Preenche campos ausentes que declaram `default` (inclusive em objetos aninhados)
+function applyDefaults(schema, document) {
+    const result = { ...document };
+
+    Object.entries(schema.fields).forEach(([key, rule]) => {
+        if (result[key] === undefined && rule.default !== undefined) {
+            result[key] = typeof rule.default === 'function'
+                ? rule.default()
+                : JSON.parse(JSON.stringify(rule.default));
+        }
+        if (rule.fields && TYPE_CHECKS.object(result[key])) {
+            result[key] = applyDefaults(rule, result[key]);
+        }
+    });
+
+    return result;
+}
+
+function createValidationError(collectionName, errors) {
+    const summary = errors.map(({ field, message }) => `${field}: ${message}`).join('; ');
+    const error = new Error(`Documento inválido para ${collectionName}: ${summary}`);
+    error.code = 'EVALIDATION';
+    error.errors = errors;
+    return error;
+}
+
+module.exports = { validateDocument, validateField, applyDefaults, createValidationError };
@@ -0,0 +1,548 @@
+// shared/storageBackends.js
+// Backends de armazenamento do JsonDatabase.
+//
+// Todo backend implementa:
+//   lockKey                      chave da fila de escrita (mesmo recurso => mesma chave)
+//   async init()                 prepara o armazenamento
+//   async read()                 devolve o array de documentos (cópia do chamador)
+//   async write(docs, changes)   persiste a nova versão da coleção; `changes` lista
+//                                [{ type: 'put', document } | { type: 'delete', id }]
+//                                ou é null quando a coleção inteira foi substituída
+//   async version()              marca opaca (objeto simples) que muda a cada escrita,
+//                                usada para validar índice e cache; null se indisponível
+//   async readIndex() / writeIndex(index)
+//   appendOnly                   (opcional) true se write() só acrescenta `changes`; o
+//                                índice então não é regravado a cada escrita, e sim
+//                                pelo próprio backend ao compactar (options.buildIndex)
+//   async readMeta() / writeMeta(meta)
+//   async lock(task)             executa task com exclusividade entre processos
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const { createLogger } = require('./logger');
+
+const logger = createLogger('storage');
+
+// Filas de escrita por recurso. São compartilhadas entre instâncias do mesmo
+// processo para que duas JsonDatabase apontando para a mesma coleção também
+// fiquem serializadas.
+const writeQueues = new Map();
+
+function enqueueWrite(key, task) {
+    const previous = writeQueues.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    writeQueues.set(key, current);
+
+    const release = () => {
+        if (writeQueues.get(key) === current) {
+            writeQueues.delete(key);
+        }
+    };
+    current.then(release, release);
+
+    return current;
+}
+
+// Escreve em um arquivo temporário e renomeia por cima do original.
+// O rename é atômico no mesmo sistema de arquivos, então um crash no meio
+// da escrita deixa o arquivo antigo intacto em vez de um JSON truncado.
+async function writeFileAtomic(filePath, content) {
+    const tmpPath = `${filePath}.${process.pid}.${uuidv4()}.tmp`;
+    let fd = null;
+
+    try {
+        fd = await fs.open(tmpPath, 'w');
+        await fs.write(fd, content);
+        await fs.fsync(fd);
+        await fs.close(fd);
+        fd = null;
+        await fs.rename(tmpPath, filePath);
+    } catch (error) {
+        if (fd !== null) {
+            await fs.close(fd).catch(() => {});
+        }
+        await fs.remove(tmpPath).catch(() => {});
+        throw error;
+    }
+}
+
+// Identifica o espaço de PIDs deste processo: contêineres diferentes podem ter
+// o mesmo hostname e o mesmo PID (em geral 1), e um PID só pode ser verificado
+// dentro do próprio espaço.
+const PID_NAMESPACE = (() => {
+    try {
+        return fs.readlinkSync('/proc/self/ns/pid');
+    } catch (error) {
+        return null;
+    }
+})();
+
+// Lock entre processos: um arquivo criado com 'wx' contendo um token único do
+// dono, além de PID, host e espaço de PIDs. Necessário quando várias instâncias
+// de um serviço compartilham o mesmo banco. Enquanto a tarefa roda, o dono
+// renova a data do arquivo; um lock sem renovação há mais de `staleMs` é de um
+// dono que caiu e é descartado, assim como o de um processo que comprovadamente
+// não existe mais.
+async function withFileLock(lockPath, task, { timeoutMs = 10000, staleMs = 30000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    const owner = {
+        token: uuidv4(),
+        pid: process.pid,
+        host: os.hostname(),
+        pidNamespace: PID_NAMESPACE,
+        acquiredAt: new Date().toISOString()
+    };
+
+    for (;;) {
+        try {
+            await fs.writeFile(lockPath, JSON.stringify(owner), { flag: 'wx' });
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+
+        const stale = await staleLockToken(lockPath, staleMs);
+        if (stale !== null) {
+            logger.warn('Removendo lock abandonado', { lockPath });
+            await removeLockIfOwned(lockPath, stale);
+            continue;
+        }
+        if (Date.now() > deadline) {
+            const error = new Error(`Tempo esgotado aguardando o lock ${lockPath}`);
+            error.code = 'ELOCKTIMEOUT';
+            throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, 20 + Math.random() * 30));
+    }
+
+    const heartbeat = setInterval(() => {
+        const now = new Date();
+        fs.utimes(lockPath, now, now).catch(() => {});
+    }, staleMs / 3);
+    heartbeat.unref();
+
+    try {
+        return await task();
+    } finally {
+        clearInterval(heartbeat);
+        await removeLockIfOwned(lockPath, owner.token);
+    }
+}
+
+async function readLockOwner(lockPath) {
+    try {
+        return JSON.parse(await fs.readFile(lockPath, 'utf8'));
+    } catch (error) {
+        // Arquivo vazio ou incompleto: o dono ainda está gravando
+        return error.code === 'ENOENT' ? undefined : null;
+    }
+}
+
+// Devolve o token do lock se ele estiver abandonado ('' se o arquivo nunca foi
+// preenchido), ou null se o dono pode estar ativo
+async function staleLockToken(lockPath, staleMs) {
+    const stat = await fs.stat(lockPath).catch(() => null);
+    const owner = await readLockOwner(lockPath);
+    if (!stat || owner === undefined) return null;
+
+    const token = owner ? owner.token : '';
+    if (Date.now() - stat.mtimeMs > staleMs) return token;
+
+    // Só dá para consultar o PID de outro processo do mesmo host e espaço de
+    // PIDs; com o mesmo PID (outro contêiner, ou uma execução anterior), só a
+    // idade decide
+    if (!owner || owner.host !== os.hostname() || owner.pidNamespace !== PID_NAMESPACE || owner.pid === process.pid) {
+        return null;
+    }
+    try {
+        process.kill(owner.pid, 0);
+        return null;
+    } catch (error) {
+        return error.code === 'ESRCH' ? token : null;
+    }
+}
+
+// Remove o lock só se ele ainda for do dono esperado: outro processo pode ter
+// descartado o lock antigo e criado o seu nesse meio-tempo
+async function removeLockIfOwned(lockPath, token) {
+    const owner = await readLockOwner(lockPath);
+    if (owner === undefined || (owner ? owner.token : '') !== token) return;
+    await fs.remove(lockPath).catch(() => {});
+}
+
+async function writeJsonAtomic(filePath, data) {
+    await writeFileAtomic(filePath, JSON.stringify(data, null, 2) + '\n');
+}
+
+function corruptedError(collectionName, filePath, cause) {
+    // Não devolver [] nesses casos: a próxima escrita apagaria a coleção inteira
+    const error = new Error(`Arquivo da coleção "${collectionName}" ilegível ou corrompido (${filePath}): ${cause.message}`);
+    error.code = 'EDBCORRUPT';
+    error.cause = cause;
+    return error;
+}
+
+async function statVersion(filePath) {
+    try {
+        const stat = await fs.stat(filePath);
+        return { size: stat.size, mtimeMs: stat.mtimeMs, ino: stat.ino };
+    } catch (error) {
+        return null;
+    }
+}
+
+async function readJsonOr(filePath, fallback) {
+    try {
+        return await fs.readJson(filePath);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return fallback;
+        }
+        throw error;
+    }
+}
+
+// --- Arquivo JSON único (formato original) ---
+// A coleção inteira é regravada a cada escrita em <coleção>.json.
+class FileBackend {
+    constructor(dbPath, collectionName) {
+        this.name = 'file';
+        this.dbPath = dbPath;
+        this.collectionName = collectionName;
+        this.filePath = path.join(dbPath, `${collectionName}.json`);
+        this.indexPath = path.join(dbPath, `${collectionName}_index.json`);
+        this.metaPath = path.join(dbPath, `${collectionName}_meta.json`);
+        this.lockKey = this.filePath;
+    }
+
+    async init() {
+        // Criar diretório do banco se não existir
+        await fs.ensureDir(this.dbPath);
+
+        // Criar arquivo da coleção se não existir
+        if (!await fs.pathExists(this.filePath)) {
+            await writeJsonAtomic(this.filePath, []);
+        }
+
+        // Coleção usada antes com o backend de log: incorpora as operações
+        // pendentes ao arquivo para não perdê-las. A leitura e a compactação
+        // ficam sob o mesmo lock das escritas, já que outra instância pode estar
+        // acrescentando ao log ou compactando ao mesmo tempo.
+        const log = new LogBackend(this.dbPath, this.collectionName);
+        if (await log.hasPendingEntries()) {
+            await enqueueWrite(this.lockKey, () => this.lock(async () => {
+                if (!await log.hasPendingEntries()) return;
+                logger.info('Incorporando log pendente ao arquivo da coleção', { collection: this.collectionName });
+                await log.compact(await log.read());
+            }));
+        }
+    }
+
+    async read() {
+        try {
+            return await fs.readJson(this.filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw corruptedError(this.collectionName, this.filePath, error);
+        }
+    }
+
+    async write(documents) {
+        await writeJsonAtomic(this.filePath, documents);
+    }
+
+    async version() {
+        return statVersion(this.filePath);
+    }
+
+    async readIndex() {
+        return readJsonOr(this.indexPath, null).catch(() => null);
+    }
+
+    async writeIndex(index) {
+        await writeJsonAtomic(this.indexPath, index);
+    }
+
+    async readMeta() {
+        return readJsonOr(this.metaPath, {});
+    }
+
+    async writeMeta(meta) {
+        await writeJsonAtomic(this.metaPath, meta);
+    }
+
+    async lock(task) {
+        return withFileLock(`${this.filePath}.lock`, task);
+    }
+}
+
+// --- Log de operações (append-only) ---
+// <coleção>.json guarda o último snapshot compactado e <coleção>.log recebe uma
+// linha JSON por escrita: { at, ops: [{ put: documento } | { del: id }] }.
+// A leitura aplica o log sobre o snapshot. Depois de `compactAfter` escritas, o
+// log é incorporado a um novo snapshot em segundo plano. O índice só é gravado
+// na compactação; entre elas, é derivado dos documentos lidos.
+class LogBackend extends FileBackend {
+    constructor(dbPath, collectionName, options = {}) {
+        super(dbPath, collectionName);
+        this.name = 'log';
+        this.appendOnly = true;
+        this.logPath = path.join(dbPath, `${collectionName}.log`);
+        this.compactAfter = options.compactAfter || 200;
+        this.buildIndex = options.buildIndex || null;
+        this.pendingEntries = 0;
+        this.compactionScheduled = false;
+        this.stats = { appends: 0, compactions: 0 };
+    }
+
+    async init() {
+        await fs.ensureDir(this.dbPath);
+        if (!await fs.pathExists(this.filePath)) {
+            await writeJsonAtomic(this.filePath, []);
+        }
+        // Com o lock, nenhuma escrita está em andamento: uma linha incompleta é de um append interrompido
+        await enqueueWrite(this.lockKey, () => this.lock(() => this.discardTornTail()));
+
+        this.pendingEntries = (await this.readLogLines()).length;
+        if (this.pendingEntries >= this.compactAfter) {
+            this.scheduleCompaction();
+        }
+    }
+
+    // Uma queda no meio de um append deixa a última linha sem '\n'. A operação não
+    // foi confirmada e é descartada; sem isso, o próximo append seria emendado nela
+    // e se perderia junto (e a linha seguinte tornaria o log ilegível).
+    async discardTornTail() {
+        let content;
+        try {
+            content = await fs.readFile(this.logPath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+        if (content.length === 0 || content[content.length - 1] === 0x0a) return;
+
+        const end = content.lastIndexOf(0x0a) + 1;
+        logger.warn('Descartando entrada incompleta no fim do log', { collection: this.collectionName, bytes: content.length - end });
+        await fs.truncate(this.logPath, end);
+    }
+
+    async hasPendingEntries() {
+        const stat = await fs.stat(this.logPath).catch(() => null);
+        return Boolean(stat && stat.size > 0);
+    }
+
+    async readLogLines() {
+        try {
+            const content = await fs.readFile(this.logPath, 'utf8');
+            return content.split('\n').filter(line => line.trim() !== '');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    // Snapshot e log precisam ser lidos na mesma versão; se uma escrita ou
+    // compactação acontecer no meio, a leitura é refeita
+    async read() {
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const before = await this.version();
+            const documents = await this.replay();
+            const after = await this.version();
+            if (JSON.stringify(before) === JSON.stringify(after)) {
+                return documents;
+            }
+        }
+        return this.replay();
+    }
+
+    async replay() {
+        const documents = await super.read();
+        const lines = await this.readLogLines();
+        const positions = new Map(documents.map((doc, position) => [doc.id, position]));
+        let removed = false;
+
+        lines.forEach((line, lineNumber) => {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // Última linha incompleta = queda no meio da escrita; a operação não foi confirmada
+                if (lineNumber === lines.length - 1) {
+                    logger.warn('Ignorando entrada incompleta no fim do log', { collection: this.collectionName });
+                    return;
+                }
+                throw corruptedError(this.collectionName, this.logPath, error);
+            }
+
+            entry.ops.forEach(op => {
+                if (op.put) {
+                    const position = positions.get(op.put.id);
+                    if (position !== undefined && documents[position] !== null) {
+                        documents[position] = op.put;
+                    } else {
+                        positions.set(op.put.id, documents.length);
+                        documents.push(op.put);
+                    }
+                } else if (op.del !== undefined && positions.has(op.del)) {
+                    documents[positions.get(op.del)] = null;
+                    positions.delete(op.del);
+                    removed = true;
+                }
+            });
+        });
+
+        return removed ? documents.filter(doc => doc !== null) : documents;
+    }
+
+    async write(documents, changes) {
+        if (!changes) {
+            await this.compact(documents);
+            return;
+        }
+
+        const ops = changes.map(change => (change.type === 'put' ? { put: change.document } : { del: change.id }));
+        // Uma linha por escrita: um lote é aplicado inteiro ou (linha incompleta) descartado
+        const fd = await fs.open(this.logPath, 'a');
+        try {
+            const { size } = await fs.fstat(fd);
+            try {
+                await fs.write(fd, JSON.stringify({ at: new Date().toISOString(), ops }) + '\n');
+                await fs.fsync(fd);
+            } catch (error) {
+                // Escrita que falhou (ex.: disco cheio) não deixa linha parcial para o próximo append
+                await fs.ftruncate(fd, size).catch(() => {});
+                throw error;
+            }
+        } finally {
+            await fs.close(fd);
+        }
+
+        this.stats.appends++;
+        this.pendingEntries++;
+        if (this.pendingEntries >= this.compactAfter) {
+            this.scheduleCompaction();
+        }
+    }
+
+    // A compactação entra na fila de escrita logo atrás da escrita atual, que não
+    // espera por ela
+    scheduleCompaction() {
+        if (this.compactionScheduled) return;
+        this.compactionScheduled = true;
+
+        enqueueWrite(this.lockKey, () => this.lock(async () => {
+            this.compactionScheduled = false;
+            await this.compact(await this.read());
+        })).catch(error => {
+            this.compactionScheduled = false;
+            logger.error('Erro ao compactar log', { collection: this.collectionName, error });
+        });
+    }
+
+    // Grava o estado atual como novo snapshot e esvazia o log. Se o processo
+    // cair entre os dois passos, reaplicar o log antigo é inofensivo
+    // (put substitui o documento inteiro e del é idempotente).
+    async compact(documents) {
+        await writeJsonAtomic(this.filePath, documents);
+        await writeFileAtomic(this.logPath, '');
+        this.pendingEntries = 0;
+        this.stats.compactions++;
+
+        if (this.buildIndex) {
+            try {
+                await this.writeIndex({ ...this.buildIndex(documents), source: await this.version() });
+            } catch (error) {
+                logger.error('Erro ao atualizar índice', { collection: this.collectionName, error });
+            }
+        }
+    }
+
+    async version() {
+        const [snapshot, log] = await Promise.all([statVersion(this.filePath), statVersion(this.logPath)]);
+        return snapshot ? { snapshot, log } : null;
+    }
+}
+
+// --- Memória ---
+// Nada é gravado em disco; útil para testes.
+class MemoryBackend {
+    constructor(collectionName) {
+        this.name = 'memory';
+        this.collectionName = collectionName;
+        this.lockKey = Symbol(`memory:${collectionName}`);
+        this.documents = [];
+        this.index = null;
+        this.meta = {};
+        this.sequence = 0;
+    }
+
+    async init() {}
+
+    async read() {
+        return JSON.parse(JSON.stringify(this.documents));
+    }
+
+    async write(documents) {
+        this.documents = JSON.parse(JSON.stringify(documents));
+        this.sequence++;
+    }
+
+    async version() {
+        return { sequence: this.sequence };
+    }
+
+    async readIndex() {
+        return this.index;
+    }
+
+    async writeIndex(index) {
+        this.index = index;
+    }
+
+    async readMeta() {
+        return { ...this.meta };
+    }
+
+    async writeMeta(meta) {
+        this.meta = { ...meta };
+    }
+
+    async lock(task) {
+        return task();
+    }
+}
+
+// backend: 'file' (padrão), 'log', 'memory' ou uma instância que implemente a interface
+function createBackend(backend, dbPath, collectionName, options = {}) {
+    if (backend && typeof backend === 'object') {
+        return backend;
+    }
+
+    switch (backend || 'file') {
+        case 'file':
+            return new FileBackend(dbPath, collectionName);
+        case 'log':
+            return new LogBackend(dbPath, collectionName, options);
+        case 'memory':
+            return new MemoryBackend(collectionName);
+        default:
+            throw new Error(`Backend de armazenamento desconhecido: ${backend}`);
+    }
+}
+
+module.exports = {
+    FileBackend,
+    LogBackend,
+    MemoryBackend,
+    createBackend,
+    enqueueWrite,
+    withFileLock,
+    writeJsonAtomic
+};
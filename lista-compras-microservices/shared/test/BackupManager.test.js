@@ -0,0 +1,94 @@
+// shared/test/BackupManager.test.js
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const JsonDatabase = require('../JsonDatabase');
+const BackupManager = require('../BackupManager');
+
+const names = documents => documents.map(doc => doc.name).sort();
+
+describe('BackupManager', () => {
+    let tmpDir;
+    let db;
+    let backups;
+
+    beforeEach(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-backups-'));
+        db = new JsonDatabase(null, 'lists', { backend: 'memory', indexes: ['userId'] });
+        backups = new BackupManager('list-service', [db], { backupDir: tmpDir, intervalMinutes: 0, keep: 3, maxAgeDays: 7 });
+        await db.insertMany([{ name: 'Feira', userId: 'u1' }, { name: 'Mercado', userId: 'u1' }]);
+        await db.writeMeta({ schemaVersion: 1 });
+    });
+
+    afterEach(async () => {
+        await fs.remove(tmpDir);
+    });
+
+    it('restaura a coleção e os metadados a partir de um snapshot', async () => {
+        const snapshot = await backups.createSnapshot();
+        assert.deepEqual(snapshot.collections, { lists: { documents: 2, schemaVersion: 1 } });
+
+        await db.deleteMany({ userId: 'u1' });
+        await db.writeMeta({ schemaVersion: 2 });
+
+        const result = await backups.restore({ collection: 'lists', snapshotId: snapshot.id });
+        assert.equal(result.documents, 2);
+        assert.deepEqual(names(await db.find({ userId: 'u1' })), ['Feira', 'Mercado']);
+        assert.equal((await db.readMeta()).schemaVersion, 1);
+
+        // O estado anterior à restauração fica salvo
+        const safety = (await backups.listSnapshots()).find(item => item.id === result.safetySnapshotId);
+        assert.equal(safety.reason, 'pre-restore');
+        assert.equal(safety.collections.lists.documents, 0);
+    });
+
+    it('escolhe o último snapshot anterior ao instante pedido', async () => {
+        const first = await backups.createSnapshot();
+        await new Promise(resolve => setTimeout(resolve, 5));
+        const pointInTime = new Date().toISOString();
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await db.create({ name: 'Padaria', userId: 'u1' });
+        await backups.createSnapshot();
+
+        const result = await backups.restore({ collection: 'lists', timestamp: pointInTime });
+        assert.equal(result.snapshotId, first.id);
+        assert.deepEqual(names(await db.find()), ['Feira', 'Mercado']);
+
+        await assert.rejects(
+            backups.restore({ collection: 'lists', timestamp: '2000-01-01T00:00:00Z' }),
+            error => error.code === 'ENOTFOUND'
+        );
+    });
+
+    it('aplica a retenção mantendo os snapshots mais recentes', async () => {
+        const created = [];
+        for (let i = 0; i < 5; i++) {
+            created.push((await backups.createSnapshot()).id);
+            await new Promise(resolve => setTimeout(resolve, 2));
+        }
+
+        const remaining = (await backups.listSnapshots()).map(snapshot => snapshot.id);
+        assert.deepEqual(remaining, created.slice(-3).reverse());
+    });
+
+    it('lista, busca e aplica a retenção sem carregar os documentos dos snapshots', async () => {
+        const old = await backups.createSnapshot();
+        await new Promise(resolve => setTimeout(resolve, 2));
+        const recent = await backups.createSnapshot();
+
+        // Só o snapshot restaurado tem os documentos lidos
+        await fs.writeFile(path.join(tmpDir, `${old.id}.json`), '{ corrompido');
+        assert.deepEqual((await backups.listSnapshots()).map(snapshot => [snapshot.id, snapshot.collections.lists.documents]), [
+            [recent.id, 2],
+            [old.id, 2]
+        ]);
+        assert.equal((await backups.restore({ collection: 'lists', snapshotId: recent.id })).documents, 2);
+
+        // pre-restore + 2 + este excedem keep: 3, e o antigo sai com o resumo
+        await backups.createSnapshot();
+        assert.deepEqual((await fs.readdir(tmpDir)).filter(file => file.startsWith(old.id)), []);
+    });
+});
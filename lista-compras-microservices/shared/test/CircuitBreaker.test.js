@@ -0,0 +1,82 @@
+// shared/test/CircuitBreaker.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CircuitBreaker } = require('../CircuitBreaker');
+
+const httpError = status => Object.assign(new Error(`HTTP ${status}`), { response: { status } });
+const timeout = () => Object.assign(new Error('timeout of 5000ms exceeded'), { code: 'ECONNABORTED' });
+
+describe('CircuitBreaker', () => {
+    let now;
+    let breaker;
+
+    const succeed = () => breaker.execute(async () => 'ok');
+    const fail = error => breaker.execute(async () => { throw error; }).catch(caught => caught);
+
+    beforeEach(() => {
+        now = 1000000;
+        breaker = new CircuitBreaker('user-service', {
+            clock: () => now,
+            config: { failureRateThreshold: 0.5, minimumRequests: 4, windowMs: 10000, cooldownMs: 5000, halfOpenRequests: 2 }
+        });
+    });
+
+    it('abre quando a taxa de falhas na janela passa do limite', async () => {
+        await succeed();
+        await succeed();
+        await fail(httpError(500));
+        assert.equal(breaker.state, 'closed');
+
+        await fail(timeout());
+        assert.equal(breaker.state, 'open');
+        const error = await fail(httpError(500));
+        assert.equal(error.code, 'ECIRCUITOPEN');
+        assert.equal(error.retryAfterMs, 5000);
+    });
+
+    it('não conta respostas 4xx como falha', async () => {
+        for (let i = 0; i < 10; i++) {
+            await fail(httpError(401));
+        }
+        assert.equal(breaker.state, 'closed');
+        assert.deepEqual([breaker.snapshot().requests, breaker.snapshot().failures], [10, 0]);
+    });
+
+    it('esquece as falhas que saem da janela deslizante', async () => {
+        await fail(httpError(503));
+        await fail(httpError(503));
+        now += 10001;
+        await fail(httpError(503));
+        await succeed();
+        await succeed();
+        assert.equal(breaker.state, 'closed');
+        assert.equal(breaker.snapshot().failureRate, 0.333);
+    });
+
+    it('em half-open deixa passar só as requisições de teste e fecha após sucesso', async () => {
+        for (let i = 0; i < 4; i++) await fail(httpError(502));
+        now += 5000;
+        assert.equal(breaker.snapshot().state, 'half-open');
+
+        let finish;
+        const pending = breaker.execute(() => new Promise(resolve => { finish = resolve; }));
+        await succeed();
+        // As duas requisições de teste já foram liberadas: a terceira é recusada
+        assert.equal((await fail(httpError(500))).code, 'ECIRCUITOPEN');
+
+        finish('ok');
+        await pending;
+        assert.equal(breaker.state, 'closed');
+        assert.equal(breaker.snapshot().requests, 0);
+    });
+
+    it('volta a abrir se uma requisição de teste falhar', async () => {
+        for (let i = 0; i < 4; i++) await fail(httpError(500));
+        now += 5000;
+
+        await fail(httpError(500));
+        assert.equal(breaker.state, 'open');
+        assert.equal((await fail(httpError(500))).retryAfterMs, 5000);
+    });
+});
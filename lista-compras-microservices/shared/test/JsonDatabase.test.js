@@ -0,0 +1,264 @@
+// shared/test/JsonDatabase.test.js
+const { describe, it, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const JsonDatabase = require('../JsonDatabase');
+const { configureLogging } = require('../logger');
+
+const tmpFiles = async dir => (await fs.readdir(dir)).filter(name => name.endsWith('.tmp'));
+
+describe('JsonDatabase', () => {
+    let tmpDir;
+
+    before(() => {
+        configureLogging({ levels: { database: 'silent' } });
+    });
+
+    beforeEach(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-'));
+    });
+
+    afterEach(async () => {
+        await fs.remove(tmpDir);
+    });
+
+    describe('escritas concorrentes', () => {
+        it('serializa leituras-modificações-escritas sem perder atualizações', async () => {
+            const db = new JsonDatabase(tmpDir, 'counters');
+            const counter = await db.create({ value: 0 });
+
+            await Promise.all(Array.from({ length: 25 }, () =>
+                db.update(counter.id, current => ({ value: current.value + 1 }))
+            ));
+
+            const saved = await db.findById(counter.id);
+            assert.deepEqual([saved.value, saved.version], [25, 26]);
+        });
+
+        it('serializa instâncias diferentes apontando para a mesma coleção', async () => {
+            const first = new JsonDatabase(tmpDir, 'lists');
+            const second = new JsonDatabase(tmpDir, 'lists');
+
+            await Promise.all(Array.from({ length: 10 }, (_, i) => (i % 2 ? first : second).create({ name: `lista ${i}` })));
+
+            const reopened = new JsonDatabase(tmpDir, 'lists');
+            assert.equal((await reopened.find()).length, 10);
+        });
+
+        it('nunca expõe um arquivo parcial durante as escritas', async () => {
+            const db = new JsonDatabase(tmpDir, 'lists');
+            const filePath = path.join(tmpDir, 'lists.json');
+            await db.ready;
+
+            const writes = Promise.all(Array.from({ length: 20 }, (_, i) => db.create({ name: `lista ${i}`, notes: 'x'.repeat(2000) })));
+            let reads = 0;
+            let done = false;
+            writes.then(() => { done = true; }, () => { done = true; });
+            while (!done) {
+                // readJson falha se encontrar um JSON truncado
+                assert.ok(Array.isArray(await fs.readJson(filePath)));
+                reads++;
+            }
+            await writes;
+
+            assert.ok(reads > 0);
+            assert.equal((await fs.readJson(filePath)).length, 20);
+            assert.deepEqual(await tmpFiles(tmpDir), []);
+        });
+
+        it('mantém o arquivo original e remove o temporário quando a escrita falha', async () => {
+            const db = new JsonDatabase(tmpDir, 'lists');
+            await db.ready;
+            const target = path.join(tmpDir, 'lists.json');
+            await fs.remove(target);
+            await fs.ensureDir(target); // rename sobre um diretório falha
+
+            await assert.rejects(db.writeAll([{ id: '1' }]));
+            assert.ok((await fs.stat(target)).isDirectory());
+            assert.deepEqual(await tmpFiles(tmpDir), []);
+        });
+    });
+
+    describe('índices secundários', () => {
+        const open = () => new JsonDatabase(tmpDir, 'users', {
+            indexes: ['userId', { field: 'email', unique: true }]
+        });
+
+        // Conta quantos documentos passam pelo filtro completo
+        const countMatches = db => {
+            const calls = { count: 0 };
+            const matchesFilter = db.matchesFilter.bind(db);
+            db.matchesFilter = (doc, filter) => {
+                calls.count++;
+                return matchesFilter(doc, filter);
+            };
+            return calls;
+        };
+
+        it('find, findOne e count consultam só os candidatos do índice', async () => {
+            const db = open();
+            for (const [name, userId] of [['Ana', 'u1'], ['Bia', 'u2'], ['Caio', 'u1'], ['Davi', 'u3']]) {
+                await db.create({ name, userId, email: `${name.toLowerCase()}@example.com` });
+            }
+            const calls = countMatches(db);
+
+            assert.deepEqual((await db.find({ userId: 'u1' })).map(user => user.name), ['Ana', 'Caio']);
+            assert.equal(calls.count, 2);
+            assert.equal(await db.count({ userId: { $in: ['u2', 'u3'] } }), 2);
+            assert.equal(calls.count, 4);
+            assert.equal((await db.findOne({ email: 'bia@example.com' })).name, 'Bia');
+            assert.equal(calls.count, 5);
+
+            // Campo sem índice: varre a coleção
+            assert.equal(await db.count({ name: 'Davi' }), 1);
+            assert.equal(calls.count, 9);
+        });
+
+        it('rejeita valores repetidos em índice único ao criar e ao atualizar', async () => {
+            const db = open();
+            await db.create({ name: 'Ana', email: 'ana@example.com' });
+            const bia = await db.create({ name: 'Bia', email: 'bia@example.com' });
+
+            await assert.rejects(db.create({ name: 'Outra Ana', email: 'ana@example.com' }), error => {
+                assert.deepEqual([error.code, error.field, error.value], ['EDUPLICATE', 'email', 'ana@example.com']);
+                return true;
+            });
+            await assert.rejects(db.update(bia.id, { email: 'ana@example.com' }), error => error.code === 'EDUPLICATE');
+
+            // Nada foi gravado
+            const users = await open().find();
+            assert.deepEqual(users.map(user => user.email), ['ana@example.com', 'bia@example.com']);
+            // Sem valor, o documento fica fora do índice único
+            await db.create({ name: 'Caio' });
+            await db.create({ name: 'Davi' });
+        });
+
+        it('reconstrói o índice quando o arquivo é editado por fora', async () => {
+            const db = open();
+            const ana = await db.create({ name: 'Ana', userId: 'u1', email: 'ana@example.com' });
+
+            const filePath = path.join(tmpDir, 'users.json');
+            const documents = await fs.readJson(filePath);
+            documents[0].email = 'ana.maria@example.com';
+            documents.push({ id: 'manual', name: 'Bia', userId: 'u1', email: 'bia@example.com' });
+            await fs.writeJson(filePath, documents);
+
+            assert.equal(await db.findOne({ email: 'ana@example.com' }), null);
+            assert.equal((await db.findOne({ email: 'ana.maria@example.com' })).id, ana.id);
+            assert.equal(await db.count({ userId: 'u1' }), 2);
+
+            // Ao abrir a coleção, o arquivo de índice também é refeito
+            await open().ready;
+            const index = await fs.readJson(path.join(tmpDir, 'users_index.json'));
+            assert.deepEqual(Object.keys(index.fields.email.values).sort(), ['ana.maria@example.com', 'bia@example.com']);
+            assert.deepEqual(index.fields.userId.values.u1, [ana.id, 'manual']);
+        });
+    });
+
+    describe('cache em memória', () => {
+        it('serve leituras repetidas da memória e conta acertos e faltas', async () => {
+            const db = new JsonDatabase(tmpDir, 'items', { cache: true, indexes: ['category'] });
+            await db.create({ name: 'Arroz', category: 'Alimentos' });
+            await db.create({ name: 'Sabão', category: 'Limpeza' });
+
+            assert.equal((await db.find({ category: 'Alimentos' })).length, 1);
+            assert.equal((await db.find()).length, 2);
+            const stats = db.getCacheStats();
+            // Só a primeira leitura (a da primeira escrita) vai ao disco; cada escrita deixa a nova versão em memória
+            assert.deepEqual([stats.hits, stats.misses, stats.reloads, stats.documents], [3, 1, 0, 2]);
+        });
+
+        it('devolve cópias que não alteram o cache', async () => {
+            const db = new JsonDatabase(tmpDir, 'items', { cache: true });
+            const created = await db.create({ name: 'Arroz', tags: ['grão'] });
+
+            const first = await db.findById(created.id);
+            first.name = 'alterado';
+            first.tags.push('alterado');
+            assert.deepEqual(await db.findById(created.id), created);
+        });
+
+        it('recarrega quando o arquivo é alterado por fora', async () => {
+            const db = new JsonDatabase(tmpDir, 'items', { cache: true });
+            const created = await db.create({ name: 'Arroz' });
+            assert.equal((await db.findById(created.id)).name, 'Arroz');
+
+            // Edição manual (ou outro processo) muda tamanho e mtime do arquivo
+            const filePath = path.join(tmpDir, 'items.json');
+            const documents = await fs.readJson(filePath);
+            documents[0].name = 'Arroz Integral';
+            documents.push({ id: 'manual', name: 'Feijão' });
+            await fs.writeJson(filePath, documents);
+
+            assert.equal((await db.findById(created.id)).name, 'Arroz Integral');
+            assert.equal((await db.findById('manual')).name, 'Feijão');
+            const stats = db.getCacheStats();
+            assert.deepEqual([stats.misses, stats.reloads, stats.documents], [2, 1, 2]);
+        });
+
+        it('sem cache, toda leitura vai ao armazenamento', async () => {
+            const db = new JsonDatabase(tmpDir, 'items');
+            await db.create({ name: 'Arroz' });
+            await db.find();
+            assert.deepEqual(db.getCacheStats(), {
+                collection: 'items', enabled: false, hits: 0, misses: 0, reloads: 0, hitRate: 0, documents: null
+            });
+        });
+    });
+
+    describe('operações em lote', () => {
+        const schema = { fields: { name: { type: 'string', required: true }, email: { type: 'string' } } };
+        const open = options => new JsonDatabase(tmpDir, 'users', { indexes: [{ field: 'email', unique: true }], schema, ...options });
+
+        it('insertMany não grava nada se um documento for inválido ou repetido', async () => {
+            const db = open();
+            await db.create({ name: 'Ana', email: 'ana@example.com' });
+
+            await assert.rejects(db.insertMany([{ name: 'Bia' }, { email: 'sem-nome@example.com' }]), error => error.code === 'EVALIDATION');
+            await assert.rejects(db.insertMany([
+                { name: 'Caio', email: 'caio@example.com' },
+                { name: 'Ana 2', email: 'ana@example.com' }
+            ]), error => error.code === 'EDUPLICATE');
+
+            assert.deepEqual((await open().find()).map(user => user.name), ['Ana']);
+        });
+
+        it('batch desfaz todas as operações quando uma falha', async () => {
+            for (const cache of [false, true]) {
+                await fs.emptyDir(tmpDir);
+                const db = open({ cache });
+                const [ana, bia] = await db.insertMany([{ name: 'Ana' }, { name: 'Bia' }]);
+
+                await assert.rejects(db.batch([
+                    { op: 'update', id: ana.id, updates: { name: 'Ana Maria' } },
+                    { op: 'delete', id: bia.id },
+                    { op: 'create', data: { name: 'Caio' } },
+                    // ana já está na versão 2 dentro do lote
+                    { op: 'update', id: ana.id, updates: { name: 'x' }, expectedVersion: 1 }
+                ]), error => error.code === 'EVERSIONCONFLICT');
+
+                // Nem o arquivo nem o cache da instância refletem o lote
+                const expected = [['Ana', 1], ['Bia', 1]];
+                assert.deepEqual((await db.find()).map(user => [user.name, user.version]), expected);
+                assert.deepEqual((await open().find()).map(user => [user.name, user.version]), expected);
+            }
+        });
+
+        it('aplica o lote inteiro em uma única escrita', async () => {
+            const db = open();
+            const [ana, bia] = await db.insertMany([{ name: 'Ana' }, { name: 'Bia' }]);
+
+            const results = await db.batch([
+                { op: 'update', id: ana.id, updates: { name: 'Ana Maria' }, expectedVersion: 1 },
+                { op: 'delete', id: bia.id },
+                { op: 'update', id: 'inexistente', updates: { name: 'x' } },
+                { op: 'updateMany', filter: { name: { $regex: '^Ana' } }, updates: { email: 'ana@example.com' } }
+            ]);
+            assert.deepEqual([results[0].version, results[1], results[2], results[3].length], [2, true, null, 1]);
+            assert.deepEqual(await open().find({ email: 'ana@example.com' }).then(users => users.map(user => [user.name, user.version])), [['Ana Maria', 3]]);
+        });
+    });
+});
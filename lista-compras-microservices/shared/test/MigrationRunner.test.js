@@ -0,0 +1,130 @@
+// shared/test/MigrationRunner.test.js
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const JsonDatabase = require('../JsonDatabase');
+const MigrationRunner = require('../MigrationRunner');
+
+const addPreferences = {
+    version: 1,
+    description: 'Adiciona preferences',
+    up: documents => documents.map(doc => ({ ...doc, preferences: { currency: 'BRL' } })),
+    down: documents => documents.map(({ preferences, ...doc }) => doc)
+};
+
+const renameName = {
+    version: 2,
+    description: 'Renomeia name para firstName',
+    up: documents => documents.map(({ name, ...doc }) => ({ ...doc, firstName: name })),
+    down: documents => documents.map(({ firstName, ...doc }) => ({ ...doc, name: firstName }))
+};
+
+describe('MigrationRunner', () => {
+    let tmpDir;
+    let db;
+
+    beforeEach(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-migrations-'));
+        db = new JsonDatabase(tmpDir, 'users');
+        await db.insertMany([{ name: 'Ana' }, { name: 'Bruno' }]);
+    });
+
+    afterEach(async () => {
+        await fs.remove(tmpDir);
+    });
+
+    it('aplica migrações pendentes em ordem e registra a versão', async () => {
+        const runner = new MigrationRunner(db, [renameName, addPreferences]);
+        const result = await runner.migrate();
+
+        assert.deepEqual(result.steps.map(step => step.version), [1, 2]);
+        assert.equal(await runner.getCurrentVersion(), 2);
+
+        const users = await db.find();
+        assert.deepEqual(users.map(user => [user.firstName, user.preferences.currency, user.name]), [['Ana', 'BRL', undefined], ['Bruno', 'BRL', undefined]]);
+        assert.deepEqual((await runner.migrate()).steps, []);
+    });
+
+    it('não grava nada em dry-run', async () => {
+        const runner = new MigrationRunner(db, [addPreferences, renameName]);
+        const result = await runner.migrate({ dryRun: true });
+
+        assert.equal(result.steps[0].changed, 2);
+        assert.equal(await runner.getCurrentVersion(), 0);
+        assert.equal((await db.find())[0].preferences, undefined);
+    });
+
+    it('desfaz migrações com rollback', async () => {
+        const runner = new MigrationRunner(db, [addPreferences, renameName]);
+        await runner.migrate();
+
+        await runner.rollback();
+        assert.equal(await runner.getCurrentVersion(), 1);
+        assert.equal((await db.find())[0].name, 'Ana');
+
+        await runner.rollback({ to: 0 });
+        assert.equal(await runner.getCurrentVersion(), 0);
+        assert.equal((await db.find())[0].preferences, undefined);
+    });
+
+    it('recusa rollback de migração sem down', async () => {
+        const runner = new MigrationRunner(db, [{ ...addPreferences, down: undefined }]);
+        await runner.migrate();
+
+        await assert.rejects(runner.rollback(), /não suporta rollback/);
+        assert.equal(await runner.getCurrentVersion(), 1);
+    });
+
+    it('não grava nenhuma etapa se o resultado violar o schema', async () => {
+        db.setSchema({ fields: { firstName: { type: 'string', required: true } } });
+        const runner = new MigrationRunner(db, [addPreferences]);
+
+        await assert.rejects(runner.migrate(), error => error.code === 'EVALIDATION');
+        assert.equal(await runner.getCurrentVersion(), 0);
+        assert.equal((await db.find())[0].preferences, undefined);
+    });
+});
+
+describe('migrações dos serviços', () => {
+    const servicesDir = path.join(__dirname, '..', '..', 'services');
+    let tmpDir;
+
+    beforeEach(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-migrations-'));
+    });
+
+    afterEach(async () => {
+        await fs.remove(tmpDir);
+    });
+
+    it('completa os itens e recalcula o resumo das listas antigas', async () => {
+        const db = new JsonDatabase(tmpDir, 'lists');
+        await db.create({
+            userId: 'u1',
+            name: 'Feira',
+            items: [{ itemId: 'i1', itemName: 'Arroz', quantity: 2, estimatedPrice: 5.5 }, { itemId: 'i2', itemName: 'Sal', quantity: 1 }],
+            summary: { totalItems: 2, purchasedItems: 0, estimatedTotal: null }
+        });
+        const runner = MigrationRunner.fromDirectory(db, path.join(servicesDir, 'list-service', 'migrations', 'lists'));
+
+        assert.equal((await runner.migrate()).steps[0].changed, 1);
+        const [list] = await db.find();
+        assert.deepEqual(list.items.map(item => [item.purchased, item.notes]), [[false, ''], [false, '']]);
+        assert.deepEqual(list.summary, { totalItems: 2, purchasedItems: 0, estimatedTotal: 11 });
+    });
+
+    it('completa as preferences dos usuários sem sobrescrever as existentes', async () => {
+        const db = new JsonDatabase(tmpDir, 'users');
+        await db.insertMany([{ name: 'Ana' }, { name: 'Bruno', preferences: { currency: 'USD' } }]);
+        const runner = MigrationRunner.fromDirectory(db, path.join(servicesDir, 'user-service', 'migrations', 'users'));
+
+        await runner.migrate();
+        assert.deepEqual((await db.find()).map(user => user.preferences), [
+            { defaultStore: 'Any', currency: 'BRL' },
+            { defaultStore: 'Any', currency: 'USD' }
+        ]);
+    });
+});
@@ -0,0 +1,128 @@
+// shared/test/RegistryClient.test.js
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const axios = require('axios');
+
+const HttpServiceRegistry = require('../RegistryClient');
+const { REGISTRY_TOKEN_HEADER, registryToken } = require('../internalAuth');
+const RegistryServer = require('../../service-registry/server');
+
+describe('HttpServiceRegistry', () => {
+    let server;
+    let baseUrl;
+    let clients;
+
+    const createClient = (options = {}) => {
+        const client = new HttpServiceRegistry(baseUrl, { registerRetries: 0, ...options });
+        clients.push(client);
+        return client;
+    };
+
+    beforeEach(async () => {
+        server = new RegistryServer({ port: 0 });
+        await once(server.start(), 'listening');
+        baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+        clients = [];
+    });
+
+    afterEach(async () => {
+        clients.forEach(client => client.stopWatching());
+        await server.stop();
+    });
+
+    it('registra instâncias e as descobre com os metadados', async () => {
+        const client = createClient({ cacheTtl: 0 });
+        await client.register('list-service', { id: 'list-a', url: 'http://127.0.0.1:4001', version: '1.0.0', tags: ['lists'] });
+        await client.register('list-service', { id: 'list-b', url: 'http://127.0.0.1:4002', version: '1.0.0', tags: ['lists'] });
+
+        const picks = [];
+        for (let i = 0; i < 3; i++) {
+            picks.push((await client.discover('list-service', { strategy: 'round-robin' })).id);
+        }
+        assert.deepEqual(picks, ['list-a', 'list-b', 'list-a']);
+
+        const [instance] = (await client.listServices())['list-service'].instances;
+        assert.deepEqual([instance.version, instance.tags, instance.pid, instance.status], ['1.0.0', ['lists'], process.pid, 'up']);
+        assert.deepEqual(await client.getStats(), { services: 1, total: 2, healthy: 2, unhealthy: 0 });
+    });
+
+    it('recebe mudanças pelo watch sem esperar o cache vencer', async () => {
+        const watcher = createClient({ cacheTtl: 60000 });
+        const other = createClient();
+        await assert.rejects(watcher.discover('item-service'), /não encontrado/);
+
+        watcher.startWatching();
+        const index = watcher.cache.index;
+        await other.register('item-service', { id: 'item-a', url: 'http://127.0.0.1:4003' });
+        while (watcher.cache.index === index) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+
+        assert.equal((await watcher.discover('item-service')).id, 'item-a');
+    });
+
+    it('usa a cópia local quando o servidor fica fora do ar', async () => {
+        const client = createClient({ cacheTtl: 0 });
+        await client.register('item-service', { id: 'item-a', url: 'http://127.0.0.1:4003' });
+        await client.discover('item-service');
+
+        await server.stop();
+        // Um lease que vence depois da última consulta não tira a instância da descoberta
+        client.cache.services['item-service'].instances['item-a'].leaseExpiresAt = client.cache.fetchedAt + 1;
+        await new Promise(resolve => setTimeout(resolve, 5));
+        assert.equal((await client.discover('item-service')).id, 'item-a');
+        // Sem cópia local, o erro é do registry
+        await assert.rejects(createClient().discover('item-service'), /Registry indisponível/);
+    });
+
+    it('heartbeat devolve false para instâncias que o servidor não conhece', async () => {
+        const client = createClient();
+        const id = await client.register('user-service', { url: 'http://127.0.0.1:4001' });
+
+        assert.equal(await client.heartbeat('user-service', id), true);
+        assert.equal(await client.unregister('user-service', id), true);
+        assert.equal(await client.heartbeat('user-service', id), false);
+    });
+
+    it('recusa escritas sem o token do registry', async () => {
+        const http = axios.create({ baseURL: baseUrl, validateStatus: () => true });
+        const instance = { id: 'item-a', url: 'http://127.0.0.1:4003' };
+
+        const anonymous = await http.post('/services/item-service/instances', instance);
+        assert.deepEqual([anonymous.status, anonymous.data.success], [401, false]);
+        const wrong = await http.post('/services/item-service/instances', instance, { headers: { [REGISTRY_TOKEN_HEADER]: 'outro' } });
+        assert.equal(wrong.status, 401);
+        await assert.rejects(createClient({ token: 'outro' }).register('item-service', instance), /401/);
+
+        // O cliente envia o token; leitura e descoberta continuam livres
+        const id = await createClient().register('item-service', instance);
+        assert.equal((await http.put(`/services/item-service/instances/${id}/heartbeat`)).status, 401);
+        assert.equal((await http.delete(`/services/item-service/instances/${id}`)).status, 401);
+        assert.equal((await http.get('/services/item-service/discover')).data.id, 'item-a');
+    });
+
+    it('valida o registro e responde a descoberta direta no servidor', async () => {
+        const http = axios.create({ baseURL: baseUrl, validateStatus: () => true, headers: { [REGISTRY_TOKEN_HEADER]: registryToken() } });
+
+        assert.equal((await http.post('/services/item-service/instances', { url: 'sem-esquema' })).status, 400);
+        assert.equal((await http.get('/services/item-service/discover')).status, 404);
+
+        await http.post('/services/item-service/instances', { id: 'item-a', url: 'http://127.0.0.1:4003', tags: ['catalog'] });
+        assert.equal((await http.get('/services/item-service/discover?tags=catalog')).data.id, 'item-a');
+        assert.equal((await http.get('/services/item-service/discover?tags=beta')).status, 503);
+    });
+
+    it('repassa ao servidor o estado informado pela readiness', async () => {
+        const client = createClient({ cacheTtl: 0 });
+        const id = await client.register('list-service', { url: 'http://127.0.0.1:4002' });
+        const http = axios.create({ baseURL: baseUrl, validateStatus: () => true, headers: { [REGISTRY_TOKEN_HEADER]: registryToken() } });
+
+        await client.updateHealth('list-service', true, id, 'degraded');
+        assert.equal((await client.listServices())['list-service'].instances[0].status, 'degraded');
+        assert.equal((await client.discover('list-service')).id, id);
+
+        const invalid = await http.put(`/services/list-service/instances/${id}/health`, { healthy: true, status: 'ótimo' });
+        assert.equal(invalid.status, 400);
+    });
+});
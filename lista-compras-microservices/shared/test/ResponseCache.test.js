@@ -0,0 +1,136 @@
+// shared/test/ResponseCache.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ResponseCache } = require('../ResponseCache');
+
+const routes = [
+    { path: '/api/items', ttlSeconds: 60, tags: ['items'] },
+    { path: '/api/items/:id', ttlSeconds: 300, tags: ['item:{id}'] }
+];
+
+// Executa o middleware com req/res mínimos; upstream(res) faz o papel do proxy
+function run(middleware, { url, method = 'GET', headers = {}, upstream = res => res.status(200).json({ url }) }) {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        locals: {},
+        set(name, value) { this.headers[name] = value; return this; },
+        get(name) { return this.headers[name]; },
+        status(code) { this.statusCode = code; return this; },
+        type(value) { this.headers['Content-Type'] = value; return this; },
+        json(body) { this.body = JSON.stringify(body); return this; },
+        send(body) { this.body = body; return this; },
+        end() { this.body = ''; return this; }
+    };
+    const req = { method, path: url.split('?')[0], originalUrl: url, header: name => headers[name] };
+    let proxied = false;
+    middleware(req, res, () => { proxied = true; upstream(res); });
+    return { proxied, ...res };
+}
+
+describe('ResponseCache', () => {
+    let now;
+    let cache;
+    let middleware;
+
+    beforeEach(() => {
+        now = Date.UTC(2024, 0, 1, 12, 0, 0);
+        cache = new ResponseCache({ routes, clock: () => now });
+        middleware = cache.middleware();
+    });
+
+    it('guarda a resposta 200 e responde do cache com ETag e Cache-Control', () => {
+        const miss = run(middleware, { url: '/api/items?category=Limpeza' });
+        assert.equal(miss.proxied, true);
+        assert.equal(miss.headers['X-Cache'], 'MISS');
+        assert.match(miss.headers.ETag, /^W\/"/);
+
+        now += 10000;
+        const hit = run(middleware, { url: '/api/items?category=Limpeza' });
+        assert.equal(hit.proxied, false);
+        assert.equal(hit.headers['X-Cache'], 'HIT');
+        assert.equal(hit.headers.ETag, miss.headers.ETag);
+        assert.equal(hit.headers['Cache-Control'], 'public, max-age=50');
+        assert.equal(hit.body, miss.body);
+
+        // Query diferente é outra entrada; rota fora da configuração não passa pelo cache
+        assert.equal(run(middleware, { url: '/api/items?category=Padaria' }).headers['X-Cache'], 'MISS');
+        assert.equal(run(middleware, { url: '/api/lists' }).headers['X-Cache'], undefined);
+    });
+
+    it('usa a ETag do serviço e responde 304 a requisições condicionais', () => {
+        const miss = run(middleware, { url: '/api/items/42', upstream: res => res.set('ETag', '"3"').status(200).json({ id: '42' }) });
+        assert.equal(miss.headers.ETag, '"3"');
+
+        const byETag = run(middleware, { url: '/api/items/42', headers: { 'If-None-Match': 'W/"3"' } });
+        assert.equal(byETag.statusCode, 304);
+
+        const byDate = run(middleware, { url: '/api/items/42', headers: { 'If-Modified-Since': miss.headers['Last-Modified'] } });
+        assert.equal(byDate.statusCode, 304);
+
+        // If-None-Match tem precedência: ETag diferente devolve o corpo
+        const changed = run(middleware, { url: '/api/items/42', headers: { 'If-None-Match': '"2"', 'If-Modified-Since': miss.headers['Last-Modified'] } });
+        assert.equal(changed.statusCode, 200);
+        assert.equal(cache.snapshot().notModified, 2);
+    });
+
+    it('não guarda respostas de erro e expira as entradas pelo TTL', () => {
+        run(middleware, { url: '/api/items/1', upstream: res => res.status(404).json({ success: false }) });
+        assert.equal(run(middleware, { url: '/api/items/1' }).headers['X-Cache'], 'MISS');
+
+        now += 60000;
+        assert.equal(run(middleware, { url: '/api/items' }).headers['X-Cache'], 'MISS');
+        now += 60000;
+        assert.equal(run(middleware, { url: '/api/items' }).headers['X-Cache'], 'MISS');
+        assert.equal(run(middleware, { url: '/api/items/1' }).headers['X-Cache'], 'HIT');
+    });
+
+    it('invalida as entradas pelas tags do cabeçalho X-Cache-Invalidate', () => {
+        run(middleware, { url: '/api/items' });
+        run(middleware, { url: '/api/items/1' });
+        run(middleware, { url: '/api/items/2' });
+
+        assert.equal(cache.invalidateFromHeader('items, item:1'), 2);
+        assert.equal(run(middleware, { url: '/api/items' }).headers['X-Cache'], 'MISS');
+        assert.equal(run(middleware, { url: '/api/items/1' }).headers['X-Cache'], 'MISS');
+        assert.equal(run(middleware, { url: '/api/items/2' }).headers['X-Cache'], 'HIT');
+        assert.equal(cache.invalidateFromHeader(undefined), 0);
+    });
+
+    it('não guarda uma resposta buscada antes de uma invalidação', () => {
+        let late;
+        run(middleware, { url: '/api/items', upstream: res => { late = res; } });
+        cache.invalidate(['items']);
+        late.status(200).json([]);
+        assert.equal(late.headers['X-Cache'], 'MISS');
+        assert.equal(cache.snapshot().entries, 0);
+    });
+
+    it('responde 400 a um parâmetro com codificação inválida', () => {
+        const invalid = run(middleware, { url: '/api/items/%E0%A4%A' });
+        assert.deepEqual([invalid.proxied, invalid.statusCode], [false, 400]);
+        assert.deepEqual(JSON.parse(invalid.body), { success: false, message: 'Caminho com codificação inválida' });
+        assert.equal(cache.snapshot().entries, 0);
+    });
+
+    it('guarda respostas repassadas com res.locals.cacheResponse', () => {
+        const csv = Buffer.from('id;nome\n1;Arroz\n');
+        const miss = run(middleware, { url: '/api/items/1', upstream: res => res.locals.cacheResponse(csv, 'text/csv') });
+        assert.equal(miss.headers['Content-Type'], 'text/csv');
+
+        const hit = run(middleware, { url: '/api/items/1' });
+        assert.equal(hit.headers['X-Cache'], 'HIT');
+        assert.deepEqual(hit.body, csv);
+    });
+
+    it('responde HEAD do cache, mas não guarda a resposta de um HEAD', () => {
+        const head = run(middleware, { url: '/api/items', method: 'HEAD', upstream: res => res.status(200).end() });
+        assert.equal(head.proxied, true);
+        assert.equal(head.locals.cacheResponse, undefined);
+        assert.equal(cache.snapshot().entries, 0);
+
+        run(middleware, { url: '/api/items' });
+        assert.equal(run(middleware, { url: '/api/items', method: 'HEAD' }).headers['X-Cache'], 'HIT');
+    });
+});
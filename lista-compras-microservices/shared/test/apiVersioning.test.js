@@ -0,0 +1,153 @@
+// shared/test/apiVersioning.test.js
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const express = require('express');
+const axios = require('axios');
+
+const { configureLogging } = require('../logger');
+const { ApiVersions } = require('../apiVersioning');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEPRECATION = Date.parse('2026-01-01T00:00:00Z');
+const SUNSET = Date.parse('2026-07-01T00:00:00Z');
+
+const CONFIG = {
+    default: 'v1',
+    unversioned: ['/api/docs'],
+    versions: {
+        v1: { deprecation: '2026-01-01T00:00:00Z', sunset: '2026-07-01T00:00:00Z', successor: 'v2' },
+        v2: {}
+    }
+};
+
+const TRANSFORMS = {
+    v2: {
+        'POST /api/lists/:id/items': (body, { params }) => ({ ...body, data: { listId: params.id, item: body.data.items.at(-1) } })
+    }
+};
+
+async function listen(versions) {
+    const app = express();
+    app.use(versions.middleware());
+    // No lugar da autenticação do Gateway: o usuário vem de X-User
+    app.use((req, res, next) => {
+        req.user = req.header('X-User') ? { id: req.header('X-User') } : null;
+        next();
+    });
+    app.use(versions.usageTracker());
+    app.use((req, res) => {
+        const body = { success: true, data: { url: req.url, version: req.apiVersion || null, items: [{ itemId: 'a' }, { itemId: 'b' }] } };
+        res.json(res.locals.transformResponse ? res.locals.transformResponse(body) : body);
+    });
+    const server = app.listen(0);
+    await once(server, 'listening');
+    return { server, http: axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true }) };
+}
+
+describe('ApiVersions', () => {
+    before(() => {
+        configureLogging({ levels: { 'api-versions': 'silent' } });
+    });
+
+    it('tira a versão do caminho e marca as versões obsoletas', async () => {
+        const versions = new ApiVersions(CONFIG, { transforms: TRANSFORMS, clock: () => DEPRECATION + DAY_MS });
+        const { server, http } = await listen(versions);
+
+        try {
+            const current = await http.get('/api/v2/lists/1?status=active');
+            assert.deepEqual([current.data.data.url, current.data.data.version], ['/api/lists/1?status=active', 'v2']);
+            assert.equal(current.headers['api-version'], 'v2');
+            assert.equal(current.headers.deprecation, undefined);
+
+            // Sem versão no caminho vale a padrão (v1, obsoleta)
+            const old = await http.get('/api/lists/1');
+            assert.deepEqual([old.data.data.url, old.data.data.version], ['/api/lists/1', 'v1']);
+            assert.equal(old.headers.deprecation, `@${DEPRECATION / 1000}`);
+            assert.equal(old.headers.sunset, 'Wed, 01 Jul 2026 00:00:00 GMT');
+            assert.equal(old.headers.link, '</api/v2/lists/1>; rel="successor-version"');
+            assert.equal((await http.get('/api/v1')).data.data.url, '/api');
+
+            const unknown = await http.get('/api/v9/lists');
+            assert.deepEqual([unknown.status, unknown.data.success], [404, false]);
+            assert.match(unknown.data.message, /v9 \(disponíveis: v1, v2\)/);
+
+            // Rotas fora do versionamento e fora de /api seguem intactas
+            const docs = await http.get('/api/docs/openapi.json');
+            assert.deepEqual([docs.data.data.version, docs.headers.deprecation], [null, undefined]);
+            assert.equal((await http.get('/apiary')).data.data.version, null);
+        } finally {
+            server.close();
+        }
+    });
+
+    it('aplica as transformações da versão pedida', async () => {
+        const versions = new ApiVersions(CONFIG, { transforms: TRANSFORMS, clock: () => DEPRECATION - DAY_MS });
+        const { server, http } = await listen(versions);
+
+        try {
+            const v2 = await http.post('/api/v2/lists/l%201/items', {});
+            assert.deepEqual(v2.data.data, { listId: 'l 1', item: { itemId: 'b' } });
+
+            const v1 = await http.post('/api/v1/lists/l1/items', {});
+            assert.equal(v1.data.data.items.length, 2);
+            // Antes da data de Deprecation, a v1 ainda é atual
+            assert.equal(v1.headers.deprecation, undefined);
+            assert.equal((await http.get('/api/v2/lists/l1/items')).data.data.listId, undefined);
+
+            // Escape malformado no parâmetro da rota transformada
+            const malformed = await http.post('/api/v2/lists/%E0%A4%A/items', {});
+            assert.deepEqual([malformed.status, malformed.data.success], [400, false]);
+            assert.match(malformed.data.message, /codificação inválida/);
+        } finally {
+            server.close();
+        }
+    });
+
+    it('registra o uso das versões obsoletas por usuário e desativa a versão no Sunset', async () => {
+        let now = DEPRECATION + DAY_MS;
+        const versions = new ApiVersions(CONFIG, { clock: () => now, maxClients: 2 });
+        const { server, http } = await listen(versions);
+
+        try {
+            await http.get('/api/lists', { headers: { 'X-User': 'u1', 'X-Client-Id': 'app-android/3.1' } });
+            now += 1000;
+            await http.post('/api/v1/lists', {}, { headers: { 'X-User': 'u1', 'X-Client-Id': 'app-android/3.2' } });
+            now += 1000;
+            // X-Client-Id é só um rótulo: sem token, a requisição conta para o IP, não para u1
+            await http.get('/api/lists', { headers: { 'X-Client-Id': 'app-android/3.2' } });
+            await http.get('/api/v2/lists', { headers: { 'X-User': 'u3' } });
+
+            const [v1, v2] = versions.usageReport().versions;
+            assert.deepEqual([v1.version, v1.status, v1.successor, v1.sunset], ['v1', 'deprecated', 'v2', '2026-07-01T00:00:00.000Z']);
+            assert.deepEqual(v1.clients.map(({ client, label, requests, lastRequest }) => [client.replace(/^ip:.*/, 'ip'), label, requests, lastRequest]), [
+                ['ip', 'app-android/3.2', 1, 'GET /api/lists'],
+                ['user:u1', 'app-android/3.2', 2, 'POST /api/lists']
+            ]);
+            assert.deepEqual([v2.status, v2.clients], ['current', []]);
+
+            // No limite de clientes, o mais antigo é esquecido
+            now += 1000;
+            await http.get('/api/lists', { headers: { 'X-User': 'u2' } });
+            assert.deepEqual(versions.usageReport().versions[0].clients.map(entry => [entry.client.replace(/^ip:.*/, 'ip'), entry.label]), [
+                ['user:u2', null],
+                ['ip', 'app-android/3.2']
+            ]);
+
+            now = SUNSET;
+            const gone = await http.get('/api/v1/lists');
+            assert.deepEqual([gone.status, gone.data.success], [410, false]);
+            assert.match(gone.data.message, /use a v2/);
+            assert.equal(gone.headers.link, '</api/v2/lists>; rel="successor-version"');
+            assert.equal(versions.usageReport().versions[0].status, 'sunset');
+        } finally {
+            server.close();
+        }
+    });
+
+    it('recusa configurações inconsistentes', () => {
+        assert.throws(() => new ApiVersions({ default: 'v3', versions: { v1: {} } }), /Versão padrão da API não configurada: v3/);
+        assert.throws(() => new ApiVersions({ versions: { v1: { successor: 'v2' } } }), /Sucessora de v1 não configurada/);
+        assert.throws(() => new ApiVersions({ versions: { v1: { sunset: 'amanhã' } } }), /Data inválida em v1.sunset/);
+    });
+});
@@ -0,0 +1,112 @@
+// shared/test/etag.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const express = require('express');
+const axios = require('axios');
+
+const JsonDatabase = require('../JsonDatabase');
+const { configureLogging } = require('../logger');
+const { formatETag, parseIfMatch } = require('../etag');
+const ListService = require('../../services/list-service/server');
+
+describe('etag', () => {
+    let tmpDir;
+
+    before(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'etag-'));
+        configureLogging({ levels: { http: 'silent', database: 'silent' } });
+    });
+
+    after(async () => {
+        await fs.remove(tmpDir);
+    });
+
+    it('formata a versão do documento como ETag forte', () => {
+        assert.equal(formatETag(3), '"3"');
+        // Documentos anteriores ao controle de versão
+        assert.equal(formatETag(undefined), '"0"');
+    });
+
+    it('interpreta If-Match com uma ou várias ETags', () => {
+        assert.equal(parseIfMatch(undefined), undefined);
+        assert.equal(parseIfMatch(' * '), undefined);
+        assert.deepEqual(parseIfMatch('"3"'), [3]);
+        assert.deepEqual(parseIfMatch('"3", "5"'), [3, 5]);
+        // ETags que não são versões não satisfazem a pré-condição
+        assert.deepEqual(parseIfMatch('"abc"'), []);
+    });
+
+    it('recusa ETags fracas, que If-Match compara de forma forte', () => {
+        assert.deepEqual(parseIfMatch('W/"3"'), []);
+        assert.deepEqual(parseIfMatch('W/"3", "4"'), [4]);
+    });
+
+    it('rejeita escritas sobre outra versão com EVERSIONCONFLICT', async () => {
+        const db = new JsonDatabase(tmpDir, 'lists');
+        const list = await db.create({ name: 'Feira' });
+
+        await assert.rejects(db.update(list.id, { name: 'Mercado' }, { expectedVersion: parseIfMatch('"2"') }), error => {
+            assert.equal(error.code, 'EVERSIONCONFLICT');
+            assert.deepEqual([error.currentVersion, error.expectedVersion], [1, [2]]);
+            return true;
+        });
+        await assert.rejects(db.delete(list.id, { expectedVersion: parseIfMatch('W/"1"') }), error => error.code === 'EVERSIONCONFLICT');
+
+        const updated = await db.update(list.id, { name: 'Mercado' }, { expectedVersion: parseIfMatch('"1"') });
+        assert.equal(updated.version, 2);
+    });
+});
+
+describe('List Service com If-Match', () => {
+    let server;
+    let http;
+    let listId;
+    let tmpDir;
+
+    before(async () => {
+        // Só os controladores, sobre um banco temporário
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'etag-'));
+        const service = Object.create(ListService.prototype);
+        service.listsDb = new JsonDatabase(tmpDir, 'lists');
+        listId = (await service.listsDb.create({ userId: 'u1', name: 'Feira', items: [] })).id;
+
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.user = { id: 'u1' };
+            next();
+        });
+        app.get('/lists/:id', service.getListById.bind(service));
+        app.put('/lists/:id', service.updateList.bind(service));
+        app.delete('/lists/:id', service.deleteList.bind(service));
+        server = app.listen(0);
+        await once(server, 'listening');
+        http = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+    });
+
+    after(async () => {
+        server.close();
+        await fs.remove(tmpDir);
+    });
+
+    it('devolve a ETag da lista e responde 412 com a versão atual', async () => {
+        const read = await http.get(`/lists/${listId}`);
+        assert.equal(read.headers.etag, '"1"');
+
+        const updated = await http.put(`/lists/${listId}`, { name: 'Mercado' }, { headers: { 'If-Match': read.headers.etag } });
+        assert.deepEqual([updated.status, updated.headers.etag], [200, '"2"']);
+
+        // Cliente com a versão antiga
+        const stale = await http.put(`/lists/${listId}`, { name: 'Outro' }, { headers: { 'If-Match': '"1"' } });
+        assert.deepEqual([stale.status, stale.headers.etag, stale.data.currentVersion], [412, '"2"', 2]);
+
+        const weak = await http.delete(`/lists/${listId}`, { headers: { 'If-Match': 'W/"2"' } });
+        assert.equal(weak.status, 412);
+
+        assert.equal((await http.delete(`/lists/${listId}`, { headers: { 'If-Match': '"2"' } })).status, 204);
+    });
+});
@@ -0,0 +1,291 @@
+// shared/test/graphql.test.js
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { configureLogging } = require('../logger');
+const { BatchLoader } = require('../BatchLoader');
+const { GraphQLSchema, execute, graphqlError, printSchema } = require('../graphql');
+const { createRateLimiter, MemoryRateLimitStore } = require('../rateLimiter');
+const APIGateway = require('../../api-gateway/server');
+
+const catalog = {
+    arroz: { id: 'arroz', name: 'Arroz', price: 25.9 },
+    feijao: { id: 'feijao', name: 'Feijão', price: 8.5 }
+};
+
+function createSchema(log) {
+    return new GraphQLSchema({
+        enums: { Status: ['active', 'completed'] },
+        inputs: { ListInput: { name: 'String!', status: { type: 'Status', defaultValue: 'active' } } },
+        mutation: 'Mutation',
+        types: {
+            Query: {
+                fields: {
+                    list: { type: 'List', args: { id: 'ID!' }, resolve: (root, { id }) => (id === 'l1' ? { id, name: 'Feira', entries: [{ itemId: 'arroz' }, { itemId: 'feijao' }, { itemId: 'arroz' }] } : null) },
+                    lists: { type: '[List!]!', resolve: () => [{ id: 'l1', name: 'Feira', entries: [{ itemId: 'arroz' }] }, { id: 'l2', name: 'Mercado', entries: [{ itemId: 'feijao' }] }] },
+                    secret: { type: 'String', resolve: () => { throw new Error('detalhe interno'); } },
+                    denied: { type: 'String', resolve: () => { throw graphqlError('Token obrigatório', 'UNAUTHENTICATED'); } }
+                }
+            },
+            Mutation: {
+                fields: {
+                    createList: {
+                        type: 'List!',
+                        args: { input: 'ListInput!' },
+                        resolve: async (root, { input }) => {
+                            await new Promise(resolve => setTimeout(resolve, input.name === 'lenta' ? 20 : 0));
+                            log.push(input.name);
+                            return { id: input.name, ...input, entries: [] };
+                        }
+                    }
+                }
+            },
+            List: {
+                fields: {
+                    id: 'ID!',
+                    name: 'String!',
+                    status: 'Status',
+                    entries: '[Entry!]!'
+                }
+            },
+            Entry: {
+                fields: {
+                    itemId: 'ID!',
+                    item: { type: 'Item!', resolve: (entry, args, context) => context.items.load(entry.itemId) }
+                }
+            },
+            Item: { fields: { id: 'ID!', name: 'String!', price: 'Float!' } }
+        }
+    });
+}
+
+describe('graphql', () => {
+    let schema;
+    let batches;
+    const run = (query, variables) => execute(schema, { query, variables }, {
+        contextValue: {
+            items: new BatchLoader(async ids => {
+                batches.push(ids);
+                return ids.map(id => catalog[id] || null);
+            })
+        }
+    });
+
+    before(() => {
+        configureLogging({ levels: { graphql: 'silent' } });
+    });
+
+    it('resolve os campos pedidos, com aliases, fragments e variáveis', async () => {
+        schema = createSchema([]);
+        batches = [];
+        const result = await run(`
+            query Feira($id: ID!, $withItems: Boolean = true) {
+                feira: list(id: $id) { ...Basico entries @include(if: $withItems) { item { name } } }
+                nada: list(id: "x") { id }
+            }
+            fragment Basico on List { id name __typename }
+        `, { id: 'l1' });
+
+        assert.deepEqual(result, {
+            data: {
+                feira: { id: 'l1', name: 'Feira', __typename: 'List', entries: [{ item: { name: 'Arroz' } }, { item: { name: 'Feijão' } }, { item: { name: 'Arroz' } }] },
+                nada: null
+            }
+        });
+    });
+
+    it('busca os itens de todas as listas em um único lote, sem repetir chaves', async () => {
+        schema = createSchema([]);
+        batches = [];
+        const result = await run('{ lists { entries { item { id } } } again: lists { entries { item { price } } } }');
+        assert.equal(result.errors, undefined);
+        assert.deepEqual(batches, [['arroz', 'feijao']]);
+    });
+
+    it('rejeita sintaxe, campos e argumentos inválidos antes de executar', async () => {
+        schema = createSchema([]);
+        const syntax = await run('{ list(id: "l1") { id }');
+        assert.equal(syntax.data, undefined);
+        assert.equal(syntax.errors[0].extensions.code, 'GRAPHQL_PARSE_FAILED');
+        assert.deepEqual(syntax.errors[0].locations, [{ line: 1, column: 24 }]);
+
+        const invalid = await run('{ list(id: "l1", limit: 2) { id preco } lists }');
+        assert.deepEqual(invalid.errors.map(error => error.message), [
+            'Argumento "limit" não existe em "Query.list"',
+            'Campo "preco" não existe no tipo "List"',
+            'Campo "lists" do tipo "[List!]!" precisa de uma seleção de subcampos'
+        ]);
+
+        const variables = await run('query ($id: ID!) { list(id: $id) { id } }', {});
+        assert.equal(variables.errors[0].extensions.code, 'BAD_USER_INPUT');
+
+        const deep = await execute(schema, { query: '{ list(id: "l1") { entries { item { id } } } }' }, { maxDepth: 2 });
+        assert.match(deep.errors[0].message, /profundidade máxima/);
+    });
+
+    it('recusa documentos aninhados demais com GRAPHQL_PARSE_FAILED', async () => {
+        schema = createSchema([]);
+        const documents = [
+            `{ list(id: ${'['.repeat(5000)}"l1"${']'.repeat(5000)}) { id } }`,
+            `${'{ lists '.repeat(5000)}${'}'.repeat(5000)}`,
+            `query ($id: ${'['.repeat(5000)}ID${']'.repeat(5000)}) { list(id: "l1") { id } }`
+        ];
+        for (const query of documents) {
+            const result = await run(query);
+            assert.equal(result.data, undefined);
+            assert.equal(result.errors[0].extensions.code, 'GRAPHQL_PARSE_FAILED');
+            assert.match(result.errors[0].message, /aninhamento acima de 64 níveis/);
+        }
+
+        const chain = Array.from({ length: 100 }, (_, i) => `fragment F${i} on List { ...F${i + 1} }`).join('\n');
+        const fragments = await run(`{ lists { ...F0 } }\n${chain}\nfragment F100 on List { id }`);
+        assert.deepEqual(fragments.errors.map(error => error.message), ['Fragments aninhados acima de 64 níveis']);
+    });
+
+    it('exige variáveis declaradas e do tipo esperado em cada uso', async () => {
+        schema = createSchema([]);
+        const cases = [
+            ['{ list(id: $id) { id } }', 'Variável "$id" não declarada'],
+            ['query ($id: String!) { list(id: $id) { id } }', 'Variável "$id" do tipo String! usada onde se espera ID!'],
+            ['query ($id: ID) { list(id: $id) { id } }', 'Variável "$id" do tipo ID usada onde se espera ID!'],
+            ['query ($all: String) { lists @include(if: $all) { id } }', 'Variável "$all" do tipo String usada onde se espera Boolean!'],
+            ['mutation ($s: String) { createList(input: { name: "x", status: $s }) { id } }', 'Variável "$s" do tipo String usada onde se espera Status'],
+            ['mutation { createList(input: { name: $nome }) { id } }', 'Variável "$nome" não declarada']
+        ];
+        for (const [query, message] of cases) {
+            const result = await run(query, { id: 'l1', all: 'sim', s: 'active', nome: 'x' });
+            assert.equal(result.data, undefined, query);
+            assert.deepEqual(result.errors.map(error => [error.message, error.extensions.code]), [[message, 'GRAPHQL_VALIDATION_FAILED']], query);
+        }
+
+        // Com valor padrão, uma variável anulável serve para um argumento obrigatório
+        const withDefault = await run('query ($id: ID = "l1", $s: Status!) { list(id: $id) { id } }', { s: 'active' });
+        assert.deepEqual(withDefault, { data: { list: { id: 'l1' } } });
+    });
+
+    it('limita o número de campos, contando aliases e fragments', async () => {
+        schema = createSchema([]);
+        const aliases = Array.from({ length: 6 }, (_, i) => `l${i}: list(id: "l1") { id }`).join(' ');
+        const wide = await execute(schema, { query: `{ ${aliases} }` }, { maxFields: 10 });
+        assert.equal(wide.data, undefined);
+        assert.deepEqual(wide.errors.map(error => [error.message, error.extensions.code]), [
+            ['Consulta acima do número máximo de campos (10)', 'GRAPHQL_VALIDATION_FAILED']
+        ]);
+
+        // Cada uso do fragment conta de novo; a validação para no limite
+        const nested = `
+            { list(id: "l1") { ...A ...A ...A ...A } }
+            fragment A on List { ...B ...B ...B ...B }
+            fragment B on List { ...C ...C ...C ...C }
+            fragment C on List { id name }`;
+        const fragments = await execute(schema, { query: nested }, { maxFields: 50 });
+        assert.deepEqual(fragments.errors.map(error => error.message), ['Consulta acima do número máximo de campos (50)']);
+
+        const allowed = await execute(schema, { query: `{ ${aliases} }` }, { maxFields: 12, contextValue: {} });
+        assert.equal(allowed.errors, undefined);
+    });
+
+    it('anula até o pai anulável e esconde erros não previstos', async () => {
+        schema = createSchema([]);
+        const result = await execute(schema, {
+            query: '{ list(id: "l1") { id } secret denied }'
+        }, { contextValue: {} });
+        assert.deepEqual(result.data, { list: { id: 'l1' }, secret: null, denied: null });
+        assert.deepEqual(result.errors.map(error => [error.path.join('.'), error.message, error.extensions.code]), [
+            ['secret', 'Erro interno do servidor', 'INTERNAL_SERVER_ERROR'],
+            ['denied', 'Token obrigatório', 'UNAUTHENTICATED']
+        ]);
+
+        // Item! sem valor: o null sobe pelo Entry! e pela lista até o campo anulável list
+        const missing = await execute(schema, { query: '{ lists { id } list(id: "l1") { entries { item { id } } } }' }, {
+            contextValue: { items: new BatchLoader(async ids => ids.map(() => null)) }
+        });
+        assert.equal(missing.data.list, null);
+        assert.equal(missing.data.lists.length, 2);
+        // Um erro por item, na ordem em que falharam
+        assert.deepEqual(missing.errors.map(error => error.path.join('.')).sort(), ['list.entries.0.item', 'list.entries.1.item', 'list.entries.2.item']);
+    });
+
+    it('executa os campos de mutation em sequência, com valores padrão de input', async () => {
+        const log = [];
+        schema = createSchema(log);
+        const result = await run(`mutation {
+            a: createList(input: { name: "lenta" }) { id status }
+            b: createList(input: { name: "rapida", status: completed }) { id status }
+        }`);
+        assert.deepEqual(result.data, { a: { id: 'lenta', status: 'active' }, b: { id: 'rapida', status: 'completed' } });
+        assert.deepEqual(log, ['lenta', 'rapida']);
+
+        const invalid = await run('mutation { createList(input: { name: "x", status: lost }) { id } }');
+        assert.deepEqual(invalid.data, null);
+        assert.match(invalid.errors[0].message, /não é um valor de Status/);
+    });
+
+    it('publica o schema em SDL e recusa referências a tipos inexistentes', () => {
+        const sdl = printSchema(createSchema([]));
+        assert.match(sdl, /type Query \{\n {2}list\(id: ID!\): List\n/);
+        assert.match(sdl, /input ListInput \{\n {2}name: String!\n {2}status: Status\n\}/);
+        assert.throws(() => new GraphQLSchema({ types: { Query: { fields: { x: 'Nada' } } } }), /tipo inválido em Query.x/);
+    });
+});
+
+describe('BatchLoader', () => {
+    it('agrupa as chaves do mesmo ciclo, respeita o tamanho máximo e refaz lotes que falharam', async () => {
+        const calls = [];
+        let fail = true;
+        const loader = new BatchLoader(async keys => {
+            calls.push(keys);
+            if (fail) throw new Error('fora do ar');
+            return keys.map(key => (key === 'x' ? new Error('sem x') : key.toUpperCase()));
+        }, { maxBatchSize: 2 });
+
+        await assert.rejects(loader.load('a'), /fora do ar/);
+        fail = false;
+        assert.deepEqual(await loader.loadMany(['a', 'b', 'a', 'c']), ['A', 'B', 'A', 'C']);
+        assert.deepEqual(calls, [['a'], ['a', 'b'], ['c']]);
+
+        await assert.rejects(loader.load('x'), /sem x/);
+        loader.prime('d', 'conhecido');
+        assert.equal(await loader.load('d'), 'conhecido');
+        assert.equal(calls.length, 4);
+    });
+});
+
+describe('GraphQL no Gateway', () => {
+    // Executa executeGraphQL com req/res mínimos
+    async function post(gateway, body) {
+        const res = {
+            statusCode: 200,
+            headers: {},
+            set(name, value) { this.headers[name] = value; return this; },
+            status(code) { this.statusCode = code; return this; },
+            json(payload) { this.body = payload; return this; }
+        };
+        await gateway.executeGraphQL({ method: 'POST', path: '/graphql', ip: '10.0.0.1', user: { id: 'u1' }, body }, res);
+        return res;
+    }
+
+    it('cobra cada mutation no limite de escrita de listas', async () => {
+        const calls = [];
+        const gateway = Object.create(APIGateway.prototype);
+        gateway.rateLimiter = createRateLimiter({
+            groups: [{ name: 'list-write', methods: ['POST'], paths: ['/api/lists'], limits: { user: { limit: 2, windowSeconds: 60 } } }]
+        }, { store: new MemoryRateLimitStore({ cleanupIntervalMs: 0 }), userId: req => req.user.id });
+        gateway.requestService = async (serviceName, method, path, { data }) => {
+            calls.push(`${method} ${path}`);
+            return { success: true, data: { id: data.name } };
+        };
+
+        const names = ['a', 'b', 'c'];
+        const response = await post(gateway, {
+            query: `mutation { ${names.map(name => `${name}: createList(input: { name: "${name}" }) { id }`).join(' ')} }`
+        });
+
+        // A terceira não chega ao serviço; como createList é ShoppingList!, o null sobe até data
+        assert.deepEqual(calls, ['POST /lists', 'POST /lists']);
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.body.data, null);
+        assert.deepEqual(response.body.errors.map(error => [error.path.join('.'), error.extensions.code]), [['c', 'RATE_LIMITED']]);
+        assert.equal(response.headers['Retry-After'], '30');
+    });
+});
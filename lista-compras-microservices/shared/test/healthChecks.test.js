@@ -0,0 +1,143 @@
+// shared/test/healthChecks.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const express = require('express');
+const axios = require('axios');
+
+const JsonDatabase = require('../JsonDatabase');
+const { ServiceRegistry } = require('../registryCore');
+const { configureLogging } = require('../logger');
+const { checkReadiness, databaseCheck, dependencyCheck, registerHealthRoutes } = require('../healthChecks');
+
+const passing = name => ({ name, run: () => ({ detail: 'ok' }) });
+const failing = (name, critical = true) => ({ name, critical, run: () => { throw Object.assign(new Error('fora do ar'), { code: 'ECONNREFUSED' }); } });
+
+async function listen(app) {
+    const server = app.listen(0);
+    await once(server, 'listening');
+    return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+describe('healthChecks', () => {
+    let tmpDir;
+
+    before(async () => {
+        configureLogging({ levels: { health: 'silent', database: 'silent', registry: 'silent' } });
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'health-'));
+    });
+
+    after(async () => {
+        await fs.remove(tmpDir);
+    });
+
+    it('combina as verificações em healthy, degraded ou unhealthy', async () => {
+        const healthy = await checkReadiness([passing('a'), passing('b')]);
+        assert.equal(healthy.status, 'healthy');
+        assert.deepEqual([healthy.checks.a.status, healthy.checks.a.detail], ['pass', 'ok']);
+
+        const warned = await checkReadiness([passing('a'), { name: 'disco', run: () => ({ status: 'warn' }) }]);
+        assert.equal(warned.status, 'degraded');
+
+        const degraded = await checkReadiness([passing('a'), failing('b', false)]);
+        assert.equal(degraded.status, 'degraded');
+        assert.deepEqual([degraded.checks.b.status, degraded.checks.b.code, degraded.checks.b.critical], ['fail', 'ECONNREFUSED', false]);
+
+        const unhealthy = await checkReadiness([failing('a'), failing('b', false)]);
+        assert.equal(unhealthy.status, 'unhealthy');
+    });
+
+    it('falha a verificação que passa do tempo limite', async () => {
+        const slow = { name: 'lenta', run: () => new Promise(resolve => setTimeout(resolve, 200)) };
+        const result = await checkReadiness([slow], { timeout: 20 });
+        assert.equal(result.status, 'unhealthy');
+        assert.equal(result.checks.lenta.code, 'ETIMEDOUT');
+    });
+
+    it('verifica o diretório e a coleção do banco no armazenamento', async () => {
+        const dbPath = path.join(tmpDir, 'db');
+        const db = new JsonDatabase(dbPath, 'lists', { cache: true });
+        await db.create({ id: 'l1', name: 'Mercado' });
+
+        const ok = await checkReadiness([databaseCheck(db)]);
+        assert.equal(ok.status, 'healthy');
+        assert.equal(ok.checks.database.documents, 1);
+        assert.ok(ok.checks.database.freeBytes > 0);
+        assert.deepEqual(await fs.readdir(dbPath).then(files => files.filter(file => file.startsWith('.health'))), []);
+
+        const lowDisk = await checkReadiness([databaseCheck(db, { minFreeBytes: Number.MAX_SAFE_INTEGER })]);
+        assert.equal(lowDisk.status, 'degraded');
+
+        // Com o cache em memória o serviço ainda responderia, mas o arquivo está ilegível
+        await fs.writeFile(path.join(dbPath, 'lists.json'), '{ corrompido');
+        const broken = await checkReadiness([databaseCheck(db)]);
+        assert.equal(broken.status, 'unhealthy');
+        assert.equal(broken.checks.database.status, 'fail');
+    });
+
+    it('verifica se a dependência é encontrada e responde à liveness', async () => {
+        const dependency = express();
+        registerHealthRoutes(dependency, { service: 'item-service' });
+        const { server, url } = await listen(dependency);
+
+        try {
+            const registry = new ServiceRegistry();
+            const check = dependencyCheck(registry, 'item-service');
+            const notFound = await checkReadiness([check]);
+            assert.equal(notFound.checks['item-service'].code, 'ESERVICENOTFOUND');
+
+            registry.register('item-service', { id: 'item-a', url });
+            const found = await checkReadiness([check]);
+            assert.equal(found.status, 'healthy');
+            assert.equal(found.checks['item-service'].instanceId, 'item-a');
+        } finally {
+            server.close();
+        }
+    });
+
+    it('responde 200 na liveness e 503 na readiness com uma verificação crítica falhando', async () => {
+        const app = express();
+        registerHealthRoutes(app, { service: 'list-service', checks: [failing('database')], details: () => ({ extra: 1 }) });
+        const { server, url } = await listen(app);
+        const http = axios.create({ baseURL: url, validateStatus: () => true });
+
+        try {
+            const live = await http.get('/health/live');
+            assert.deepEqual([live.status, live.data.status], [200, 'alive']);
+
+            for (const route of ['/health/ready', '/health']) {
+                const ready = await http.get(route);
+                assert.deepEqual([ready.status, ready.data.status, ready.data.extra], [503, 'unhealthy', 1]);
+                assert.equal(ready.data.checks.database.error, 'fora do ar');
+            }
+        } finally {
+            server.close();
+        }
+    });
+
+    it('o registro mantém instâncias degraded na descoberta e remove as unhealthy', async () => {
+        const readiness = { status: 200, body: { status: 'degraded', checks: { 'item-service': { status: 'fail' } } } };
+        const app = express();
+        app.get('/health/ready', (req, res) => res.status(readiness.status).json(readiness.body));
+        const { server, url } = await listen(app);
+
+        try {
+            const registry = new ServiceRegistry();
+            registry.register('list-service', { id: 'list-a', url, healthPath: '/health/ready' });
+
+            await registry.performHealthChecks();
+            assert.equal(registry.listServices()['list-service'].instances[0].status, 'degraded');
+            assert.equal(registry.discover('list-service').id, 'list-a');
+
+            Object.assign(readiness, { status: 503, body: { status: 'unhealthy', checks: { database: { status: 'fail' } } } });
+            await registry.performHealthChecks();
+            assert.equal(registry.listServices()['list-service'].instances[0].status, 'down');
+            assert.throws(() => registry.discover('list-service'), { code: 'ESERVICEUNAVAILABLE' });
+        } finally {
+            server.close();
+        }
+    });
+});
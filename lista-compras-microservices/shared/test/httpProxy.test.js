@@ -0,0 +1,151 @@
+// shared/test/httpProxy.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const express = require('express');
+const axios = require('axios');
+
+const { filterHeaders, forwardRequestHeaders, forwardResponseHeaders } = require('../httpProxy');
+const { configureLogging } = require('../logger');
+const APIGateway = require('../../api-gateway/server');
+
+describe('httpProxy', () => {
+    it('remove os cabeçalhos hop-by-hop e os listados em Connection', () => {
+        const headers = filterHeaders({
+            connection: 'keep-alive, X-Debug',
+            'keep-alive': 'timeout=5',
+            'transfer-encoding': 'chunked',
+            upgrade: 'websocket',
+            'x-debug': '1',
+            'content-type': 'text/csv',
+            etag: '"3"'
+        });
+        assert.deepEqual(headers, { 'content-type': 'text/csv', etag: '"3"' });
+    });
+
+    it('repassa os cabeçalhos do cliente com X-Forwarded-*', () => {
+        const req = {
+            headers: {
+                host: 'gateway.local:3000',
+                'content-length': '12',
+                'content-type': 'text/csv',
+                authorization: 'Bearer abc',
+                'x-internal-identity': 'forjada',
+                'x-forwarded-for': '203.0.113.7',
+                connection: 'close'
+            },
+            socket: { remoteAddress: '10.0.0.5' },
+            protocol: 'http'
+        };
+        assert.deepEqual(forwardRequestHeaders(req, ['x-internal-identity']), {
+            'content-type': 'text/csv',
+            authorization: 'Bearer abc',
+            'x-forwarded-for': '203.0.113.7, 10.0.0.5',
+            'x-forwarded-host': 'gateway.local:3000',
+            'x-forwarded-proto': 'http'
+        });
+    });
+
+    it('mantém os cabeçalhos da resposta, inclusive os repetidos', () => {
+        const headers = forwardResponseHeaders({
+            'set-cookie': ['a=1', 'b=2'],
+            'content-disposition': 'attachment; filename="lista.csv"',
+            'transfer-encoding': 'chunked'
+        });
+        assert.deepEqual(headers, {
+            'set-cookie': ['a=1', 'b=2'],
+            'content-disposition': 'attachment; filename="lista.csv"'
+        });
+    });
+
+    it('não repassa ao cliente os cabeçalhos internos da resposta', () => {
+        const headers = forwardResponseHeaders({
+            'content-type': 'application/json',
+            'x-cache-invalidate': 'items, item:42'
+        }, ['x-cache-invalidate']);
+        assert.deepEqual(headers, { 'content-type': 'application/json' });
+    });
+});
+
+describe('proxy do Gateway', () => {
+    const servers = [];
+    let upstreamUrl;
+    let http;
+    // Erro devolvido por callUpstream no lugar da chamada ao serviço
+    let upstreamError = null;
+
+    const listen = async app => {
+        const server = app.listen(0);
+        servers.push(server);
+        await once(server, 'listening');
+        return `http://127.0.0.1:${server.address().port}`;
+    };
+
+    before(async () => {
+        configureLogging({ levels: { gateway: 'silent', http: 'silent' } });
+
+        const upstream = express();
+        upstream.delete('/lists/:id', (req, res) => {
+            res.set('ETag', '"4"');
+            res.status(204).end();
+        });
+        upstream.get('/lists/:id/export', (req, res) => {
+            res.set('X-Cache-Invalidate', 'lists');
+            res.type('text/csv').send('item;quantidade\nArroz;2\n');
+        });
+        upstreamUrl = await listen(upstream);
+
+        // Só o proxy, com a chamada ao serviço sem registro nem circuit breaker
+        const gateway = Object.create(APIGateway.prototype);
+        gateway.responseCache = { invalidateFromHeader() {} };
+        gateway.callUpstream = async (serviceName, route, method, buildRequest) => {
+            if (upstreamError) throw upstreamError;
+            return axios({ ...buildRequest({ url: upstreamUrl }), method });
+        };
+        const app = express();
+        app.use('/api/lists', gateway.proxyRequest.bind(gateway, 'list-service', '/lists'));
+        http = axios.create({ baseURL: await listen(app), validateStatus: () => true });
+    });
+
+    after(() => {
+        servers.forEach(server => server.close());
+    });
+
+    it('repassa o 204 sem corpo nem Content-Type', async () => {
+        const response = await http.delete('/api/lists/l1', { responseType: 'text' });
+        assert.deepEqual([response.status, response.data, response.headers.etag], [204, '', '"4"']);
+        assert.equal(response.headers['content-type'], undefined);
+    });
+
+    it('repassa corpos que não são JSON e remove os cabeçalhos internos', async () => {
+        const response = await http.get('/api/lists/l1/export', { responseType: 'text' });
+        assert.equal(response.status, 200);
+        assert.match(response.headers['content-type'], /^text\/csv/);
+        assert.equal(response.data, 'item;quantidade\nArroz;2\n');
+        assert.equal(response.headers['x-cache-invalidate'], undefined);
+    });
+
+    it('responde 502 em falhas de conexão, 504 no tempo esgotado e 503 com o circuito aberto', async () => {
+        const cases = [
+            [{ code: 'ECONNREFUSED' }, 502, /Falha na comunicação com list-service \(ECONNREFUSED\)/],
+            [{ code: 'ECONNRESET' }, 502, /ECONNRESET/],
+            [{ code: 'ECONNABORTED' }, 504, /Tempo esgotado aguardando list-service/],
+            [{ code: 'ETIMEDOUT' }, 504, /Tempo esgotado/],
+            [{ code: 'ESERVICEUNAVAILABLE' }, 503, /Serviço list-service indisponível/]
+        ];
+        try {
+            for (const [error, status, message] of cases) {
+                upstreamError = Object.assign(new Error(error.code), error);
+                const response = await http.get('/api/lists/l1');
+                assert.deepEqual([response.status, response.data.success], [status, false], error.code);
+                assert.match(response.data.message, message);
+            }
+
+            upstreamError = Object.assign(new Error('aberto'), { code: 'ECIRCUITOPEN', retryAfterMs: 1500 });
+            const open = await http.get('/api/lists/l1');
+            assert.deepEqual([open.status, open.headers['retry-after']], [503, '2']);
+        } finally {
+            upstreamError = null;
+        }
+    });
+});
@@ -0,0 +1,84 @@
+// shared/test/internalAuth.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    INTERNAL_IDENTITY_HEADER, signIdentity, verifyIdentity, requireGateway, requireUser,
+    jwtSecret, internalSecret, registryToken
+} = require('../internalAuth');
+
+const user = { id: 'u1', email: 'ana@example.com', username: 'ana', password: 'hash' };
+
+// Executa um middleware com req/res mínimos
+function run(middleware, headers = {}) {
+    const req = { header: name => headers[name] };
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    let passed = false;
+    middleware(req, res, () => { passed = true; });
+    return { passed, req, res };
+}
+
+describe('internalAuth', () => {
+    it('assina e verifica a identidade só com os campos públicos do usuário', () => {
+        const claims = verifyIdentity(signIdentity(user, 'list-service'), 'list-service');
+        assert.deepEqual(claims.user, { id: 'u1', email: 'ana@example.com', username: 'ana' });
+        assert.equal(claims.iss, 'api-gateway');
+    });
+
+    it('recusa identidade adulterada, de outro destino ou expirada', () => {
+        const token = signIdentity(user, 'list-service');
+        const [, signature] = token.split('.');
+        const forged = `${Buffer.from(JSON.stringify({ user: { id: 'admin' }, aud: 'list-service', exp: 9999999999 })).toString('base64url')}.${signature}`;
+
+        assert.throws(() => verifyIdentity(forged, 'list-service'), /Assinatura/);
+        assert.throws(() => verifyIdentity(token, 'item-service'), /emitida para list-service/);
+        assert.throws(() => verifyIdentity(signIdentity(user, 'list-service', { secret: 'outro' }), 'list-service'), /Assinatura/);
+        assert.throws(() => verifyIdentity(signIdentity(user, 'list-service', { ttlSeconds: -1 }), 'list-service'), /expirada/);
+    });
+
+    it('rejeita chamadas diretas e preenche req.user nas que vêm do Gateway', () => {
+        const direct = run(requireGateway('list-service'), { Authorization: 'Bearer abc' });
+        assert.equal(direct.passed, false);
+        assert.equal(direct.res.statusCode, 401);
+
+        const viaGateway = run(requireGateway('list-service'), { [INTERNAL_IDENTITY_HEADER]: signIdentity(user, 'list-service') });
+        assert.equal(viaGateway.passed, true);
+        assert.equal(viaGateway.req.user.id, 'u1');
+
+        const anonymous = run(requireGateway('item-service'), { [INTERNAL_IDENTITY_HEADER]: signIdentity(null, 'item-service') });
+        assert.equal(anonymous.passed, true);
+        assert.equal(anonymous.req.user, null);
+    });
+
+    it('em produção, recusa subir sem os segredos definidos', t => {
+        const saved = { ...process.env };
+        t.after(() => { process.env = saved; });
+        process.env = { ...saved, NODE_ENV: 'production' };
+        delete process.env.JWT_SECRET;
+        delete process.env.INTERNAL_AUTH_SECRET;
+        delete process.env.REGISTRY_TOKEN;
+
+        for (const secret of [jwtSecret, internalSecret, registryToken]) {
+            assert.throws(secret, error => error.code === 'EMISSINGSECRET');
+        }
+        assert.throws(() => requireGateway('list-service'), /Defina INTERNAL_AUTH_SECRET/);
+
+        process.env.INTERNAL_AUTH_SECRET = 'segredo-de-producao';
+        const token = signIdentity(user, 'list-service');
+        assert.equal(run(requireGateway('list-service'), { [INTERNAL_IDENTITY_HEADER]: token }).passed, true);
+        assert.throws(() => verifyIdentity(token, 'list-service', { secret: 'segredo-interno-de-desenvolvimento' }), /Assinatura/);
+    });
+
+    it('exige usuário nas rotas protegidas', () => {
+        const req = { user: null };
+        const res = { status(code) { this.statusCode = code; return this; }, json() { return this; } };
+        let passed = false;
+        requireUser(req, res, () => { passed = true; });
+        assert.equal(passed, false);
+        assert.equal(res.statusCode, 401);
+    });
+});
@@ -0,0 +1,99 @@
+// shared/test/logger.test.js
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const { configureLogging, createLogger, requestLogger } = require('../logger');
+const { currentContext, requestIdHeaders, runWithContext } = require('../requestContext');
+
+// Executa o middleware com req/res mínimos e termina a resposta com status
+function run(middleware, { headers = {}, status = 200, user = null, handler = () => {} }) {
+    const res = Object.assign(new EventEmitter(), {
+        statusCode: status,
+        writableFinished: true,
+        headers: {},
+        set(name, value) { this.headers[name] = value; return this; }
+    });
+    const req = { method: 'GET', originalUrl: '/api/lists?limit=5', ip: '10.0.0.1', header: name => headers[name] };
+    middleware(req, res, () => {
+        req.user = user;
+        handler();
+    });
+    res.emit('finish');
+    res.emit('close');
+    return { req, res };
+}
+
+describe('logger', () => {
+    let lines;
+
+    beforeEach(() => {
+        lines = [];
+        configureLogging({ service: 'test-service', level: 'info', levels: { registry: 'info' }, write: line => lines.push(JSON.parse(line)) });
+    });
+
+    after(() => {
+        configureLogging({ level: 'info', write: line => process.stdout.write(`${line}\n`) });
+    });
+
+    it('escreve uma linha JSON por evento, respeitando o nível de cada componente', () => {
+        configureLogging({ levels: { registry: 'warn' } });
+        const registry = createLogger('registry');
+        const gateway = createLogger('gateway');
+
+        registry.info('Serviço encontrado', { serviceName: 'item-service' });
+        registry.warn('Serviço indisponível', { serviceName: 'item-service' });
+        gateway.debug('Detalhe');
+        gateway.error('Falha', { error: Object.assign(new Error('recusada'), { code: 'ECONNREFUSED' }) });
+
+        assert.equal(lines.length, 2);
+        assert.deepEqual(
+            { ...lines[0], time: undefined },
+            { time: undefined, level: 'warn', service: 'test-service', component: 'registry', message: 'Serviço indisponível', serviceName: 'item-service' }
+        );
+        assert.deepEqual(lines[1].error, { message: 'recusada', code: 'ECONNREFUSED' });
+    });
+
+    it('inclui o id da requisição e o usuário do contexto', async () => {
+        const logger = createLogger('gateway');
+        await runWithContext({ requestId: 'abc-123', userId: 'u1' }, async () => {
+            await new Promise(resolve => setImmediate(resolve));
+            logger.info('Chamada ao serviço', { upstream: 'list-service' });
+            assert.deepEqual(requestIdHeaders(), { 'X-Request-Id': 'abc-123' });
+        });
+        logger.info('Fora da requisição');
+
+        assert.equal(lines[0].requestId, 'abc-123');
+        assert.equal(lines[0].userId, 'u1');
+        assert.equal(lines[1].requestId, undefined);
+        assert.deepEqual(requestIdHeaders(), {});
+    });
+
+    it('requestLogger cria ou aceita o X-Request-Id e registra a requisição uma vez', () => {
+        let inside;
+        const { res } = run(requestLogger(), { user: { id: 'u1' }, handler: () => { inside = currentContext().requestId; } });
+        assert.match(res.headers['X-Request-Id'], /^[0-9a-f-]{36}$/);
+        assert.equal(inside, res.headers['X-Request-Id']);
+
+        assert.equal(lines.length, 1);
+        assert.equal(lines[0].message, 'Requisição concluída');
+        assert.equal(lines[0].requestId, res.headers['X-Request-Id']);
+        assert.equal(lines[0].userId, 'u1');
+        assert.equal(lines[0].status, 200);
+        assert.equal(typeof lines[0].latencyMs, 'number');
+
+        const accepted = run(requestLogger(), { headers: { 'X-Request-Id': 'cliente-42' } });
+        assert.equal(accepted.res.headers['X-Request-Id'], 'cliente-42');
+        // Ids com caracteres inesperados são trocados por um novo
+        const replaced = run(requestLogger(), { headers: { 'X-Request-Id': 'x\n{"level":"error"}' } });
+        assert.notEqual(replaced.res.headers['X-Request-Id'], 'x\n{"level":"error"}');
+    });
+
+    it('requestLogger registra em debug as requisições marcadas como frequentes', () => {
+        const middleware = requestLogger({ quiet: req => req.originalUrl.startsWith('/api/lists') });
+        run(middleware, {});
+        assert.equal(lines.length, 0);
+        run(middleware, { status: 503 });
+        assert.equal(lines[0].level, 'warn');
+    });
+});
@@ -0,0 +1,221 @@
+// shared/test/matchesFilter.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const JsonDatabase = require('../JsonDatabase');
+
+const list = {
+    id: 'l1',
+    userId: 'u1',
+    name: 'Compras da Semana',
+    status: 'active',
+    tags: ['mercado', 'semanal'],
+    summary: { totalItems: 2, purchasedItems: 1, estimatedTotal: 13.5 },
+    items: [
+        { itemId: 'i1', itemName: 'Arroz', quantity: 1, purchased: true, estimatedPrice: 5.5 },
+        { itemId: 'i2', itemName: 'Feijão', quantity: 3, purchased: false, estimatedPrice: 8 }
+    ],
+    archivedAt: null
+};
+
+describe('JsonDatabase.matchesFilter', () => {
+    let tmpDir;
+    let db;
+    const matches = filter => db.matchesFilter(list, filter);
+
+    before(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-filter-'));
+        db = new JsonDatabase(tmpDir, 'lists');
+        await db.ready;
+    });
+
+    after(async () => {
+        await fs.remove(tmpDir);
+    });
+
+    describe('igualdade', () => {
+        it('compara valores simples e campos aninhados', () => {
+            assert.equal(matches({ status: 'active' }), true);
+            assert.equal(matches({ 'summary.totalItems': 2 }), true);
+            assert.equal(matches({ status: 'archived' }), false);
+        });
+
+        it('compara objetos e arrays por valor', () => {
+            assert.equal(matches({ tags: ['mercado', 'semanal'] }), true);
+            assert.equal(matches({ tags: ['semanal', 'mercado'] }), false);
+        });
+
+        it('filtro vazio aceita qualquer documento', () => {
+            assert.equal(matches({}), true);
+        });
+    });
+
+    describe('$eq / $ne', () => {
+        it('$eq equivale à igualdade direta', () => {
+            assert.equal(matches({ userId: { $eq: 'u1' } }), true);
+            assert.equal(matches({ userId: { $eq: 'u2' } }), false);
+        });
+
+        it('$ne rejeita o valor informado e aceita campos ausentes', () => {
+            assert.equal(matches({ status: { $ne: 'archived' } }), true);
+            assert.equal(matches({ status: { $ne: 'active' } }), false);
+            assert.equal(matches({ missing: { $ne: 'x' } }), true);
+        });
+    });
+
+    describe('$gt / $gte / $lt / $lte', () => {
+        it('aceita limites iguais a zero', () => {
+            assert.equal(matches({ 'summary.purchasedItems': { $gt: 0 } }), true);
+            assert.equal(matches({ 'summary.purchasedItems': { $lt: 0 } }), false);
+        });
+
+        it('combina vários operadores no mesmo campo', () => {
+            assert.equal(matches({ 'summary.estimatedTotal': { $gte: 10, $lte: 20 } }), true);
+            assert.equal(matches({ 'summary.estimatedTotal': { $gte: 5, $lte: 10 } }), false);
+            assert.equal(matches({ 'summary.estimatedTotal': { $gt: 13.5 } }), false);
+            assert.equal(matches({ 'summary.estimatedTotal': { $gte: 13.5 } }), true);
+        });
+
+        it('não compara tipos diferentes nem valores ausentes', () => {
+            assert.equal(matches({ 'summary.totalItems': { $gt: '1' } }), false);
+            assert.equal(matches({ missing: { $lt: 100 } }), false);
+            assert.equal(matches({ archivedAt: { $lte: 'z' } }), false);
+        });
+    });
+
+    describe('$in / $nin', () => {
+        it('$in aceita qualquer um dos valores', () => {
+            assert.equal(matches({ status: { $in: ['active', 'completed'] } }), true);
+            assert.equal(matches({ status: { $in: ['archived'] } }), false);
+        });
+
+        it('$nin rejeita todos os valores', () => {
+            assert.equal(matches({ status: { $nin: ['archived', 'completed'] } }), true);
+            assert.equal(matches({ status: { $nin: ['active'] } }), false);
+        });
+
+        it('exige array como operando', () => {
+            assert.throws(() => matches({ status: { $in: 'active' } }), /\$in exige um array/);
+        });
+    });
+
+    describe('$exists', () => {
+        it('distingue campo ausente de campo nulo', () => {
+            assert.equal(matches({ archivedAt: { $exists: true } }), true);
+            assert.equal(matches({ missing: { $exists: true } }), false);
+            assert.equal(matches({ missing: { $exists: false } }), true);
+            assert.equal(matches({ name: { $exists: false } }), false);
+        });
+    });
+
+    describe('$regex', () => {
+        it('usa case-insensitive por padrão e respeita $options', () => {
+            assert.equal(matches({ name: { $regex: 'semana' } }), true);
+            assert.equal(matches({ name: { $regex: 'semana', $options: '' } }), false);
+        });
+
+        it('aceita RegExp diretamente e ignora valores que não são string', () => {
+            assert.equal(matches({ name: /^Compras/ }), true);
+            assert.equal(matches({ missing: { $regex: 'undefined' } }), false);
+        });
+    });
+
+    describe('$not', () => {
+        it('nega uma expressão de operadores', () => {
+            assert.equal(matches({ 'summary.totalItems': { $not: { $gt: 5 } } }), true);
+            assert.equal(matches({ 'summary.totalItems': { $not: { $gte: 2 } } }), false);
+        });
+
+        it('nega uma igualdade ou RegExp', () => {
+            assert.equal(matches({ status: { $not: /arch/ } }), true);
+            assert.equal(matches({ status: { $not: 'active' } }), false);
+        });
+    });
+
+    describe('$elemMatch', () => {
+        it('encontra subdocumentos em arrays como list.items', () => {
+            assert.equal(matches({ items: { $elemMatch: { itemId: 'i2', purchased: false } } }), true);
+            assert.equal(matches({ items: { $elemMatch: { itemId: 'i1', purchased: false } } }), false);
+        });
+
+        it('aceita operadores dentro dos subdocumentos', () => {
+            assert.equal(matches({ items: { $elemMatch: { quantity: { $gte: 2, $lte: 3 } } } }), true);
+            assert.equal(matches({ items: { $elemMatch: { quantity: { $gt: 3 } } } }), false);
+        });
+
+        it('aceita operadores sobre arrays de valores simples', () => {
+            assert.equal(matches({ tags: { $elemMatch: { $regex: '^sem' } } }), true);
+            assert.equal(matches({ tags: { $elemMatch: { $in: ['feira'] } } }), false);
+        });
+
+        it('falha quando o campo não é um array', () => {
+            assert.equal(matches({ name: { $elemMatch: { $eq: 'Compras da Semana' } } }), false);
+        });
+    });
+
+    describe('$or / $and / $nor', () => {
+        it('$or aceita se qualquer filtro casar', () => {
+            assert.equal(matches({ $or: [{ userId: 'u2' }, { name: 'Compras da Semana' }] }), true);
+            assert.equal(matches({ $or: [{ userId: 'u2' }, { status: 'archived' }] }), false);
+        });
+
+        it('$and exige todos os filtros', () => {
+            assert.equal(matches({ $and: [{ userId: 'u1' }, { 'summary.totalItems': { $gt: 1 } }] }), true);
+            assert.equal(matches({ $and: [{ userId: 'u1' }, { status: 'archived' }] }), false);
+        });
+
+        it('$nor rejeita se qualquer filtro casar', () => {
+            assert.equal(matches({ $nor: [{ status: 'archived' }, { userId: 'u2' }] }), true);
+            assert.equal(matches({ $nor: [{ status: 'archived' }, { userId: 'u1' }] }), false);
+        });
+
+        it('combina operadores lógicos aninhados com campos', () => {
+            const filter = {
+                userId: 'u1',
+                $or: [
+                    { status: 'completed' },
+                    { $and: [{ status: 'active' }, { items: { $elemMatch: { purchased: true } } }] }
+                ]
+            };
+            assert.equal(matches(filter), true);
+        });
+
+        it('exige array não vazio', () => {
+            assert.throws(() => matches({ $or: [] }), /\$or exige um array não vazio/);
+            assert.throws(() => matches({ $and: { status: 'active' } }), /\$and exige um array não vazio/);
+        });
+    });
+
+    it('rejeita operadores desconhecidos', () => {
+        assert.throws(() => matches({ status: { $size: 1 } }), /Operador de filtro desconhecido: \$size/);
+        assert.throws(() => matches({ $where: 'true' }), /Operador de filtro desconhecido: \$where/);
+    });
+});
+
+describe('JsonDatabase.findOne com $or', () => {
+    let tmpDir;
+    let db;
+
+    before(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-or-'));
+        db = new JsonDatabase(tmpDir, 'users', {
+            indexes: [{ field: 'email', unique: true }, { field: 'username', unique: true }]
+        });
+        await db.create({ email: 'ana@example.com', username: 'ana' });
+    });
+
+    after(async () => {
+        await fs.remove(tmpDir);
+    });
+
+    it('detecta email ou username já cadastrados', async () => {
+        const byUsername = await db.findOne({ $or: [{ email: 'outro@example.com' }, { username: 'ana' }] });
+        const none = await db.findOne({ $or: [{ email: 'outro@example.com' }, { username: 'outra' }] });
+
+        assert.equal(byUsername.email, 'ana@example.com');
+        assert.equal(none, null);
+    });
+});
@@ -0,0 +1,82 @@
+// shared/test/metrics.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const { MetricsRegistry, httpMetrics } = require('../metrics');
+
+describe('metrics', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new MetricsRegistry();
+    });
+
+    it('exporta contadores e gauges no formato de texto do Prometheus', async () => {
+        const created = registry.counter({ name: 'lists_created_total', help: 'Listas criadas' });
+        const state = registry.gauge({ name: 'breaker_state', help: 'Estado', labelNames: ['service', 'state'] });
+        created.inc();
+        created.inc({}, 2);
+        state.set({ service: 'item-service', state: 'open' }, 1);
+
+        assert.equal(await registry.render(), [
+            '# HELP lists_created_total Listas criadas',
+            '# TYPE lists_created_total counter',
+            'lists_created_total 3',
+            '# HELP breaker_state Estado',
+            '# TYPE breaker_state gauge',
+            'breaker_state{service="item-service",state="open"} 1',
+            ''
+        ].join('\n'));
+        // O mesmo nome devolve a mesma métrica; outro tipo é recusado
+        assert.equal(registry.counter({ name: 'lists_created_total', help: '' }), created);
+        assert.throws(() => registry.histogram({ name: 'lists_created_total', help: '' }), /já registrada/);
+    });
+
+    it('acumula os histogramas por bucket', async () => {
+        const duration = registry.histogram({ name: 'db_seconds', help: 'Duração', labelNames: ['op'], buckets: [0.1, 1] });
+        duration.observe({ op: 'read' }, 0.05);
+        duration.observe({ op: 'read' }, 0.5);
+        duration.observe({ op: 'read' }, 3);
+
+        const lines = (await registry.render()).split('\n');
+        assert.deepEqual(lines.slice(2, 7), [
+            'db_seconds_bucket{op="read",le="0.1"} 1',
+            'db_seconds_bucket{op="read",le="1"} 2',
+            'db_seconds_bucket{op="read",le="+Inf"} 3',
+            'db_seconds_sum{op="read"} 3.55',
+            'db_seconds_count{op="read"} 3'
+        ]);
+    });
+
+    it('atualiza gauges com collect e escapa os valores dos labels', async () => {
+        let size = 0;
+        registry.gauge({
+            name: 'collection_documents',
+            help: 'Documentos',
+            labelNames: ['collection'],
+            collect: gauge => gauge.set({ collection: 'lis"ts' }, size)
+        });
+        size = 7;
+        assert.match(await registry.render(), /collection_documents\{collection="lis\\"ts"\} 7/);
+    });
+
+    it('httpMetrics registra requisições pelo padrão da rota', () => {
+        const middleware = httpMetrics(registry);
+        const finish = (req, locals = {}) => {
+            const res = Object.assign(new EventEmitter(), { statusCode: 200, locals });
+            middleware(req, res, () => {});
+            res.emit('finish');
+        };
+
+        finish({ method: 'GET', baseUrl: '', route: { path: '/lists/:id' } });
+        finish({ method: 'GET', baseUrl: '', route: { path: '/lists/:id' } });
+        finish({ method: 'POST', baseUrl: '/api/items' });
+        finish({ method: 'GET', baseUrl: '' }, { route: '/api/items/:id' });
+
+        const requests = registry.counter({ name: 'http_requests_total', help: '' });
+        assert.equal(requests.get({ method: 'GET', route: '/lists/:id', status: 200 }), 2);
+        assert.equal(requests.get({ method: 'POST', route: '/api/items', status: 200 }), 1);
+        assert.equal(requests.get({ method: 'GET', route: '/api/items/:id', status: 200 }), 1);
+    });
+});
@@ -0,0 +1,181 @@
+// shared/test/openapi.test.js
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const express = require('express');
+const axios = require('axios');
+
+const { configureLogging } = require('../logger');
+const { OpenApiDocument, openApiValidator, registerDocsRoutes } = require('../openapi');
+const { notFoundHandler, errorHandler } = require('../httpErrors');
+
+const document = OpenApiDocument.load();
+
+// Rotas registradas pelo Gateway e pelos serviços (caminho de cada serviço)
+const GATEWAY_ROUTES = [
+    'POST /api/auth/register', 'POST /api/auth/login', 'GET /api/users/1', 'PUT /api/users/1',
+    'GET /api/items', 'POST /api/items', 'GET /api/items/1', 'PUT /api/items/1', 'GET /api/categories',
+    'GET /api/lists', 'POST /api/lists', 'GET /api/lists/1', 'PUT /api/lists/1', 'DELETE /api/lists/1',
+    'GET /api/lists/1/summary', 'POST /api/lists/1/items', 'PUT /api/lists/1/items/2', 'DELETE /api/lists/1/items/2',
+    'GET /api/dashboard', 'GET /api/search', 'GET /api/docs', 'GET /api/docs/openapi.json',
+    'POST /graphql', 'GET /graphql/schema',
+    'GET /admin/api-usage', 'GET /health', 'GET /health/live', 'GET /health/ready', 'GET /metrics', 'GET /registry'
+];
+const SERVICE_ROUTES = [
+    'POST /auth/register', 'POST /auth/login', 'POST /auth/validate', 'GET /users/1', 'PUT /users/1',
+    'GET /items', 'GET /items/1', 'POST /items', 'PUT /items/1', 'GET /categories', 'GET /search',
+    'POST /lists', 'GET /lists', 'GET /lists/1', 'PUT /lists/1', 'DELETE /lists/1', 'GET /lists/1/summary',
+    'POST /lists/1/items', 'PUT /lists/1/items/2', 'DELETE /lists/1/items/2',
+    'GET /admin/backups', 'POST /admin/backups', 'POST /admin/backups/restore'
+];
+
+const errorsOf = errors => errors.map(({ location, field, rule }) => `${location}:${field}:${rule}`);
+
+async function listen(app) {
+    const server = app.listen(0);
+    await once(server, 'listening');
+    return { server, http: axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true }) };
+}
+
+describe('openapi', () => {
+    before(() => {
+        configureLogging({ levels: { openapi: 'silent', http: 'silent' } });
+    });
+
+    it('documenta todas as rotas do Gateway e dos serviços', () => {
+        GATEWAY_ROUTES.forEach(route => assert.ok(document.match(...route.split(' ')), route));
+        SERVICE_ROUTES.forEach(route => assert.ok(document.match(...route.split(' '), '/api'), route));
+        assert.equal(document.match('PATCH', '/api/lists/1'), null);
+
+        const match = document.match('PUT', '/lists/l%201/items/i-2', '/api');
+        assert.deepEqual([match.template, match.route, match.params], [
+            '/api/lists/{id}/items/{itemId}', '/lists/:id/items/:itemId', { id: 'l 1', itemId: 'i-2' }
+        ]);
+        // O caminho do próprio serviço tem prioridade sobre o do Gateway
+        assert.equal(document.match('GET', '/search', '/api').template, '/search');
+    });
+
+    it('valida corpo, path params e query string', () => {
+        const addItem = document.match('POST', '/api/lists/1/items');
+        assert.deepEqual(document.validateRequest(addItem, {}, { itemId: 'arroz', quantity: 2 }), []);
+        assert.deepEqual(errorsOf(document.validateRequest(addItem, {}, { quantity: '2', notes: 7 })), [
+            'body:itemId:required', 'body:quantity:type', 'body:notes:type'
+        ]);
+        assert.deepEqual(errorsOf(document.validateRequest(addItem, {}, { itemId: 'arroz', quantity: 0 })), ['body:quantity:min']);
+
+        const search = document.match('GET', '/api/search');
+        assert.deepEqual(errorsOf(document.validateRequest(search, {}, {})), ['query:q:required']);
+        assert.deepEqual(errorsOf(document.validateRequest(search, { q: ['a', 'b'] }, {})), ['query:q:type']);
+
+        const preferences = document.match('PUT', '/api/users/1');
+        assert.deepEqual(errorsOf(document.validateRequest(preferences, {}, { preferences: { tema: 'escuro' } })), [
+            'body:preferences.tema:additionalFields'
+        ]);
+    });
+
+    it('responde 400 no formato comum, com o corpo cru do Gateway ou já convertido', async () => {
+        const gateway = express();
+        gateway.use('/api', express.raw({ type: () => true }));
+        gateway.use((req, res, next) => {
+            req.user = req.header('Authorization') ? { id: 'u1' } : null;
+            next();
+        });
+        gateway.use(openApiValidator(document));
+        gateway.use((req, res) => res.json({ success: true, route: res.locals.route || null }));
+        const { server, http } = await listen(gateway);
+
+        try {
+            const invalid = await http.post('/api/lists/1/items', { quantity: -1 }, { headers: { Authorization: 'Bearer x' } });
+            assert.equal(invalid.status, 400);
+            assert.deepEqual([invalid.data.success, invalid.data.message], [false, 'Dados inválidos']);
+            assert.deepEqual(errorsOf(invalid.data.errors), ['body:itemId:required', 'body:quantity:min']);
+
+            const malformed = await http.post('/api/auth/login', '{ "identifier":', { headers: { 'Content-Type': 'application/json' } });
+            assert.deepEqual([malformed.status, malformed.data.success], [400, false]);
+
+            const valid = await http.post('/api/auth/login', { identifier: 'ana', password: 'segredo' });
+            assert.equal(valid.status, 200);
+
+            // Sem usuário, a rota protegida segue para responder 401
+            const anonymous = await http.post('/api/lists/1/items', { quantity: -1 });
+            assert.equal(anonymous.status, 200);
+        } finally {
+            server.close();
+        }
+
+        const service = express();
+        service.use(express.json());
+        service.use(openApiValidator(document, { basePath: '/api' }));
+        service.get('/items', (req, res) => res.json({ success: true, data: [] }));
+        service.use(notFoundHandler);
+        service.use(errorHandler());
+        const listening = await listen(service);
+
+        try {
+            const query = await listening.http.get('/items?category=');
+            assert.deepEqual(errorsOf(query.data.errors), ['query:category:minLength']);
+
+            const malformed = await listening.http.post('/lists', '{', { headers: { 'Content-Type': 'application/json' } });
+            assert.deepEqual([malformed.status, malformed.data.message], [400, 'JSON inválido no corpo da requisição']);
+
+            const missing = await listening.http.get('/nada');
+            assert.deepEqual([missing.status, missing.data.success], [404, false]);
+        } finally {
+            listening.server.close();
+        }
+    });
+
+    it('confere as respostas no modo de contrato', async () => {
+        const createApp = contract => {
+            const app = express();
+            app.use(express.json());
+            app.use(openApiValidator(document, { basePath: '/api', contract }));
+            app.get('/categories', (req, res) => res.json({ success: true, data: [] }));
+            app.get('/items/:id', (req, res) => res.json({ success: true, data: { id: req.params.id } }));
+            app.get('/lists', (req, res) => res.status(401).json({ success: false, message: 'Autenticação necessária' }));
+            return app;
+        };
+
+        const warn = await listen(createApp('warn'));
+        try {
+            const response = await warn.http.get('/items/1');
+            assert.deepEqual([response.status, response.data.data.id], [200, '1']);
+        } finally {
+            warn.server.close();
+        }
+
+        const strict = await listen(createApp('strict'));
+        try {
+            assert.equal((await strict.http.get('/categories')).status, 200);
+            assert.equal((await strict.http.get('/lists')).status, 401);
+
+            const response = await strict.http.get('/items/1');
+            assert.equal(response.status, 500);
+            assert.equal(response.data.message, 'Resposta fora do contrato da API');
+            assert.ok(response.data.errors.some(error => error.field === 'data.name' && error.rule === 'required'));
+        } finally {
+            strict.server.close();
+        }
+
+        assert.throws(() => openApiValidator(document, { contract: 'sempre' }), /OPENAPI_CONTRACT inválido/);
+    });
+
+    it('serve o documento e o visualizador interativo', async () => {
+        const app = express();
+        registerDocsRoutes(app, document);
+        const { server, http } = await listen(app);
+
+        try {
+            const page = await http.get('/api/docs');
+            assert.match(page.headers['content-type'], /text\/html/);
+            assert.match(page.data, /swagger-ui-bundle\.js/);
+            assert.match(page.headers['content-security-policy'], /script-src 'self' https:\/\/unpkg\.com/);
+
+            const spec = await http.get('/api/docs/openapi.json');
+            assert.equal(spec.data.openapi, '3.0.3');
+            assert.match((await http.get('/api/docs/init.js')).data, /\/api\/docs\/openapi\.json/);
+        } finally {
+            server.close();
+        }
+    });
+});
@@ -0,0 +1,130 @@
+// shared/test/rateLimiter.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryRateLimitStore, createRateLimiter } = require('../rateLimiter');
+
+const config = {
+    groups: [
+        { name: 'auth', methods: ['POST'], paths: ['/api/auth'], limits: { ip: { limit: 2, windowSeconds: 60 } } },
+        { name: 'list-write', methods: ['POST'], paths: ['/api/lists'], limits: { user: { limit: 3, windowSeconds: 3 } } }
+    ]
+};
+
+// Executa o middleware com req/res mínimos
+async function run(limiter, { method = 'POST', path, ip = '10.0.0.1', user = null }) {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        set(name, value) { this.headers[name] = value; return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    let passed = false;
+    await limiter({ method, path, ip, user }, res, () => { passed = true; });
+    return { passed, ...res };
+}
+
+describe('rateLimiter', () => {
+    let now;
+    let limiter;
+
+    beforeEach(() => {
+        now = 1000000;
+        const store = new MemoryRateLimitStore({ clock: () => now, cleanupIntervalMs: 0 });
+        limiter = createRateLimiter(config, { store, userId: req => req.user });
+    });
+
+    it('responde 429 com Retry-After e RateLimit-* quando o balde esvazia', async () => {
+        const first = await run(limiter, { path: '/api/auth/login' });
+        assert.equal(first.passed, true);
+        assert.deepEqual(first.headers, {
+            'RateLimit-Limit': '2', 'RateLimit-Remaining': '1', 'RateLimit-Reset': '30', 'RateLimit-Policy': '2;w=60'
+        });
+
+        await run(limiter, { path: '/api/auth/login' });
+        const blocked = await run(limiter, { path: '/api/auth/login' });
+        assert.equal(blocked.passed, false);
+        assert.equal(blocked.statusCode, 429);
+        assert.equal(blocked.headers['Retry-After'], '30');
+        assert.equal(blocked.headers['RateLimit-Remaining'], '0');
+
+        // Outro IP tem o próprio balde; GET não é do grupo auth
+        assert.equal((await run(limiter, { path: '/api/auth/login', ip: '10.0.0.2' })).passed, true);
+        assert.equal((await run(limiter, { method: 'GET', path: '/api/auth/login' })).passed, true);
+    });
+
+    it('reabastece os tokens com o tempo', async () => {
+        await run(limiter, { path: '/api/auth/register' });
+        await run(limiter, { path: '/api/auth/register' });
+        now += 29000;
+        assert.equal((await run(limiter, { path: '/api/auth/register' })).passed, false);
+        now += 1000;
+        assert.equal((await run(limiter, { path: '/api/auth/register' })).passed, true);
+    });
+
+    it('limita por usuário e ignora o limite de usuário sem autenticação', async () => {
+        for (let i = 0; i < 3; i++) {
+            assert.equal((await run(limiter, { path: '/api/lists', user: 'u1', ip: `10.0.1.${i}` })).passed, true);
+        }
+        assert.equal((await run(limiter, { path: '/api/lists/abc/items', user: 'u1' })).statusCode, 429);
+        assert.equal((await run(limiter, { path: '/api/lists', user: 'u2' })).passed, true);
+
+        const anonymous = await run(limiter, { path: '/api/lists' });
+        assert.equal(anonymous.passed, true);
+        assert.deepEqual(anonymous.headers, {});
+    });
+
+    it('não gasta os outros baldes quando um deles nega a requisição', async () => {
+        const store = new MemoryRateLimitStore({ clock: () => now, cleanupIntervalMs: 0 });
+        const writes = createRateLimiter({
+            groups: [{ name: 'writes', paths: ['/api/lists'], limits: { ip: { limit: 5, windowSeconds: 60 }, user: { limit: 3, windowSeconds: 60 } } }]
+        }, { store, userId: req => req.user });
+
+        for (let i = 0; i < 3; i++) {
+            assert.equal((await run(writes, { path: '/api/lists', user: 'u1' })).passed, true);
+        }
+        // Negadas pelo limite de u1, não consomem o balde do IP
+        for (let i = 0; i < 5; i++) {
+            assert.equal((await run(writes, { path: '/api/lists', user: 'u1' })).statusCode, 429);
+        }
+        for (let i = 0; i < 2; i++) {
+            assert.equal((await run(writes, { path: '/api/lists', user: 'u2' })).passed, true);
+        }
+        const blocked = await run(writes, { path: '/api/lists', user: 'u2' });
+        assert.equal(blocked.statusCode, 429);
+        assert.match(blocked.body.message, /por IP/);
+    });
+
+    it('cobra com charge os baldes da rota equivalente, sem passar pelo middleware', async () => {
+        const req = { method: 'POST', path: '/graphql', ip: '10.0.0.1', user: 'u1' };
+        const listWrite = { method: 'POST', path: '/api/lists' };
+        for (let i = 0; i < 3; i++) {
+            assert.equal(await limiter.charge(req, listWrite), null);
+        }
+        const denied = await limiter.charge(req, listWrite);
+        assert.deepEqual([denied.group, denied.scope, denied.retryAfterMs], ['list-write', 'user', 1000]);
+        assert.match(denied.message, /list-write, por usuário/);
+
+        // São os mesmos baldes da rota REST
+        assert.equal((await run(limiter, { path: '/api/lists', user: 'u1' })).statusCode, 429);
+        // Rotas sem grupo não cobram nada
+        assert.equal(await limiter.charge(req, { method: 'GET', path: '/api/lists' }), null);
+    });
+
+    it('aceita um store assíncrono', async () => {
+        const calls = [];
+        const store = {
+            take: async requests => {
+                calls.push(...requests.map(({ key }) => key));
+                return requests.map(() => ({ allowed: false, remaining: 0, retryAfterMs: 1500, resetMs: 60000 }));
+            }
+        };
+        const custom = createRateLimiter(config, { store });
+
+        const result = await run(custom, { path: '/api/auth/login' });
+        assert.equal(result.statusCode, 429);
+        assert.equal(result.headers['Retry-After'], '2');
+        assert.deepEqual(calls, ['auth:ip:10.0.0.1']);
+    });
+});
@@ -0,0 +1,89 @@
+// shared/test/retry.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { backoffDelay, RetryBudget, retryFor, withRetries, hedge } = require('../retry');
+
+const httpError = status => Object.assign(new Error(`HTTP ${status}`), { response: { status } });
+
+describe('retry', () => {
+    it('calcula o backoff exponencial com jitter e limite', () => {
+        assert.equal(backoffDelay(0, 100, 1000, () => 0.999), 99);
+        assert.equal(backoffDelay(3, 100, 1000, () => 0.5), 400);
+        assert.equal(backoffDelay(10, 100, 1000, () => 0.999), 999);
+        assert.equal(backoffDelay(2, 100, 1000, () => 0), 0);
+    });
+
+    it('repete falhas passageiras e desiste de erros do cliente', async () => {
+        let calls = 0;
+        const result = await withRetries(async attempt => {
+            calls++;
+            if (attempt < 2) throw httpError(503);
+            return 'ok';
+        }, { retries: 3, baseDelayMs: 1 });
+        assert.deepEqual([result, calls], ['ok', 3]);
+
+        calls = 0;
+        await assert.rejects(withRetries(async () => {
+            calls++;
+            throw httpError(404);
+        }, { retries: 3, baseDelayMs: 1 }), /HTTP 404/);
+        assert.equal(calls, 1);
+    });
+
+    it('repete e faz hedging só de leituras, e de escritas apenas com retryWrites', () => {
+        const policy = { retries: 2, hedgeAfterMs: 300 };
+        assert.deepEqual(retryFor('get', policy), { retries: 2, hedgeAfterMs: 300 });
+        assert.deepEqual(retryFor('HEAD', policy, { conditional: true }), { retries: 2, hedgeAfterMs: 300 });
+        for (const method of ['POST', 'PUT', 'DELETE', 'PATCH']) {
+            assert.deepEqual(retryFor(method, policy), { retries: 0, hedgeAfterMs: null });
+        }
+
+        const optIn = { ...policy, retryWrites: true };
+        assert.deepEqual(retryFor('PUT', optIn), { retries: 2, hedgeAfterMs: null });
+        assert.deepEqual(retryFor('DELETE', optIn), { retries: 2, hedgeAfterMs: null });
+        // Nunca com If-Match, e POST nunca é repetido
+        assert.deepEqual(retryFor('PUT', optIn, { conditional: true }), { retries: 0, hedgeAfterMs: null });
+        assert.deepEqual(retryFor('POST', optIn), { retries: 0, hedgeAfterMs: null });
+    });
+
+    it('para de repetir quando o orçamento de retries acaba', async () => {
+        const budget = new RetryBudget({ ratio: 0, minRetriesPerSecond: 0.1, windowMs: 10000 });
+        let calls = 0;
+        const failing = () => withRetries(async () => {
+            calls++;
+            throw httpError(502);
+        }, { retries: 5, baseDelayMs: 1, budget });
+
+        await assert.rejects(failing(), /HTTP 502/);
+        assert.equal(calls, 2);
+        await assert.rejects(failing(), /HTTP 502/);
+        assert.equal(calls, 3);
+        assert.deepEqual(budget.snapshot(), { requests: 2, retries: 1 });
+    });
+
+    it('fica com a resposta mais rápida e cancela a outra no hedging', async () => {
+        const aborted = [];
+        const result = await hedge(({ signal, hedged }) => new Promise((resolve, reject) => {
+            const timer = setTimeout(() => resolve(hedged ? 'hedge' : 'primeira'), hedged ? 5 : 200);
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                aborted.push(hedged);
+                reject(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' }));
+            });
+        }), 10);
+
+        assert.equal(result, 'hedge');
+        assert.deepEqual(aborted, [false]);
+    });
+
+    it('não dispara o hedge se a primeira tentativa falhar antes', async () => {
+        let calls = 0;
+        await assert.rejects(hedge(async () => {
+            calls++;
+            throw httpError(500);
+        }, 20), /HTTP 500/);
+        await new Promise(resolve => setTimeout(resolve, 30));
+        assert.equal(calls, 1);
+    });
+});
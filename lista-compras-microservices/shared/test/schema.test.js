@@ -0,0 +1,79 @@
+// shared/test/schema.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateDocument, validateField, applyDefaults } = require('../schema');
+
+const listSchema = {
+    fields: {
+        name: { type: 'string', required: true, minLength: 1 },
+        status: { type: 'string', enum: ['active', 'completed'], default: 'active' },
+        items: {
+            type: 'array',
+            default: [],
+            items: {
+                type: 'object',
+                fields: { quantity: { type: 'number', required: true, min: 0, exclusiveMin: true } },
+                additionalFields: false
+            }
+        },
+        summary: {
+            type: 'object',
+            default: { totalItems: 0 },
+            fields: { totalItems: { type: 'integer', min: 0 } }
+        }
+    },
+    additionalFields: false
+};
+
+const fieldsWithErrors = document => validateDocument(listSchema, document).map(({ field, rule }) => `${field}:${rule}`);
+
+describe('schema.validateDocument', () => {
+    it('aceita documento válido', () => {
+        assert.deepEqual(fieldsWithErrors({ name: 'Feira', status: 'active', items: [{ quantity: 2 }] }), []);
+    });
+
+    it('reporta campos obrigatórios, tipos e enums', () => {
+        assert.deepEqual(fieldsWithErrors({ status: 'lost' }), ['name:required', 'status:enum']);
+        assert.deepEqual(fieldsWithErrors({ name: 42 }), ['name:type']);
+    });
+
+    it('valida limites numéricos e elementos de arrays', () => {
+        assert.deepEqual(
+            fieldsWithErrors({ name: 'Feira', items: [{ quantity: 1 }, { quantity: 0 }, { quantity: NaN }] }),
+            ['items[1].quantity:min', 'items[2].quantity:type']
+        );
+        assert.deepEqual(fieldsWithErrors({ name: 'Feira', summary: { totalItems: 1.5 } }), ['summary.totalItems:type']);
+    });
+
+    it('rejeita campos não declarados quando additionalFields é false', () => {
+        assert.deepEqual(
+            fieldsWithErrors({ name: 'Feira', junk: true, items: [{ quantity: 1, extra: 1 }] }),
+            ['items[0].extra:additionalFields', 'junk:additionalFields']
+        );
+    });
+});
+
+describe('schema.validateField', () => {
+    it('valida um valor isolado e cada valor de um mapa', () => {
+        assert.deepEqual(validateField({ type: 'integer', required: true }, undefined, 'page').map(error => error.rule), ['required']);
+        const counts = { type: 'object', values: { type: 'integer', min: 0 } };
+        assert.deepEqual(validateField(counts, { a: 1, b: -1, c: 'x' }, 'counts').map(({ field, rule }) => `${field}:${rule}`), [
+            'counts.b:min',
+            'counts.c:type'
+        ]);
+    });
+});
+
+describe('schema.applyDefaults', () => {
+    it('preenche apenas campos ausentes, sem compartilhar objetos padrão', () => {
+        const first = applyDefaults(listSchema, { name: 'Feira', status: 'completed' });
+        const second = applyDefaults(listSchema, { name: 'Mercado' });
+
+        assert.equal(first.status, 'completed');
+        assert.equal(second.status, 'active');
+        assert.deepEqual(first.items, []);
+        assert.notEqual(first.items, second.items);
+        assert.deepEqual(second.summary, { totalItems: 0 });
+    });
+});
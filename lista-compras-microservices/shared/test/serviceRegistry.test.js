@@ -0,0 +1,147 @@
+// shared/test/serviceRegistry.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const { FileBasedServiceRegistry } = require('../registryCore');
+
+describe('serviceRegistry com várias instâncias', () => {
+    let tmpDir;
+    let registry;
+
+    before(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'registry-'));
+    });
+
+    after(async () => {
+        await fs.remove(tmpDir);
+    });
+
+    beforeEach(() => {
+        registry = new FileBasedServiceRegistry(path.join(tmpDir, `registry-${Date.now()}-${Math.random()}.json`));
+        registry.register('list-service', { id: 'list-a', url: 'http://127.0.0.1:4001' });
+        registry.register('list-service', { id: 'list-b', url: 'http://127.0.0.1:4002' });
+    });
+
+    it('mantém uma entrada por instância', () => {
+        const { healthyInstances, instances } = registry.listServices()['list-service'];
+        assert.equal(healthyInstances, 2);
+        assert.deepEqual(instances.map(instance => instance.url).sort(), ['http://127.0.0.1:4001', 'http://127.0.0.1:4002']);
+    });
+
+    it('alterna as instâncias em round-robin e ignora as não saudáveis', () => {
+        const picks = [1, 2, 3].map(() => registry.discover('list-service', { strategy: 'round-robin' }).id);
+        assert.deepEqual(picks, ['list-a', 'list-b', 'list-a']);
+
+        registry.updateHealth('list-service', false, 'list-a');
+        assert.equal(registry.discover('list-service').id, 'list-b');
+        assert.equal(registry.discover('list-service').id, 'list-b');
+    });
+
+    it('prefere a instância que falhou há mais tempo em least-recently-failed', () => {
+        registry.reportFailure('list-service', 'list-a');
+        assert.equal(registry.discover('list-service', { strategy: 'least-recently-failed' }).id, 'list-b');
+    });
+
+    it('tenta outra instância quando a conexão é recusada', async () => {
+        const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+        const calls = [];
+
+        const result = await registry.withFailover('list-service', async instance => {
+            calls.push(instance.id);
+            if (instance.id === 'list-a') throw refused;
+            return 'ok';
+        }, { method: 'POST', strategy: 'round-robin' });
+
+        assert.equal(result, 'ok');
+        assert.deepEqual(calls, ['list-a', 'list-b']);
+        assert.equal(registry.listServices()['list-service'].instances.find(instance => instance.id === 'list-a').failures, 1);
+    });
+
+    it('prefere instâncias fora de avoid, mas as usa se não houver outras', async () => {
+        const picks = [];
+        await registry.withFailover('list-service', async instance => picks.push(instance.id), { avoid: ['list-a'] });
+        await registry.withFailover('list-service', async instance => picks.push(instance.id), { avoid: ['list-a', 'list-b'] });
+        assert.equal(picks[0], 'list-b');
+        assert.equal(picks.length, 2);
+    });
+
+    it('não repete requisições não idempotentes que podem ter sido processadas', async () => {
+        const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+        let calls = 0;
+
+        await assert.rejects(registry.withFailover('list-service', async () => {
+            calls++;
+            throw reset;
+        }, { method: 'POST' }), reset);
+        assert.equal(calls, 1);
+    });
+
+    it('lê entradas no formato antigo como uma instância', async () => {
+        await fs.writeJson(registry.registryFile, { 'item-service': { url: 'http://127.0.0.1:3003', healthy: true, pid: 42, registeredAt: 0, lastHealthCheck: Date.now() } });
+        assert.equal(registry.discover('item-service').url, 'http://127.0.0.1:3003');
+    });
+});
+
+describe('serviceRegistry com leases', () => {
+    let tmpDir;
+    let registry;
+
+    before(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'registry-leases-'));
+        registry = new FileBasedServiceRegistry(path.join(tmpDir, 'registry.json'));
+    });
+
+    after(async () => {
+        await fs.remove(tmpDir);
+    });
+
+    beforeEach(() => registry.clear());
+
+    // Simula a passagem do tempo movendo o vencimento do lease
+    const ageLease = (serviceName, instanceId, ms) => {
+        const services = registry.readRegistry();
+        services[serviceName].instances[instanceId].leaseExpiresAt -= ms;
+        registry.writeRegistry(services);
+    };
+
+    it('guarda versão, tags e caminho do health check', () => {
+        registry.register('item-service', { id: 'item-a', url: 'http://127.0.0.1:4003', version: '1.2.0', tags: ['catalog'], healthPath: '/ready' });
+        const [instance] = registry.listServices()['item-service'].instances;
+
+        assert.deepEqual([instance.version, instance.tags, instance.healthPath, instance.status], ['1.2.0', ['catalog'], '/ready', 'up']);
+        assert.equal(registry.discover('item-service', { tags: ['catalog'] }).id, 'item-a');
+        assert.throws(() => registry.discover('item-service', { tags: ['beta'] }), /indisponível/);
+    });
+
+    it('tira da descoberta a instância com lease vencido e a recupera com heartbeat', () => {
+        registry.register('item-service', { id: 'item-a', url: 'http://127.0.0.1:4003', leaseTtl: 10000 });
+        ageLease('item-service', 'item-a', 10001);
+
+        assert.throws(() => registry.discover('item-service'), /indisponível/);
+        assert.equal(registry.listServices()['item-service'].instances[0].status, 'expired');
+
+        assert.equal(registry.heartbeat('item-service', 'item-a'), true);
+        assert.equal(registry.discover('item-service').id, 'item-a');
+    });
+
+    it('remove a entrada quando o lease fica vencido por muito tempo', () => {
+        registry.register('item-service', { id: 'item-a', url: 'http://127.0.0.1:4003', leaseTtl: 10000 });
+        ageLease('item-service', 'item-a', 40000);
+
+        assert.equal(registry.heartbeat('item-service', 'item-a'), false);
+        assert.equal(registry.hasService('item-service'), false);
+    });
+
+    it('remove na inicialização entradas de processos que não existem mais', () => {
+        registry.register('item-service', { id: 'item-a', url: 'http://127.0.0.1:4003' });
+        const services = registry.readRegistry();
+        services['item-service'].instances['item-dead'] = { ...services['item-service'].instances['item-a'], id: 'item-dead', url: 'http://127.0.0.1:4004', pid: 2 ** 22 + 1 };
+        registry.writeRegistry(services);
+
+        registry.removeDeadProcesses();
+        assert.deepEqual(registry.listServices()['item-service'].instances.map(instance => instance.id), ['item-a']);
+    });
+});
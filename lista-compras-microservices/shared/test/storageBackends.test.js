@@ -0,0 +1,178 @@
+// shared/test/storageBackends.test.js
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { spawnSync } = require('child_process');
+
+const JsonDatabase = require('../JsonDatabase');
+const { LogBackend, withFileLock } = require('../storageBackends');
+
+const names = documents => documents.map(doc => doc.name);
+
+describe('backend de log', () => {
+    let tmpDir;
+
+    beforeEach(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-log-'));
+    });
+
+    afterEach(async () => {
+        await fs.remove(tmpDir);
+    });
+
+    it('acrescenta operações ao log sem regravar o snapshot', async () => {
+        const db = new JsonDatabase(tmpDir, 'lists', { backend: 'log', indexes: ['userId'] });
+        await db.ready;
+        const indexPath = path.join(tmpDir, 'lists_index.json');
+        const index = await fs.readFile(indexPath, 'utf8');
+
+        const [ana, bruno] = await db.insertMany([{ name: 'Ana', userId: 'u1' }, { name: 'Bruno', userId: 'u2' }]);
+        await db.update(ana.id, { name: 'Ana Maria' });
+        await db.delete(bruno.id);
+
+        assert.deepEqual(await fs.readJson(path.join(tmpDir, 'lists.json')), []);
+        // Nem o índice é regravado: ele é derivado na leitura até a compactação
+        assert.equal(await fs.readFile(indexPath, 'utf8'), index);
+        const lines = (await fs.readFile(path.join(tmpDir, 'lists.log'), 'utf8')).trim().split('\n');
+        assert.equal(lines.length, 3);
+
+        // Uma nova instância reconstrói a coleção aplicando o log
+        const reopened = new JsonDatabase(tmpDir, 'lists', { backend: 'log', indexes: ['userId'] });
+        assert.deepEqual(names(await reopened.find()), ['Ana Maria']);
+        assert.equal((await reopened.findOne({ userId: 'u1' })).version, 2);
+    });
+
+    it('compacta o log em segundo plano após compactAfter escritas', async () => {
+        const db = new JsonDatabase(tmpDir, 'lists', { backend: 'log', compactAfter: 3, indexes: ['name'] });
+        for (const name of ['a', 'b', 'c', 'd']) {
+            await db.create({ name });
+        }
+        await db.withWriteLock(async () => {}); // aguarda a compactação enfileirada
+
+        // O índice gravado na compactação corresponde ao snapshot compactado
+        const index = await fs.readJson(path.join(tmpDir, 'lists_index.json'));
+        assert.deepEqual(Object.keys(index.fields.name.values), ['a', 'b', 'c']);
+        assert.equal(index.source.snapshot.size, (await fs.stat(path.join(tmpDir, 'lists.json'))).size);
+
+        assert.deepEqual(names(await fs.readJson(path.join(tmpDir, 'lists.json'))), ['a', 'b', 'c']);
+        assert.equal((await fs.readFile(path.join(tmpDir, 'lists.log'), 'utf8')).trim().split('\n').length, 1);
+        assert.deepEqual(names(await db.find()), ['a', 'b', 'c', 'd']);
+        assert.equal(db.backend.stats.compactions, 1);
+    });
+
+    it('ignora a última linha incompleta e falha com linha corrompida no meio', async () => {
+        const db = new JsonDatabase(tmpDir, 'lists', { backend: 'log' });
+        await db.create({ name: 'Ana' });
+        const logPath = path.join(tmpDir, 'lists.log');
+
+        await fs.appendFile(logPath, '{"at":"2024-01-01","ops":[{"put":');
+        assert.deepEqual(names(await new LogBackend(tmpDir, 'lists').read()), ['Ana']);
+
+        await fs.appendFile(logPath, '\n' + JSON.stringify({ ops: [{ put: { id: 'x', name: 'Bia' } }] }) + '\n');
+        await assert.rejects(new LogBackend(tmpDir, 'lists').read(), error => error.code === 'EDBCORRUPT');
+    });
+
+    it('descarta a linha incompleta ao abrir, e as escritas seguintes não se perdem', async () => {
+        const db = new JsonDatabase(tmpDir, 'lists', { backend: 'log' });
+        await db.create({ name: 'Ana' });
+        const logPath = path.join(tmpDir, 'lists.log');
+        const committed = await fs.readFile(logPath, 'utf8');
+
+        // Queda no meio de um append
+        await fs.appendFile(logPath, '{"at":"2024-01-01","ops":[{"put":');
+
+        const reopened = new JsonDatabase(tmpDir, 'lists', { backend: 'log' });
+        assert.deepEqual(names(await reopened.find()), ['Ana']);
+        assert.equal(await fs.readFile(logPath, 'utf8'), committed);
+
+        await reopened.create({ name: 'Bia' });
+        await reopened.create({ name: 'Caio' });
+        assert.deepEqual(names(await new JsonDatabase(tmpDir, 'lists', { backend: 'log' }).find()), ['Ana', 'Bia', 'Caio']);
+    });
+
+    it('incorpora o log pendente ao abrir a coleção com o backend de arquivo', async () => {
+        const db = new JsonDatabase(tmpDir, 'lists', { backend: 'log' });
+        await db.create({ name: 'Ana' });
+
+        const fileDb = new JsonDatabase(tmpDir, 'lists');
+        assert.deepEqual(names(await fileDb.find()), ['Ana']);
+        assert.equal((await fs.readFile(path.join(tmpDir, 'lists.log'), 'utf8')), '');
+    });
+
+    it('incorpora o log pendente só depois de obter o lock das escritas', async () => {
+        const db = new JsonDatabase(tmpDir, 'lists', { backend: 'log' });
+        await db.create({ name: 'Ana' });
+        // Outra instância (mesmo PID, como em contêineres) está gravando
+        const lockPath = path.join(tmpDir, 'lists.json.lock');
+        await fs.writeFile(lockPath, JSON.stringify({ token: 'outra-instancia', pid: process.pid, host: os.hostname() }));
+
+        const fileDb = new JsonDatabase(tmpDir, 'lists');
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.notEqual(await fs.readFile(path.join(tmpDir, 'lists.log'), 'utf8'), '');
+
+        await fs.remove(lockPath);
+        assert.deepEqual(names(await fileDb.find()), ['Ana']);
+        assert.equal(await fs.readFile(path.join(tmpDir, 'lists.log'), 'utf8'), '');
+    });
+});
+
+describe('lock entre processos', () => {
+    let tmpDir;
+    let lockPath;
+
+    beforeEach(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-lock-'));
+        lockPath = path.join(tmpDir, 'lists.json.lock');
+    });
+
+    afterEach(async () => {
+        await fs.remove(tmpDir);
+    });
+
+    it('não descarta o lock recente de outro dono com o mesmo PID', async () => {
+        await fs.writeFile(lockPath, JSON.stringify({ token: 'outro', pid: process.pid, host: os.hostname() }));
+
+        await assert.rejects(withFileLock(lockPath, async () => {}, { timeoutMs: 100 }), error => error.code === 'ELOCKTIMEOUT');
+
+        // Sem renovação há mais de staleMs, o dono caiu
+        const past = new Date(Date.now() - 60000);
+        await fs.utimes(lockPath, past, past);
+        assert.equal(await withFileLock(lockPath, async () => 'ok', { timeoutMs: 100 }), 'ok');
+        assert.equal(await fs.pathExists(lockPath), false);
+    });
+
+    it('descarta na hora o lock de um processo que não existe mais', async () => {
+        const { pid } = spawnSync(process.execPath, ['-e', '']);
+        const owner = JSON.parse(await withFileLock(lockPath, () => fs.readFile(lockPath, 'utf8')));
+        await fs.writeFile(lockPath, JSON.stringify({ ...owner, token: 'morto', pid }));
+
+        assert.equal(await withFileLock(lockPath, async () => 'ok', { timeoutMs: 100 }), 'ok');
+    });
+
+    it('ao terminar, não remove o lock que passou a ser de outro dono', async () => {
+        await withFileLock(lockPath, async () => {
+            await fs.writeFile(lockPath, JSON.stringify({ token: 'outro', pid: process.pid, host: os.hostname() }));
+        });
+        assert.equal(JSON.parse(await fs.readFile(lockPath, 'utf8')).token, 'outro');
+    });
+});
+
+describe('backend em memória', () => {
+    it('não grava arquivos e mantém índices, versões e metadados', async () => {
+        const db = new JsonDatabase(null, 'users', {
+            backend: 'memory',
+            indexes: [{ field: 'email', unique: true }]
+        });
+        const user = await db.create({ email: 'ana@example.com' });
+
+        await assert.rejects(db.create({ email: 'ana@example.com' }), error => error.code === 'EDUPLICATE');
+        await db.update(user.id, { name: 'Ana' }, { expectedVersion: 1 });
+        await assert.rejects(db.update(user.id, { name: 'Ana' }, { expectedVersion: 1 }), error => error.code === 'EVERSIONCONFLICT');
+
+        await db.writeMeta({ schemaVersion: 3 });
+        assert.deepEqual(await db.readMeta(), { schemaVersion: 3 });
+        assert.equal((await db.findOne({ email: 'ana@example.com' })).name, 'Ana');
+    });
+});
@@ -0,0 +1,37 @@
+// shared/upstreamCall.js
+// Chamada HTTP a outro serviço com log e métrica de latência. Usado pelo
+// Gateway e nas chamadas entre serviços (ex.: List Service -> Item Service).
+const axios = require('axios');
+
+const { createLogger } = require('./logger');
+const { metrics } = require('./metrics');
+const { requestIdHeaders } = require('./requestContext');
+
+const logger = createLogger('upstream');
+const upstreamDuration = metrics.histogram({
+    name: 'upstream_request_duration_seconds',
+    help: 'Latência das chamadas a outros serviços',
+    labelNames: ['upstream', 'method', 'status']
+});
+
+// Executa a requisição axios config (url, method, headers...) para o serviço
+// upstream, com o X-Request-Id da requisição atual. fields entram no log.
+async function callUpstreamService(upstream, config, fields = {}) {
+    const method = (config.method || 'GET').toUpperCase();
+    const end = upstreamDuration.startTimer({ upstream, method });
+    const logFields = { upstream, target: config.url, method, ...fields };
+    try {
+        const response = await axios({ ...config, headers: { ...config.headers, ...requestIdHeaders() } });
+        const seconds = end({ status: response.status });
+        logger.info('Chamada ao serviço', { ...logFields, status: response.status, latencyMs: Math.round(seconds * 1000) });
+        return response;
+    } catch (error) {
+        // Sem resposta, o status na métrica é o código do erro (ex.: ECONNREFUSED)
+        const status = error.response ? error.response.status : (error.code || 'error');
+        const seconds = end({ status });
+        logger.warn('Falha na chamada ao serviço', { ...logFields, status, latencyMs: Math.round(seconds * 1000), error });
+        throw error;
+    }
+}
+
+module.exports = { callUpstreamService };